@@ -6,31 +6,82 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 
-// Import custom modules
+// Import custom modules, the config module throws on invalid configuration
+const { config } = require('./config');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const WhatsAppManager = require('./services/WhatsAppManager');
+const WorkerPool = require('./services/WorkerPool');
+const WorkerBridge = require('./services/WorkerBridge');
+const ApiKeyService = require('./services/ApiKeyService');
+const { authenticate, authenticateSocket, canSocketAccess, extractApiKey, trustCoordinator } = require('./middleware/auth');
+const createRateLimiter = require('./middleware/rateLimit');
 
 // Import routes
 const whatsappRoutes = require('./controllers/whatsappController');
+const webhookRoutes = require('./controllers/webhookController');
+const apiKeyRoutes = require('./controllers/apiKeyController');
+const queueRoutes = require('./controllers/queueController');
+const broadcastRoutes = require('./controllers/broadcastController');
+const messageRoutes = require('./controllers/messageController');
+const sessionRoutes = require('./controllers/sessionController');
+const groupRoutes = require('./controllers/groupController');
+const contactRoutes = require('./controllers/contactController');
+const chatRoutes = require('./controllers/chatController');
+const autoResponderRoutes = require('./controllers/autoResponderController');
+const scheduleRoutes = require('./controllers/scheduleController');
+const diagnosticsRoutes = require('./controllers/diagnosticsController');
+const clusterRoutes = require('./controllers/clusterController');
 
 class WhatsAppAPI {
-    constructor() {
+    /**
+     * @param {Object} options - { role }: standalone (default), coordinator of worker processes or worker
+     */
+    constructor(options = {}) {
+        this.role = options.role || 'standalone';
         this.app = express();
         this.server = http.createServer(this.app);
-        this.io = socketIo(this.server, {
-            cors: {
-                origin: "*",
-                methods: ["GET", "POST"]
-            }
-        });
-        this.port = process.env.PORT || 3001;
-        this.whatsappManager = new WhatsAppManager(this.io);
+        // Allowed origins (CORS_ORIGINS), any origin if not set
+        this.corsOrigins = config.server.corsOrigins || "*";
+        this.port = config.server.port;
+        this.apiKeyService = new ApiKeyService();
+        this.shuttingDown = false;
+
+        if (this.role === 'worker') {
+            // No socket.io server in a worker, its events are emitted by the coordinator
+            this.bridge = new WorkerBridge({
+                getInstances: () => this.whatsappManager.instances,
+                adopt: ({ instanceId, record }) => this.whatsappManager.adoptInstance(instanceId, record),
+                metrics: () => this.whatsappManager.metrics.register.getMetricsAsJSON(),
+                shutdown: () => this.shutdown()
+            });
+            this.io = this.bridge.io;
+        } else {
+            this.io = socketIo(this.server, {
+                cors: {
+                    origin: this.corsOrigins,
+                    methods: ["GET", "POST"]
+                }
+            });
+        }
+
+        if (this.role === 'coordinator') {
+            this.workerPool = new WorkerPool({
+                emit: (room, event, payload) => this.io.to(room).emit(event, payload)
+            }, { ...config.cluster, health: config.health });
+        } else {
+            this.whatsappManager = new WhatsAppManager(this.io, {
+                instanceIds: this.bridge ? this.bridge.instanceIds : null
+            });
+        }
+        this.health = (this.workerPool || this.whatsappManager).health;
         
         this.initializeMiddleware();
         this.initializeRoutes();
         this.initializeErrorHandling();
-        this.initializeSocketEvents();
+        if (this.role !== 'worker') {
+            this.initializeSocketEvents();
+        }
     }
 
     initializeMiddleware() {
@@ -38,37 +89,95 @@ class WhatsAppAPI {
         this.app.use(helmet());
         
         // CORS
-        this.app.use(cors());
+        this.app.use(cors({ origin: this.corsOrigins }));
         
         // Logging
         this.app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
         
         // Body parsing
-        this.app.use(express.json({ limit: '50mb' }));
-        this.app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+        const bodyLimit = `${config.server.bodyLimitMb}mb`;
+        this.app.use(express.json({ limit: bodyLimit }));
+        this.app.use(express.urlencoded({ extended: true, limit: bodyLimit }));
         
         // Static files
         this.app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
         
-        // Make WhatsApp manager available to routes
+        // Make WhatsApp manager (worker pool in coordinator mode) and API keys available to routes
         this.app.use((req, res, next) => {
             req.whatsappManager = this.whatsappManager;
+            req.workerPool = this.workerPool;
+            req.apiKeyService = this.apiKeyService;
             next();
         });
     }
 
     initializeRoutes() {
-        // Health check
+        // Health check, "status" follows the readiness rules (see HealthService)
         this.app.get('/health', (req, res) => {
+            const readiness = this.health.readiness();
             res.json({ 
-                status: true, 
-                timestamp: new Date().toISOString(),
-                uptime: process.uptime(),
+                status: readiness.status, 
+                timestamp: readiness.timestamp,
+                uptime: readiness.uptime,
+                instances: readiness.instances
             });
         });
 
-        // API routes
-        this.app.use('/api/whatsapp', whatsappRoutes);
+        // Kubernetes liveness probe
+        this.app.get('/health/live', (req, res) => {
+            res.json(this.health.liveness());
+        });
+
+        // Kubernetes readiness probe, 503 while the rules fail or during shutdown
+        this.app.get('/health/ready', (req, res) => {
+            const readiness = this.health.readiness();
+            res.status(readiness.status ? 200 : 503).json(readiness);
+        });
+
+        // Prometheus metrics, protected by METRICS_TOKEN when it is set
+        this.app.get('/metrics', async (req, res, next) => {
+            try {
+                const token = config.metrics.token;
+                if (token && extractApiKey(req.headers) !== token) {
+                    return res.status(401).json({
+                        success: false,
+                        error: 'Invalid or missing metrics token'
+                    });
+                }
+
+                const { metrics } = this.workerPool || this.whatsappManager;
+                res.set('Content-Type', metrics.contentType);
+                res.send(await metrics.render());
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // API routes, API keys and rate limits are handled by the coordinator in worker mode
+        if (this.role === 'worker') {
+            this.app.use('/api/whatsapp', trustCoordinator(this.bridge.token));
+        } else {
+            this.app.use('/api/whatsapp', authenticate);
+            this.app.use('/api/whatsapp', createRateLimiter());
+            this.app.use('/api/whatsapp', apiKeyRoutes);
+        }
+
+        if (this.role === 'coordinator') {
+            this.app.use('/api/whatsapp', clusterRoutes);
+        } else {
+            this.app.use('/api/whatsapp', whatsappRoutes);
+            this.app.use('/api/whatsapp', webhookRoutes);
+            this.app.use('/api/whatsapp', queueRoutes);
+            this.app.use('/api/whatsapp', broadcastRoutes);
+            this.app.use('/api/whatsapp', messageRoutes);
+            this.app.use('/api/whatsapp', sessionRoutes);
+            this.app.use('/api/whatsapp', groupRoutes);
+            this.app.use('/api/whatsapp', contactRoutes);
+            this.app.use('/api/whatsapp', chatRoutes);
+            this.app.use('/api/whatsapp', autoResponderRoutes);
+            this.app.use('/api/whatsapp', scheduleRoutes);
+            this.app.use('/api/whatsapp', diagnosticsRoutes);
+        }
         
         // 404 handler
         this.app.use('*', (req, res) => {
@@ -84,8 +193,16 @@ class WhatsAppAPI {
     }
 
     initializeSocketEvents() {
+        // Authenticate sockets with the same API keys as the REST routes
+        this.io.use(authenticateSocket(this.apiKeyService));
+
         this.io.on('connection', (socket) => {
             logger.info(`Client connected: ${socket.id}`);
+
+            // Events of all instances are only for admins
+            if (canSocketAccess(this.apiKeyService, socket, null, 'admin')) {
+                socket.join(WhatsAppManager.MONITOR_ROOM);
+            }
             
             socket.on('disconnect', () => {
                 logger.info(`Client disconnected: ${socket.id}`);
@@ -93,6 +210,15 @@ class WhatsAppAPI {
             
             // Join instance room for specific updates
             socket.on('join-instance', (instanceId) => {
+                if (!canSocketAccess(this.apiKeyService, socket, instanceId, 'read')) {
+                    logger.warn(`Client ${socket.id} denied access to instance room: ${instanceId}`);
+                    socket.emit('join-instance-error', {
+                        instanceId,
+                        error: `API key is not allowed to read instance ${instanceId}`
+                    });
+                    return;
+                }
+
                 socket.join(`instance-${instanceId}`);
                 logger.info(`Client ${socket.id} joined instance room: ${instanceId}`);
             });
@@ -106,27 +232,66 @@ class WhatsAppAPI {
     }
 
     start() {
+        if (this.role === 'worker') {
+            // Only reachable by the coordinator
+            this.server.listen(0, '127.0.0.1', () => {
+                this.bridge.start(this.server.address().port);
+                this.whatsappManager.recovery.then(() => this.bridge.recovered());
+            });
+
+            // Ctrl+C reaches the whole process group, the coordinator stops its workers in order
+            process.on('SIGINT', () => {});
+            process.on('SIGTERM', () => this.shutdown());
+            // Coordinator is gone
+            process.on('disconnect', () => this.shutdown());
+            return;
+        }
+
         this.server.listen(this.port, () => {
             logger.info(`WhatsApp API Server started on port ${this.port}`);
             logger.info(`Health check available at: http://localhost:${this.port}/health`);
             logger.info(`WebSocket server running on the same port`);
         });
 
+        if (this.workerPool) {
+            this.workerPool.start().catch(error => {
+                logger.error('Error starting workers:', error);
+                process.exit(1);
+            });
+        }
+
         // Graceful shutdown
         process.on('SIGTERM', () => this.shutdown());
         process.on('SIGINT', () => this.shutdown());
     }
 
     async shutdown() {
+        if (this.shuttingDown) {
+            return;
+        }
+        this.shuttingDown = true;
+
         console.log('\n🛑 Graceful shutdown başlatılıyor...');
         logger.info('Shutting down server...');
 
         try {
-            // Stop health monitoring
-            this.whatsappManager.stopHealthMonitoring();
+            // Fail readiness first so no new traffic is routed here
+            this.health.markShuttingDown();
 
-            // Close all WhatsApp instances
-            await this.whatsappManager.cleanup();
+            if (this.workerPool) {
+                // Workers close their instances themselves
+                await this.workerPool.stop();
+            } else {
+                // Stop health monitoring
+                this.whatsappManager.stopHealthMonitoring();
+
+                // Close all WhatsApp instances
+                await this.whatsappManager.cleanup();
+            }
+
+            if (this.bridge) {
+                this.bridge.stop();
+            }
 
             // Close server
             this.server.close(() => {
@@ -142,8 +307,11 @@ class WhatsAppAPI {
     }
 }
 
-// Start the application
-const app = new WhatsAppAPI();
+// Start the application, WorkerPool forks this file with WORKER_SLOT set to start workers
+const role = process.env.WORKER_SLOT !== undefined
+    ? 'worker'
+    : (config.cluster.workers > 0 ? 'coordinator' : 'standalone');
+const app = new WhatsAppAPI({ role });
 app.start();
 
 module.exports = WhatsAppAPI;
@@ -0,0 +1,433 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { PROXY_SCHEMES } = require('../utils/proxy');
+
+/**
+ * Application configuration.
+ * Sources, later ones win: built-in defaults, the JSON config file
+ * (CONFIG_FILE, or config.json in the project root when it exists),
+ * environment variables. The result is validated once at startup and
+ * an invalid value stops the process before anything is started.
+ */
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+// Chromium flags every instance starts with
+const DEFAULT_PUPPETEER_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--single-process',
+    '--disable-gpu',
+    '--disable-web-security',
+    '--disable-background-networking',
+    '--disable-background-timer-throttling',
+    '--disable-renderer-backgrounding',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-ipc-flooding-protection',
+    '--run-all-compositor-stages-before-draw',
+    '--disable-extensions',
+    '--aggressive-cache-discard'
+];
+
+const proxyUrlSchema = Joi.string().uri({ scheme: PROXY_SCHEMES });
+
+// A URL (credentials may be embedded) or { url, username, password }
+const proxySchema = Joi.alternatives().try(
+    proxyUrlSchema,
+    Joi.object({
+        url: proxyUrlSchema.required(),
+        username: Joi.string().max(256).optional(),
+        password: Joi.string().max(256).optional()
+    }).and('username', 'password')
+);
+
+// Settings that can differ per instance, given at createInstance time
+const instanceOverridesSchema = Joi.object({
+    executablePath: Joi.string().allow(null),
+    headless: Joi.boolean(),
+    proxy: proxySchema.allow(null),
+    userAgent: Joi.string().max(512).allow(null),
+    // Pins the WhatsApp Web build, e.g. 2.3000.1017054665
+    webVersion: Joi.string().pattern(/^\d+\.\d+\.\d+$/).allow(null)
+        .messages({ 'string.pattern.base': '"webVersion" must look like 2.3000.1017054665' }),
+    // The browser is restarted above these, CPU in percent of one core between two checks. 0 = no limit
+    maxMemoryMb: Joi.number().min(0),
+    maxCpuPercent: Joi.number().min(0),
+    // The browser is closed after this long without activity and started again when needed. 0 = never
+    hibernateAfterMinutes: Joi.number().min(0)
+});
+
+// IANA timezone name as Intl knows it, null uses the server timezone
+const timezoneSchema = Joi.string().custom((value, helpers) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+    } catch (error) {
+        return helpers.message('{{#label}} must be an IANA timezone such as Europe/Istanbul');
+    }
+    return value;
+}).allow(null);
+
+// MIME types or wildcards such as image/*, empty allows every type
+const mimeTypeListSchema = Joi.array().items(Joi.string().lowercase().pattern(/^[\w.+-]+\/(\*|[\w.+-]+)$/));
+
+const configSchema = Joi.object({
+    server: Joi.object({
+        port: Joi.number().port().required(),
+        corsOrigins: Joi.array().items(Joi.string()).allow(null),
+        // JSON bodies carry base64 media, so this follows limits.maxFileSizeMb unless set
+        bodyLimitMb: Joi.number().positive().allow(null)
+    }).required(),
+    limits: Joi.object({
+        maxFileSizeMb: Joi.number().positive().required(),
+        // Uploaded session archives are kept in memory
+        sessionBackupMaxSizeMb: Joi.number().positive().required()
+    }).required(),
+    rateLimit: Joi.object({
+        windowMs: Joi.number().integer().min(1000).required(),
+        // 0 turns rate limiting off
+        maxRequests: Joi.number().integer().min(0).required()
+    }).required(),
+    instances: Joi.object({
+        healthCheckIntervalMs: Joi.number().integer().min(1000).required(),
+        reconnectionIntervalMs: Joi.number().integer().min(1000).required(),
+        keepAliveIntervalMs: Joi.number().integer().min(1000).required(),
+        maxReconnectAttempts: Joi.number().integer().min(0).required(),
+        reconnectDelayMs: Joi.number().integer().min(0).required(),
+        profilePicCacheTtlMs: Joi.number().integer().min(0).required(),
+        // RemoteAuth refuses intervals below one minute
+        sessionBackupIntervalMs: Joi.number().integer().min(60000).required(),
+        // Minutes an instance may show QR codes before its browser is closed, 0 = no limit
+        sessionTimeoutMinutes: Joi.number().min(0).required(),
+        // How often browser memory, CPU and idle time are checked against their limits
+        resourceCheckIntervalMs: Joi.number().integer().min(1000).required(),
+        // Status transitions kept per instance for GET /instances/:instanceId/events
+        stateHistoryLimit: Joi.number().integer().min(1).required()
+    }).required(),
+    cluster: Joi.object({
+        // Worker processes the instances are spread over, 0 runs them all in this process
+        workers: Joi.number().integer().min(0).required(),
+        // A worker that sends no heartbeat for this long is killed and restarted
+        heartbeatTimeoutMs: Joi.number().integer().min(5000).required(),
+        // More restarts than this within restartWindowMs move the instances of a worker to the others
+        maxRestarts: Joi.number().integer().min(0).required(),
+        restartWindowMs: Joi.number().integer().min(1000).required()
+    }).required(),
+    media: Joi.object({
+        // Outgoing media sent by URL or base64, the size limit is limits.maxFileSizeMb
+        sendAllowedTypes: mimeTypeListSchema.required(),
+        downloadTimeoutMs: Joi.number().integer().min(1000).required(),
+        // Incoming media kept in data/media
+        autoSave: Joi.boolean().required(),
+        autoSaveMaxSizeMb: Joi.number().positive().required(),
+        autoSaveTypes: mimeTypeListSchema.required(),
+        // 0 keeps saved media forever
+        retentionDays: Joi.number().min(0).required()
+    }).required(),
+    messageHistory: Joi.object({
+        enabled: Joi.boolean().required(),
+        maxPerInstance: Joi.number().integer().min(1).required(),
+        // 0 keeps messages until maxPerInstance is reached
+        retentionDays: Joi.number().min(0).required()
+    }).required(),
+    webhooks: Joi.object({
+        maxAttempts: Joi.number().integer().min(1).required(),
+        retryBaseDelayMs: Joi.number().integer().min(1).required(),
+        retryMaxDelayMs: Joi.number().integer().min(Joi.ref('retryBaseDelayMs')).required(),
+        timeoutMs: Joi.number().integer().min(1000).required()
+    }).required(),
+    queue: Joi.object({
+        ratePerMinute: Joi.number().integer().min(1).required(),
+        jitterMs: Joi.number().integer().min(0).required(),
+        maxAttempts: Joi.number().integer().min(1).required(),
+        retryDelayMs: Joi.number().integer().min(0).required()
+    }).required(),
+    broadcast: Joi.object({
+        delayMs: Joi.number().integer().min(0).required(),
+        jitterMs: Joi.number().integer().min(0).required()
+    }).required(),
+    autoResponder: Joi.object({
+        // Timezone of rule hours and away messages
+        timezone: timezoneSchema.required(),
+        webhookTimeoutMs: Joi.number().integer().min(1000).required()
+    }).required(),
+    schedule: Joi.object({
+        // Timezone of cron recurrences without their own timezone
+        timezone: timezoneSchema.required(),
+        // 0 waits for the instance as long as it takes
+        maxLatenessSeconds: Joi.number().integer().min(0).required()
+    }).required(),
+    health: Joi.object({
+        // Not ready when at least this share of the counted instances is not ready, 100 = all of them
+        maxNotReadyPercent: Joi.number().greater(0).max(100).required(),
+        minReadyInstances: Joi.number().integer().min(0).required(),
+        ignoredStatuses: Joi.array().items(Joi.string()).required()
+    }).required(),
+    metrics: Joi.object({
+        // Bearer token scrapers must send, /metrics is public when null
+        token: Joi.string().allow(null).required()
+    }).required(),
+    puppeteer: Joi.object({
+        args: Joi.array().items(Joi.string()).required(),
+        webVersionCacheUrl: Joi.string().pattern(/\{version\}/).required()
+            .messages({ 'string.pattern.base': '"webVersionCacheUrl" must contain a {version} placeholder' })
+    }).concat(instanceOverridesSchema).required()
+});
+
+const DEFAULTS = {
+    server: {
+        port: 3001,
+        corsOrigins: null,
+        bodyLimitMb: null
+    },
+    limits: {
+        maxFileSizeMb: 50,
+        sessionBackupMaxSizeMb: 200
+    },
+    rateLimit: {
+        windowMs: 15 * 60 * 1000,
+        maxRequests: 0
+    },
+    instances: {
+        healthCheckIntervalMs: 10000,
+        reconnectionIntervalMs: 15000,
+        keepAliveIntervalMs: 30000,
+        maxReconnectAttempts: 8,
+        reconnectDelayMs: 5000,
+        profilePicCacheTtlMs: 30 * 60 * 1000,
+        sessionBackupIntervalMs: 5 * 60 * 1000,
+        sessionTimeoutMinutes: 0,
+        resourceCheckIntervalMs: 30000,
+        stateHistoryLimit: 100
+    },
+    cluster: {
+        workers: 0,
+        heartbeatTimeoutMs: 30000,
+        maxRestarts: 3,
+        restartWindowMs: 5 * 60 * 1000
+    },
+    media: {
+        sendAllowedTypes: [],
+        downloadTimeoutMs: 30000,
+        autoSave: false,
+        autoSaveMaxSizeMb: 16,
+        autoSaveTypes: [],
+        retentionDays: 30
+    },
+    messageHistory: {
+        enabled: true,
+        maxPerInstance: 50000,
+        retentionDays: 0
+    },
+    webhooks: {
+        maxAttempts: 5,
+        retryBaseDelayMs: 2000,
+        retryMaxDelayMs: 5 * 60 * 1000,
+        timeoutMs: 10000
+    },
+    queue: {
+        ratePerMinute: 20,
+        jitterMs: 2000,
+        maxAttempts: 3,
+        retryDelayMs: 10000
+    },
+    broadcast: {
+        delayMs: 5000,
+        jitterMs: 3000
+    },
+    autoResponder: {
+        timezone: null,
+        webhookTimeoutMs: 10000
+    },
+    schedule: {
+        timezone: null,
+        maxLatenessSeconds: 3600
+    },
+    health: {
+        maxNotReadyPercent: 100,
+        minReadyInstances: 0,
+        // Instances that wait for a person (QR scan, pairing code) or hibernate on purpose say nothing about the server
+        ignoredStatuses: ['qr_ready', 'qr_required', 'pairing_code_ready', 'hibernated']
+    },
+    metrics: {
+        token: null
+    },
+    puppeteer: {
+        executablePath: null,
+        headless: true,
+        args: DEFAULT_PUPPETEER_ARGS,
+        proxy: null,
+        userAgent: null,
+        webVersion: null,
+        maxMemoryMb: 0,
+        maxCpuPercent: 0,
+        hibernateAfterMinutes: 0,
+        webVersionCacheUrl: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/{version}.html'
+    }
+};
+
+const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Environment variable -> config path and parser. Joi converts numbers and booleans
+const ENV_MAP = [
+    ['PORT', 'server.port'],
+    ['CORS_ORIGINS', 'server.corsOrigins', list],
+    ['BODY_LIMIT_MB', 'server.bodyLimitMb'],
+    ['MAX_FILE_SIZE', 'limits.maxFileSizeMb'],
+    ['SESSION_BACKUP_MAX_SIZE_MB', 'limits.sessionBackupMaxSizeMb'],
+    ['RATE_LIMIT_WINDOW_MS', 'rateLimit.windowMs'],
+    ['RATE_LIMIT_MAX_REQUESTS', 'rateLimit.maxRequests'],
+    ['HEALTH_CHECK_INTERVAL_MS', 'instances.healthCheckIntervalMs'],
+    ['RECONNECT_INTERVAL_MS', 'instances.reconnectionIntervalMs'],
+    ['KEEP_ALIVE_INTERVAL_MS', 'instances.keepAliveIntervalMs'],
+    ['MAX_RECONNECT_ATTEMPTS', 'instances.maxReconnectAttempts'],
+    ['RECONNECT_DELAY_MS', 'instances.reconnectDelayMs'],
+    ['PROFILE_PIC_CACHE_TTL_MS', 'instances.profilePicCacheTtlMs'],
+    ['SESSION_BACKUP_INTERVAL_MS', 'instances.sessionBackupIntervalMs'],
+    ['SESSION_TIMEOUT', 'instances.sessionTimeoutMinutes'],
+    ['RESOURCE_CHECK_INTERVAL_MS', 'instances.resourceCheckIntervalMs'],
+    ['STATE_HISTORY_LIMIT', 'instances.stateHistoryLimit'],
+    ['WORKERS', 'cluster.workers'],
+    ['WORKER_HEARTBEAT_TIMEOUT_MS', 'cluster.heartbeatTimeoutMs'],
+    ['WORKER_MAX_RESTARTS', 'cluster.maxRestarts'],
+    ['WORKER_RESTART_WINDOW_MS', 'cluster.restartWindowMs'],
+    ['PUPPETEER_EXECUTABLE_PATH', 'puppeteer.executablePath'],
+    ['PUPPETEER_HEADLESS', 'puppeteer.headless'],
+    ['PUPPETEER_ARGS', 'puppeteer.args', list],
+    ['PUPPETEER_PROXY', 'puppeteer.proxy'],
+    ['PUPPETEER_USER_AGENT', 'puppeteer.userAgent'],
+    ['WWEB_VERSION', 'puppeteer.webVersion'],
+    ['WWEB_VERSION_CACHE_URL', 'puppeteer.webVersionCacheUrl'],
+    ['BROWSER_MAX_MEMORY_MB', 'puppeteer.maxMemoryMb'],
+    ['BROWSER_MAX_CPU_PERCENT', 'puppeteer.maxCpuPercent'],
+    ['HIBERNATE_AFTER_MINUTES', 'puppeteer.hibernateAfterMinutes'],
+    ['MEDIA_SEND_ALLOWED_TYPES', 'media.sendAllowedTypes', list],
+    ['MEDIA_DOWNLOAD_TIMEOUT_MS', 'media.downloadTimeoutMs'],
+    ['MEDIA_AUTO_SAVE', 'media.autoSave'],
+    ['MEDIA_AUTO_SAVE_MAX_SIZE_MB', 'media.autoSaveMaxSizeMb'],
+    ['MEDIA_AUTO_SAVE_TYPES', 'media.autoSaveTypes', list],
+    ['MEDIA_RETENTION_DAYS', 'media.retentionDays'],
+    ['MESSAGE_HISTORY_ENABLED', 'messageHistory.enabled'],
+    ['MESSAGE_HISTORY_MAX_PER_INSTANCE', 'messageHistory.maxPerInstance'],
+    ['MESSAGE_HISTORY_RETENTION_DAYS', 'messageHistory.retentionDays'],
+    ['WEBHOOK_MAX_ATTEMPTS', 'webhooks.maxAttempts'],
+    ['WEBHOOK_RETRY_BASE_DELAY_MS', 'webhooks.retryBaseDelayMs'],
+    ['WEBHOOK_RETRY_MAX_DELAY_MS', 'webhooks.retryMaxDelayMs'],
+    ['WEBHOOK_TIMEOUT_MS', 'webhooks.timeoutMs'],
+    ['QUEUE_RATE_PER_MINUTE', 'queue.ratePerMinute'],
+    ['QUEUE_JITTER_MS', 'queue.jitterMs'],
+    ['QUEUE_MAX_ATTEMPTS', 'queue.maxAttempts'],
+    ['QUEUE_RETRY_DELAY_MS', 'queue.retryDelayMs'],
+    ['BROADCAST_DELAY_MS', 'broadcast.delayMs'],
+    ['BROADCAST_JITTER_MS', 'broadcast.jitterMs'],
+    ['AUTO_RESPONDER_TIMEZONE', 'autoResponder.timezone'],
+    ['AUTO_RESPONDER_WEBHOOK_TIMEOUT_MS', 'autoResponder.webhookTimeoutMs'],
+    ['SCHEDULE_TIMEZONE', 'schedule.timezone'],
+    ['SCHEDULE_MAX_LATENESS_SECONDS', 'schedule.maxLatenessSeconds'],
+    ['HEALTH_MAX_NOT_READY_PERCENT', 'health.maxNotReadyPercent'],
+    ['HEALTH_MIN_READY_INSTANCES', 'health.minReadyInstances'],
+    ['HEALTH_IGNORED_STATUSES', 'health.ignoredStatuses', list],
+    ['METRICS_TOKEN', 'metrics.token']
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const merge = (target, source) => {
+    for (const [key, value] of Object.entries(source)) {
+        target[key] = isPlainObject(value) && isPlainObject(target[key])
+            ? merge({ ...target[key] }, value)
+            : value;
+    }
+    return target;
+};
+
+const setPath = (target, dottedPath, value) => {
+    const keys = dottedPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => node[key], target);
+    parent[last] = value;
+};
+
+const readConfigFile = (filePath, required) => {
+    if (!fs.existsSync(filePath)) {
+        if (required) {
+            throw new Error(`Config file ${filePath} does not exist`);
+        }
+        return {};
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Config file ${filePath} is not valid JSON: ${error.message}`);
+    }
+};
+
+const deepFreeze = (value) => {
+    if (value && typeof value === 'object') {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+};
+
+/**
+ * Build and validate the configuration
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} Frozen configuration
+ * @throws {Error} With every invalid setting listed
+ */
+const loadConfig = (env = process.env) => {
+    const filePath = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : path.join(ROOT_DIR, 'config.json');
+    const config = merge(JSON.parse(JSON.stringify(DEFAULTS)), readConfigFile(filePath, !!env.CONFIG_FILE));
+
+    for (const [name, configPath, parse] of ENV_MAP) {
+        // Empty values, as in a copied .env.example, keep the default
+        if (env[name] !== undefined && env[name] !== '') {
+            setPath(config, configPath, parse ? parse(env[name]) : env[name]);
+        }
+    }
+
+    const { error, value } = configSchema.validate(config, { abortEarly: false, convert: true });
+    if (error) {
+        const details = error.details.map(detail => `  - ${detail.path.join('.')}: ${detail.message}`).join('\n');
+        throw new Error(`Invalid configuration:\n${details}`);
+    }
+
+    if (value.server.bodyLimitMb === null) {
+        // Base64 grows data by a third, plus room for the rest of the body
+        value.server.bodyLimitMb = Math.ceil(value.limits.maxFileSizeMb * 4 / 3) + 1;
+    }
+
+    return deepFreeze(value);
+};
+
+/**
+ * Validate per-instance overrides
+ * @param {Object} overrides - { executablePath, headless, proxy, userAgent, webVersion, maxMemoryMb, maxCpuPercent, hibernateAfterMinutes }
+ * @returns {Object} Validated overrides
+ * @throws {Error} When an override is invalid
+ */
+const validateInstanceOverrides = (overrides = {}) => {
+    const { error, value } = instanceOverridesSchema.validate(overrides);
+    if (error) {
+        throw new Error(`Invalid instance config: ${error.details[0].message}`);
+    }
+    return value;
+};
+
+// Loaded on first require, an invalid configuration throws right here
+const config = loadConfig();
+
+module.exports = {
+    config,
+    loadConfig,
+    instanceOverridesSchema,
+    validateInstanceOverrides,
+    proxySchema,
+    DEFAULT_PUPPETEER_ARGS
+};
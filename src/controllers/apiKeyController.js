@@ -0,0 +1,174 @@
+const express = require('express');
+const Joi = require('joi');
+const { requireAdmin } = require('../middleware/auth');
+const ApiKeyService = require('../services/ApiKeyService');
+
+const router = express.Router();
+
+// Validation schemas
+const createApiKeySchema = Joi.object({
+    name: Joi.string().max(100).required(),
+    scope: Joi.string().valid(...ApiKeyService.KEY_SCOPES).required(),
+    instanceIds: Joi.array().items(Joi.string()).unique().min(1)
+        .when('scope', {
+            is: 'admin',
+            then: Joi.forbidden(),
+            otherwise: Joi.required()
+        })
+});
+
+const updateApiKeySchema = Joi.object({
+    name: Joi.string().max(100).optional(),
+    scope: Joi.string().valid(...ApiKeyService.KEY_SCOPES).optional(),
+    instanceIds: Joi.array().items(Joi.string()).unique().min(1).optional()
+}).min(1);
+
+const apiKeyNotFound = (res, keyId) => res.status(404).json({
+    success: false,
+    error: 'API key not found',
+    keyId
+});
+
+/**
+ * GET /api/whatsapp/api-keys/me
+ * Describe the API key used for this request
+ */
+router.get('/api-keys/me', (req, res) => {
+    res.json({
+        success: true,
+        authEnabled: req.apiKeyService.isEnabled(),
+        key: req.apiKey
+    });
+});
+
+/**
+ * GET /api/whatsapp/api-keys
+ * List API keys (admin only)
+ */
+router.get('/api-keys', requireAdmin, (req, res, next) => {
+    try {
+        const keys = req.apiKeyService.listKeys();
+
+        res.json({
+            success: true,
+            keys,
+            count: keys.length
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/whatsapp/api-keys
+ * Create an API key (admin only)
+ * Body: { name, scope: admin|send|read, instanceIds: [] (required unless admin) }
+ * The plaintext key is returned only in this response
+ */
+router.post('/api-keys', requireAdmin, (req, res, next) => {
+    try {
+        const { error, value } = createApiKeySchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const key = req.apiKeyService.createKey(value);
+
+        res.status(201).json({
+            success: true,
+            key
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/api-keys/:keyId
+ * Get an API key (admin only)
+ */
+router.get('/api-keys/:keyId', requireAdmin, (req, res, next) => {
+    try {
+        const key = req.apiKeyService.getKey(req.params.keyId);
+
+        if (!key) {
+            return apiKeyNotFound(res, req.params.keyId);
+        }
+
+        res.json({
+            success: true,
+            key
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/whatsapp/api-keys/:keyId
+ * Change name, scope or granted instances of an API key (admin only)
+ */
+router.patch('/api-keys/:keyId', requireAdmin, (req, res, next) => {
+    try {
+        const { error, value } = updateApiKeySchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const current = req.apiKeyService.getKey(req.params.keyId);
+        if (!current) {
+            return apiKeyNotFound(res, req.params.keyId);
+        }
+
+        // Downgrading from admin requires an explicit instance list
+        const scope = value.scope || current.scope;
+        const instanceIds = value.instanceIds || current.instanceIds;
+        if (scope !== 'admin' && instanceIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: '"instanceIds" is required for non-admin keys'
+            });
+        }
+
+        const key = req.apiKeyService.updateKey(req.params.keyId, value);
+
+        res.json({
+            success: true,
+            key
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/whatsapp/api-keys/:keyId
+ * Revoke an API key (admin only)
+ */
+router.delete('/api-keys/:keyId', requireAdmin, (req, res, next) => {
+    try {
+        const deleted = req.apiKeyService.deleteKey(req.params.keyId);
+
+        if (!deleted) {
+            return apiKeyNotFound(res, req.params.keyId);
+        }
+
+        res.json({
+            success: true,
+            keyId: req.params.keyId,
+            message: 'API key deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
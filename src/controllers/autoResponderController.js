@@ -0,0 +1,291 @@
+const express = require('express');
+const Joi = require('joi');
+const validateInstance = require('../middleware/validateInstance');
+const { authorize, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const clockSchema = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).message('{#label} must be a time like 09:30');
+
+const timezoneSchema = Joi.string().custom((value, helpers) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return value;
+    } catch (error) {
+        return helpers.message(`"${value}" is not a valid timezone`);
+    }
+});
+
+const hoursSchema = {
+    from: clockSchema.required(),
+    to: clockSchema.required(),
+    // 0 = Sunday ... 6 = Saturday, every day when omitted
+    days: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().min(1).optional(),
+    timezone: timezoneSchema.optional()
+};
+
+const matchSchema = Joi.object({
+    keywords: Joi.array().items(Joi.string().min(1).max(200)).max(100).optional(),
+    keywordMode: Joi.string().valid('contains', 'exact', 'startsWith').optional(),
+    regex: Joi.string().max(500).custom((value, helpers) => {
+        try {
+            new RegExp(value);
+            return value;
+        } catch (error) {
+            return helpers.message(`Invalid regex: ${error.message}`);
+        }
+    }).optional(),
+    // No "g" or "y", they make RegExp.test stateful
+    regexFlags: Joi.string().pattern(/^[imsu]*$/).optional(),
+    senders: Joi.array().items(Joi.string()).max(500).optional(),
+    chatType: Joi.string().valid('any', 'private', 'group').optional(),
+    hours: Joi.object(hoursSchema).optional()
+});
+
+const requiredFor = (type) => Joi.any().when('type', { is: type, then: Joi.required(), otherwise: Joi.forbidden() });
+
+const actionSchema = Joi.object({
+    type: Joi.string().valid('reply', 'media', 'forward', 'webhook').required(),
+    text: requiredFor('reply').concat(Joi.string().max(4096)),
+    media: requiredFor('media').concat(Joi.object({
+        url: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+        base64: Joi.string().optional(),
+        mimetype: Joi.string().optional(),
+        filename: Joi.string().max(255).optional()
+    }).xor('url', 'base64')),
+    caption: Joi.string().max(1024).optional(),
+    to: requiredFor('forward').concat(Joi.string()),
+    url: requiredFor('webhook').concat(Joi.string().uri({ scheme: ['http', 'https'] })),
+    headers: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+    // Send the reply as a quote of the incoming message
+    quote: Joi.boolean().optional()
+});
+
+const createRuleSchema = Joi.object({
+    name: Joi.string().max(100).optional(),
+    enabled: Joi.boolean().optional(),
+    // Higher priority rules are checked first, the first matching rule wins
+    priority: Joi.number().integer().min(-1000).max(1000).optional(),
+    match: matchSchema.optional(),
+    action: actionSchema.required(),
+    // Per chat, so one chatty contact doesn't silence the rule for everyone
+    cooldownSeconds: Joi.number().integer().min(0).max(7 * 86400).optional()
+});
+
+const updateRuleSchema = createRuleSchema.fork(['action'], schema => schema.optional()).min(1);
+
+const updateSettingsSchema = Joi.object({
+    enabled: Joi.boolean().optional(),
+    timezone: timezoneSchema.allow(null).optional(),
+    // from/to/days are the business hours, the away message is sent in private chats outside them
+    away: Joi.object({
+        enabled: Joi.boolean().optional().default(true),
+        message: Joi.string().max(4096).required(),
+        ...hoursSchema,
+        cooldownSeconds: Joi.number().integer().min(0).max(7 * 86400).optional()
+    }).allow(null).optional()
+}).min(1);
+
+const ruleNotFound = (res, ruleId) => res.status(404).json({
+    success: false,
+    error: 'Auto-responder rule not found',
+    ruleId
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/auto-responder
+ * Get auto-responder settings and rules (in evaluation order)
+ */
+router.get('/instances/:instanceId/auto-responder', authorize('read'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const { autoResponder } = req.whatsappManager;
+
+        res.json({
+            success: true,
+            instanceId,
+            settings: autoResponder.getSettings(instanceId),
+            rules: autoResponder.listRules(instanceId)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/whatsapp/instances/:instanceId/auto-responder/settings
+ * Turn the auto-responder on/off and configure the away message
+ * Body: { enabled?, timezone?, away?: { enabled?, message, from, to, days?, timezone?, cooldownSeconds? } | null }
+ */
+router.patch('/instances/:instanceId/auto-responder/settings', authorize('send'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const { error, value } = updateSettingsSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const settings = req.whatsappManager.autoResponder.updateSettings(instanceId, value);
+
+        res.json({
+            success: true,
+            instanceId,
+            settings
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/auto-responder/rules
+ * List rules in evaluation order
+ */
+router.get('/instances/:instanceId/auto-responder/rules', authorize('read'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const rules = req.whatsappManager.autoResponder.listRules(instanceId);
+
+        res.json({
+            success: true,
+            instanceId,
+            rules,
+            count: rules.length
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/auto-responder/rules
+ * Create a rule, it is active for the next incoming message
+ * Body: { name?, enabled?, priority?, match?, action, cooldownSeconds? }
+ */
+router.post('/instances/:instanceId/auto-responder/rules', authorize('send'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const { error, value } = createRuleSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const rule = req.whatsappManager.autoResponder.createRule(instanceId, value);
+
+        res.status(201).json({
+            success: true,
+            instanceId,
+            rule
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/auto-responder/rules/:ruleId
+ * Get a rule
+ */
+router.get('/instances/:instanceId/auto-responder/rules/:ruleId', authorize('read'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId, ruleId } = req.params;
+        const rule = req.whatsappManager.autoResponder.getRule(instanceId, ruleId);
+
+        if (!rule) {
+            return ruleNotFound(res, ruleId);
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            rule
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/whatsapp/instances/:instanceId/auto-responder/rules/:ruleId
+ * Update a rule, "match" and "action" are replaced as a whole
+ */
+router.patch('/instances/:instanceId/auto-responder/rules/:ruleId', authorize('send'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId, ruleId } = req.params;
+        const { error, value } = updateRuleSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const rule = req.whatsappManager.autoResponder.updateRule(instanceId, ruleId, value);
+
+        if (!rule) {
+            return ruleNotFound(res, ruleId);
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            rule
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/whatsapp/instances/:instanceId/auto-responder/rules/:ruleId
+ * Delete a rule
+ */
+router.delete('/instances/:instanceId/auto-responder/rules/:ruleId', authorize('send'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId, ruleId } = req.params;
+        const deleted = req.whatsappManager.autoResponder.deleteRule(instanceId, ruleId);
+
+        if (!deleted) {
+            return ruleNotFound(res, ruleId);
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            ruleId,
+            message: 'Auto-responder rule deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/whatsapp/auto-responder/reload
+ * Re-read data/auto-responder.json after editing it by hand, no instance restart needed
+ */
+router.post('/auto-responder/reload', requireAdmin, (req, res, next) => {
+    try {
+        const count = req.whatsappManager.autoResponder.reload();
+
+        res.json({
+            success: true,
+            rules: count,
+            message: 'Auto-responder rules reloaded'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
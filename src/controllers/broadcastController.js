@@ -0,0 +1,162 @@
+const express = require('express');
+const Joi = require('joi');
+const validateInstance = require('../middleware/validateInstance');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const createBroadcastSchema = Joi.object({
+    template: Joi.string().max(4096).required(),
+    recipients: Joi.array().items(Joi.object({
+        to: Joi.string().required(),
+        variables: Joi.object().pattern(Joi.string(), [Joi.string().allow(''), Joi.number(), Joi.boolean()]).optional()
+    })).min(1).max(1000).required(),
+    delayMs: Joi.number().integer().min(1000).max(300000).optional(),
+    jitterMs: Joi.number().integer().min(0).max(300000).optional(),
+    validateNumbers: Joi.boolean().optional().default(true)
+});
+
+const broadcastNotFound = (res, broadcastId) => res.status(404).json({
+    success: false,
+    error: 'Broadcast not found',
+    broadcastId
+});
+
+/**
+ * Build a handler for pause/resume/cancel actions
+ * @param {string} method - BroadcastService method name
+ * @param {string} message - Success message
+ * @returns {Function} Express handler
+ */
+const broadcastAction = (method, message) => (req, res, next) => {
+    try {
+        const { instanceId, broadcastId } = req.params;
+        const broadcast = req.whatsappManager.broadcastService[method](instanceId, broadcastId);
+
+        if (!broadcast) {
+            return broadcastNotFound(res, broadcastId);
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            broadcast,
+            message
+        });
+    } catch (error) {
+        if (error.message.includes('cannot be') || error.message.includes('already has a running broadcast')) {
+            return res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/broadcasts
+ * List broadcasts of an instance (newest first, without per-recipient results)
+ */
+router.get('/instances/:instanceId/broadcasts', authorize('read'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const broadcasts = req.whatsappManager.broadcastService.listBroadcasts(instanceId);
+
+        res.json({
+            success: true,
+            instanceId,
+            broadcasts,
+            count: broadcasts.length
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/broadcasts
+ * Start a broadcast
+ * Body: {
+ *   template: "Hello {{name}}",
+ *   recipients: [{ to, variables: { name } }],
+ *   delayMs?, jitterMs?, validateNumbers? (default: true)
+ * }
+ * Progress is emitted as broadcast_progress / broadcast_status on the instance room
+ */
+router.post('/instances/:instanceId/broadcasts', authorize('send'), validateInstance, (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const { error, value } = createBroadcastSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const broadcast = req.whatsappManager.broadcastService.createBroadcast(instanceId, value);
+
+        res.status(202).json({
+            success: true,
+            instanceId,
+            broadcast
+        });
+    } catch (error) {
+        if (error.message.includes('already has a running broadcast')) {
+            return res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/broadcasts/:broadcastId
+ * Get a broadcast with per-recipient results
+ */
+router.get('/instances/:instanceId/broadcasts/:broadcastId', authorize('read'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId, broadcastId } = req.params;
+        const broadcast = req.whatsappManager.broadcastService.getBroadcast(instanceId, broadcastId);
+
+        if (!broadcast) {
+            return broadcastNotFound(res, broadcastId);
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            broadcast
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/broadcasts/:broadcastId/pause
+ * Pause a running broadcast
+ */
+router.post('/instances/:instanceId/broadcasts/:broadcastId/pause', authorize('send'), validateInstance.withoutWake,
+    broadcastAction('pauseBroadcast', 'Broadcast paused'));
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/broadcasts/:broadcastId/resume
+ * Resume a paused broadcast
+ */
+router.post('/instances/:instanceId/broadcasts/:broadcastId/resume', authorize('send'), validateInstance.withoutWake,
+    broadcastAction('resumeBroadcast', 'Broadcast resumed'));
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/broadcasts/:broadcastId/cancel
+ * Cancel a broadcast, remaining recipients are not messaged
+ */
+router.post('/instances/:instanceId/broadcasts/:broadcastId/cancel', authorize('send'), validateInstance.withoutWake,
+    broadcastAction('cancelBroadcast', 'Broadcast cancelled'));
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const Joi = require('joi');
+const validateInstance = require('../middleware/validateInstance');
+const { requireReady } = validateInstance;
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const CHAT_ACTIONS = ['seen', 'unread', 'archive', 'unarchive', 'pin', 'unpin', 'mute', 'unmute', 'clear'];
+
+// Validation schemas
+const muteChatSchema = Joi.object({
+    // Mute for a number of seconds or until a date, neither mutes forever
+    duration: Joi.number().integer().min(60).optional(),
+    until: Joi.date().iso().greater('now').optional()
+}).oxor('duration', 'until');
+
+const presenceSchema = Joi.object({
+    state: Joi.string().valid('typing', 'recording', 'paused').required(),
+    // Seconds after which the indicator is cleared
+    duration: Joi.number().integer().min(1).max(60).optional().default(0)
+});
+
+const handleChatError = (error, res, next) => {
+    if (error.message.includes('not found') || error.message.includes('wid error')) {
+        return res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+    next(error);
+};
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/chats/:chatId/presence
+ * Show typing or recording in a chat, "paused" clears the indicator
+ */
+router.post('/instances/:instanceId/chats/:chatId/presence', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, chatId } = req.params;
+        const { error, value } = presenceSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const result = await req.whatsappManager.sendChatPresence(instanceId, chatId, value.state, value.duration);
+
+        res.json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleChatError(error, res, next);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/chats/:chatId/:action
+ * Change chat state: seen, unread, archive, unarchive, pin, unpin, mute, unmute, clear
+ * Body for mute: { duration: seconds } or { until: ISO date }, empty mutes forever
+ */
+router.post('/instances/:instanceId/chats/:chatId/:action', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, chatId, action } = req.params;
+
+        if (!CHAT_ACTIONS.includes(action)) {
+            return res.status(400).json({
+                success: false,
+                error: `Action must be one of: ${CHAT_ACTIONS.join(', ')}`
+            });
+        }
+
+        const options = {};
+        if (action === 'mute') {
+            const { error, value } = muteChatSchema.validate(req.body || {});
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.details[0].message
+                });
+            }
+
+            if (value.duration) {
+                options.muteUntil = new Date(Date.now() + value.duration * 1000);
+            } else if (value.until) {
+                options.muteUntil = value.until;
+            }
+        }
+
+        const result = await req.whatsappManager.updateChatState(instanceId, chatId, action, options);
+
+        res.status(result.success ? 200 : 409).json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleChatError(error, res, next);
+    }
+});
+
+/**
+ * DELETE /api/whatsapp/instances/:instanceId/chats/:chatId
+ * Delete a chat
+ */
+router.delete('/instances/:instanceId/chats/:chatId', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, chatId } = req.params;
+        const result = await req.whatsappManager.updateChatState(instanceId, chatId, 'delete');
+
+        res.status(result.success ? 200 : 409).json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleChatError(error, res, next);
+    }
+});
+
+module.exports = router;
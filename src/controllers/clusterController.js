@@ -0,0 +1,209 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { canAccess, requireAdmin } = require('../middleware/auth');
+const { listInstancesSchema, queryInstances } = require('../utils/instanceSchemas');
+
+/**
+ * Routes of the coordinator in worker mode (WORKERS > 0). Instance routes
+ * are forwarded to the worker that owns the instance, which runs the usual
+ * controllers; the routes below combine the answers of all workers.
+ */
+const router = express.Router();
+
+/**
+ * Send the same request to every running worker
+ * @param {Object} req - Express request, forwarded with its API key principal
+ * @param {string} method - HTTP method
+ * @param {string} path - Path to request, the path of req by default
+ * @returns {Promise<Array>} { worker, response } of the workers that answered
+ */
+const requestAll = async (req, method, path = req.originalUrl) => {
+    const pool = req.workerPool;
+    const workers = pool.getReadyWorkers();
+    const results = await Promise.allSettled(workers.map(worker =>
+        pool.request(worker, { method, path, principal: req.apiKey })
+    ));
+
+    return results
+        .map((result, index) => {
+            if (result.status === 'rejected') {
+                logger.warn(`Worker ${workers[index].slot} did not answer ${method} ${path}: ${result.reason.message}`);
+                return null;
+            }
+            return { worker: workers[index], response: result.value };
+        })
+        .filter(Boolean);
+};
+
+/**
+ * GET /api/whatsapp/workers
+ * Worker processes with their state, memory, instance count and restarts
+ */
+router.get('/workers', requireAdmin, (req, res) => {
+    const workers = req.workerPool.getStatus();
+    res.json({
+        success: true,
+        workers,
+        count: workers.length
+    });
+});
+
+/**
+ * GET /api/whatsapp/instances
+ * Instances of all workers, those of a worker that is down have status "worker_unavailable".
+ * Filters, sorting and paging work on the combined list, see whatsappController.
+ * Unavailable instances have no labels here, tag and tenantId filters leave them out
+ */
+router.get('/instances', async (req, res, next) => {
+    try {
+        const { error, value } = listInstancesSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const all = [];
+        for (const { worker, response } of await requestAll(req, 'GET', req.baseUrl + req.path)) {
+            if (response.status === 200) {
+                all.push(...response.body.instances.map(instance => ({ ...instance, worker: worker.slot })));
+            }
+        }
+
+        for (const instance of req.workerPool.getUnavailableInstances()) {
+            if (canAccess(req, instance.instanceId, 'read')) {
+                all.push(instance);
+            }
+        }
+
+        const { instances, total } = queryInstances(all, value);
+        res.json({
+            success: true,
+            instances,
+            count: instances.length,
+            total,
+            offset: value.offset,
+            limit: value.limit || null
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances
+ * Assign the new instance to the least loaded worker and create it there
+ */
+router.post('/instances', requireAdmin, async (req, res, next) => {
+    const pool = req.workerPool;
+    // The worker is chosen by instance id, so it is generated here instead of by the worker
+    const body = { ...req.body, instanceId: req.body.instanceId || uuidv4() };
+    const assigned = typeof body.instanceId === 'string' && !!pool.getWorkerOf(body.instanceId);
+
+    try {
+        // Invalid ids are left to the worker, it answers 400
+        const worker = typeof body.instanceId === 'string' ? pool.assign(body.instanceId) : pool.pickWorker();
+        if (!worker || worker.state !== 'ready') {
+            return res.status(503).json({
+                success: false,
+                error: `Worker of instance ${body.instanceId} is not available, try again shortly`
+            });
+        }
+
+        const response = await pool.request(worker, { method: 'POST', path: req.originalUrl, principal: req.apiKey, body });
+        if (response.status >= 400 && !assigned) {
+            pool.release(body.instanceId);
+        }
+
+        res.status(response.status).json(response.body);
+    } catch (error) {
+        if (!assigned) {
+            pool.release(body.instanceId);
+        }
+        if (error.message.includes('No worker is available')) {
+            return res.status(503).json({
+                success: false,
+                error: error.message
+            });
+        }
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/diagnostics
+ * Readiness over all workers, the workers and the diagnostics of every instance
+ */
+router.get('/diagnostics', requireAdmin, async (req, res, next) => {
+    try {
+        const pool = req.workerPool;
+        const instances = [];
+        for (const { worker, response } of await requestAll(req, 'GET')) {
+            if (response.status === 200) {
+                instances.push(...response.body.instances.map(instance => ({ ...instance, worker: worker.slot })));
+            }
+        }
+
+        res.json({
+            success: true,
+            readiness: pool.health.readiness(),
+            rules: pool.health.getRules(),
+            workers: pool.getStatus(),
+            instances
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/whatsapp/auto-responder/reload
+ * Reload the auto-responder rules of every worker
+ */
+router.post('/auto-responder/reload', requireAdmin, async (req, res, next) => {
+    try {
+        const results = await requestAll(req, 'POST');
+        const rules = results.reduce((sum, { response }) => sum + (response.body.rules || 0), 0);
+
+        res.json({
+            success: true,
+            rules,
+            workers: results.length,
+            message: 'Auto-responder rules reloaded'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * /api/whatsapp/instances/:instanceId/*
+ * Everything else about an instance is answered by its worker
+ */
+router.use('/instances/:instanceId', (req, res) => {
+    const pool = req.workerPool;
+    const { instanceId } = req.params;
+
+    // Unknown instances go to any worker, which answers 403 or 404 like a single process
+    const worker = pool.getWorkerOf(instanceId) || pool.pickWorker();
+    if (!worker || worker.state !== 'ready') {
+        if (!canAccess(req, instanceId, 'read')) {
+            return res.status(403).json({
+                success: false,
+                error: `API key is not allowed to read instance ${instanceId}`
+            });
+        }
+
+        return res.status(503).json({
+            success: false,
+            error: `Worker of instance ${instanceId} is not available, try again shortly`,
+            instanceId
+        });
+    }
+
+    pool.proxy(req, res, worker);
+});
+
+module.exports = router;
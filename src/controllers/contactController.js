@@ -0,0 +1,184 @@
+const express = require('express');
+const Joi = require('joi');
+const validateInstance = require('../middleware/validateInstance');
+const { requireReady } = validateInstance;
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const saveContactSchema = Joi.object({
+    // International format, e.g. 905551234567
+    phoneNumber: Joi.string().pattern(/^\+?[\d\s()-]{6,20}$/).required(),
+    firstName: Joi.string().max(100).required(),
+    lastName: Joi.string().max(100).allow('').optional(),
+    // Also save the contact in the address book of the phone
+    syncToAddressbook: Joi.boolean().optional().default(false)
+});
+
+const validateBody = (schema, body, res) => {
+    const { error, value } = schema.validate(body);
+    if (error) {
+        res.status(400).json({
+            success: false,
+            error: error.details[0].message
+        });
+        return null;
+    }
+    return value;
+};
+
+// Map contact errors to client errors, everything else goes to the error handler
+const handleContactError = (error, res, next) => {
+    if (error.message.includes('not a contact')) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+    if (error.message.includes('not found') || error.message.includes('wid error')) {
+        return res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+    next(error);
+};
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/contacts/blocked
+ * Get contacts blocked by this account
+ */
+router.get('/instances/:instanceId/contacts/blocked', authorize('read'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const result = await req.whatsappManager.getBlockedContacts(instanceId);
+
+        res.json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleContactError(error, res, next);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/contacts
+ * Save a contact in the address book, or rename an existing one
+ */
+router.post('/instances/:instanceId/contacts', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const value = validateBody(saveContactSchema, req.body, res);
+        if (!value) return;
+
+        const result = await req.whatsappManager.saveContact(instanceId, value.phoneNumber, {
+            firstName: value.firstName,
+            lastName: value.lastName,
+            syncToAddressbook: value.syncToAddressbook
+        });
+
+        res.status(201).json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleContactError(error, res, next);
+    }
+});
+
+/**
+ * DELETE /api/whatsapp/instances/:instanceId/contacts/:phoneNumber
+ * Remove a contact from the address book, chats with it are kept
+ */
+router.delete('/instances/:instanceId/contacts/:phoneNumber', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, phoneNumber } = req.params;
+        const result = await req.whatsappManager.deleteContact(instanceId, phoneNumber);
+
+        res.json({
+            instanceId,
+            ...result,
+            message: 'Contact deleted'
+        });
+    } catch (error) {
+        handleContactError(error, res, next);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/contacts/:contactId/block
+ * Block a contact
+ */
+router.post('/instances/:instanceId/contacts/:contactId/block', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, contactId } = req.params;
+        const result = await req.whatsappManager.setContactBlocked(instanceId, contactId, true);
+
+        res.json({
+            instanceId,
+            ...result,
+            message: 'Contact blocked'
+        });
+    } catch (error) {
+        handleContactError(error, res, next);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/contacts/:contactId/unblock
+ * Unblock a contact
+ */
+router.post('/instances/:instanceId/contacts/:contactId/unblock', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, contactId } = req.params;
+        const result = await req.whatsappManager.setContactBlocked(instanceId, contactId, false);
+
+        res.json({
+            instanceId,
+            ...result,
+            message: 'Contact unblocked'
+        });
+    } catch (error) {
+        handleContactError(error, res, next);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/contacts/:contactId/common-groups
+ * Get the groups this account shares with a contact
+ */
+router.get('/instances/:instanceId/contacts/:contactId/common-groups', authorize('read'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, contactId } = req.params;
+        const result = await req.whatsappManager.getCommonGroups(instanceId, contactId);
+
+        res.json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleContactError(error, res, next);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/contacts/:contactId/devices
+ * Get the number of devices (phone and linked devices) of a contact
+ */
+router.get('/instances/:instanceId/contacts/:contactId/devices', authorize('read'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, contactId } = req.params;
+        const result = await req.whatsappManager.getContactDeviceCount(instanceId, contactId);
+
+        res.json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleContactError(error, res, next);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const Joi = require('joi');
+const validateInstance = require('../middleware/validateInstance');
+const { authorize, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const eventsSchema = Joi.object({
+    limit: Joi.number().integer().min(1).optional(),
+    // Only rejected transitions, to find out what fought over the status
+    rejected: Joi.boolean().optional().default(false)
+});
+
+/**
+ * GET /api/whatsapp/diagnostics
+ * Readiness rules, their current evaluation and the diagnostics of every instance
+ */
+router.get('/diagnostics', requireAdmin, async (req, res, next) => {
+    try {
+        const manager = req.whatsappManager;
+        const instanceIds = Array.from(manager.instances.keys());
+        const instances = await Promise.all(instanceIds.map(instanceId => manager.getInstanceDiagnostics(instanceId)));
+
+        res.json({
+            success: true,
+            readiness: manager.health.readiness(),
+            rules: manager.health.getRules(),
+            // An instance may have been deleted while we were collecting
+            instances: instances.filter(Boolean)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/diagnostics
+ * Last getState() result and latency, reconnect attempts, keep-alive, idle time and browser process
+ */
+router.get('/instances/:instanceId/diagnostics', authorize('read'), validateInstance.withoutWake, async (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const diagnostics = await req.whatsappManager.getInstanceDiagnostics(instanceId);
+
+        if (!diagnostics) {
+            return res.status(404).json({
+                success: false,
+                error: 'Instance not found',
+                instanceId
+            });
+        }
+
+        res.json({
+            success: true,
+            diagnostics
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/events
+ * Status transitions of an instance, newest first, with their cause and source
+ * (client, api, health_monitor, keep_alive, reconnection, recovery, qr_timeout, governor)
+ * Query params:
+ *   - limit=number (default and maximum: STATE_HISTORY_LIMIT)
+ *   - rejected=true: only transitions the state machine refused
+ */
+router.get('/instances/:instanceId/events', authorize('read'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const { error, value } = eventsSchema.validate(req.query);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        let events = req.whatsappManager.getStatusHistory(instanceId);
+        if (value.rejected) {
+            events = events.filter(event => !event.accepted);
+        }
+        if (value.limit) {
+            events = events.slice(0, value.limit);
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            status: req.instanceStatus.status,
+            events,
+            count: events.length
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+const express = require('express');
+const multer = require('multer');
+const Joi = require('joi');
+const validateInstance = require('../middleware/validateInstance');
+const { requireReady } = validateInstance;
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Group pictures are small, keep them in memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    }
+});
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+// Validation schemas
+const participantsSchema = Joi.array().items(Joi.string()).min(1).max(256).unique();
+
+const createGroupSchema = Joi.object({
+    title: Joi.string().max(100).required(),
+    participants: participantsSchema.required(),
+    // Disappearing messages timer in seconds
+    messageTimer: Joi.number().valid(0, 86400, 604800, 7776000).optional(),
+    // Comment of the private invitation sent to participants that can't be added directly
+    comment: Joi.string().max(500).optional()
+});
+
+const updateParticipantsSchema = Joi.object({
+    participants: participantsSchema.required(),
+    comment: Joi.string().max(500).optional()
+});
+
+const updateGroupSchema = Joi.object({
+    subject: Joi.string().max(100).optional(),
+    description: Joi.string().max(2048).allow('').optional()
+}).or('subject', 'description');
+
+const updateSettingsSchema = Joi.object({
+    messagesAdminsOnly: Joi.boolean().optional(),
+    infoAdminsOnly: Joi.boolean().optional()
+}).or('messagesAdminsOnly', 'infoAdminsOnly');
+
+const groupPictureSchema = Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+    base64: Joi.string().optional(),
+    mimetype: Joi.string().optional()
+}).oxor('url', 'base64');
+
+const joinGroupSchema = Joi.object({
+    inviteCode: Joi.string().required()
+});
+
+const validateBody = (schema, body, res) => {
+    const { error, value } = schema.validate(body);
+    if (error) {
+        res.status(400).json({
+            success: false,
+            error: error.details[0].message
+        });
+        return null;
+    }
+    return value;
+};
+
+// Map group errors to client errors, everything else goes to the error handler
+const handleGroupError = (error, res, next) => {
+    if (error.message.includes('not a group') || error.message.includes('AddParticipantsError') ||
+        error.message.includes('Invalid invite') || error.message.includes('not-authorized')) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+    if (error.message.includes('not found') || error.message.includes('wid error')) {
+        return res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+    next(error);
+};
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/groups
+ * Create a group with initial participants (per-participant results)
+ */
+router.post('/instances/:instanceId/groups', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const value = validateBody(createGroupSchema, req.body, res);
+        if (!value) return;
+
+        const result = await req.whatsappManager.createGroup(instanceId, value.title, value.participants, {
+            messageTimer: value.messageTimer,
+            comment: value.comment
+        });
+
+        res.status(201).json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleGroupError(error, res, next);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/groups/join
+ * Join a group with an invite code or chat.whatsapp.com link
+ */
+router.post('/instances/:instanceId/groups/join', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const value = validateBody(joinGroupSchema, req.body, res);
+        if (!value) return;
+
+        const result = await req.whatsappManager.joinGroupByInvite(instanceId, value.inviteCode);
+
+        res.json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleGroupError(error, res, next);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/groups/:groupId/participants/:action
+ * Add, remove, promote or demote participants (per-participant results)
+ */
+router.post('/instances/:instanceId/groups/:groupId/participants/:action', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, groupId, action } = req.params;
+
+        if (!PARTICIPANT_ACTIONS.includes(action)) {
+            return res.status(400).json({
+                success: false,
+                error: `Action must be one of: ${PARTICIPANT_ACTIONS.join(', ')}`
+            });
+        }
+
+        const value = validateBody(updateParticipantsSchema, req.body, res);
+        if (!value) return;
+
+        const result = await req.whatsappManager.updateGroupParticipants(instanceId, groupId, action, value.participants, {
+            comment: value.comment
+        });
+
+        res.json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleGroupError(error, res, next);
+    }
+});
+
+/**
+ * PATCH /api/whatsapp/instances/:instanceId/groups/:groupId
+ * Change group subject and/or description
+ */
+router.patch('/instances/:instanceId/groups/:groupId', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, groupId } = req.params;
+        const value = validateBody(updateGroupSchema, req.body, res);
+        if (!value) return;
+
+        const result = await req.whatsappManager.updateGroupInfo(instanceId, groupId, value);
+
+        res.status(result.success ? 200 : 403).json({
+            instanceId,
+            ...result,
+            ...(result.success ? {} : { error: 'Some changes were rejected, admin rights are required' })
+        });
+    } catch (error) {
+        handleGroupError(error, res, next);
+    }
+});
+
+/**
+ * PATCH /api/whatsapp/instances/:instanceId/groups/:groupId/settings
+ * Toggle "only admins can send" (messagesAdminsOnly) and "only admins edit info" (infoAdminsOnly)
+ */
+router.patch('/instances/:instanceId/groups/:groupId/settings', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, groupId } = req.params;
+        const value = validateBody(updateSettingsSchema, req.body, res);
+        if (!value) return;
+
+        const result = await req.whatsappManager.updateGroupSettings(instanceId, groupId, value);
+
+        res.status(result.success ? 200 : 403).json({
+            instanceId,
+            ...result,
+            ...(result.success ? {} : { error: 'Some settings were rejected, admin rights are required' })
+        });
+    } catch (error) {
+        handleGroupError(error, res, next);
+    }
+});
+
+/**
+ * PUT /api/whatsapp/instances/:instanceId/groups/:groupId/picture
+ * Change the group picture: multipart "picture" file, or "url" / "base64" in a JSON body
+ */
+router.put('/instances/:instanceId/groups/:groupId/picture', authorize('send'), validateInstance, requireReady, upload.single('picture'), async (req, res, next) => {
+    try {
+        const { instanceId, groupId } = req.params;
+        const value = validateBody(groupPictureSchema, req.body, res);
+        if (!value) return;
+
+        let media;
+        if (req.file) {
+            media = {
+                mimetype: req.file.mimetype,
+                data: req.file.buffer,
+                filename: req.file.originalname
+            };
+        } else if (value.url || value.base64) {
+            media = await req.whatsappManager.mediaService.loadOutgoing(value);
+        } else {
+            return res.status(400).json({
+                success: false,
+                error: 'No picture provided. Upload a "picture" file or pass "url" or "base64"'
+            });
+        }
+
+        if (!(media.mimetype || '').startsWith('image/')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Group picture must be an image'
+            });
+        }
+
+        const result = await req.whatsappManager.setGroupPicture(instanceId, groupId, media);
+
+        res.status(result.success ? 200 : 403).json({
+            instanceId,
+            ...result,
+            ...(result.success ? {} : { error: 'Picture was rejected, admin rights may be required' })
+        });
+    } catch (error) {
+        if (error.message.includes('exceeds the maximum size') || error.message.includes('is not allowed') ||
+            error.message.includes('Could not download media')) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        handleGroupError(error, res, next);
+    }
+});
+
+/**
+ * DELETE /api/whatsapp/instances/:instanceId/groups/:groupId/picture
+ * Remove the group picture
+ */
+router.delete('/instances/:instanceId/groups/:groupId/picture', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, groupId } = req.params;
+        const result = await req.whatsappManager.setGroupPicture(instanceId, groupId, null);
+
+        res.status(result.success ? 200 : 403).json({
+            instanceId,
+            ...result,
+            ...(result.success ? {} : { error: 'Picture removal was rejected, admin rights may be required' })
+        });
+    } catch (error) {
+        handleGroupError(error, res, next);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/groups/:groupId/invite
+ * Get the invite code and link of a group
+ */
+router.get('/instances/:instanceId/groups/:groupId/invite', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, groupId } = req.params;
+        const result = await req.whatsappManager.getGroupInvite(instanceId, groupId);
+
+        res.json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleGroupError(error, res, next);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/groups/:groupId/invite/revoke
+ * Revoke the invite link and return the new one
+ */
+router.post('/instances/:instanceId/groups/:groupId/invite/revoke', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, groupId } = req.params;
+        const result = await req.whatsappManager.getGroupInvite(instanceId, groupId, true);
+
+        res.json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleGroupError(error, res, next);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/groups/:groupId/leave
+ * Leave a group
+ */
+router.post('/instances/:instanceId/groups/:groupId/leave', authorize('send'), validateInstance, requireReady, async (req, res, next) => {
+    try {
+        const { instanceId, groupId } = req.params;
+        const result = await req.whatsappManager.leaveGroup(instanceId, groupId);
+
+        res.json({
+            instanceId,
+            ...result,
+            message: 'Left the group'
+        });
+    } catch (error) {
+        handleGroupError(error, res, next);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,375 @@
+const express = require('express');
+const Joi = require('joi');
+const validateInstance = require('../middleware/validateInstance');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const timeSchema = Joi.alternatives().try(
+    Joi.number().integer().min(0), // unix seconds
+    Joi.date().iso()
+);
+
+const searchMessagesSchema = Joi.object({
+    chatId: Joi.string().optional(),
+    sender: Joi.string().optional(),
+    fromMe: Joi.boolean().optional(),
+    type: Joi.string().optional(),
+    from: timeSchema.optional(),
+    to: timeSchema.optional(),
+    q: Joi.string().max(200).optional(),
+    limit: Joi.number().integer().min(1).max(200).optional().default(50),
+    cursor: Joi.string().optional()
+});
+
+const reactSchema = Joi.object({
+    // An empty string removes the reaction
+    reaction: Joi.string().max(16).allow('').required()
+});
+
+const editMessageSchema = Joi.object({
+    body: Joi.string().max(4096).required()
+});
+
+const forwardMessageSchema = Joi.object({
+    to: Joi.string().required()
+});
+
+const deleteMessageSchema = Joi.object({
+    everyone: Joi.boolean().optional().default(false)
+});
+
+const toUnixSeconds = (value) => value instanceof Date ? Math.floor(value.getTime() / 1000) : value;
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (value) => {
+    try {
+        const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        if (typeof cursor.timestamp !== 'number' || typeof cursor.id !== 'string') {
+            return null;
+        }
+        return cursor;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Middleware to reject history routes when history is turned off
+const requireHistory = (req, res, next) => {
+    if (!req.whatsappManager.messageStore.enabled) {
+        return res.status(400).json({
+            success: false,
+            error: 'Message history is disabled (MESSAGE_HISTORY_ENABLED=false)'
+        });
+    }
+    next();
+};
+
+const validateBody = (schema, body, res) => {
+    const { error, value } = schema.validate(body);
+    if (error) {
+        res.status(400).json({
+            success: false,
+            error: error.details[0].message
+        });
+        return null;
+    }
+    return value;
+};
+
+// Map message operation errors to client errors, everything else goes to the error handler
+const handleMessageError = (error, req, res, next) => {
+    if (error.message.includes('is not ready') || error.message.includes('Only messages sent by') ||
+        error.message.includes('can not be edited')) {
+        return res.status(400).json({
+            success: false,
+            error: error.message,
+            messageId: req.params.messageId
+        });
+    }
+    if (error.message.includes('not found') || error.message.includes('does not quote')) {
+        return res.status(404).json({
+            success: false,
+            error: error.message,
+            messageId: req.params.messageId
+        });
+    }
+    next(error);
+};
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/messages
+ * Search stored message history (newest first), without calling WhatsApp Web
+ * Query params:
+ *   - chatId, sender, type, fromMe=true/false
+ *   - from, to: unix seconds or ISO date
+ *   - q: words that must all appear in the message body
+ *   - limit=number (default: 50, max: 200)
+ *   - cursor: nextCursor of the previous page
+ */
+router.get('/instances/:instanceId/messages', authorize('read'), validateInstance.withoutWake, requireHistory, (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const { error, value } = searchMessagesSchema.validate(req.query);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        let cursor = null;
+        if (value.cursor) {
+            cursor = decodeCursor(value.cursor);
+            if (!cursor) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid cursor'
+                });
+            }
+        }
+
+        const result = req.whatsappManager.messageStore.search(instanceId, {
+            ...value,
+            from: value.from !== undefined ? toUnixSeconds(value.from) : undefined,
+            to: value.to !== undefined ? toUnixSeconds(value.to) : undefined,
+            cursor
+        });
+
+        res.json({
+            success: true,
+            instanceId,
+            messages: result.messages,
+            count: result.messages.length,
+            nextCursor: result.nextCursor ? encodeCursor(result.nextCursor) : null
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/messages/:messageId
+ * Get a stored message
+ */
+router.get('/instances/:instanceId/messages/:messageId', authorize('read'), validateInstance.withoutWake, requireHistory, (req, res, next) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const message = req.whatsappManager.messageStore.getMessage(instanceId, messageId);
+
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                error: 'Message not found in history',
+                messageId
+            });
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            message
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/messages/:messageId/ack
+ * Get the delivery/read receipt of a sent message and when each state was reached
+ * States: error, pending, server, device, read, played
+ */
+router.get('/instances/:instanceId/messages/:messageId/ack', authorize('read'), validateInstance.withoutWake, requireHistory, (req, res, next) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const message = req.whatsappManager.messageStore.getMessage(instanceId, messageId);
+
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                error: 'Message not found in history',
+                messageId
+            });
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            messageId,
+            chatId: message.chatId,
+            fromMe: message.fromMe,
+            ack: message.ack,
+            status: message.ackStatus || null,
+            history: message.ackHistory || []
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/messages/:messageId/media
+ * Download the media (image, voice note, document, ...) of a message
+ */
+router.get('/instances/:instanceId/messages/:messageId/media', authorize('read'), validateInstance, async (req, res, next) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const media = await req.whatsappManager.downloadMessageMedia(instanceId, messageId);
+
+        res.set({
+            'Content-Type': media.mimetype || 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="${media.filename.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(media.filename)}`,
+            'Content-Length': media.data.length
+        });
+        res.send(media.data);
+    } catch (error) {
+        if (error.message.includes('is not ready')) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        if (error.message.includes('not found') || error.message.includes('has no media')) {
+            return res.status(404).json({
+                success: false,
+                error: error.message,
+                messageId: req.params.messageId
+            });
+        }
+        if (error.message.includes('no longer available')) {
+            return res.status(410).json({
+                success: false,
+                error: error.message,
+                messageId: req.params.messageId
+            });
+        }
+        next(error);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/messages/:messageId/react
+ * Add a reaction emoji to a message, an empty reaction removes it
+ */
+router.post('/instances/:instanceId/messages/:messageId/react', authorize('send'), validateInstance, async (req, res, next) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const value = validateBody(reactSchema, req.body, res);
+        if (!value) return;
+
+        const result = await req.whatsappManager.reactToMessage(instanceId, messageId, value.reaction);
+
+        res.json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleMessageError(error, req, res, next);
+    }
+});
+
+/**
+ * PATCH /api/whatsapp/instances/:instanceId/messages/:messageId
+ * Edit the text of a message sent by this instance
+ */
+router.patch('/instances/:instanceId/messages/:messageId', authorize('send'), validateInstance, async (req, res, next) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const value = validateBody(editMessageSchema, req.body, res);
+        if (!value) return;
+
+        const result = await req.whatsappManager.editMessage(instanceId, messageId, value.body);
+
+        res.json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleMessageError(error, req, res, next);
+    }
+});
+
+/**
+ * DELETE /api/whatsapp/instances/:instanceId/messages/:messageId
+ * Delete a message for this instance, or for everyone with ?everyone=true
+ */
+router.delete('/instances/:instanceId/messages/:messageId', authorize('send'), validateInstance, async (req, res, next) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const value = validateBody(deleteMessageSchema, req.query, res);
+        if (!value) return;
+
+        const result = await req.whatsappManager.deleteMessage(instanceId, messageId, value.everyone);
+
+        res.json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleMessageError(error, req, res, next);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/messages/:messageId/forward
+ * Forward a message to another chat
+ */
+router.post('/instances/:instanceId/messages/:messageId/forward', authorize('send'), validateInstance, async (req, res, next) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const value = validateBody(forwardMessageSchema, req.body, res);
+        if (!value) return;
+
+        const result = await req.whatsappManager.forwardMessage(instanceId, messageId, value.to);
+
+        res.json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleMessageError(error, req, res, next);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/messages/:messageId/star
+ * POST /api/whatsapp/instances/:instanceId/messages/:messageId/unstar
+ * Star or unstar a message
+ */
+router.post('/instances/:instanceId/messages/:messageId/:action(star|unstar)', authorize('send'), validateInstance, async (req, res, next) => {
+    try {
+        const { instanceId, messageId, action } = req.params;
+        const result = await req.whatsappManager.starMessage(instanceId, messageId, action === 'star');
+
+        res.json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleMessageError(error, req, res, next);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/messages/:messageId/quoted
+ * Get the message a reply quotes, together with the reply and its chat
+ */
+router.get('/instances/:instanceId/messages/:messageId/quoted', authorize('read'), validateInstance, async (req, res, next) => {
+    try {
+        const { instanceId, messageId } = req.params;
+        const result = await req.whatsappManager.getQuotedMessage(instanceId, messageId);
+
+        res.json({
+            instanceId,
+            ...result
+        });
+    } catch (error) {
+        handleMessageError(error, req, res, next);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const Joi = require('joi');
+const validateInstance = require('../middleware/validateInstance');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const JOB_STATUSES = ['queued', 'sending', 'sent', 'failed', 'cancelled'];
+
+// Validation schemas
+const listQueueSchema = Joi.object({
+    status: Joi.string().optional(),
+    limit: Joi.number().integer().min(1).max(1000).optional().default(100),
+    offset: Joi.number().integer().min(0).optional().default(0)
+});
+
+const jobNotFound = (res, jobId) => res.status(404).json({
+    success: false,
+    error: 'Job not found',
+    jobId
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/queue
+ * List queued messages of an instance (oldest first)
+ * Query params:
+ *   - status=all or comma separated statuses (default: queued,sending)
+ *   - limit=number (default: 100, max: 1000)
+ *   - offset=number (default: 0)
+ */
+router.get('/instances/:instanceId/queue', authorize('read'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const { error, value } = listQueueSchema.validate(req.query);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const queue = req.whatsappManager.messageQueue;
+        const statuses = !value.status ? undefined :
+            value.status === 'all' ? JOB_STATUSES : value.status.split(',');
+
+        if (statuses && statuses.some(status => !JOB_STATUSES.includes(status))) {
+            return res.status(400).json({
+                success: false,
+                error: `"status" must be "all" or a comma separated list of: ${JOB_STATUSES.join(', ')}`
+            });
+        }
+
+        const jobs = queue.listJobs(instanceId, statuses);
+        const page = jobs.slice(value.offset, value.offset + value.limit);
+
+        res.json({
+            success: true,
+            instanceId,
+            jobs: page.map(job => queue.toPublic(job)),
+            count: page.length,
+            total: jobs.length,
+            pagination: {
+                limit: value.limit,
+                offset: value.offset,
+                hasMore: value.offset + value.limit < jobs.length
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/queue/:jobId
+ * Get status of a queued message
+ */
+router.get('/instances/:instanceId/queue/:jobId', authorize('read'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId, jobId } = req.params;
+        const queue = req.whatsappManager.messageQueue;
+        const job = queue.getJob(instanceId, jobId);
+
+        if (!job) {
+            return jobNotFound(res, jobId);
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            job: queue.toPublic(job)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/whatsapp/instances/:instanceId/queue/:jobId
+ * Cancel a queued message that has not been sent yet
+ */
+router.delete('/instances/:instanceId/queue/:jobId', authorize('send'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId, jobId } = req.params;
+        const queue = req.whatsappManager.messageQueue;
+        const job = queue.cancelJob(instanceId, jobId);
+
+        if (!job) {
+            return jobNotFound(res, jobId);
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            job: queue.toPublic(job),
+            message: 'Job cancelled successfully'
+        });
+    } catch (error) {
+        if (error.message.includes('cannot be cancelled')) {
+            return res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,200 @@
+const express = require('express');
+const Joi = require('joi');
+const validateInstance = require('../middleware/validateInstance');
+const { authorize } = require('../middleware/auth');
+const { scheduleFields } = require('../utils/scheduleSchemas');
+
+const router = express.Router();
+
+const SCHEDULE_STATUSES = ['scheduled', 'sending', 'sent', 'completed', 'failed', 'missed', 'cancelled'];
+
+// Validation schemas
+const listScheduledSchema = Joi.object({
+    status: Joi.string().optional(),
+    limit: Joi.number().integer().min(1).max(1000).optional().default(100),
+    offset: Joi.number().integer().min(0).optional().default(0)
+});
+
+const updateScheduledSchema = Joi.object({
+    ...scheduleFields,
+    to: Joi.string().optional(),
+    // Text of a text message, caption of a media message
+    message: Joi.string().optional(),
+    caption: Joi.string().optional().allow('')
+}).oxor('sendAt', 'recurrence').min(1);
+
+const scheduleNotFound = (res, scheduleId) => res.status(404).json({
+    success: false,
+    error: 'Scheduled message not found',
+    scheduleId
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/scheduled
+ * List scheduled messages of an instance (next run first)
+ * Query params:
+ *   - status=all or comma separated statuses (default: scheduled,sending)
+ *   - limit=number (default: 100, max: 1000)
+ *   - offset=number (default: 0)
+ */
+router.get('/instances/:instanceId/scheduled', authorize('read'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const { error, value } = listScheduledSchema.validate(req.query);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const scheduler = req.whatsappManager.scheduler;
+        const statuses = !value.status ? undefined :
+            value.status === 'all' ? SCHEDULE_STATUSES : value.status.split(',');
+
+        if (statuses && statuses.some(status => !SCHEDULE_STATUSES.includes(status))) {
+            return res.status(400).json({
+                success: false,
+                error: `"status" must be "all" or a comma separated list of: ${SCHEDULE_STATUSES.join(', ')}`
+            });
+        }
+
+        const items = scheduler.listItems(instanceId, statuses);
+        const page = items.slice(value.offset, value.offset + value.limit);
+
+        res.json({
+            success: true,
+            instanceId,
+            scheduled: page.map(item => scheduler.toPublic(item)),
+            count: page.length,
+            total: items.length,
+            pagination: {
+                limit: value.limit,
+                offset: value.offset,
+                hasMore: value.offset + value.limit < items.length
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/scheduled/:scheduleId
+ * Get a scheduled message with the outcome of its runs
+ */
+router.get('/instances/:instanceId/scheduled/:scheduleId', authorize('read'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId, scheduleId } = req.params;
+        const scheduler = req.whatsappManager.scheduler;
+        const item = scheduler.getItem(instanceId, scheduleId);
+
+        if (!item) {
+            return scheduleNotFound(res, scheduleId);
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            scheduled: scheduler.toPublic(item)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/whatsapp/instances/:instanceId/scheduled/:scheduleId
+ * Change a scheduled message before it is sent
+ * Body: { sendAt | recurrence, maxLatenessSeconds, to, message (text), caption (media) }
+ */
+router.patch('/instances/:instanceId/scheduled/:scheduleId', authorize('send'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId, scheduleId } = req.params;
+        const { error, value } = updateScheduledSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        if (value.sendAt && new Date(value.sendAt).getTime() <= Date.now()) {
+            return res.status(400).json({
+                success: false,
+                error: '"sendAt" must be in the future'
+            });
+        }
+
+        const scheduler = req.whatsappManager.scheduler;
+        const existing = scheduler.getItem(instanceId, scheduleId);
+        if (!existing) {
+            return scheduleNotFound(res, scheduleId);
+        }
+
+        if ((value.message !== undefined && existing.type !== 'text') ||
+            (value.caption !== undefined && existing.type !== 'media')) {
+            return res.status(400).json({
+                success: false,
+                error: '"message" can only be changed on text messages and "caption" on media messages'
+            });
+        }
+
+        const item = scheduler.updateItem(instanceId, scheduleId, value);
+
+        res.json({
+            success: true,
+            instanceId,
+            scheduled: scheduler.toPublic(item)
+        });
+    } catch (error) {
+        if (error.message.includes('cannot be changed')) {
+            return res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+        if (error.message.includes('Invalid recurrence')) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/whatsapp/instances/:instanceId/scheduled/:scheduleId
+ * Cancel a scheduled message, a recurring one stops for good
+ */
+router.delete('/instances/:instanceId/scheduled/:scheduleId', authorize('send'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId, scheduleId } = req.params;
+        const scheduler = req.whatsappManager.scheduler;
+        const item = scheduler.cancelItem(instanceId, scheduleId);
+
+        if (!item) {
+            return scheduleNotFound(res, scheduleId);
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            scheduled: scheduler.toPublic(item),
+            message: 'Scheduled message cancelled successfully'
+        });
+    } catch (error) {
+        if (error.message.includes('cannot be cancelled')) {
+            return res.status(409).json({
+                success: false,
+                error: error.message
+            });
+        }
+        next(error);
+    }
+});
+
+module.exports = router;
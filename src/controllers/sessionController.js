@@ -0,0 +1,110 @@
+const express = require('express');
+const multer = require('multer');
+const Joi = require('joi');
+const { config } = require('../config');
+const { requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Session archives are kept in memory, they go straight into the session store
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: config.limits.sessionBackupMaxSizeMb * 1024 * 1024
+    }
+});
+
+// Same rule whatsapp-web.js applies to auth strategy client ids
+const instanceIdSchema = Joi.string().pattern(/^[-_\w]+$/).required();
+
+// Params are URL-decoded, an id like ..%2F..%2Ffoo must never reach a session store
+const invalidInstanceId = (res) => res.status(400).json({
+    success: false,
+    error: 'Instance id may only contain letters, numbers, underscores and hyphens'
+});
+
+const backupSessionSchema = Joi.object({
+    refresh: Joi.boolean().optional().default(false)
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/session/backup
+ * Download the stored session of an instance as a zip archive
+ * Query params:
+ *   - refresh=true to store a fresh snapshot first (instance must be ready)
+ */
+router.get('/instances/:instanceId/session/backup', requireAdmin, async (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        if (instanceIdSchema.validate(instanceId).error) {
+            return invalidInstanceId(res);
+        }
+
+        const { error, value } = backupSessionSchema.validate(req.query);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        const data = await req.whatsappManager.backupSession(instanceId, value.refresh);
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: 'No stored session for this instance',
+                instanceId
+            });
+        }
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="session-${instanceId}.zip"`,
+            'Content-Length': data.length
+        });
+        res.send(data);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/session/restore
+ * Restore a session archive (multipart field "session") and start the instance with it.
+ * The instance is created on this host if it doesn't exist yet.
+ */
+router.post('/instances/:instanceId/session/restore', requireAdmin, upload.single('session'), async (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        if (instanceIdSchema.validate(instanceId).error) {
+            return invalidInstanceId(res);
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'Session archive is required (multipart field "session")'
+            });
+        }
+
+        const status = await req.whatsappManager.restoreSession(instanceId, req.file.buffer);
+
+        res.json({
+            success: true,
+            instanceId,
+            status,
+            message: 'Session restored, instance is starting'
+        });
+    } catch (error) {
+        if (error.message.includes('must be a zip archive')) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,281 @@
+const express = require('express');
+const Joi = require('joi');
+const validateInstance = require('../middleware/validateInstance');
+const { authorize } = require('../middleware/auth');
+const WebhookService = require('../services/WebhookService');
+const { assertPublicUrl } = require('../utils/outboundUrl');
+
+const router = express.Router();
+
+const eventNames = [...WebhookService.WEBHOOK_EVENTS, '*'];
+
+// Validation schemas
+const createWebhookSchema = Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    events: Joi.array().items(Joi.string().valid(...eventNames)).unique().optional(),
+    secret: Joi.string().min(16).optional(),
+    description: Joi.string().max(200).optional().allow(''),
+    enabled: Joi.boolean().optional()
+});
+
+const updateWebhookSchema = Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+    events: Joi.array().items(Joi.string().valid(...eventNames)).unique().min(1).optional(),
+    secret: Joi.string().min(16).optional(),
+    description: Joi.string().max(200).optional().allow(''),
+    enabled: Joi.boolean().optional()
+}).min(1);
+
+const listDeliveriesSchema = Joi.object({
+    status: Joi.string().valid('pending', 'success', 'failed', 'cancelled').optional(),
+    event: Joi.string().optional(),
+    limit: Joi.number().integer().min(1).max(500).optional().default(50)
+});
+
+// Endpoints must be public, see OUTBOUND_URL_ALLOWLIST for local ones
+const rejectPrivateUrl = async (url, res) => {
+    try {
+        await assertPublicUrl(url);
+        return false;
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+        return true;
+    }
+};
+
+const webhookNotFound = (res, webhookId) => res.status(404).json({
+    success: false,
+    error: 'Webhook not found',
+    webhookId
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/webhooks
+ * List webhook subscriptions of an instance
+ */
+router.get('/instances/:instanceId/webhooks', authorize('read'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const webhooks = req.whatsappManager.webhookService.listSubscriptions(instanceId);
+
+        res.json({
+            success: true,
+            instanceId,
+            webhooks,
+            count: webhooks.length,
+            availableEvents: WebhookService.WEBHOOK_EVENTS
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/webhooks
+ * Register a webhook endpoint
+ * Body: { url, events?: [], secret?, description?, enabled? }
+ * The signing secret is returned in full only in this response
+ */
+router.post('/instances/:instanceId/webhooks', authorize('send'), validateInstance.withoutWake, async (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const { error, value } = createWebhookSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        if (await rejectPrivateUrl(value.url, res)) return;
+
+        const webhook = req.whatsappManager.webhookService.createSubscription(instanceId, value);
+
+        res.status(201).json({
+            success: true,
+            instanceId,
+            webhook
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/webhooks/:webhookId
+ * Get a webhook subscription
+ */
+router.get('/instances/:instanceId/webhooks/:webhookId', authorize('read'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId, webhookId } = req.params;
+        const webhook = req.whatsappManager.webhookService.getSubscription(instanceId, webhookId);
+
+        if (!webhook) {
+            return webhookNotFound(res, webhookId);
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            webhook
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/whatsapp/instances/:instanceId/webhooks/:webhookId
+ * Update a webhook subscription
+ */
+router.patch('/instances/:instanceId/webhooks/:webhookId', authorize('send'), validateInstance.withoutWake, async (req, res, next) => {
+    try {
+        const { instanceId, webhookId } = req.params;
+        const { error, value } = updateWebhookSchema.validate(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        if (value.url && await rejectPrivateUrl(value.url, res)) return;
+
+        const webhook = req.whatsappManager.webhookService.updateSubscription(instanceId, webhookId, value);
+
+        if (!webhook) {
+            return webhookNotFound(res, webhookId);
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            webhook
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/whatsapp/instances/:instanceId/webhooks/:webhookId
+ * Remove a webhook subscription and cancel its pending retries
+ */
+router.delete('/instances/:instanceId/webhooks/:webhookId', authorize('send'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId, webhookId } = req.params;
+        const deleted = req.whatsappManager.webhookService.deleteSubscription(instanceId, webhookId);
+
+        if (!deleted) {
+            return webhookNotFound(res, webhookId);
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            webhookId,
+            message: 'Webhook deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/whatsapp/instances/:instanceId/webhooks/:webhookId/test
+ * Send a ping event to the webhook endpoint
+ */
+router.post('/instances/:instanceId/webhooks/:webhookId/test', authorize('send'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId, webhookId } = req.params;
+        const delivery = req.whatsappManager.webhookService.sendTest(instanceId, webhookId);
+
+        if (!delivery) {
+            return webhookNotFound(res, webhookId);
+        }
+
+        res.status(202).json({
+            success: true,
+            instanceId,
+            deliveryId: delivery.id,
+            message: 'Test delivery queued'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/webhooks/:webhookId/deliveries
+ * List delivery attempts of a webhook (newest first)
+ * Query params:
+ *   - status=pending|success|failed|cancelled
+ *   - event=event name
+ *   - limit=number (default: 50, max: 500)
+ */
+router.get('/instances/:instanceId/webhooks/:webhookId/deliveries', authorize('read'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId, webhookId } = req.params;
+        const { error, value } = listDeliveriesSchema.validate(req.query);
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.details[0].message
+            });
+        }
+
+        if (!req.whatsappManager.webhookService.getSubscription(instanceId, webhookId)) {
+            return webhookNotFound(res, webhookId);
+        }
+
+        const deliveries = req.whatsappManager.webhookService.listDeliveries(instanceId, {
+            ...value,
+            subscriptionId: webhookId
+        });
+
+        res.json({
+            success: true,
+            instanceId,
+            webhookId,
+            deliveries,
+            count: deliveries.length
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/whatsapp/instances/:instanceId/webhook-deliveries/:deliveryId
+ * Get a single delivery with all of its attempts
+ */
+router.get('/instances/:instanceId/webhook-deliveries/:deliveryId', authorize('read'), validateInstance.withoutWake, (req, res, next) => {
+    try {
+        const { instanceId, deliveryId } = req.params;
+        const delivery = req.whatsappManager.webhookService.getDelivery(instanceId, deliveryId);
+
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery not found',
+                deliveryId
+            });
+        }
+
+        res.json({
+            success: true,
+            instanceId,
+            delivery
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Headers of requests the coordinator forwards to worker processes
+const WORKER_HEADERS = {
+    token: 'x-worker-token',
+    principal: 'x-worker-principal'
+};
+
+/**
+ * Read an API key from the X-API-Key header or a Bearer token
+ * @param {Object} headers - Request or handshake headers
+ * @returns {string|null} Plaintext key
+ */
+const extractApiKey = (headers = {}) => {
+    if (headers['x-api-key']) {
+        return headers['x-api-key'];
+    }
+
+    const authorization = headers.authorization;
+    if (authorization && authorization.startsWith('Bearer ')) {
+        return authorization.substring(7).trim();
+    }
+
+    return null;
+};
+
+// Middleware to resolve the API key of the request
+const authenticate = (req, res, next) => {
+    if (!req.apiKeyService.isEnabled()) {
+        req.apiKey = null;
+        return next();
+    }
+
+    const principal = req.apiKeyService.authenticate(extractApiKey(req.headers));
+    if (!principal) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or missing API key'
+        });
+    }
+
+    req.apiKey = principal;
+    next();
+};
+
+/**
+ * Middleware factory for worker processes. The coordinator authenticated the API key
+ * already and sends its principal along, other callers are rejected.
+ * @param {string} token - Secret shared by the coordinator and its workers
+ * @returns {Function} Express middleware
+ */
+const trustCoordinator = (token) => (req, res, next) => {
+    const sent = Buffer.from(req.headers[WORKER_HEADERS.token] || '');
+    const expected = Buffer.from(token || '');
+
+    if (!expected.length || sent.length !== expected.length || !crypto.timingSafeEqual(sent, expected)) {
+        return res.status(401).json({
+            success: false,
+            error: 'Workers only accept requests from the coordinator'
+        });
+    }
+
+    const principal = req.headers[WORKER_HEADERS.principal];
+    req.apiKey = principal ? JSON.parse(Buffer.from(principal, 'base64').toString('utf8')) : null;
+    next();
+};
+
+/**
+ * Check access of the current request, always true when authentication is disabled
+ * @param {Object} req - Express request
+ * @param {string|null} instanceId - Target instance
+ * @param {string} permission - 'read', 'send' or 'admin'
+ * @returns {boolean} True if allowed
+ */
+const canAccess = (req, instanceId, permission) => {
+    if (!req.apiKeyService.isEnabled()) {
+        return true;
+    }
+    return req.apiKeyService.hasAccess(req.apiKey, instanceId, permission);
+};
+
+/**
+ * Middleware factory requiring a permission on req.params.instanceId
+ * Runs before validateInstance so that foreign instances are indistinguishable from missing ones
+ * @param {string} permission - 'read', 'send' or 'admin'
+ * @returns {Function} Express middleware
+ */
+const authorize = (permission) => (req, res, next) => {
+    const instanceId = req.params.instanceId || null;
+
+    if (!canAccess(req, instanceId, permission)) {
+        return res.status(403).json({
+            success: false,
+            error: instanceId
+                ? `API key is not allowed to ${permission} instance ${instanceId}`
+                : 'API key requires admin scope'
+        });
+    }
+
+    next();
+};
+
+const requireAdmin = authorize('admin');
+
+/**
+ * Socket.io middleware factory, sockets use the same API keys as the REST routes.
+ * The key comes from the auth payload of the handshake or its headers.
+ * @param {ApiKeyService} apiKeyService - API key service
+ * @returns {Function} Socket.io middleware
+ */
+const authenticateSocket = (apiKeyService) => (socket, next) => {
+    if (!apiKeyService.isEnabled()) {
+        socket.data.apiKey = null;
+        return next();
+    }
+
+    const key = (socket.handshake.auth && socket.handshake.auth.apiKey) ||
+        extractApiKey(socket.handshake.headers);
+    const principal = apiKeyService.authenticate(key);
+
+    if (!principal) {
+        logger.warn(`Socket ${socket.id} rejected: invalid or missing API key`);
+        return next(new Error('Invalid or missing API key'));
+    }
+
+    socket.data.apiKey = principal;
+    next();
+};
+
+/**
+ * Check access of an authenticated socket, always true when authentication is disabled
+ * @param {ApiKeyService} apiKeyService - API key service
+ * @param {Object} socket - Socket that passed authenticateSocket
+ * @param {string|null} instanceId - Target instance
+ * @param {string} permission - 'read', 'send' or 'admin'
+ * @returns {boolean} True if allowed
+ */
+const canSocketAccess = (apiKeyService, socket, instanceId, permission) => {
+    if (!apiKeyService.isEnabled()) {
+        return true;
+    }
+    return apiKeyService.hasAccess(socket.data.apiKey, instanceId, permission);
+};
+
+module.exports = {
+    WORKER_HEADERS,
+    extractApiKey,
+    authenticate,
+    trustCoordinator,
+    canAccess,
+    authorize,
+    requireAdmin,
+    authenticateSocket,
+    canSocketAccess
+};
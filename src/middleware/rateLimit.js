@@ -0,0 +1,31 @@
+const rateLimit = require('express-rate-limit');
+const { config } = require('../config');
+
+/**
+ * Rate limit of the /api/whatsapp routes (RATE_LIMIT_WINDOW_MS / RATE_LIMIT_MAX_REQUESTS).
+ * Runs after authenticate, so each API key has its own budget; without API keys it is per client IP.
+ * @returns {Function} Express middleware, a no-op when RATE_LIMIT_MAX_REQUESTS is 0
+ */
+const createRateLimiter = () => {
+    const { windowMs, maxRequests } = config.rateLimit;
+
+    if (maxRequests === 0) {
+        return (req, res, next) => next();
+    }
+
+    return rateLimit({
+        windowMs,
+        limit: maxRequests,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        keyGenerator: (req) => req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`,
+        handler: (req, res) => {
+            res.status(429).json({
+                success: false,
+                error: 'Too many requests, please try again later'
+            });
+        }
+    });
+};
+
+module.exports = createRateLimiter;
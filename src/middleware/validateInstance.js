@@ -0,0 +1,92 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+/**
+ * Start a hibernated instance again, answering 503 when that fails
+ * @returns {Promise<boolean>} False when the response was sent
+ */
+const wakeForRequest = async (req, res) => {
+    const { instanceId } = req.params;
+    try {
+        // Resolves right away unless the instance is hibernated or waking up
+        if (await req.whatsappManager.wakeInstance(instanceId)) {
+            req.instanceStatus = req.whatsappManager.getInstanceStatus(instanceId);
+        }
+        return true;
+    } catch (error) {
+        logger.warn(`Instance ${instanceId} could not be woken up for ${req.method} ${req.originalUrl}:`, error.message);
+        res.status(503).json({
+            success: false,
+            error: `Instance ${instanceId} is hibernated and could not be woken up: ${error.message}`,
+            instanceId
+        });
+        return false;
+    }
+};
+
+/**
+ * Build the middleware that validates the instance exists
+ * @param {Object} options - { wake } start a hibernated instance again before the route runs
+ * @returns {Function} Express middleware
+ */
+const createValidateInstance = ({ wake }) => async (req, res, next) => {
+    try {
+        const { instanceId } = req.params;
+        const status = req.whatsappManager.getInstanceStatus(instanceId);
+
+        if (status.error) {
+            return res.status(404).json({
+                success: false,
+                error: 'Instance not found',
+                instanceId
+            });
+        }
+
+        req.instanceStatus = status;
+        if (wake && !await wakeForRequest(req, res)) {
+            return;
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Middleware to validate instance exists, hibernated instances are woken up first
+const validateInstance = createValidateInstance({ wake: true });
+
+// For routes that only look at or change local state, these leave a hibernated instance asleep
+validateInstance.withoutWake = createValidateInstance({ wake: false });
+
+/**
+ * Wake the instance only when the request needs its client, after validateInstance.withoutWake.
+ * Queued and scheduled sends don't, the queue and the scheduler wake it when the message is due
+ * @param {Function} needsClient - (req) => boolean, runs after the body is parsed
+ * @returns {Function} Express middleware
+ */
+validateInstance.wakeWhen = (needsClient) => async (req, res, next) => {
+    try {
+        if (!needsClient(req) || await wakeForRequest(req, res)) {
+            return next();
+        }
+        // Nothing will send an upload of a failed request
+        if (req.file) {
+            fs.unlink(req.file.path, () => {});
+        }
+    } catch (error) {
+        next(error);
+    }
+};
+
+// After validateInstance, for routes that talk to the WhatsApp Web client
+validateInstance.requireReady = (req, res, next) => {
+    if (req.instanceStatus.status !== 'ready') {
+        return res.status(400).json({
+            success: false,
+            error: `Instance is not ready. Current status: ${req.instanceStatus.status}`
+        });
+    }
+    next();
+};
+
+module.exports = validateInstance;
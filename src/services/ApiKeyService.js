@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+
+// Key scopes: admin can do everything, the others are limited to their instanceIds
+const KEY_SCOPES = ['admin', 'send', 'read'];
+
+// Permission levels, a scope grants its own level and everything below it
+const PERMISSION_LEVELS = {
+    read: 1,
+    send: 2,
+    admin: 3
+};
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class ApiKeyService {
+    constructor(options = {}) {
+        this.store = new JsonStore(options.file || 'api-keys.json', { keys: [] });
+        this.keys = new Map(); // keyId -> key record
+        this.keysByHash = new Map(); // hash -> key record
+
+        // Root key from the environment, used to bootstrap the other keys
+        const adminKey = options.adminKey !== undefined ? options.adminKey : process.env.ADMIN_API_KEY;
+        this.adminKeyHash = adminKey ? hashKey(adminKey) : null;
+
+        this.load();
+    }
+
+    /**
+     * Authentication is enforced as soon as a root admin key is configured
+     * @returns {boolean} True if requests must carry an API key
+     */
+    isEnabled() {
+        return !!this.adminKeyHash;
+    }
+
+    load() {
+        const { keys } = this.store.read();
+        for (const key of keys) {
+            this.keys.set(key.id, key);
+            this.keysByHash.set(key.hash, key);
+        }
+
+        if (!this.isEnabled()) {
+            console.log('⚠️ ADMIN_API_KEY tanımlı değil - API anahtarı doğrulaması devre dışı!');
+            logger.warn('ADMIN_API_KEY is not set, API key authentication is disabled');
+        } else {
+            logger.info(`API key authentication enabled (${this.keys.size} stored keys)`);
+        }
+    }
+
+    save() {
+        this.store.write({ keys: Array.from(this.keys.values()) });
+    }
+
+    /**
+     * Strip the hash from a key record for API responses
+     * @param {Object} key - Stored key record
+     * @returns {Object} Public key data
+     */
+    toPublic(key) {
+        const { hash, ...rest } = key;
+        return rest;
+    }
+
+    /**
+     * Create a new API key
+     * @param {Object} data - { name, scope, instanceIds }
+     * @returns {Object} Public key data plus the plaintext key (only returned here)
+     */
+    createKey(data) {
+        const plaintext = `wak_${crypto.randomBytes(24).toString('hex')}`;
+
+        const key = {
+            id: uuidv4(),
+            name: data.name,
+            prefix: plaintext.substring(0, 12),
+            hash: hashKey(plaintext),
+            scope: data.scope,
+            instanceIds: data.scope === 'admin' ? [] : (data.instanceIds || []),
+            createdAt: new Date(),
+            lastUsedAt: null
+        };
+
+        this.keys.set(key.id, key);
+        this.keysByHash.set(key.hash, key);
+        this.save();
+
+        console.log(`🔑 API anahtarı oluşturuldu: ${key.name} (${key.scope})`);
+        logger.info(`API key ${key.id} created with scope ${key.scope}`);
+
+        return {
+            ...this.toPublic(key),
+            key: plaintext
+        };
+    }
+
+    /**
+     * List all keys
+     * @returns {Array} Public key data
+     */
+    listKeys() {
+        return Array.from(this.keys.values()).map(key => this.toPublic(key));
+    }
+
+    /**
+     * Get a key by id
+     * @param {string} keyId - Key identifier
+     * @returns {Object|null} Public key data or null if not found
+     */
+    getKey(keyId) {
+        const key = this.keys.get(keyId);
+        return key ? this.toPublic(key) : null;
+    }
+
+    /**
+     * Update name, scope or instance list of a key
+     * @param {string} keyId - Key identifier
+     * @param {Object} changes - { name, scope, instanceIds }
+     * @returns {Object|null} Updated key or null if not found
+     */
+    updateKey(keyId, changes) {
+        const key = this.keys.get(keyId);
+        if (!key) {
+            return null;
+        }
+
+        if (changes.name !== undefined) key.name = changes.name;
+        if (changes.scope !== undefined) key.scope = changes.scope;
+        if (changes.instanceIds !== undefined) key.instanceIds = changes.instanceIds;
+        if (key.scope === 'admin') key.instanceIds = [];
+
+        this.save();
+        logger.info(`API key ${keyId} updated`);
+
+        return this.toPublic(key);
+    }
+
+    /**
+     * Revoke and delete a key
+     * @param {string} keyId - Key identifier
+     * @returns {boolean} True if deleted
+     */
+    deleteKey(keyId) {
+        const key = this.keys.get(keyId);
+        if (!key) {
+            return false;
+        }
+
+        this.keys.delete(keyId);
+        this.keysByHash.delete(key.hash);
+        this.save();
+
+        console.log(`🔑 API anahtarı silindi: ${key.name}`);
+        logger.info(`API key ${keyId} deleted`);
+        return true;
+    }
+
+    /**
+     * Resolve a plaintext key to its principal
+     * @param {string} plaintext - Key sent by the client
+     * @returns {Object|null} Principal { id, name, scope, instanceIds } or null if invalid
+     */
+    authenticate(plaintext) {
+        if (!plaintext || typeof plaintext !== 'string') {
+            return null;
+        }
+
+        const hash = hashKey(plaintext);
+
+        if (this.adminKeyHash &&
+            crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(this.adminKeyHash, 'hex'))) {
+            return { id: 'root', name: 'root', scope: 'admin', instanceIds: [] };
+        }
+
+        const key = this.keysByHash.get(hash);
+        if (!key) {
+            return null;
+        }
+
+        key.lastUsedAt = new Date();
+        this.store.scheduleWrite(() => ({ keys: Array.from(this.keys.values()) }), 5000);
+
+        return {
+            id: key.id,
+            name: key.name,
+            scope: key.scope,
+            instanceIds: key.instanceIds
+        };
+    }
+
+    /**
+     * Check whether a principal may perform an action on an instance
+     * @param {Object} principal - Result of authenticate()
+     * @param {string|null} instanceId - Target instance (null for global actions)
+     * @param {string} permission - 'read', 'send' or 'admin'
+     * @returns {boolean} True if allowed
+     */
+    hasAccess(principal, instanceId, permission) {
+        if (!principal) {
+            return false;
+        }
+
+        if (principal.scope === 'admin') {
+            return true;
+        }
+
+        if (PERMISSION_LEVELS[principal.scope] < PERMISSION_LEVELS[permission]) {
+            return false;
+        }
+
+        return !!instanceId && principal.instanceIds.includes(instanceId);
+    }
+}
+
+ApiKeyService.KEY_SCOPES = KEY_SCOPES;
+
+module.exports = ApiKeyService;
@@ -0,0 +1,512 @@
+const fetch = require('node-fetch');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Local day of week and minutes since midnight in a timezone
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA timezone, the process timezone when empty
+ * @returns {{ day: number, minutes: number }}
+ */
+const localTime = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || undefined,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const part = (type) => parts.find(item => item.type === type).value;
+    return {
+        day: WEEKDAYS[part('weekday')],
+        minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+    };
+};
+
+const toMinutes = (value) => {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Check a { from, to, days } window, "to" before "from" spans midnight
+ * @param {Object} window - { from: 'HH:mm', to: 'HH:mm', days: [0-6] }
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} now - Point in time
+ * @returns {boolean} True if now is inside the window
+ */
+const isWithinHours = (window, timeZone, now = new Date()) => {
+    const { day, minutes } = localTime(now, timeZone);
+    const from = toMinutes(window.from);
+    const to = toMinutes(window.to);
+
+    if (from <= to) {
+        return (!window.days || window.days.includes(day)) && minutes >= from && minutes < to;
+    }
+
+    // Overnight window, the part after midnight belongs to the previous day
+    if (minutes >= from) {
+        return !window.days || window.days.includes(day);
+    }
+    return minutes < to && (!window.days || window.days.includes((day + 6) % 7));
+};
+
+const sameSender = (senderId, value) => senderId === value ||
+    senderId.split('@')[0] === value.replace(/\D/g, '');
+
+class AutoResponderService {
+    /**
+     * @param {Object} handlers - { sendMessage(instanceId, to, text, options), sendMedia(instanceId, to, source, caption),
+     *                             forwardMessage(instanceId, messageId, to), emit(instanceId, event, payload) }
+     * @param {Object} options - Defaults, validated by the config (config.autoResponder)
+     */
+    constructor(handlers, options = {}) {
+        this.handlers = handlers;
+
+        this.timezone = options.timezone || null;
+        this.webhookTimeout = options.webhookTimeout || 10000;
+
+        this.store = new JsonStore(options.file || 'auto-responder.json', { rules: [], settings: {} });
+        this.rules = new Map(); // ruleId -> rule
+        this.settings = new Map(); // instanceId -> settings
+        this.patterns = new Map(); // ruleId -> compiled RegExp
+        this.cooldowns = new Map(); // `${ruleId}:${chatId}` -> last reply time
+
+        this.load();
+    }
+
+    /**
+     * Load rules and settings from disk
+     */
+    load() {
+        const { rules, settings } = this.store.read();
+
+        this.rules.clear();
+        this.patterns.clear();
+        for (const rule of rules) {
+            this.rules.set(rule.id, rule);
+            this.compile(rule);
+        }
+
+        this.settings.clear();
+        for (const [instanceId, value] of Object.entries(settings || {})) {
+            this.settings.set(instanceId, value);
+        }
+
+        if (this.rules.size > 0) {
+            logger.info(`Loaded ${this.rules.size} auto-responder rules`);
+        }
+    }
+
+    /**
+     * Re-read rules after the file was edited by hand, running instances pick them up immediately
+     * @returns {number} Number of loaded rules
+     */
+    reload() {
+        this.load();
+        console.log(`🤖 Otomatik yanıt kuralları yeniden yüklendi (${this.rules.size} kural)`);
+        return this.rules.size;
+    }
+
+    snapshot() {
+        return {
+            rules: Array.from(this.rules.values()),
+            settings: Object.fromEntries(this.settings)
+        };
+    }
+
+    save() {
+        this.store.write(this.snapshot());
+    }
+
+    compile(rule) {
+        this.patterns.delete(rule.id);
+        if (!rule.match.regex) {
+            return;
+        }
+
+        try {
+            this.patterns.set(rule.id, new RegExp(rule.match.regex, rule.match.regexFlags || 'i'));
+        } catch (error) {
+            // Only possible with a hand-edited file, the API validates patterns
+            logger.error(`Invalid regex in auto-responder rule ${rule.id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the auto-responder settings of an instance
+     * @param {string} instanceId - Instance identifier
+     * @returns {Object} { enabled, timezone, away }
+     */
+    getSettings(instanceId) {
+        return {
+            enabled: true,
+            timezone: this.timezone,
+            away: null,
+            ...this.settings.get(instanceId)
+        };
+    }
+
+    /**
+     * Update the auto-responder settings of an instance
+     * @param {string} instanceId - Instance identifier
+     * @param {Object} changes - { enabled, timezone, away: { enabled, message, from, to, days, cooldownSeconds } | null }
+     * @returns {Object} Updated settings
+     */
+    updateSettings(instanceId, changes) {
+        const settings = { ...this.settings.get(instanceId) };
+        for (const key of ['enabled', 'timezone', 'away']) {
+            if (changes[key] !== undefined) {
+                settings[key] = changes[key];
+            }
+        }
+        settings.updatedAt = new Date();
+
+        this.settings.set(instanceId, settings);
+        this.save();
+
+        logger.info(`Auto-responder settings updated for instance ${instanceId}`);
+        return this.getSettings(instanceId);
+    }
+
+    /**
+     * Create a rule
+     * @param {string} instanceId - Instance identifier
+     * @param {Object} data - { name, enabled, priority, match, action, cooldownSeconds }
+     * @returns {Object} Created rule
+     */
+    createRule(instanceId, data) {
+        const rule = {
+            id: uuidv4(),
+            instanceId,
+            name: data.name || null,
+            enabled: data.enabled !== false,
+            priority: data.priority || 0,
+            match: data.match || {},
+            action: data.action,
+            cooldownSeconds: data.cooldownSeconds !== undefined ? data.cooldownSeconds : 60,
+            triggerCount: 0,
+            lastTriggeredAt: null,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        this.rules.set(rule.id, rule);
+        this.compile(rule);
+        this.save();
+
+        console.log(`🤖 Instance ${instanceId} için otomatik yanıt kuralı eklendi: ${rule.name || rule.id}`);
+        logger.info(`Auto-responder rule ${rule.id} created for instance ${instanceId}`);
+
+        return rule;
+    }
+
+    /**
+     * List rules of an instance in evaluation order
+     * @param {string} instanceId - Instance identifier
+     * @returns {Array} Rules
+     */
+    listRules(instanceId) {
+        return Array.from(this.rules.values())
+            .filter(rule => rule.instanceId === instanceId)
+            // Higher priority first, older rules first on ties
+            .sort((a, b) => b.priority - a.priority || new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    /**
+     * Get a rule of an instance
+     * @param {string} instanceId - Instance identifier
+     * @param {string} ruleId - Rule identifier
+     * @returns {Object|null} Rule or null if not found
+     */
+    getRule(instanceId, ruleId) {
+        const rule = this.rules.get(ruleId);
+        if (!rule || rule.instanceId !== instanceId) {
+            return null;
+        }
+        return rule;
+    }
+
+    /**
+     * Update a rule
+     * @param {string} instanceId - Instance identifier
+     * @param {string} ruleId - Rule identifier
+     * @param {Object} changes - Fields to change
+     * @returns {Object|null} Updated rule or null if not found
+     */
+    updateRule(instanceId, ruleId, changes) {
+        const rule = this.getRule(instanceId, ruleId);
+        if (!rule) {
+            return null;
+        }
+
+        for (const key of ['name', 'enabled', 'priority', 'match', 'action', 'cooldownSeconds']) {
+            if (changes[key] !== undefined) {
+                rule[key] = changes[key];
+            }
+        }
+        rule.updatedAt = new Date();
+
+        this.compile(rule);
+        this.save();
+        logger.info(`Auto-responder rule ${ruleId} updated for instance ${instanceId}`);
+
+        return rule;
+    }
+
+    /**
+     * Delete a rule
+     * @param {string} instanceId - Instance identifier
+     * @param {string} ruleId - Rule identifier
+     * @returns {boolean} True if deleted
+     */
+    deleteRule(instanceId, ruleId) {
+        if (!this.getRule(instanceId, ruleId)) {
+            return false;
+        }
+
+        this.rules.delete(ruleId);
+        this.patterns.delete(ruleId);
+        this.save();
+
+        logger.info(`Auto-responder rule ${ruleId} deleted for instance ${instanceId}`);
+        return true;
+    }
+
+    /**
+     * Remove all rules and settings of an instance
+     * @param {string} instanceId - Instance identifier
+     */
+    removeInstance(instanceId) {
+        for (const [id, rule] of this.rules) {
+            if (rule.instanceId === instanceId) {
+                this.rules.delete(id);
+                this.patterns.delete(id);
+            }
+        }
+        this.settings.delete(instanceId);
+        this.save();
+    }
+
+    /**
+     * Check the match conditions of a rule, every given condition must hold
+     * @param {Object} rule - Rule
+     * @param {Object} context - Incoming message context
+     * @param {string} timeZone - Instance timezone
+     * @returns {boolean} True if the rule matches
+     */
+    matches(rule, context, timeZone) {
+        const { match } = rule;
+        const body = context.body.toLowerCase();
+
+        if (match.chatType && match.chatType !== 'any' &&
+            (match.chatType === 'group') !== context.isGroup) {
+            return false;
+        }
+
+        if (match.senders && match.senders.length > 0 &&
+            !match.senders.some(sender => sameSender(context.senderId, sender))) {
+            return false;
+        }
+
+        if (match.keywords && match.keywords.length > 0) {
+            const mode = match.keywordMode || 'contains';
+            const found = match.keywords.some(keyword => {
+                const value = keyword.toLowerCase();
+                if (mode === 'exact') return body.trim() === value;
+                if (mode === 'startsWith') return body.trimStart().startsWith(value);
+                return body.includes(value);
+            });
+            if (!found) {
+                return false;
+            }
+        }
+
+        if (match.regex) {
+            const pattern = this.patterns.get(rule.id);
+            if (!pattern || !pattern.test(context.body)) {
+                return false;
+            }
+        }
+
+        if (match.hours && !isWithinHours(match.hours, match.hours.timezone || timeZone)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Whether a key is still cooling down, starting a new cooldown otherwise
+     * @param {string} key - Cooldown key
+     * @param {number} seconds - Cooldown length
+     * @returns {boolean} True if the reply must be skipped
+     */
+    coolingDown(key, seconds) {
+        const last = this.cooldowns.get(key);
+        if (last && Date.now() - last < seconds * 1000) {
+            return true;
+        }
+        this.cooldowns.set(key, Date.now());
+        return false;
+    }
+
+    /**
+     * Run the rules of an instance against an incoming message
+     * @param {string} instanceId - Instance identifier
+     * @param {Message} message - whatsapp-web.js message
+     * @returns {Promise<Object|null>} Triggered rule result or null
+     */
+    async handleMessage(instanceId, message) {
+        // Never answer our own messages or status updates, that is how reply loops start
+        if (message.fromMe || message.isStatus || message.from === 'status@broadcast') {
+            return null;
+        }
+
+        const settings = this.getSettings(instanceId);
+        if (!settings.enabled) {
+            return null;
+        }
+
+        const context = {
+            messageId: message.id._serialized,
+            chatId: message.from,
+            isGroup: message.from.endsWith('@g.us'),
+            senderId: message.author || message.from,
+            body: message.body || '',
+            type: message.type,
+            timestamp: message.timestamp
+        };
+
+        const rule = this.listRules(instanceId).find(item => item.enabled && this.matches(item, context, settings.timezone));
+        if (rule) {
+            if (this.coolingDown(`${rule.id}:${context.chatId}`, rule.cooldownSeconds)) {
+                return null;
+            }
+            return this.execute(instanceId, rule, context);
+        }
+
+        // Away message for private chats outside business hours
+        const { away } = settings;
+        if (away && away.enabled && !context.isGroup &&
+            !isWithinHours(away, away.timezone || settings.timezone)) {
+            if (this.coolingDown(`away:${instanceId}:${context.chatId}`, away.cooldownSeconds || 3600)) {
+                return null;
+            }
+            return this.execute(instanceId, {
+                id: 'away',
+                name: 'Away message',
+                action: { type: 'reply', text: away.message }
+            }, context);
+        }
+
+        return null;
+    }
+
+    /**
+     * Run the action of a triggered rule
+     * @param {string} instanceId - Instance identifier
+     * @param {Object} rule - Triggered rule
+     * @param {Object} context - Incoming message context
+     * @returns {Promise<Object>} { ruleId, action, success, error? }
+     */
+    async execute(instanceId, rule, context) {
+        const { action } = rule;
+        const options = action.quote ? { quotedMessageId: context.messageId } : {};
+        const result = {
+            ruleId: rule.id,
+            action: action.type,
+            messageId: context.messageId,
+            chatId: context.chatId,
+            success: true
+        };
+
+        try {
+            if (action.type === 'reply') {
+                await this.handlers.sendMessage(instanceId, context.chatId, action.text, options);
+            } else if (action.type === 'media') {
+                await this.handlers.sendMedia(instanceId, context.chatId, action.media, action.caption || '');
+            } else if (action.type === 'forward') {
+                await this.handlers.forwardMessage(instanceId, context.messageId, action.to);
+            } else if (action.type === 'webhook') {
+                const text = await this.callWebhook(instanceId, rule, context);
+                if (text) {
+                    await this.handlers.sendMessage(instanceId, context.chatId, text, options);
+                }
+                result.replied = !!text;
+            } else {
+                throw new Error(`Unsupported auto-responder action: ${action.type}`);
+            }
+
+            console.log(`🤖 Instance ${instanceId} - otomatik yanıt (${rule.name || rule.id}): ${context.chatId}`);
+            logger.info(`Auto-responder rule ${rule.id} (${action.type}) triggered for instance ${instanceId} in ${context.chatId}`);
+        } catch (error) {
+            result.success = false;
+            result.error = error.message;
+            logger.error(`Auto-responder rule ${rule.id} failed for instance ${instanceId}:`, error);
+        }
+
+        const stored = this.rules.get(rule.id);
+        if (stored) {
+            stored.triggerCount = (stored.triggerCount || 0) + 1;
+            stored.lastTriggeredAt = new Date();
+            // Counters change on every trigger, don't rewrite the file each time
+            this.store.scheduleWrite(() => this.snapshot());
+        }
+
+        this.handlers.emit(instanceId, 'auto_reply', {
+            instanceId,
+            ...result,
+            timestamp: new Date()
+        });
+
+        return result;
+    }
+
+    /**
+     * Post the message to the rule webhook and take the reply from its response.
+     * JSON responses use { reply } (or { text }), other responses are sent as plain text.
+     * @param {string} instanceId - Instance identifier
+     * @param {Object} rule - Triggered rule
+     * @param {Object} context - Incoming message context
+     * @returns {Promise<string|null>} Reply text, null for no reply
+     */
+    async callWebhook(instanceId, rule, context) {
+        const response = await fetch(rule.action.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'whatsapp-multi-api-auto-responder',
+                ...(rule.action.headers || {})
+            },
+            body: JSON.stringify({
+                instanceId,
+                ruleId: rule.id,
+                message: context
+            }),
+            timeout: this.webhookTimeout
+        });
+
+        if (!response.ok) {
+            throw new Error(`Auto-responder webhook responded with HTTP ${response.status}`);
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType.includes('application/json')) {
+            const data = await response.json();
+            const reply = data && (data.reply || data.text);
+            return typeof reply === 'string' && reply.trim() ? reply : null;
+        }
+
+        const text = (await response.text()).trim();
+        return text || null;
+    }
+}
+
+AutoResponderService.isWithinHours = isWithinHours;
+
+module.exports = AutoResponderService;
@@ -0,0 +1,400 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+
+// Placeholders look like {{name}} or {{ name }}
+const TEMPLATE_VARIABLE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Fill a message template with recipient variables
+ * @param {string} template - Message template
+ * @param {Object} variables - Values by placeholder name
+ * @returns {{ text: string, missing: Array }} Rendered text and unknown placeholders
+ */
+const renderTemplate = (template, variables = {}) => {
+    const missing = [];
+    const text = template.replace(TEMPLATE_VARIABLE, (match, name) => {
+        if (variables[name] === undefined || variables[name] === null) {
+            missing.push(name);
+            return match;
+        }
+        return String(variables[name]);
+    });
+    return { text, missing };
+};
+
+class BroadcastService {
+    /**
+     * @param {Object} handlers - { checkNumber(instanceId, number), sendMessage(instanceId, to, text), getStatus(instanceId), emit(instanceId, event, payload) }
+     * @param {Object} options - Pacing defaults, validated by the config (config.broadcast)
+     */
+    constructor(handlers, options = {}) {
+        this.handlers = handlers;
+
+        this.defaultDelay = options.delay !== undefined ? options.delay : 5000;
+        this.defaultJitter = options.jitter !== undefined ? options.jitter : 3000;
+        this.holdPollInterval = options.holdPollInterval || 5000;
+
+        this.store = new JsonStore(options.file || 'broadcasts.json', { broadcasts: [] });
+        this.broadcasts = new Map(); // broadcastId -> broadcast
+        this.timers = new Map(); // broadcastId -> timeout
+        this.active = new Set(); // broadcastIds with a send in flight
+
+        this.load();
+    }
+
+    /**
+     * Load broadcasts and continue the ones that were running
+     */
+    load() {
+        const { broadcasts } = this.store.read();
+        for (const broadcast of broadcasts) {
+            this.broadcasts.set(broadcast.id, broadcast);
+            if (broadcast.status === 'running') {
+                logger.info(`Resuming broadcast ${broadcast.id} for instance ${broadcast.instanceId}`);
+                this.schedule(broadcast, this.holdPollInterval);
+            }
+        }
+    }
+
+    save() {
+        this.store.scheduleWrite(() => ({ broadcasts: Array.from(this.broadcasts.values()) }));
+    }
+
+    /**
+     * Broadcast without per-recipient results, for listings
+     * @param {Object} broadcast - Broadcast
+     * @returns {Object} Summary
+     */
+    toSummary(broadcast) {
+        const { recipients, ...rest } = broadcast;
+        return rest;
+    }
+
+    /**
+     * Recount recipient results
+     * @param {Object} broadcast - Broadcast
+     */
+    updateProgress(broadcast) {
+        const progress = { total: broadcast.recipients.length, processed: 0, sent: 0, failed: 0, invalid: 0, pending: 0 };
+        for (const recipient of broadcast.recipients) {
+            if (recipient.status === 'pending') {
+                progress.pending++;
+            } else {
+                progress.processed++;
+                progress[recipient.status]++;
+            }
+        }
+        broadcast.progress = progress;
+    }
+
+    /**
+     * Get the running broadcast of an instance
+     * @param {string} instanceId - Instance identifier
+     * @returns {Object|null} Running broadcast
+     */
+    getRunning(instanceId) {
+        for (const broadcast of this.broadcasts.values()) {
+            if (broadcast.instanceId === instanceId && broadcast.status === 'running') {
+                return broadcast;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Create and start a broadcast
+     * @param {string} instanceId - Instance identifier
+     * @param {Object} data - { template, recipients: [{ to, variables }], delayMs, jitterMs, validateNumbers }
+     * @returns {Object} Broadcast summary
+     * @throws {Error} If the instance already has a running broadcast
+     */
+    createBroadcast(instanceId, data) {
+        const running = this.getRunning(instanceId);
+        if (running) {
+            throw new Error(`Instance ${instanceId} already has a running broadcast (${running.id})`);
+        }
+
+        const broadcast = {
+            id: uuidv4(),
+            instanceId,
+            template: data.template,
+            options: {
+                delayMs: data.delayMs || this.defaultDelay,
+                jitterMs: data.jitterMs !== undefined ? data.jitterMs : this.defaultJitter,
+                validateNumbers: data.validateNumbers !== false
+            },
+            status: 'running',
+            recipients: data.recipients.map(recipient => ({
+                to: recipient.to,
+                variables: recipient.variables || {},
+                status: 'pending',
+                chatId: null,
+                messageId: null,
+                error: null,
+                processedAt: null
+            })),
+            progress: null,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            completedAt: null
+        };
+        this.updateProgress(broadcast);
+
+        this.broadcasts.set(broadcast.id, broadcast);
+        this.save();
+
+        console.log(`📢 Instance ${instanceId} toplu gönderim başlatıldı: ${broadcast.recipients.length} alıcı`);
+        logger.info(`Broadcast ${broadcast.id} created for instance ${instanceId} with ${broadcast.recipients.length} recipients`);
+
+        this.emitStatus(broadcast);
+        this.schedule(broadcast, 0);
+
+        return this.toSummary(broadcast);
+    }
+
+    /**
+     * List broadcasts of an instance (newest first)
+     * @param {string} instanceId - Instance identifier
+     * @returns {Array} Broadcast summaries
+     */
+    listBroadcasts(instanceId) {
+        return Array.from(this.broadcasts.values())
+            .filter(broadcast => broadcast.instanceId === instanceId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(broadcast => this.toSummary(broadcast));
+    }
+
+    /**
+     * Get a broadcast with per-recipient results
+     * @param {string} instanceId - Instance identifier
+     * @param {string} broadcastId - Broadcast identifier
+     * @returns {Object|null} Broadcast or null if not found
+     */
+    getBroadcast(instanceId, broadcastId) {
+        const broadcast = this.broadcasts.get(broadcastId);
+        if (!broadcast || broadcast.instanceId !== instanceId) {
+            return null;
+        }
+        return broadcast;
+    }
+
+    /**
+     * Pause a running broadcast
+     * @param {string} instanceId - Instance identifier
+     * @param {string} broadcastId - Broadcast identifier
+     * @returns {Object|null} Broadcast summary or null if not found
+     * @throws {Error} If the broadcast is not running
+     */
+    pauseBroadcast(instanceId, broadcastId) {
+        const broadcast = this.getBroadcast(instanceId, broadcastId);
+        if (!broadcast) {
+            return null;
+        }
+
+        if (broadcast.status !== 'running') {
+            throw new Error(`Broadcast ${broadcastId} cannot be paused. Current status: ${broadcast.status}`);
+        }
+
+        this.clearTimer(broadcast.id);
+        this.setStatus(broadcast, 'paused');
+        return this.toSummary(broadcast);
+    }
+
+    /**
+     * Resume a paused broadcast
+     * @param {string} instanceId - Instance identifier
+     * @param {string} broadcastId - Broadcast identifier
+     * @returns {Object|null} Broadcast summary or null if not found
+     * @throws {Error} If the broadcast is not paused or another broadcast is running
+     */
+    resumeBroadcast(instanceId, broadcastId) {
+        const broadcast = this.getBroadcast(instanceId, broadcastId);
+        if (!broadcast) {
+            return null;
+        }
+
+        if (broadcast.status !== 'paused') {
+            throw new Error(`Broadcast ${broadcastId} cannot be resumed. Current status: ${broadcast.status}`);
+        }
+
+        const running = this.getRunning(instanceId);
+        if (running) {
+            throw new Error(`Instance ${instanceId} already has a running broadcast (${running.id})`);
+        }
+
+        this.setStatus(broadcast, 'running');
+        this.schedule(broadcast, 0);
+        return this.toSummary(broadcast);
+    }
+
+    /**
+     * Cancel a running or paused broadcast, remaining recipients are skipped
+     * @param {string} instanceId - Instance identifier
+     * @param {string} broadcastId - Broadcast identifier
+     * @returns {Object|null} Broadcast summary or null if not found
+     * @throws {Error} If the broadcast is already finished
+     */
+    cancelBroadcast(instanceId, broadcastId) {
+        const broadcast = this.getBroadcast(instanceId, broadcastId);
+        if (!broadcast) {
+            return null;
+        }
+
+        if (broadcast.status !== 'running' && broadcast.status !== 'paused') {
+            throw new Error(`Broadcast ${broadcastId} cannot be cancelled. Current status: ${broadcast.status}`);
+        }
+
+        this.clearTimer(broadcast.id);
+        broadcast.completedAt = new Date();
+        this.setStatus(broadcast, 'cancelled');
+        return this.toSummary(broadcast);
+    }
+
+    /**
+     * Drop all broadcasts of an instance
+     * @param {string} instanceId - Instance identifier
+     */
+    removeInstance(instanceId) {
+        for (const [id, broadcast] of this.broadcasts) {
+            if (broadcast.instanceId === instanceId) {
+                this.clearTimer(id);
+                this.broadcasts.delete(id);
+            }
+        }
+        this.save();
+    }
+
+    setStatus(broadcast, status) {
+        broadcast.status = status;
+        broadcast.updatedAt = new Date();
+        this.save();
+
+        logger.info(`Broadcast ${broadcast.id} for instance ${broadcast.instanceId} is now ${status}`);
+        this.emitStatus(broadcast);
+    }
+
+    emitStatus(broadcast) {
+        this.handlers.emit(broadcast.instanceId, 'broadcast_status', {
+            instanceId: broadcast.instanceId,
+            broadcastId: broadcast.id,
+            status: broadcast.status,
+            progress: broadcast.progress,
+            timestamp: new Date()
+        });
+    }
+
+    clearTimer(broadcastId) {
+        const timer = this.timers.get(broadcastId);
+        if (timer) {
+            clearTimeout(timer);
+            this.timers.delete(broadcastId);
+        }
+    }
+
+    schedule(broadcast, delay) {
+        this.clearTimer(broadcast.id);
+        const timer = setTimeout(() => {
+            this.timers.delete(broadcast.id);
+            this.processNext(broadcast).catch(error => {
+                logger.error(`Broadcast ${broadcast.id} worker error:`, error);
+            });
+        }, delay);
+        this.timers.set(broadcast.id, timer);
+    }
+
+    /**
+     * Send to the next pending recipient and schedule the one after it
+     * @param {Object} broadcast - Broadcast
+     */
+    async processNext(broadcast) {
+        if (broadcast.status !== 'running' || this.active.has(broadcast.id)) {
+            return;
+        }
+
+        const recipient = broadcast.recipients.find(item => item.status === 'pending');
+        if (!recipient) {
+            broadcast.completedAt = new Date();
+            this.setStatus(broadcast, 'completed');
+            console.log(`✅ Toplu gönderim tamamlandı: ${broadcast.progress.sent}/${broadcast.progress.total} gönderildi`);
+            return;
+        }
+
+        // Wait for the instance instead of burning through the list with errors
+        if (this.handlers.getStatus(broadcast.instanceId) !== 'ready') {
+            this.schedule(broadcast, this.holdPollInterval);
+            return;
+        }
+
+        const { text, missing } = renderTemplate(broadcast.template, recipient.variables);
+        this.active.add(broadcast.id);
+
+        try {
+            if (missing.length > 0) {
+                recipient.status = 'failed';
+                recipient.error = `Missing template variables: ${missing.join(', ')}`;
+            } else {
+                let chatId = recipient.to;
+                if (broadcast.options.validateNumbers && !recipient.to.includes('@')) {
+                    const check = await this.handlers.checkNumber(broadcast.instanceId, recipient.to);
+                    chatId = check.exists ? check.numberId : null;
+                }
+
+                if (!chatId) {
+                    recipient.status = 'invalid';
+                    recipient.error = 'Number is not registered on WhatsApp';
+                } else {
+                    const result = await this.handlers.sendMessage(broadcast.instanceId, chatId, text);
+                    recipient.status = 'sent';
+                    recipient.chatId = chatId;
+                    recipient.messageId = result.messageId;
+                }
+            }
+        } catch (error) {
+            recipient.status = 'failed';
+            recipient.error = error.message;
+            logger.warn(`Broadcast ${broadcast.id} failed for ${recipient.to}:`, error.message);
+        } finally {
+            this.active.delete(broadcast.id);
+        }
+
+        recipient.processedAt = new Date();
+        broadcast.updatedAt = new Date();
+        this.updateProgress(broadcast);
+        this.save();
+
+        this.handlers.emit(broadcast.instanceId, 'broadcast_progress', {
+            instanceId: broadcast.instanceId,
+            broadcastId: broadcast.id,
+            recipient: {
+                to: recipient.to,
+                status: recipient.status,
+                messageId: recipient.messageId,
+                error: recipient.error
+            },
+            progress: broadcast.progress,
+            timestamp: new Date()
+        });
+
+        // Template errors never reached WhatsApp, no need to wait before the next one
+        const delay = missing.length === 0
+            ? broadcast.options.delayMs + Math.round(Math.random() * broadcast.options.jitterMs)
+            : 0;
+        this.schedule(broadcast, delay);
+    }
+
+    /**
+     * Stop all timers, running broadcasts continue on the next start
+     */
+    stop() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        this.store.write({ broadcasts: Array.from(this.broadcasts.values()) });
+    }
+}
+
+BroadcastService.renderTemplate = renderTemplate;
+
+module.exports = BroadcastService;
@@ -0,0 +1,101 @@
+// Instances that wait for a person (QR scan, pairing code) or hibernate on purpose say nothing about the server
+const DEFAULT_IGNORED_STATUSES = ['qr_ready', 'qr_required', 'pairing_code_ready', 'hibernated'];
+
+class HealthService {
+    /**
+     * @param {Object} handlers - { getInstances() }
+     * @param {Object} options - Rules, validated by the config (config.health)
+     */
+    constructor(handlers, options = {}) {
+        this.handlers = handlers;
+        this.rules = {
+            // Unhealthy when at least this share of the counted instances is not ready, 100 = all of them
+            maxNotReadyPercent: options.maxNotReadyPercent !== undefined ? options.maxNotReadyPercent : 100,
+            minReadyInstances: options.minReadyInstances !== undefined ? options.minReadyInstances : 0,
+            ignoredStatuses: options.ignoredStatuses || DEFAULT_IGNORED_STATUSES
+        };
+        this.shuttingDown = false;
+    }
+
+    /**
+     * Readiness fails from now on so the load balancer drains us before instances are closed
+     */
+    markShuttingDown() {
+        this.shuttingDown = true;
+    }
+
+    /**
+     * Liveness: the process and its event loop respond. WhatsApp instances are not looked at,
+     * restarting the container does not bring a failed session back.
+     * @returns {Object} Liveness result
+     */
+    liveness() {
+        return {
+            status: true,
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime()
+        };
+    }
+
+    /**
+     * Readiness: evaluate the rules against the current instance statuses
+     * @returns {Object} { status, shuttingDown, instances, checks }
+     */
+    readiness() {
+        const byStatus = {};
+        let total = 0;
+        let ready = 0;
+        let ignored = 0;
+
+        for (const instance of this.handlers.getInstances().values()) {
+            byStatus[instance.status] = (byStatus[instance.status] || 0) + 1;
+            total++;
+
+            if (instance.status === 'ready') {
+                ready++;
+            } else if (this.rules.ignoredStatuses.includes(instance.status)) {
+                ignored++;
+            }
+        }
+
+        const counted = total - ignored;
+        const notReady = counted - ready;
+        const notReadyPercent = counted > 0 ? Math.round((notReady / counted) * 10000) / 100 : 0;
+
+        const checks = [
+            {
+                rule: 'maxNotReadyPercent',
+                threshold: this.rules.maxNotReadyPercent,
+                value: notReadyPercent,
+                healthy: counted === 0 || notReadyPercent < this.rules.maxNotReadyPercent
+            },
+            {
+                rule: 'minReadyInstances',
+                threshold: this.rules.minReadyInstances,
+                value: ready,
+                healthy: ready >= this.rules.minReadyInstances
+            }
+        ];
+
+        return {
+            status: !this.shuttingDown && checks.every(check => check.healthy),
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            shuttingDown: this.shuttingDown,
+            instances: {
+                total,
+                ready,
+                notReady,
+                ignored,
+                byStatus
+            },
+            checks
+        };
+    }
+
+    getRules() {
+        return { ...this.rules };
+    }
+}
+
+module.exports = HealthService;
@@ -0,0 +1,56 @@
+const JsonStore = require('../utils/jsonStore');
+
+/**
+ * Settings given to an instance at creation time (config overrides, ...).
+ * The session store only keeps the WhatsApp login, these survive restarts
+ * here so recovered and reinitialized instances start the same way.
+ */
+class InstanceRegistry {
+    constructor(options = {}) {
+        this.store = new JsonStore(options.file || 'instances.json', { instances: {} });
+        this.records = new Map(Object.entries(this.store.read().instances || {}));
+    }
+
+    save() {
+        this.store.write({ instances: Object.fromEntries(this.records) });
+    }
+
+    /**
+     * @param {string} instanceId - Instance identifier
+     * @returns {Object|null} Stored record
+     */
+    get(instanceId) {
+        return this.records.get(instanceId) || null;
+    }
+
+    /**
+     * Merge fields into the record of an instance, creating it if needed
+     * @param {string} instanceId - Instance identifier
+     * @param {Object} fields - Fields to set
+     * @returns {Object} Updated record
+     */
+    update(instanceId, fields) {
+        const now = new Date().toISOString();
+        const record = {
+            createdAt: now,
+            ...this.records.get(instanceId),
+            ...fields,
+            updatedAt: now
+        };
+
+        this.records.set(instanceId, record);
+        this.save();
+        return record;
+    }
+
+    /**
+     * @param {string} instanceId - Instance identifier
+     */
+    remove(instanceId) {
+        if (this.records.delete(instanceId)) {
+            this.save();
+        }
+    }
+}
+
+module.exports = InstanceRegistry;
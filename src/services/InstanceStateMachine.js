@@ -0,0 +1,117 @@
+const logger = require('../utils/logger');
+
+/**
+ * Statuses an instance may move to from each status. Client events, the
+ * health monitor, keep-alive, reconnection and the resource governor all
+ * change the status through this table, anything else is rejected. Every
+ * status that may have a running browser can be restarted.
+ */
+const TRANSITIONS = {
+    initializing: ['qr_required', 'qr_ready', 'pairing_code_ready', 'authenticated', 'ready', 'auth_failure', 'disconnected', 'recovering', 'restarting', 'failed'],
+    // Recovered with a stored session, waiting for WhatsApp Web to accept it
+    authenticating: ['initializing', 'qr_required', 'qr_ready', 'pairing_code_ready', 'authenticated', 'ready', 'auth_failure', 'disconnected', 'recovering', 'restarting', 'failed'],
+    recovering: ['initializing', 'authenticating', 'qr_required', 'qr_ready', 'pairing_code_ready', 'authenticated', 'ready', 'auth_failure', 'disconnected', 'restarting', 'failed'],
+    qr_required: ['initializing', 'qr_ready', 'pairing_code_ready', 'authenticated', 'auth_failure', 'disconnected', 'recovering', 'restarting', 'failed'],
+    qr_ready: ['initializing', 'qr_required', 'pairing_code_ready', 'authenticated', 'auth_failure', 'disconnected', 'recovering', 'restarting', 'failed'],
+    pairing_code_ready: ['initializing', 'qr_required', 'qr_ready', 'authenticated', 'auth_failure', 'disconnected', 'recovering', 'restarting', 'failed'],
+    authenticated: ['initializing', 'qr_required', 'qr_ready', 'ready', 'auth_failure', 'disconnected', 'recovering', 'restarting', 'failed'],
+    // WhatsApp Web reloading its page authenticates again
+    ready: ['initializing', 'authenticated', 'restarting', 'hibernated', 'disconnected', 'recovering', 'failed'],
+    restarting: ['initializing', 'disconnected', 'failed'],
+    disconnected: ['initializing', 'qr_required', 'qr_ready', 'pairing_code_ready', 'authenticated', 'ready', 'recovering', 'restarting', 'failed'],
+    auth_failure: ['initializing', 'qr_required', 'qr_ready', 'pairing_code_ready', 'disconnected', 'recovering', 'restarting', 'failed'],
+    failed: ['initializing', 'qr_required', 'qr_ready', 'pairing_code_ready', 'authenticated', 'disconnected', 'recovering', 'restarting'],
+    hibernated: ['initializing', 'waking', 'recovering'],
+    waking: ['initializing', 'disconnected', 'failed']
+};
+
+const STATES = Object.keys(TRANSITIONS);
+
+/**
+ * Changes instance statuses along TRANSITIONS and keeps the last
+ * transitions of every instance, rejected ones included, for
+ * GET /instances/:instanceId/events.
+ */
+class InstanceStateMachine {
+    /**
+     * @param {Object} options - { historyLimit } transitions kept per instance
+     */
+    constructor(options = {}) {
+        this.historyLimit = options.historyLimit || 100;
+        this.histories = new Map(); // instanceId -> [{ timestamp, from, to, cause, source, accepted }]
+    }
+
+    /**
+     * @param {string|null} from - Current status, null for an instance that has none yet
+     * @param {string} to - New status
+     * @returns {boolean} True if the transition is allowed
+     */
+    static canTransition(from, to) {
+        if (!STATES.includes(to)) {
+            return false;
+        }
+        return !from || from === to || TRANSITIONS[from].includes(to);
+    }
+
+    /**
+     * Move an instance to a new status. Staying in the same status is allowed and not recorded.
+     * @param {Object} instance - Instance data with its id and current status
+     * @param {string} to - New status
+     * @param {Object} details - { cause, source } what happened and which part of the manager reacted
+     * @returns {boolean} True if the status was changed, false if the transition was rejected
+     */
+    transition(instance, to, { cause, source }) {
+        const from = instance.status || null;
+        if (from === to) {
+            return true;
+        }
+
+        const accepted = InstanceStateMachine.canTransition(from, to);
+        this.record(instance.id, { timestamp: new Date(), from, to, cause, source, accepted });
+
+        if (!accepted) {
+            console.log(`⛔ Instance ${instance.id} geçersiz durum geçişi reddedildi: ${from} -> ${to} (${source})`);
+            logger.warn(`Rejected status transition of instance ${instance.id} from ${from} to ${to} by ${source}: ${cause}`);
+            return false;
+        }
+
+        instance.status = to;
+        logger.debug(`Instance ${instance.id} status ${from} -> ${to} by ${source}: ${cause}`);
+        return true;
+    }
+
+    record(instanceId, entry) {
+        if (!this.histories.has(instanceId)) {
+            this.histories.set(instanceId, []);
+        }
+
+        const history = this.histories.get(instanceId);
+        history.push(entry);
+        if (history.length > this.historyLimit) {
+            history.splice(0, history.length - this.historyLimit);
+        }
+    }
+
+    /**
+     * Recorded transitions of an instance, newest first
+     * @param {string} instanceId - Instance identifier
+     * @param {number} limit - Maximum number of entries
+     * @returns {Array} Transitions
+     */
+    getHistory(instanceId, limit = this.historyLimit) {
+        const history = this.histories.get(instanceId) || [];
+        return history.slice(-limit).reverse();
+    }
+
+    /**
+     * @param {string} instanceId - Instance identifier
+     */
+    removeInstance(instanceId) {
+        this.histories.delete(instanceId);
+    }
+}
+
+InstanceStateMachine.STATES = STATES;
+InstanceStateMachine.TRANSITIONS = TRANSITIONS;
+
+module.exports = InstanceStateMachine;
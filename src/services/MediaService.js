@@ -0,0 +1,452 @@
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const fetch = require('node-fetch');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const { assertPublicUrl, publicAgent } = require('../utils/outboundUrl');
+
+// Redirects followed when downloading media by URL, every hop is checked like the URL itself
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Message ids contain characters like '@' that don't belong in file names
+const safeName = (value) => value.replace(/[^\w.-]+/g, '_');
+
+const baseType = (mimetype) => (mimetype || '').split(';')[0].trim().toLowerCase();
+
+/**
+ * Check a MIME type against a list of types or wildcards such as image/*
+ * @param {string} mimetype - MIME type
+ * @param {Array} allowedTypes - Allowed types, empty allows every type
+ * @returns {boolean} True if allowed
+ */
+const matchesType = (mimetype, allowedTypes) => {
+    if (allowedTypes.length === 0) {
+        return true;
+    }
+
+    const type = baseType(mimetype);
+    return allowedTypes.some(allowed => allowed.endsWith('/*')
+        ? type.startsWith(allowed.slice(0, -1))
+        : type === allowed);
+};
+
+/**
+ * Downloads media of received messages and optionally keeps a copy of incoming
+ * media under data/media/<instanceId>/, following a size/type policy and a
+ * retention period. Saved files are served instead of downloading again, so
+ * media stays reachable after WhatsApp expires it. They are only reachable
+ * through GET /instances/:instanceId/messages/:messageId/media, never from
+ * the public /uploads route.
+ *
+ * Also loads outgoing media given as URL or base64, under the send policy
+ * (MAX_FILE_SIZE, MEDIA_SEND_ALLOWED_TYPES). Outgoing files wait for their
+ * queued or scheduled send in data/outgoing-media/, also outside /uploads.
+ */
+class MediaService {
+    constructor(options = {}) {
+        this.autoSave = options.autoSave || false;
+        this.maxSize = (options.maxSizeMb || 16) * 1024 * 1024;
+        // MIME types or wildcards such as image/*, empty means every type
+        this.allowedTypes = options.allowedTypes || [];
+        this.retentionDays = options.retentionDays !== undefined ? options.retentionDays : 30;
+        this.dir = options.dir || path.join(JsonStore.dataDir, 'media');
+        // Earlier versions saved below the public /uploads route
+        this.legacyDir = options.legacyDir || path.join(__dirname, '../../uploads/media');
+
+        // Outgoing media policy
+        this.sendMaxSize = (options.sendMaxSizeMb || 50) * 1024 * 1024;
+        this.sendAllowedTypes = options.sendAllowedTypes || [];
+        this.downloadTimeout = options.downloadTimeout || 30000;
+        this.outgoingDir = options.outgoingDir || path.join(JsonStore.dataDir, 'outgoing-media');
+
+        this.store = new JsonStore(options.file || 'media-index.json', { files: [] });
+        this.files = new Map(); // `${instanceId}:${messageId}` -> saved file entry
+        this.cleanupInterval = null;
+
+        this.load();
+        this.startCleanup();
+    }
+
+    load() {
+        const { files } = this.store.read();
+        for (const entry of files) {
+            this.files.set(`${entry.instanceId}:${entry.messageId}`, entry);
+        }
+        this.moveLegacyFiles();
+    }
+
+    /**
+     * Move media saved by earlier versions out of uploads/media, anything left there is deleted
+     */
+    moveLegacyFiles() {
+        if (!fs.existsSync(this.legacyDir)) {
+            return;
+        }
+
+        let moved = 0;
+        for (const entry of this.files.values()) {
+            if (!entry.path.startsWith(this.legacyDir + path.sep)) {
+                continue;
+            }
+
+            const target = path.join(this.dir, path.relative(this.legacyDir, entry.path));
+            try {
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                // Copy and remove, data/ may be on another volume than uploads/
+                fs.copyFileSync(entry.path, target);
+                entry.path = target;
+                moved++;
+            } catch (error) {
+                logger.warn(`Could not move saved media ${entry.path}:`, error.message);
+            }
+        }
+
+        fs.rmSync(this.legacyDir, { recursive: true, force: true });
+        this.store.write({ files: Array.from(this.files.values()) });
+        logger.info(`Moved ${moved} saved media files from ${this.legacyDir} to ${this.dir}`);
+    }
+
+    save() {
+        this.store.scheduleWrite(() => ({ files: Array.from(this.files.values()) }));
+    }
+
+    /**
+     * Check a media type against the auto-save policy
+     * @param {string} mimetype - Media MIME type
+     * @returns {boolean} True if the type may be saved
+     */
+    isTypeAllowed(mimetype) {
+        return matchesType(mimetype, this.allowedTypes);
+    }
+
+    /**
+     * Check outgoing media against the send policy
+     * @param {string} mimetype - Media MIME type
+     * @param {number} size - Media size in bytes
+     * @throws {Error} If the media is too large or its type is not allowed
+     */
+    checkSendPolicy(mimetype, size) {
+        if (size > this.sendMaxSize) {
+            throw new Error(`Media exceeds the maximum size of ${Math.round(this.sendMaxSize / 1024 / 1024)} MB`);
+        }
+        if (!matchesType(mimetype, this.sendAllowedTypes)) {
+            throw new Error(`Media type ${baseType(mimetype) || 'unknown'} is not allowed`);
+        }
+    }
+
+    /**
+     * Load outgoing media from a URL or a base64 string
+     * @param {Object} source - { url } or { base64, mimetype, filename }, base64 may be a data URL
+     * @returns {Promise<Object>} { mimetype, filename, data (Buffer) }
+     */
+    async loadOutgoing(source) {
+        const media = source.url ? await this.downloadUrl(source.url) : this.decodeBase64(source.base64);
+
+        // Explicit values win over what was detected
+        const filename = source.filename || media.filename;
+        const mimetype = source.mimetype || media.mimetype || mime.lookup(filename || '') || 'application/octet-stream';
+
+        this.checkSendPolicy(mimetype, media.data.length);
+
+        return {
+            mimetype,
+            filename: filename || `media.${mime.extension(baseType(mimetype)) || 'bin'}`,
+            data: media.data
+        };
+    }
+
+    /**
+     * Download media from an HTTP(S) URL with size limit and timeout.
+     * Only public addresses are fetched (see utils/outboundUrl), redirects included.
+     * @param {string} url - Media URL
+     * @returns {Promise<Object>} { mimetype, filename, data }
+     */
+    async downloadUrl(url) {
+        const sizeError = () => new Error(`Media exceeds the maximum size of ${Math.round(this.sendMaxSize / 1024 / 1024)} MB`);
+        let currentUrl = url;
+        let response;
+        let data;
+
+        try {
+            for (let redirects = 0; ; redirects++) {
+                await assertPublicUrl(currentUrl);
+                response = await fetch(currentUrl, {
+                    timeout: this.downloadTimeout,
+                    size: this.sendMaxSize,
+                    agent: publicAgent,
+                    redirect: 'manual'
+                });
+
+                if (!REDIRECT_STATUSES.includes(response.status)) {
+                    break;
+                }
+
+                const location = response.headers.get('location');
+                response.body.resume();
+                if (!location) {
+                    throw new Error(`HTTP ${response.status} without a Location header`);
+                }
+                if (redirects >= MAX_REDIRECTS) {
+                    throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+                }
+                currentUrl = new URL(location, currentUrl).toString();
+            }
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const length = parseInt(response.headers.get('content-length'));
+            if (length > this.sendMaxSize) {
+                throw sizeError();
+            }
+
+            data = await response.buffer();
+        } catch (error) {
+            // An unread body keeps its connection and the download timeout alive
+            if (response && !response.bodyUsed) {
+                response.body.destroy();
+            }
+
+            if (error.type === 'max-size' || error.message.includes('maximum size')) {
+                throw sizeError();
+            }
+            throw new Error(`Could not download media from URL: ${error.message}`);
+        }
+
+        const contentType = response.headers.get('content-type');
+        const disposition = response.headers.get('content-disposition') || '';
+        const dispositionName = disposition.match(/filename="?([^";]+)"?/i);
+        let urlName = path.basename(new URL(currentUrl).pathname);
+        try {
+            urlName = decodeURIComponent(urlName);
+        } catch (error) {
+            // Keep the encoded name
+        }
+
+        return {
+            mimetype: contentType && baseType(contentType) !== 'application/octet-stream' ? contentType : null,
+            filename: dispositionName ? dispositionName[1] : (urlName || null),
+            data
+        };
+    }
+
+    /**
+     * Decode base64 media, data URLs carry their own MIME type
+     * @param {string} base64 - Base64 string or data URL
+     * @returns {Object} { mimetype, filename, data }
+     */
+    decodeBase64(base64) {
+        const dataUrl = base64.match(/^data:([^;,]+)(?:;[^,]*)?;base64,/);
+        const encoded = dataUrl ? base64.substring(dataUrl[0].length) : base64;
+
+        return {
+            mimetype: dataUrl ? dataUrl[1] : null,
+            filename: null,
+            data: Buffer.from(encoded, 'base64')
+        };
+    }
+
+    /**
+     * Create the directory for outgoing media files
+     * @returns {string} Directory path
+     */
+    ensureOutgoingDir() {
+        if (!fs.existsSync(this.outgoingDir)) {
+            fs.mkdirSync(this.outgoingDir, { recursive: true });
+        }
+        return this.outgoingDir;
+    }
+
+    /**
+     * Write outgoing media to data/outgoing-media so it can be sent (or queued) like an uploaded file
+     * @param {Object} media - { mimetype, filename, data }
+     * @returns {Promise<string>} File path
+     */
+    async writeOutgoing(media) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const extension = path.extname(media.filename) || `.${mime.extension(baseType(media.mimetype)) || 'bin'}`;
+        const filePath = path.join(this.ensureOutgoingDir(), `media-${uniqueSuffix}${extension}`);
+        await fs.promises.writeFile(filePath, media.data);
+        return filePath;
+    }
+
+    /**
+     * File name offered to clients when downloading media
+     * @param {string} messageId - Serialized message id
+     * @param {Object} media - { mimetype, filename }
+     * @returns {string} File name
+     */
+    getFileName(messageId, media) {
+        if (media.filename) {
+            return media.filename;
+        }
+        const extension = mime.extension((media.mimetype || '').split(';')[0]) || 'bin';
+        return `${safeName(messageId)}.${extension}`;
+    }
+
+    /**
+     * Get a saved copy of a message's media
+     * @param {string} instanceId - Instance identifier
+     * @param {string} messageId - Serialized message id
+     * @returns {Object|null} Saved file entry or null
+     */
+    getSavedMedia(instanceId, messageId) {
+        const key = `${instanceId}:${messageId}`;
+        const entry = this.files.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (!fs.existsSync(entry.path)) {
+            this.files.delete(key);
+            this.save();
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Download the media of a message
+     * @param {Object} message - whatsapp-web.js Message with media
+     * @returns {Promise<Object>} { mimetype, filename, data (Buffer) }
+     */
+    async download(message) {
+        const messageId = message.id._serialized;
+        const media = await message.downloadMedia();
+
+        if (!media || !media.data) {
+            throw new Error(`Media of message ${messageId} is no longer available`);
+        }
+
+        return {
+            mimetype: media.mimetype,
+            filename: this.getFileName(messageId, media),
+            data: Buffer.from(media.data, 'base64')
+        };
+    }
+
+    /**
+     * Save the media of an incoming message if the auto-save policy allows it
+     * @param {string} instanceId - Instance identifier
+     * @param {Object} message - whatsapp-web.js Message
+     * @returns {Promise<Object|null>} Saved file entry or null if skipped
+     */
+    async saveIncoming(instanceId, message) {
+        if (!this.autoSave || !message.hasMedia) {
+            return null;
+        }
+
+        const messageId = message.id._serialized;
+
+        // The size announced by WhatsApp lets us skip large files without downloading them
+        const announcedSize = message._data && message._data.size;
+        if (announcedSize && announcedSize > this.maxSize) {
+            logger.info(`Media of message ${messageId} not saved: ${announcedSize} bytes exceeds the limit`);
+            return null;
+        }
+
+        const media = await this.download(message);
+
+        if (media.data.length > this.maxSize || !this.isTypeAllowed(media.mimetype)) {
+            logger.info(`Media of message ${messageId} not saved (${media.mimetype}, ${media.data.length} bytes) due to auto-save policy`);
+            return null;
+        }
+
+        const instanceDir = path.join(this.dir, safeName(instanceId));
+        if (!fs.existsSync(instanceDir)) {
+            fs.mkdirSync(instanceDir, { recursive: true });
+        }
+
+        const extension = path.extname(media.filename) || `.${mime.extension(media.mimetype) || 'bin'}`;
+        const filePath = path.join(instanceDir, `${Date.now()}-${safeName(messageId)}${extension}`);
+        await fs.promises.writeFile(filePath, media.data);
+
+        const entry = {
+            instanceId,
+            messageId,
+            path: filePath,
+            mimetype: media.mimetype,
+            filename: media.filename,
+            size: media.data.length,
+            savedAt: new Date()
+        };
+        this.files.set(`${instanceId}:${messageId}`, entry);
+        this.save();
+
+        console.log(`💾 Instance ${instanceId} - gelen medya kaydedildi: ${entry.filename}`);
+        logger.info(`Media of message ${messageId} saved for instance ${instanceId} (${entry.size} bytes)`);
+        return entry;
+    }
+
+    /**
+     * Delete a saved file and its index entry
+     * @param {string} key - Index key
+     * @param {Object} entry - Saved file entry
+     */
+    deleteEntry(key, entry) {
+        this.files.delete(key);
+        try {
+            fs.rmSync(entry.path, { force: true });
+        } catch (error) {
+            logger.warn(`Could not remove saved media ${entry.path}:`, error.message);
+        }
+    }
+
+    /**
+     * Delete saved media older than the retention period
+     * @returns {number} Number of deleted files
+     */
+    cleanup() {
+        if (this.retentionDays <= 0) {
+            return 0;
+        }
+
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        let deleted = 0;
+
+        for (const [key, entry] of this.files) {
+            if (new Date(entry.savedAt).getTime() < cutoff) {
+                this.deleteEntry(key, entry);
+                deleted++;
+            }
+        }
+
+        if (deleted > 0) {
+            this.save();
+            logger.info(`Media retention removed ${deleted} saved files`);
+        }
+        return deleted;
+    }
+
+    startCleanup() {
+        this.cleanup();
+        this.cleanupInterval = setInterval(() => this.cleanup(), 60 * 60 * 1000);
+        this.cleanupInterval.unref();
+    }
+
+    /**
+     * Delete every saved file of an instance
+     * @param {string} instanceId - Instance identifier
+     */
+    removeInstance(instanceId) {
+        for (const [key, entry] of this.files) {
+            if (entry.instanceId === instanceId) {
+                this.deleteEntry(key, entry);
+            }
+        }
+        this.save();
+    }
+
+    stop() {
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+            this.cleanupInterval = null;
+        }
+        this.store.write({ files: Array.from(this.files.values()) });
+    }
+}
+
+module.exports = MediaService;
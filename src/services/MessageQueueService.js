@@ -0,0 +1,408 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+
+// Job statuses that are still waiting to be delivered
+const PENDING_STATUSES = ['queued', 'sending'];
+
+class MessageQueueService {
+    /**
+     * @param {Object} handlers - { send(job), getStatus(instanceId) }
+     * @param {Object} options - Queue tuning, validated by the config (config.queue)
+     */
+    constructor(handlers, options = {}) {
+        this.send = handlers.send;
+        this.getStatus = handlers.getStatus;
+
+        this.ratePerMinute = options.ratePerMinute || 20;
+        this.jitter = options.jitter !== undefined ? options.jitter : 2000;
+        this.maxAttempts = options.maxAttempts || 3;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 10000;
+        this.holdPollInterval = options.holdPollInterval || 5000;
+        this.maxFinishedPerInstance = options.maxFinishedPerInstance || 1000;
+
+        // One file per instance, so a send only rewrites the jobs of its own instance
+        this.dir = options.dir || 'message-queue';
+        fs.mkdirSync(path.join(JsonStore.dataDir, this.dir), { recursive: true });
+        this.stores = new Map(); // instanceId -> JsonStore
+        this.jobs = new Map(); // jobId -> job
+        this.workers = new Map(); // instanceId -> { timer, busy, nextSendAt }
+
+        this.load();
+    }
+
+    /**
+     * Load jobs from disk and restart workers for pending ones
+     */
+    load() {
+        const jobs = [];
+        for (const fileName of fs.readdirSync(path.join(JsonStore.dataDir, this.dir))) {
+            if (fileName.endsWith('.json')) {
+                jobs.push(...new JsonStore(path.join(this.dir, fileName), { jobs: [] }).read().jobs);
+            }
+        }
+        jobs.push(...this.migrateSingleFile());
+
+        const instanceIds = new Set();
+
+        for (const job of jobs) {
+            // A job that was being sent when the process died is retried
+            if (job.status === 'sending') {
+                job.status = 'queued';
+            }
+            this.jobs.set(job.id, job);
+
+            if (job.status === 'queued') {
+                instanceIds.add(job.instanceId);
+            }
+        }
+
+        if (instanceIds.size > 0) {
+            console.log(`📬 Kuyrukta bekleyen mesajlar yüklendi (${instanceIds.size} instance)`);
+            logger.info(`Message queue restored with pending jobs for ${instanceIds.size} instances`);
+        }
+
+        for (const instanceId of instanceIds) {
+            this.kick(instanceId);
+        }
+    }
+
+    /**
+     * Jobs used to be kept in a single message-queue.json, split it into per-instance files
+     * @returns {Array} Jobs of the old file
+     */
+    migrateSingleFile() {
+        const legacyStore = new JsonStore('message-queue.json', { jobs: [] });
+        if (!fs.existsSync(legacyStore.filePath)) {
+            return [];
+        }
+
+        const { jobs } = legacyStore.read();
+        const instanceIds = new Set(jobs.map(job => job.instanceId));
+        for (const instanceId of instanceIds) {
+            this.getStore(instanceId).write({ jobs: jobs.filter(job => job.instanceId === instanceId) });
+        }
+        fs.unlinkSync(legacyStore.filePath);
+
+        logger.info(`Message queue file split into ${instanceIds.size} per-instance files`);
+        return jobs;
+    }
+
+    getStore(instanceId) {
+        if (!this.stores.has(instanceId)) {
+            this.stores.set(instanceId, new JsonStore(path.join(this.dir, `${instanceId}.json`), { jobs: [] }));
+        }
+        return this.stores.get(instanceId);
+    }
+
+    getInstanceData(instanceId) {
+        return { jobs: Array.from(this.jobs.values()).filter(job => job.instanceId === instanceId) };
+    }
+
+    /**
+     * Persist the jobs of an instance
+     * @param {string} instanceId - Instance identifier
+     * @param {boolean} immediate - Write now instead of coalescing with the next changes.
+     *   A crash before a coalesced write at worst sends a message again, which can happen
+     *   anyway when the process dies during a send
+     */
+    save(instanceId, immediate = false) {
+        const store = this.getStore(instanceId);
+        if (immediate) {
+            store.write(this.getInstanceData(instanceId));
+        } else {
+            store.scheduleWrite(() => this.getInstanceData(instanceId));
+        }
+    }
+
+    /**
+     * Delay between two sends of the same instance
+     * @returns {number} Delay in milliseconds
+     */
+    getSendInterval() {
+        return Math.round(60000 / this.ratePerMinute + Math.random() * this.jitter);
+    }
+
+    /**
+     * Add a job to an instance queue
+     * @param {string} instanceId - Instance identifier
+     * @param {string} type - Message type ('text', 'location', 'contact', 'poll') or 'media'
+     * @param {string} to - Recipient number or chat id
+     * @param {Object} payload - Message content (see sendRichMessage), { mediaPath, caption, ... } for media
+     * @returns {Object} Created job
+     */
+    enqueue(instanceId, type, to, payload) {
+        const job = {
+            id: uuidv4(),
+            instanceId,
+            type,
+            to,
+            payload,
+            status: 'queued',
+            attempts: 0,
+            maxAttempts: this.maxAttempts,
+            lastError: null,
+            result: null,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            nextAttemptAt: null,
+            sentAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        // The caller already has the job id, it must survive a restart
+        this.save(instanceId, true);
+
+        logger.info(`Queued ${type} message ${job.id} for instance ${instanceId} to ${to}`);
+        this.kick(instanceId);
+
+        return job;
+    }
+
+    /**
+     * Job data for API responses, without server-side file paths
+     * @param {Object} job - Job
+     * @returns {Object} Public job data
+     */
+    toPublic(job) {
+        const { mediaPath, ...payload } = job.payload;
+        return { ...job, payload };
+    }
+
+    /**
+     * Get a job of an instance
+     * @param {string} instanceId - Instance identifier
+     * @param {string} jobId - Job identifier
+     * @returns {Object|null} Job or null if not found
+     */
+    getJob(instanceId, jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.instanceId !== instanceId) {
+            return null;
+        }
+        return job;
+    }
+
+    /**
+     * List jobs of an instance (oldest first)
+     * @param {string} instanceId - Instance identifier
+     * @param {Array} statuses - Statuses to include (default: pending ones)
+     * @returns {Array} Jobs
+     */
+    listJobs(instanceId, statuses = PENDING_STATUSES) {
+        return Array.from(this.jobs.values())
+            .filter(job => job.instanceId === instanceId && statuses.includes(job.status))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    /**
+     * Cancel a queued job
+     * @param {string} instanceId - Instance identifier
+     * @param {string} jobId - Job identifier
+     * @returns {Object|null} Cancelled job, null if not found
+     * @throws {Error} If the job is no longer queued
+     */
+    cancelJob(instanceId, jobId) {
+        const job = this.getJob(instanceId, jobId);
+        if (!job) {
+            return null;
+        }
+
+        if (job.status !== 'queued') {
+            throw new Error(`Job ${jobId} cannot be cancelled. Current status: ${job.status}`);
+        }
+
+        this.finishJob(job, 'cancelled', true);
+        logger.info(`Queued message ${jobId} cancelled for instance ${instanceId}`);
+        return job;
+    }
+
+    /**
+     * Cancel every pending job of an instance and stop its worker
+     * @param {string} instanceId - Instance identifier
+     */
+    removeInstance(instanceId) {
+        const worker = this.workers.get(instanceId);
+        if (worker && worker.timer) {
+            clearTimeout(worker.timer);
+        }
+        this.workers.delete(instanceId);
+
+        for (const [jobId, job] of this.jobs) {
+            if (job.instanceId === instanceId) {
+                this.cleanupJobFiles(job);
+                this.jobs.delete(jobId);
+            }
+        }
+
+        // Writing first drops a coalesced write that is still pending
+        const store = this.getStore(instanceId);
+        store.write({ jobs: [] });
+        fs.rmSync(store.filePath, { force: true });
+        this.stores.delete(instanceId);
+    }
+
+    /**
+     * Mark a job as done and release its resources
+     * @param {Object} job - Job
+     * @param {string} status - Final status
+     * @param {boolean} immediate - Persist right away, see save
+     */
+    finishJob(job, status, immediate = false) {
+        job.status = status;
+        job.updatedAt = new Date();
+        job.nextAttemptAt = null;
+        this.cleanupJobFiles(job);
+        this.pruneFinished(job.instanceId);
+        this.save(job.instanceId, immediate);
+    }
+
+    /**
+     * Remove uploaded media that was kept for a queued job
+     * @param {Object} job - Job
+     */
+    cleanupJobFiles(job) {
+        if (job.type === 'media' && job.payload.mediaPath && fs.existsSync(job.payload.mediaPath)) {
+            try {
+                fs.unlinkSync(job.payload.mediaPath);
+            } catch (error) {
+                logger.warn(`Could not remove queued media ${job.payload.mediaPath}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Keep only the most recent finished jobs of an instance
+     * @param {string} instanceId - Instance identifier
+     */
+    pruneFinished(instanceId) {
+        const finished = Array.from(this.jobs.values())
+            .filter(job => job.instanceId === instanceId && !PENDING_STATUSES.includes(job.status))
+            .sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt));
+
+        while (finished.length > this.maxFinishedPerInstance) {
+            this.jobs.delete(finished.shift().id);
+        }
+    }
+
+    /**
+     * Make sure the worker of an instance is scheduled
+     * @param {string} instanceId - Instance identifier
+     * @param {number} delay - Minimum delay before processing (default: 0)
+     */
+    kick(instanceId, delay = 0) {
+        let worker = this.workers.get(instanceId);
+        if (!worker) {
+            worker = { timer: null, busy: false, nextSendAt: 0 };
+            this.workers.set(instanceId, worker);
+        }
+
+        if (worker.busy || worker.timer) {
+            return;
+        }
+
+        // Never send faster than the configured rate, even if new jobs arrive
+        delay = Math.max(delay, worker.nextSendAt - Date.now(), 0);
+
+        worker.timer = setTimeout(() => {
+            worker.timer = null;
+            this.process(instanceId).catch(error => {
+                logger.error(`Message queue worker error for instance ${instanceId}:`, error);
+            });
+        }, delay);
+    }
+
+    /**
+     * Send the next due job of an instance and schedule the following one
+     * @param {string} instanceId - Instance identifier
+     */
+    async process(instanceId) {
+        const worker = this.workers.get(instanceId);
+        if (!worker || worker.busy) {
+            return;
+        }
+
+        const queued = this.listJobs(instanceId, ['queued']);
+        if (queued.length === 0) {
+            return;
+        }
+
+        // Hold the queue while the instance is disconnected, recovering or otherwise not ready
+        const status = this.getStatus(instanceId);
+        if (status !== 'ready') {
+            this.kick(instanceId, this.holdPollInterval);
+            return;
+        }
+
+        const now = Date.now();
+        const due = queued.find(job => !job.nextAttemptAt || new Date(job.nextAttemptAt).getTime() <= now);
+        if (!due) {
+            const nextAt = Math.min(...queued.map(job => new Date(job.nextAttemptAt).getTime()));
+            this.kick(instanceId, Math.max(nextAt - now, 0));
+            return;
+        }
+
+        worker.busy = true;
+        due.status = 'sending';
+        due.attempts++;
+        due.updatedAt = new Date();
+        this.save(instanceId);
+
+        try {
+            due.result = await this.send(due);
+            due.sentAt = new Date();
+            due.lastError = null;
+            this.finishJob(due, 'sent');
+
+            logger.info(`Queued message ${due.id} sent from instance ${instanceId} (attempt ${due.attempts})`);
+        } catch (error) {
+            due.lastError = error.message;
+
+            if (this.getStatus(instanceId) !== 'ready') {
+                // The instance dropped while sending, this attempt doesn't count
+                due.attempts--;
+                due.status = 'queued';
+                due.updatedAt = new Date();
+                this.save(instanceId);
+            } else if (due.attempts >= due.maxAttempts) {
+                this.finishJob(due, 'failed');
+                console.log(`❌ Kuyruktaki mesaj gönderilemedi: ${due.to} (${error.message})`);
+                logger.error(`Queued message ${due.id} failed after ${due.attempts} attempts:`, error.message);
+            } else {
+                const delay = this.retryDelay * Math.pow(2, due.attempts - 1);
+                due.status = 'queued';
+                due.nextAttemptAt = new Date(Date.now() + delay);
+                due.updatedAt = new Date();
+                this.save(instanceId);
+                logger.warn(`Queued message ${due.id} attempt ${due.attempts}/${due.maxAttempts} failed, retrying in ${delay}ms:`, error.message);
+            }
+        } finally {
+            worker.busy = false;
+        }
+
+        worker.nextSendAt = Date.now() + this.getSendInterval();
+        this.kick(instanceId);
+    }
+
+    /**
+     * Stop all workers, pending jobs stay on disk for the next start
+     */
+    stop() {
+        for (const worker of this.workers.values()) {
+            if (worker.timer) {
+                clearTimeout(worker.timer);
+            }
+        }
+        this.workers.clear();
+
+        for (const instanceId of this.stores.keys()) {
+            this.save(instanceId, true);
+        }
+    }
+}
+
+MessageQueueService.PENDING_STATUSES = PENDING_STATUSES;
+
+module.exports = MessageQueueService;
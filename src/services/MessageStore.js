@@ -0,0 +1,400 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+
+// whatsapp-web.js ack values (MessageAck)
+const ACK_STATUSES = {
+    '-1': 'error',
+    0: 'pending',
+    1: 'server',
+    2: 'device',
+    3: 'read',
+    4: 'played'
+};
+
+const ackStatusOf = (ack) => ACK_STATUSES[ack] || null;
+
+/**
+ * Embedded message history in SQLite (data/messages.db). Chat, sender and
+ * timestamp are indexed columns and bodies are in an FTS5 index, so searches
+ * don't load the history into memory. The full record is kept as JSON.
+ */
+class MessageStore {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== undefined ? options.enabled : true;
+        this.maxPerInstance = options.maxPerInstance || 50000;
+        this.retentionDays = options.retentionDays || 0;
+        this.file = options.file || path.join(JsonStore.dataDir, 'messages.db');
+        // NDJSON logs of earlier versions, imported once
+        this.legacyDir = options.legacyDir || path.join(JsonStore.dataDir, 'messages');
+
+        this.counts = new Map(); // instanceId -> stored messages
+        this.retentionCheckedAt = new Map(); // instanceId -> ms
+
+        this.db = null;
+        if (this.enabled) {
+            this.open();
+            this.importLegacyLogs();
+        }
+    }
+
+    open() {
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        // WAL with NORMAL only risks the last transactions on power loss, not corruption
+        this.db.pragma('synchronous = NORMAL');
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS messages (
+                instance_id TEXT NOT NULL,
+                id TEXT NOT NULL,
+                chat_id TEXT,
+                sender TEXT,
+                from_me INTEGER NOT NULL,
+                type TEXT,
+                timestamp INTEGER NOT NULL,
+                body TEXT NOT NULL DEFAULT '',
+                data TEXT NOT NULL,
+                PRIMARY KEY (instance_id, id)
+            );
+            CREATE INDEX IF NOT EXISTS messages_by_time ON messages (instance_id, timestamp, id);
+            CREATE INDEX IF NOT EXISTS messages_by_chat ON messages (instance_id, chat_id, timestamp, id);
+            CREATE INDEX IF NOT EXISTS messages_by_sender ON messages (instance_id, sender, timestamp, id);
+
+            CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+                body, content='messages', content_rowid='rowid', tokenize='unicode61 remove_diacritics 2'
+            );
+            CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+                INSERT INTO messages_fts (rowid, body) VALUES (new.rowid, new.body);
+            END;
+            CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+                INSERT INTO messages_fts (messages_fts, rowid, body) VALUES ('delete', old.rowid, old.body);
+            END;
+            CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF body ON messages BEGIN
+                INSERT INTO messages_fts (messages_fts, rowid, body) VALUES ('delete', old.rowid, old.body);
+                INSERT INTO messages_fts (rowid, body) VALUES (new.rowid, new.body);
+            END;
+        `);
+
+        this.statements = {
+            insert: this.db.prepare(`
+                INSERT OR IGNORE INTO messages (instance_id, id, chat_id, sender, from_me, type, timestamp, body, data)
+                VALUES (@instanceId, @id, @chatId, @sender, @fromMe, @type, @timestamp, @body, @data)
+            `),
+            update: this.db.prepare('UPDATE messages SET body = @body, data = @data WHERE instance_id = @instanceId AND id = @id'),
+            get: this.db.prepare('SELECT data FROM messages WHERE instance_id = ? AND id = ?'),
+            count: this.db.prepare('SELECT COUNT(*) AS count FROM messages WHERE instance_id = ?'),
+            deleteOldest: this.db.prepare(`
+                DELETE FROM messages WHERE rowid IN (
+                    SELECT rowid FROM messages WHERE instance_id = ? ORDER BY timestamp, id LIMIT ?
+                )
+            `),
+            deleteBefore: this.db.prepare('DELETE FROM messages WHERE instance_id = ? AND timestamp < ?'),
+            deleteInstance: this.db.prepare('DELETE FROM messages WHERE instance_id = ?')
+        };
+    }
+
+    /**
+     * Move the NDJSON logs of earlier versions into the database
+     */
+    importLegacyLogs() {
+        if (!fs.existsSync(this.legacyDir)) {
+            return;
+        }
+
+        for (const fileName of fs.readdirSync(this.legacyDir)) {
+            if (!fileName.endsWith('.ndjson')) {
+                continue;
+            }
+
+            const instanceId = decodeURIComponent(fileName.slice(0, -'.ndjson'.length));
+            const filePath = path.join(this.legacyDir, fileName);
+            const messages = new Map();
+
+            for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+                if (!line) continue;
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry.op === 'upsert' && !messages.has(entry.message.id)) {
+                        messages.set(entry.message.id, entry.message);
+                    } else if (entry.op === 'update' && messages.has(entry.id)) {
+                        Object.assign(messages.get(entry.id), entry.changes);
+                    }
+                } catch (error) {
+                    // A partially written last line after a crash is skipped
+                    logger.warn(`Skipping corrupt message history line for instance ${instanceId}`);
+                }
+            }
+
+            this.db.transaction(() => {
+                for (const message of messages.values()) {
+                    this.statements.insert.run(this.toRow(instanceId, message));
+                }
+            })();
+            fs.rmSync(filePath, { force: true });
+
+            this.counts.delete(instanceId);
+            this.prune(instanceId);
+            logger.info(`Message history of instance ${instanceId} imported into ${this.file}: ${messages.size} messages`);
+        }
+    }
+
+    toRow(instanceId, message) {
+        return {
+            instanceId,
+            id: message.id,
+            chatId: message.chatId,
+            sender: message.sender,
+            fromMe: message.fromMe ? 1 : 0,
+            type: message.type,
+            timestamp: message.timestamp,
+            body: message.body || '',
+            data: JSON.stringify(message)
+        };
+    }
+
+    /**
+     * Convert a whatsapp-web.js message into a stored record
+     * @param {Object} message - whatsapp-web.js Message
+     * @returns {Object} Message record
+     */
+    static fromWhatsAppMessage(message) {
+        const chatId = message.fromMe ? message.to : message.from;
+        const ack = message.ack !== undefined ? message.ack : null;
+        return {
+            id: message.id._serialized,
+            chatId,
+            from: message.from,
+            to: message.to,
+            author: message.author || null,
+            sender: message.fromMe ? message.from : (message.author || message.from),
+            fromMe: message.fromMe,
+            body: message.body || '',
+            type: message.type,
+            timestamp: message.timestamp,
+            hasMedia: message.hasMedia || false,
+            hasQuotedMsg: message.hasQuotedMsg || false,
+            isForwarded: message.isForwarded || false,
+            mentionedIds: message.mentionedIds || [],
+            ack,
+            ackStatus: ackStatusOf(ack),
+            // Receipts are only tracked for sent messages
+            ackHistory: message.fromMe && ack !== null ? [{ ack, status: ackStatusOf(ack), timestamp: new Date() }] : [],
+            edited: false,
+            editedAt: null,
+            revoked: false,
+            revokedAt: null
+        };
+    }
+
+    getCount(instanceId) {
+        if (!this.counts.has(instanceId)) {
+            this.counts.set(instanceId, this.statements.count.get(instanceId).count);
+        }
+        return this.counts.get(instanceId);
+    }
+
+    /**
+     * Drop messages beyond the retention limits
+     * @param {string} instanceId - Instance identifier
+     * @returns {number} Number of dropped messages
+     */
+    prune(instanceId) {
+        let dropped = 0;
+
+        // Trim to 90% of the limit so that old messages aren't deleted one by one
+        const count = this.getCount(instanceId);
+        if (count > this.maxPerInstance) {
+            dropped += this.statements.deleteOldest.run(instanceId, count - Math.floor(this.maxPerInstance * 0.9)).changes;
+        }
+
+        // Messages only age by the hour, no need to look at every insert
+        const now = Date.now();
+        if (this.retentionDays > 0 && now - (this.retentionCheckedAt.get(instanceId) || 0) >= 60 * 60 * 1000) {
+            this.retentionCheckedAt.set(instanceId, now);
+            const cutoff = Math.floor(now / 1000) - this.retentionDays * 24 * 60 * 60;
+            dropped += this.statements.deleteBefore.run(instanceId, cutoff).changes;
+        }
+
+        if (dropped > 0) {
+            this.counts.set(instanceId, this.getCount(instanceId) - dropped);
+        }
+        return dropped;
+    }
+
+    /**
+     * Store a new message, messages that are already stored are ignored
+     * @param {string} instanceId - Instance identifier
+     * @param {Object} record - Message record (see fromWhatsAppMessage)
+     */
+    saveMessage(instanceId, record) {
+        if (!this.enabled) {
+            return;
+        }
+
+        try {
+            const { changes } = this.statements.insert.run(this.toRow(instanceId, { ...record, instanceId }));
+            if (changes > 0) {
+                this.counts.set(instanceId, this.getCount(instanceId) + 1);
+                this.prune(instanceId);
+            }
+        } catch (error) {
+            logger.error(`Error writing message history for instance ${instanceId}:`, error);
+        }
+    }
+
+    /**
+     * Update fields of a stored message (ack, edits, ...)
+     * @param {string} instanceId - Instance identifier
+     * @param {string} messageId - Serialized message id
+     * @param {Object} changes - Fields to change
+     * @returns {Object|null} Updated message or null if it is not stored
+     */
+    updateMessage(instanceId, messageId, changes) {
+        const message = this.getMessage(instanceId, messageId);
+        if (!message) {
+            return null;
+        }
+
+        Object.assign(message, changes);
+        try {
+            this.statements.update.run({ instanceId, id: messageId, body: message.body || '', data: JSON.stringify(message) });
+        } catch (error) {
+            logger.error(`Error writing message history for instance ${instanceId}:`, error);
+        }
+        return message;
+    }
+
+    /**
+     * Record a delivery/read receipt of a message.
+     * Receipts can arrive out of order, the ack only ever moves forward
+     * (an error ack is always recorded).
+     * @param {string} instanceId - Instance identifier
+     * @param {string} messageId - Serialized message id
+     * @param {number} ack - whatsapp-web.js ack value
+     * @returns {Object|null} Updated message, null if unknown or unchanged
+     */
+    recordAck(instanceId, messageId, ack) {
+        const message = this.getMessage(instanceId, messageId);
+        if (!message) {
+            return null;
+        }
+
+        if (ack !== -1 && message.ack !== null && ack <= message.ack) {
+            return null;
+        }
+
+        const history = message.ackHistory || [];
+        return this.updateMessage(instanceId, messageId, {
+            ack,
+            ackStatus: ackStatusOf(ack),
+            ackHistory: [...history, { ack, status: ackStatusOf(ack), timestamp: new Date() }]
+        });
+    }
+
+    /**
+     * Get a stored message
+     * @param {string} instanceId - Instance identifier
+     * @param {string} messageId - Serialized message id
+     * @returns {Object|null} Message or null
+     */
+    getMessage(instanceId, messageId) {
+        if (!this.enabled) {
+            return null;
+        }
+        const row = this.statements.get.get(instanceId, messageId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    /**
+     * Search stored messages, newest first
+     * @param {string} instanceId - Instance identifier
+     * @param {Object} filters - { chatId, sender, fromMe, type, from, to (unix seconds), q, limit, cursor }
+     *   q matches words, or the beginning of words, that must all appear in the body
+     * @returns {Object} { messages, nextCursor }
+     */
+    search(instanceId, filters = {}) {
+        const limit = filters.limit || 50;
+        const conditions = ['instance_id = @instanceId'];
+        const params = { instanceId, limit: limit + 1 };
+
+        if (filters.chatId) {
+            conditions.push('chat_id = @chatId');
+            params.chatId = filters.chatId;
+        }
+        if (filters.sender) {
+            conditions.push('sender = @sender');
+            params.sender = filters.sender;
+        }
+        if (filters.fromMe !== undefined) {
+            conditions.push('from_me = @fromMe');
+            params.fromMe = filters.fromMe ? 1 : 0;
+        }
+        if (filters.type) {
+            conditions.push('type = @type');
+            params.type = filters.type;
+        }
+        if (filters.from !== undefined) {
+            conditions.push('timestamp >= @from');
+            params.from = filters.from;
+        }
+        if (filters.to !== undefined) {
+            conditions.push('timestamp <= @to');
+            params.to = filters.to;
+        }
+        if (filters.cursor) {
+            // Continue right below the last message of the previous page
+            conditions.push('(timestamp < @cursorTimestamp OR (timestamp = @cursorTimestamp AND id < @cursorId))');
+            params.cursorTimestamp = filters.cursor.timestamp;
+            params.cursorId = filters.cursor.id;
+        }
+
+        const terms = filters.q ? filters.q.split(/\s+/).filter(Boolean) : [];
+        if (terms.length > 0) {
+            // Every word as a quoted prefix, so FTS operators in the input are plain text
+            conditions.push('rowid IN (SELECT rowid FROM messages_fts WHERE messages_fts MATCH @match)');
+            params.match = terms.map(term => `"${term.replace(/"/g, '""')}"*`).join(' AND ');
+        }
+
+        const rows = this.db.prepare(`
+            SELECT data FROM messages
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY timestamp DESC, id DESC
+            LIMIT @limit
+        `).all(params);
+
+        const messages = rows.slice(0, limit).map(row => JSON.parse(row.data));
+        const last = messages[messages.length - 1];
+
+        return {
+            messages,
+            nextCursor: rows.length > limit ? { timestamp: last.timestamp, id: last.id } : null
+        };
+    }
+
+    /**
+     * Delete the history of an instance
+     * @param {string} instanceId - Instance identifier
+     */
+    removeInstance(instanceId) {
+        if (!this.enabled) {
+            return;
+        }
+        this.statements.deleteInstance.run(instanceId);
+        this.counts.delete(instanceId);
+        this.retentionCheckedAt.delete(instanceId);
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+MessageStore.ACK_STATUSES = ACK_STATUSES;
+
+module.exports = MessageStore;
@@ -0,0 +1,241 @@
+const client = require('prom-client');
+const logger = require('../utils/logger');
+const InstanceStateMachine = require('./InstanceStateMachine');
+
+// Instance statuses that always get a series, so alerts can use "== 0"
+const KNOWN_STATUSES = InstanceStateMachine.STATES;
+
+class MetricsService {
+    /**
+     * @param {Object} handlers - { getInstances(), getProfilePicCacheSize(), getBrowserMemory(instanceId) }
+     * @param {Object} options - { prefix, collectDefaults }
+     */
+    constructor(handlers, options = {}) {
+        this.handlers = handlers;
+        this.prefix = options.prefix || 'whatsapp_';
+        this.register = new client.Registry();
+
+        if (options.collectDefaults !== false) {
+            // Node.js process metrics (CPU, heap, event loop lag, ...)
+            client.collectDefaultMetrics({ register: this.register, prefix: `${this.prefix}api_` });
+        }
+
+        const self = this;
+        const name = (metric) => `${this.prefix}${metric}`;
+
+        this.instancesByStatus = new client.Gauge({
+            name: name('instances'),
+            help: 'Number of instances by status',
+            labelNames: ['status'],
+            registers: [this.register],
+            collect() {
+                const counts = {};
+                for (const status of KNOWN_STATUSES) {
+                    counts[status] = 0;
+                }
+                for (const instance of self.handlers.getInstances().values()) {
+                    counts[instance.status] = (counts[instance.status] || 0) + 1;
+                }
+
+                this.reset();
+                for (const [status, count] of Object.entries(counts)) {
+                    this.set({ status }, count);
+                }
+            }
+        });
+
+        this.messagesSent = new client.Counter({
+            name: name('messages_sent_total'),
+            help: 'Messages sent successfully',
+            labelNames: ['instance_id', 'type'],
+            registers: [this.register]
+        });
+
+        this.sendFailures = new client.Counter({
+            name: name('message_send_failures_total'),
+            help: 'Message sends that threw an error',
+            labelNames: ['instance_id', 'type'],
+            registers: [this.register]
+        });
+
+        this.messagesReceived = new client.Counter({
+            name: name('messages_received_total'),
+            help: 'Incoming messages',
+            labelNames: ['instance_id'],
+            registers: [this.register]
+        });
+
+        this.sendDuration = new client.Histogram({
+            name: name('message_send_duration_seconds'),
+            help: 'Time to send a message through WhatsApp Web, session recovery included',
+            labelNames: ['instance_id', 'type'],
+            buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+            registers: [this.register]
+        });
+
+        this.reconnectAttempts = new client.Counter({
+            name: name('reconnection_attempts_total'),
+            help: 'Automatic reconnection attempts',
+            labelNames: ['instance_id'],
+            registers: [this.register]
+        });
+
+        this.reconnectFailures = new client.Counter({
+            name: name('reconnection_failures_total'),
+            help: 'Automatic reconnection attempts that failed or gave up',
+            labelNames: ['instance_id'],
+            registers: [this.register]
+        });
+
+        this.healthChecks = new client.Counter({
+            name: name('session_health_checks_total'),
+            help: 'Session health check results',
+            labelNames: ['instance_id', 'result'],
+            registers: [this.register]
+        });
+
+        this.governorActions = new client.Counter({
+            name: name('governor_actions_total'),
+            help: 'Browsers restarted or hibernated by the resource governor',
+            labelNames: ['instance_id', 'action'],
+            registers: [this.register]
+        });
+
+        this.profilePicCacheRequests = new client.Counter({
+            name: name('profile_pic_cache_requests_total'),
+            help: 'Profile picture cache lookups',
+            labelNames: ['result'],
+            registers: [this.register]
+        });
+
+        new client.Gauge({
+            name: name('profile_pic_cache_hit_ratio'),
+            help: 'Share of profile picture lookups answered from the cache since start',
+            registers: [this.register],
+            // Averaged, not summed, when worker processes are aggregated
+            aggregator: 'average',
+            async collect() {
+                const values = (await self.profilePicCacheRequests.get()).values;
+                const count = (result) => (values.find(value => value.labels.result === result) || { value: 0 }).value;
+                const total = count('hit') + count('miss');
+                this.set(total > 0 ? count('hit') / total : 0);
+            }
+        });
+
+        new client.Gauge({
+            name: name('profile_pic_cache_entries'),
+            help: 'Entries in the profile picture cache',
+            registers: [this.register],
+            collect() {
+                this.set(self.handlers.getProfilePicCacheSize());
+            }
+        });
+
+        new client.Gauge({
+            name: name('browser_memory_bytes'),
+            help: 'Memory of the Puppeteer browser of an instance (rss: browser process tree, js_heap_*: WhatsApp Web page)',
+            labelNames: ['instance_id', 'type'],
+            registers: [this.register],
+            async collect() {
+                this.reset();
+                const instanceIds = Array.from(self.handlers.getInstances().keys());
+
+                await Promise.all(instanceIds.map(async (instanceId) => {
+                    try {
+                        const memory = await self.handlers.getBrowserMemory(instanceId);
+                        if (!memory) {
+                            return;
+                        }
+                        for (const [type, value] of Object.entries(memory)) {
+                            if (value !== null && value !== undefined) {
+                                this.set({ instance_id: instanceId, type }, value);
+                            }
+                        }
+                    } catch (error) {
+                        logger.warn(`Could not read browser memory of instance ${instanceId}:`, error.message);
+                    }
+                }));
+            }
+        });
+    }
+
+    /**
+     * Start timing a send
+     * @param {string} instanceId - Instance identifier
+     * @param {string} type - Message type (text, media, location, ...)
+     * @returns {Function} Call with true on success, false on failure
+     */
+    startSend(instanceId, type) {
+        const labels = { instance_id: instanceId, type };
+        const end = this.sendDuration.startTimer(labels);
+
+        return (success) => {
+            end();
+            if (success) {
+                this.messagesSent.inc(labels);
+            } else {
+                this.sendFailures.inc(labels);
+            }
+        };
+    }
+
+    recordReceived(instanceId) {
+        this.messagesReceived.inc({ instance_id: instanceId });
+    }
+
+    recordReconnectAttempt(instanceId) {
+        this.reconnectAttempts.inc({ instance_id: instanceId });
+    }
+
+    recordReconnectFailure(instanceId) {
+        this.reconnectFailures.inc({ instance_id: instanceId });
+    }
+
+    recordHealthCheck(instanceId, healthy) {
+        this.healthChecks.inc({ instance_id: instanceId, result: healthy ? 'healthy' : 'unhealthy' });
+    }
+
+    recordGovernorAction(instanceId, action) {
+        this.governorActions.inc({ instance_id: instanceId, action });
+    }
+
+    recordProfilePicCache(hit) {
+        this.profilePicCacheRequests.inc({ result: hit ? 'hit' : 'miss' });
+    }
+
+    /**
+     * Drop the series of a deleted instance
+     * @param {string} instanceId - Instance identifier
+     * @returns {Promise<void>}
+     */
+    async removeInstance(instanceId) {
+        for (const metric of [this.messagesSent, this.sendFailures, this.messagesReceived, this.sendDuration,
+            this.reconnectAttempts, this.reconnectFailures, this.healthChecks, this.governorActions]) {
+            // remove() needs every label, collect the full label sets of the instance first
+            const series = new Map();
+            for (const { labels } of (await metric.get()).values) {
+                if (labels.instance_id === instanceId) {
+                    const { le, ...seriesLabels } = labels;
+                    series.set(JSON.stringify(seriesLabels), seriesLabels);
+                }
+            }
+            for (const labels of series.values()) {
+                metric.remove(labels);
+            }
+        }
+    }
+
+    /**
+     * Render all metrics in the Prometheus text format
+     * @returns {Promise<string>} Exposition text
+     */
+    async render() {
+        return this.register.metrics();
+    }
+
+    get contentType() {
+        return this.register.contentType;
+    }
+}
+
+module.exports = MetricsService;
@@ -0,0 +1,146 @@
+const logger = require('../utils/logger');
+const { getProcessTreeUsage } = require('../utils/processMemory');
+
+const MB = 1024 * 1024;
+
+/**
+ * Keeps the Chromium of every instance within its limits. Ready instances
+ * are sampled every RESOURCE_CHECK_INTERVAL_MS: a browser above its memory
+ * or CPU ceiling is restarted, one without activity for its hibernation
+ * time is closed until the next API call or job needs it.
+ *
+ * Limits come from the browser settings of the instance (BROWSER_MAX_MEMORY_MB,
+ * BROWSER_MAX_CPU_PERCENT, HIBERNATE_AFTER_MINUTES or its own overrides), 0 turns one off.
+ */
+class ResourceGovernor {
+    /**
+     * @param {Object} handlers - { getInstances(), getLimits(instanceId), getBrowserPid(instanceId), restart(instanceId, reason), hibernate(instanceId, reason), record(instanceId, action) }
+     * @param {Object} options - { intervalMs }
+     */
+    constructor(handlers, options = {}) {
+        this.handlers = handlers;
+        this.intervalMs = options.intervalMs;
+        this.samples = new Map(); // instanceId -> { pid, rss, cpuSeconds, cpuPercent, sampledAt }
+        this.interval = null;
+    }
+
+    start() {
+        this.interval = setInterval(() => {
+            this.check().catch(error => {
+                logger.error('Error checking browser resources:', error);
+            });
+        }, this.intervalMs);
+
+        logger.info(`Resource governor started with ${this.intervalMs / 1000}s interval`);
+    }
+
+    stop() {
+        clearInterval(this.interval);
+        this.interval = null;
+    }
+
+    /**
+     * Measure the browser of an instance. CPU is the average since the previous sample
+     * of the same browser, so it is null right after a (re)start.
+     * @param {string} instanceId - Instance identifier
+     * @returns {Object|null} Sample, null without a local browser process or /proc
+     */
+    sample(instanceId) {
+        const pid = this.handlers.getBrowserPid(instanceId);
+        const usage = pid ? getProcessTreeUsage(pid) : null;
+        if (!usage) {
+            this.samples.delete(instanceId);
+            return null;
+        }
+
+        const now = Date.now();
+        const previous = this.samples.get(instanceId);
+        const cpuPercent = previous && previous.pid === pid
+            // Exited renderers take their CPU time with them, never go below 0
+            ? Math.max(0, Math.round((usage.cpuSeconds - previous.cpuSeconds) / ((now - previous.sampledAt) / 1000) * 1000) / 10)
+            : null;
+
+        const sample = {
+            pid,
+            rss: usage.rss,
+            cpuSeconds: usage.cpuSeconds,
+            cpuPercent,
+            sampledAt: now
+        };
+        this.samples.set(instanceId, sample);
+        return sample;
+    }
+
+    /**
+     * Last measurement of an instance, for diagnostics
+     * @param {string} instanceId - Instance identifier
+     * @returns {Object|null} { rss, cpuPercent, sampledAt }
+     */
+    getUsage(instanceId) {
+        const sample = this.samples.get(instanceId);
+        if (!sample) {
+            return null;
+        }
+        return {
+            rss: sample.rss,
+            cpuPercent: sample.cpuPercent,
+            sampledAt: new Date(sample.sampledAt)
+        };
+    }
+
+    async check() {
+        for (const [instanceId, instance] of this.handlers.getInstances()) {
+            // Starting, reconnecting and hibernated browsers are left alone
+            if (instance.status !== 'ready' || instance.reconnecting) {
+                continue;
+            }
+
+            const limits = this.handlers.getLimits(instanceId);
+            const sample = this.sample(instanceId);
+
+            if (sample && limits.maxMemoryMb > 0 && sample.rss > limits.maxMemoryMb * MB) {
+                const reason = `Browser memory ${Math.round(sample.rss / MB)} MB is above the ${limits.maxMemoryMb} MB limit`;
+                await this.enforce(instanceId, 'restart_memory', reason);
+                continue;
+            }
+
+            if (sample && limits.maxCpuPercent > 0 && sample.cpuPercent !== null && sample.cpuPercent > limits.maxCpuPercent) {
+                const reason = `Browser CPU ${sample.cpuPercent}% is above the ${limits.maxCpuPercent}% limit`;
+                await this.enforce(instanceId, 'restart_cpu', reason);
+                continue;
+            }
+
+            // lastActivity only moves with real traffic (messages, API calls), not with health checks
+            const idleMs = Date.now() - new Date(instance.lastActivity).getTime();
+            if (limits.hibernateAfterMinutes > 0 && idleMs >= limits.hibernateAfterMinutes * 60 * 1000) {
+                await this.enforce(instanceId, 'hibernate', `No activity for ${Math.round(idleMs / 60000)} minutes`);
+            }
+        }
+    }
+
+    async enforce(instanceId, action, reason) {
+        logger.warn(`Resource governor: ${action} instance ${instanceId}, ${reason}`);
+        this.samples.delete(instanceId);
+
+        try {
+            if (action === 'hibernate') {
+                await this.handlers.hibernate(instanceId, reason);
+            } else {
+                console.log(`📈 Instance ${instanceId} kaynak sınırını aştı: ${reason}`);
+                await this.handlers.restart(instanceId, reason);
+            }
+            this.handlers.record(instanceId, action);
+        } catch (error) {
+            logger.error(`Resource governor could not ${action} instance ${instanceId}:`, error);
+        }
+    }
+
+    /**
+     * @param {string} instanceId - Instance identifier
+     */
+    removeInstance(instanceId) {
+        this.samples.delete(instanceId);
+    }
+}
+
+module.exports = ResourceGovernor;
@@ -0,0 +1,477 @@
+const fs = require('fs');
+const cronParser = require('cron-parser');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+
+// Statuses of items that will still send something
+const ACTIVE_STATUSES = ['scheduled', 'sending'];
+
+// setTimeout overflows after ~24.8 days, far away items are re-checked daily
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000;
+
+class ScheduledMessageService {
+    /**
+     * @param {Object} handlers - { send(item), getStatus(instanceId), emit(instanceId, event, payload) }
+     * @param {Object} options - Defaults, validated by the config (config.schedule)
+     */
+    constructor(handlers, options = {}) {
+        this.handlers = handlers;
+
+        this.maxLatenessSeconds = options.maxLatenessSeconds !== undefined ? options.maxLatenessSeconds : 3600;
+        this.timezone = options.timezone || null;
+        this.holdPollInterval = options.holdPollInterval || 5000;
+        this.maxHistory = options.maxHistory || 50;
+        this.maxFinishedPerInstance = options.maxFinishedPerInstance || 1000;
+
+        this.store = new JsonStore(options.file || 'scheduled-messages.json', { items: [] });
+        this.items = new Map(); // scheduleId -> item
+        this.timers = new Map(); // scheduleId -> timeout
+
+        this.load();
+    }
+
+    /**
+     * Load scheduled items and arm their timers
+     */
+    load() {
+        const { items } = this.store.read();
+        let active = 0;
+
+        for (const item of items) {
+            // An item that was being sent when the process died is tried again
+            if (item.status === 'sending') {
+                item.status = 'scheduled';
+            }
+            this.items.set(item.id, item);
+
+            if (item.status === 'scheduled') {
+                this.arm(item);
+                active++;
+            }
+        }
+
+        if (active > 0) {
+            console.log(`⏰ ${active} zamanlanmış mesaj yüklendi`);
+            logger.info(`Restored ${active} scheduled messages`);
+        }
+    }
+
+    save() {
+        this.store.write({ items: Array.from(this.items.values()) });
+    }
+
+    /**
+     * Next run of a cron recurrence after a point in time
+     * @param {Object} recurrence - { cron, timezone, until }
+     * @param {Date} after - Point in time
+     * @returns {Date|null} Next run, null when the recurrence has ended
+     */
+    nextOccurrence(recurrence, after) {
+        const options = {
+            currentDate: after,
+            tz: recurrence.timezone || this.timezone || undefined
+        };
+        if (recurrence.until) {
+            options.endDate = new Date(recurrence.until);
+        }
+
+        try {
+            return cronParser.parseExpression(recurrence.cron, options).next().toDate();
+        } catch (error) {
+            // cron-parser throws once endDate is passed
+            return null;
+        }
+    }
+
+    /**
+     * Check a recurrence before it is stored
+     * @param {Object} recurrence - { cron, timezone, until, count }
+     * @throws {Error} If the cron expression or timezone is invalid, or no run is left
+     */
+    validateRecurrence(recurrence) {
+        const timezone = recurrence.timezone || this.timezone || undefined;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            throw new Error(`Invalid recurrence: unknown timezone ${timezone}`);
+        }
+
+        try {
+            cronParser.parseExpression(recurrence.cron, { tz: timezone });
+        } catch (error) {
+            throw new Error(`Invalid recurrence: ${error.message}`);
+        }
+
+        if (!this.nextOccurrence(recurrence, new Date())) {
+            throw new Error('Invalid recurrence: it has no future run');
+        }
+    }
+
+    /**
+     * Schedule a message
+     * @param {string} instanceId - Instance identifier
+     * @param {string} type - Message type ('text', 'location', 'contact', 'poll') or 'media'
+     * @param {string} to - Recipient number or chat id
+     * @param {Object} payload - Message content, same as MessageQueueService.enqueue
+     * @param {Object} schedule - { sendAt } or { recurrence: { cron, timezone, until, count } }, plus maxLatenessSeconds
+     * @returns {Object} Created item
+     * @throws {Error} If the recurrence is invalid
+     */
+    schedule(instanceId, type, to, payload, schedule) {
+        if (schedule.recurrence) {
+            this.validateRecurrence(schedule.recurrence);
+        }
+
+        const item = {
+            id: uuidv4(),
+            instanceId,
+            type,
+            to,
+            payload,
+            sendAt: schedule.sendAt ? new Date(schedule.sendAt) : null,
+            recurrence: schedule.recurrence || null,
+            maxLatenessSeconds: schedule.maxLatenessSeconds !== undefined ? schedule.maxLatenessSeconds : this.maxLatenessSeconds,
+            status: 'scheduled',
+            nextRunAt: null,
+            runs: 0,
+            occurrences: 0,
+            lastRunAt: null,
+            lastResult: null,
+            lastError: null,
+            history: [],
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+        item.nextRunAt = item.recurrence ? this.nextOccurrence(item.recurrence, new Date()) : item.sendAt;
+
+        this.items.set(item.id, item);
+        this.save();
+        this.arm(item);
+
+        console.log(`⏰ Instance ${instanceId} - mesaj zamanlandı: ${to} (${item.nextRunAt.toISOString()})`);
+        logger.info(`Scheduled ${type} message ${item.id} for instance ${instanceId} to ${to} at ${item.nextRunAt.toISOString()}`);
+
+        return item;
+    }
+
+    /**
+     * Item data for API responses, without server-side file paths
+     * @param {Object} item - Scheduled item
+     * @returns {Object} Public item data
+     */
+    toPublic(item) {
+        const { mediaPath, ...payload } = item.payload;
+        return { ...item, payload };
+    }
+
+    /**
+     * Get a scheduled item of an instance
+     * @param {string} instanceId - Instance identifier
+     * @param {string} scheduleId - Item identifier
+     * @returns {Object|null} Item or null if not found
+     */
+    getItem(instanceId, scheduleId) {
+        const item = this.items.get(scheduleId);
+        if (!item || item.instanceId !== instanceId) {
+            return null;
+        }
+        return item;
+    }
+
+    /**
+     * List scheduled items of an instance (next run first)
+     * @param {string} instanceId - Instance identifier
+     * @param {Array} statuses - Statuses to include (default: active ones)
+     * @returns {Array} Items
+     */
+    listItems(instanceId, statuses = ACTIVE_STATUSES) {
+        return Array.from(this.items.values())
+            .filter(item => item.instanceId === instanceId && statuses.includes(item.status))
+            .sort((a, b) => new Date(a.nextRunAt || a.updatedAt) - new Date(b.nextRunAt || b.updatedAt));
+    }
+
+    /**
+     * Change the time, recurrence, recipient or text of a scheduled item
+     * @param {string} instanceId - Instance identifier
+     * @param {string} scheduleId - Item identifier
+     * @param {Object} changes - { sendAt | recurrence, maxLatenessSeconds, to, message, caption }
+     * @returns {Object|null} Updated item, null if not found
+     * @throws {Error} If the item is no longer scheduled or the recurrence is invalid
+     */
+    updateItem(instanceId, scheduleId, changes) {
+        const item = this.getItem(instanceId, scheduleId);
+        if (!item) {
+            return null;
+        }
+
+        if (item.status !== 'scheduled') {
+            throw new Error(`Scheduled message ${scheduleId} cannot be changed. Current status: ${item.status}`);
+        }
+
+        if (changes.recurrence) {
+            this.validateRecurrence(changes.recurrence);
+            item.recurrence = changes.recurrence;
+            item.sendAt = null;
+        } else if (changes.sendAt) {
+            item.sendAt = new Date(changes.sendAt);
+            item.recurrence = null;
+        }
+
+        if (changes.maxLatenessSeconds !== undefined) {
+            item.maxLatenessSeconds = changes.maxLatenessSeconds;
+        }
+        if (changes.to) {
+            item.to = changes.to;
+        }
+        if (changes.message !== undefined) {
+            item.payload.message = changes.message;
+        }
+        if (changes.caption !== undefined) {
+            item.payload.caption = changes.caption;
+        }
+
+        if (changes.recurrence || changes.sendAt) {
+            item.nextRunAt = item.recurrence ? this.nextOccurrence(item.recurrence, new Date()) : item.sendAt;
+        }
+        item.updatedAt = new Date();
+
+        this.save();
+        this.arm(item);
+
+        logger.info(`Scheduled message ${scheduleId} updated for instance ${instanceId}`);
+        return item;
+    }
+
+    /**
+     * Cancel a scheduled item
+     * @param {string} instanceId - Instance identifier
+     * @param {string} scheduleId - Item identifier
+     * @returns {Object|null} Cancelled item, null if not found
+     * @throws {Error} If the item is no longer scheduled
+     */
+    cancelItem(instanceId, scheduleId) {
+        const item = this.getItem(instanceId, scheduleId);
+        if (!item) {
+            return null;
+        }
+
+        if (item.status !== 'scheduled') {
+            throw new Error(`Scheduled message ${scheduleId} cannot be cancelled. Current status: ${item.status}`);
+        }
+
+        this.finishItem(item, 'cancelled');
+        logger.info(`Scheduled message ${scheduleId} cancelled for instance ${instanceId}`);
+        return item;
+    }
+
+    /**
+     * Drop every item of an instance
+     * @param {string} instanceId - Instance identifier
+     */
+    removeInstance(instanceId) {
+        for (const [id, item] of this.items) {
+            if (item.instanceId === instanceId) {
+                this.clearTimer(id);
+                this.cleanupItemFiles(item);
+                this.items.delete(id);
+            }
+        }
+        this.save();
+    }
+
+    /**
+     * Mark an item as done and release its resources
+     * @param {Object} item - Scheduled item
+     * @param {string} status - Final status
+     */
+    finishItem(item, status) {
+        this.clearTimer(item.id);
+        item.status = status;
+        item.nextRunAt = null;
+        item.updatedAt = new Date();
+        this.cleanupItemFiles(item);
+        this.pruneFinished(item.instanceId);
+        this.save();
+
+        this.handlers.emit(item.instanceId, 'scheduled_message_status', {
+            instanceId: item.instanceId,
+            scheduleId: item.id,
+            status,
+            runs: item.runs,
+            timestamp: new Date()
+        });
+    }
+
+    /**
+     * Remove the media file kept for a scheduled media message
+     * @param {Object} item - Scheduled item
+     */
+    cleanupItemFiles(item) {
+        if (item.type === 'media' && item.payload.mediaPath && fs.existsSync(item.payload.mediaPath)) {
+            try {
+                fs.unlinkSync(item.payload.mediaPath);
+            } catch (error) {
+                logger.warn(`Could not remove scheduled media ${item.payload.mediaPath}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Keep only the most recent finished items of an instance
+     * @param {string} instanceId - Instance identifier
+     */
+    pruneFinished(instanceId) {
+        const finished = Array.from(this.items.values())
+            .filter(item => item.instanceId === instanceId && !ACTIVE_STATUSES.includes(item.status))
+            .sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt));
+
+        while (finished.length > this.maxFinishedPerInstance) {
+            this.items.delete(finished.shift().id);
+        }
+    }
+
+    clearTimer(scheduleId) {
+        const timer = this.timers.get(scheduleId);
+        if (timer) {
+            clearTimeout(timer);
+            this.timers.delete(scheduleId);
+        }
+    }
+
+    /**
+     * (Re)start the timer of an item
+     * @param {Object} item - Scheduled item
+     * @param {number} delay - Delay in milliseconds (default: until the next run)
+     */
+    arm(item, delay) {
+        this.clearTimer(item.id);
+
+        if (delay === undefined) {
+            delay = Math.max(new Date(item.nextRunAt).getTime() - Date.now(), 0);
+        }
+
+        const timer = setTimeout(() => {
+            this.timers.delete(item.id);
+            this.run(item).catch(error => {
+                logger.error(`Scheduled message ${item.id} worker error:`, error);
+            });
+        }, Math.min(delay, MAX_TIMER_DELAY));
+        this.timers.set(item.id, timer);
+    }
+
+    /**
+     * Record the outcome of a run and move on to the next one, or finish
+     * @param {Object} item - Scheduled item
+     * @param {Object} entry - { status, messageId?, error? }
+     */
+    advance(item, entry) {
+        item.history.push({ dueAt: item.nextRunAt, ...entry, at: new Date() });
+        if (item.history.length > this.maxHistory) {
+            item.history.splice(0, item.history.length - this.maxHistory);
+        }
+
+        this.handlers.emit(item.instanceId, 'scheduled_message_run', {
+            instanceId: item.instanceId,
+            scheduleId: item.id,
+            ...entry,
+            timestamp: new Date()
+        });
+
+        if (!item.recurrence) {
+            this.finishItem(item, entry.status);
+            return;
+        }
+
+        // "count" limits occurrences, missed and failed ones included
+        item.occurrences++;
+        const next = this.nextOccurrence(item.recurrence, new Date());
+        if (!next || (item.recurrence.count && item.occurrences >= item.recurrence.count)) {
+            this.finishItem(item, 'completed');
+            return;
+        }
+
+        item.status = 'scheduled';
+        item.nextRunAt = next;
+        item.updatedAt = new Date();
+        this.save();
+        this.arm(item);
+    }
+
+    /**
+     * Send an item that is due, waiting for the instance up to the lateness cutoff
+     * @param {Object} item - Scheduled item
+     */
+    async run(item) {
+        if (item.status !== 'scheduled' || this.items.get(item.id) !== item) {
+            return;
+        }
+
+        const now = Date.now();
+        const dueAt = new Date(item.nextRunAt).getTime();
+        if (dueAt > now) {
+            // Woken up early by the timer limit
+            this.arm(item);
+            return;
+        }
+
+        // 0 disables the cutoff, the message waits for the instance as long as it takes
+        const lateness = now - dueAt;
+        if (item.maxLatenessSeconds > 0 && lateness > item.maxLatenessSeconds * 1000) {
+            console.log(`⌛ Zamanlanmış mesaj kaçırıldı: ${item.to} (${Math.round(lateness / 1000)} sn gecikme)`);
+            logger.warn(`Scheduled message ${item.id} for instance ${item.instanceId} missed, ${Math.round(lateness / 1000)}s late`);
+            this.advance(item, { status: 'missed', error: 'Instance was not ready before the lateness cutoff' });
+            return;
+        }
+
+        if (this.handlers.getStatus(item.instanceId) !== 'ready') {
+            this.arm(item, this.holdPollInterval);
+            return;
+        }
+
+        item.status = 'sending';
+        item.updatedAt = new Date();
+        this.save();
+
+        try {
+            const result = await this.handlers.send(item);
+            item.runs++;
+            item.lastRunAt = new Date();
+            item.lastResult = result;
+            item.lastError = null;
+
+            logger.info(`Scheduled message ${item.id} sent from instance ${item.instanceId}`);
+            this.advance(item, { status: 'sent', messageId: result.messageId });
+        } catch (error) {
+            item.lastError = error.message;
+
+            if (this.handlers.getStatus(item.instanceId) !== 'ready') {
+                // The instance dropped while sending, wait for it again
+                item.status = 'scheduled';
+                item.updatedAt = new Date();
+                this.save();
+                this.arm(item, this.holdPollInterval);
+                return;
+            }
+
+            console.log(`❌ Zamanlanmış mesaj gönderilemedi: ${item.to} (${error.message})`);
+            logger.error(`Scheduled message ${item.id} failed for instance ${item.instanceId}:`, error.message);
+            this.advance(item, { status: 'failed', error: error.message });
+        }
+    }
+
+    /**
+     * Stop all timers, items stay on disk for the next start
+     */
+    stop() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        this.save();
+    }
+}
+
+ScheduledMessageService.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = ScheduledMessageService;
@@ -0,0 +1,542 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const { assertPublicUrl, isDestinationError, publicAgent } = require('../utils/outboundUrl');
+
+// Events that can be delivered to webhook subscribers
+const WEBHOOK_EVENTS = [
+    'message',
+    'message_create',
+    'message_ack',
+    'message_edit',
+    'message_reaction',
+    'message_revoke_everyone',
+    'auto_reply',
+    'qr',
+    'pairing_code',
+    'authenticated',
+    'auth_failure',
+    'ready',
+    'disconnected',
+    'instance_status_changed',
+    'broadcast_status',
+    'broadcast_progress',
+    'scheduled_message_run',
+    'scheduled_message_status'
+];
+
+class WebhookService {
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts || 5;
+        this.baseDelay = options.baseDelay || 2000;
+        this.maxDelay = options.maxDelay || 5 * 60 * 1000;
+        this.timeout = options.timeout || 10000;
+        this.maxDeliveriesPerInstance = options.maxDeliveriesPerInstance || 500;
+
+        this.subscriptionStore = new JsonStore(options.subscriptionsFile || 'webhooks.json', { subscriptions: [] });
+        this.deliveryStore = new JsonStore(options.deliveriesFile || 'webhook-deliveries.json', { deliveries: [] });
+
+        this.subscriptions = new Map(); // subscriptionId -> subscription
+        this.deliveries = new Map(); // instanceId -> Array of deliveries (newest last)
+        this.retryTimers = new Map(); // deliveryId -> timeout
+
+        this.load();
+    }
+
+    /**
+     * Load subscriptions and delivery log from disk, resuming unfinished deliveries
+     */
+    load() {
+        const { subscriptions } = this.subscriptionStore.read();
+        for (const subscription of subscriptions) {
+            this.subscriptions.set(subscription.id, subscription);
+        }
+
+        const { deliveries } = this.deliveryStore.read();
+        for (const delivery of deliveries) {
+            if (!this.deliveries.has(delivery.instanceId)) {
+                this.deliveries.set(delivery.instanceId, []);
+            }
+            this.deliveries.get(delivery.instanceId).push(delivery);
+
+            // Resume deliveries that were waiting for a retry when the process stopped
+            if (delivery.status === 'pending' && this.subscriptions.has(delivery.subscriptionId)) {
+                const delay = Math.max(new Date(delivery.nextAttemptAt || 0).getTime() - Date.now(), 0);
+                this.scheduleAttempt(delivery, delay);
+            }
+        }
+
+        if (this.subscriptions.size > 0) {
+            logger.info(`Loaded ${this.subscriptions.size} webhook subscriptions`);
+        }
+    }
+
+    saveSubscriptions() {
+        this.subscriptionStore.write({ subscriptions: Array.from(this.subscriptions.values()) });
+    }
+
+    saveDeliveries() {
+        this.deliveryStore.scheduleWrite(() => {
+            const deliveries = [];
+            for (const list of this.deliveries.values()) {
+                deliveries.push(...list);
+            }
+            return { deliveries };
+        });
+    }
+
+    /**
+     * Hide the signing secret in API responses
+     * @param {Object} subscription - Stored subscription
+     * @returns {Object} Public subscription data
+     */
+    toPublic(subscription) {
+        const { secret, ...rest } = subscription;
+        return {
+            ...rest,
+            secret: secret ? `${secret.substring(0, 4)}...` : null
+        };
+    }
+
+    /**
+     * Register a webhook endpoint for an instance
+     * @param {string} instanceId - Instance identifier
+     * @param {Object} data - { url, events, secret, description, enabled }
+     * @returns {Object} Created subscription, including the full secret
+     */
+    createSubscription(instanceId, data) {
+        const subscription = {
+            id: uuidv4(),
+            instanceId,
+            url: data.url,
+            events: data.events && data.events.length > 0 ? data.events : ['*'],
+            secret: data.secret || crypto.randomBytes(32).toString('hex'),
+            description: data.description || null,
+            enabled: data.enabled !== false,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        this.subscriptions.set(subscription.id, subscription);
+        this.saveSubscriptions();
+
+        console.log(`🔗 Instance ${instanceId} için webhook eklendi: ${subscription.url}`);
+        logger.info(`Webhook ${subscription.id} registered for instance ${instanceId}`);
+
+        // The secret is only returned in full once, at creation time
+        return { ...subscription };
+    }
+
+    /**
+     * List subscriptions of an instance
+     * @param {string} instanceId - Instance identifier
+     * @returns {Array} Subscriptions
+     */
+    listSubscriptions(instanceId) {
+        return Array.from(this.subscriptions.values())
+            .filter(subscription => subscription.instanceId === instanceId)
+            .map(subscription => this.toPublic(subscription));
+    }
+
+    /**
+     * Get a subscription of an instance
+     * @param {string} instanceId - Instance identifier
+     * @param {string} subscriptionId - Subscription identifier
+     * @returns {Object|null} Subscription or null if not found
+     */
+    getSubscription(instanceId, subscriptionId) {
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (!subscription || subscription.instanceId !== instanceId) {
+            return null;
+        }
+        return this.toPublic(subscription);
+    }
+
+    /**
+     * Update a subscription
+     * @param {string} instanceId - Instance identifier
+     * @param {string} subscriptionId - Subscription identifier
+     * @param {Object} changes - Fields to change
+     * @returns {Object|null} Updated subscription or null if not found
+     */
+    updateSubscription(instanceId, subscriptionId, changes) {
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (!subscription || subscription.instanceId !== instanceId) {
+            return null;
+        }
+
+        for (const key of ['url', 'events', 'secret', 'description', 'enabled']) {
+            if (changes[key] !== undefined) {
+                subscription[key] = changes[key];
+            }
+        }
+        subscription.updatedAt = new Date();
+
+        this.saveSubscriptions();
+        logger.info(`Webhook ${subscriptionId} updated for instance ${instanceId}`);
+
+        return this.toPublic(subscription);
+    }
+
+    /**
+     * Delete a subscription
+     * @param {string} instanceId - Instance identifier
+     * @param {string} subscriptionId - Subscription identifier
+     * @returns {boolean} True if deleted
+     */
+    deleteSubscription(instanceId, subscriptionId) {
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (!subscription || subscription.instanceId !== instanceId) {
+            return false;
+        }
+
+        this.subscriptions.delete(subscriptionId);
+        this.saveSubscriptions();
+        this.cancelPendingDeliveries(delivery => delivery.subscriptionId === subscriptionId);
+
+        console.log(`🔗 Instance ${instanceId} webhook silindi: ${subscription.url}`);
+        logger.info(`Webhook ${subscriptionId} deleted for instance ${instanceId}`);
+        return true;
+    }
+
+    /**
+     * Remove all subscriptions and deliveries of an instance
+     * @param {string} instanceId - Instance identifier
+     */
+    removeInstance(instanceId) {
+        let removed = 0;
+        for (const [id, subscription] of this.subscriptions) {
+            if (subscription.instanceId === instanceId) {
+                this.subscriptions.delete(id);
+                removed++;
+            }
+        }
+
+        this.cancelPendingDeliveries(delivery => delivery.instanceId === instanceId);
+        this.deliveries.delete(instanceId);
+
+        if (removed > 0) {
+            this.saveSubscriptions();
+        }
+        this.saveDeliveries();
+    }
+
+    /**
+     * Cancel retry timers of matching pending deliveries
+     * @param {Function} predicate - Delivery filter
+     */
+    cancelPendingDeliveries(predicate) {
+        for (const list of this.deliveries.values()) {
+            for (const delivery of list) {
+                if (delivery.status === 'pending' && predicate(delivery)) {
+                    const timer = this.retryTimers.get(delivery.id);
+                    if (timer) {
+                        clearTimeout(timer);
+                        this.retryTimers.delete(delivery.id);
+                    }
+                    delivery.status = 'cancelled';
+                    delivery.nextAttemptAt = null;
+                }
+            }
+        }
+        this.saveDeliveries();
+    }
+
+    /**
+     * Queue an event for every matching subscription of an instance
+     * @param {string} instanceId - Instance identifier
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload
+     * @returns {Array} Created deliveries
+     */
+    dispatch(instanceId, event, payload) {
+        const created = [];
+
+        for (const subscription of this.subscriptions.values()) {
+            if (subscription.instanceId !== instanceId || !subscription.enabled) {
+                continue;
+            }
+            if (!subscription.events.includes('*') && !subscription.events.includes(event)) {
+                continue;
+            }
+
+            created.push(this.enqueue(subscription, event, payload));
+        }
+
+        return created;
+    }
+
+    /**
+     * Send a ping event to a single subscription, ignoring its event filter
+     * @param {string} instanceId - Instance identifier
+     * @param {string} subscriptionId - Subscription identifier
+     * @returns {Object|null} Delivery or null if subscription not found
+     */
+    sendTest(instanceId, subscriptionId) {
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (!subscription || subscription.instanceId !== instanceId) {
+            return null;
+        }
+
+        return this.enqueue(subscription, 'ping', {
+            instanceId,
+            message: 'Webhook test delivery',
+            timestamp: new Date()
+        });
+    }
+
+    /**
+     * Create a delivery record and start the first attempt
+     * @param {Object} subscription - Target subscription
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload
+     * @returns {Object} Delivery record
+     */
+    enqueue(subscription, event, payload) {
+        const delivery = {
+            id: uuidv4(),
+            subscriptionId: subscription.id,
+            instanceId: subscription.instanceId,
+            event,
+            url: subscription.url,
+            body: {
+                id: null,
+                event,
+                instanceId: subscription.instanceId,
+                timestamp: new Date(),
+                data: payload
+            },
+            status: 'pending',
+            attempts: [],
+            createdAt: new Date(),
+            completedAt: null,
+            nextAttemptAt: new Date()
+        };
+        delivery.body.id = delivery.id;
+
+        if (!this.deliveries.has(delivery.instanceId)) {
+            this.deliveries.set(delivery.instanceId, []);
+        }
+        const list = this.deliveries.get(delivery.instanceId);
+        list.push(delivery);
+
+        // Keep the delivery log bounded, dropping the oldest finished entries first
+        while (list.length > this.maxDeliveriesPerInstance) {
+            const index = list.findIndex(item => item.status !== 'pending');
+            if (index !== -1) {
+                list.splice(index, 1);
+                continue;
+            }
+
+            // Everything is still pending (endpoint down for a while): give up on the oldest
+            // delivery visibly instead of dropping it with its retry still scheduled
+            const [evicted] = list.splice(0, 1);
+            this.failEvicted(evicted);
+        }
+
+        this.saveDeliveries();
+        this.scheduleAttempt(delivery, 0);
+        return delivery;
+    }
+
+    /**
+     * Stop retrying a pending delivery that is pushed out of the delivery log
+     * @param {Object} delivery - Delivery record
+     */
+    failEvicted(delivery) {
+        const timer = this.retryTimers.get(delivery.id);
+        if (timer) {
+            clearTimeout(timer);
+            this.retryTimers.delete(delivery.id);
+        }
+
+        delivery.status = 'failed';
+        delivery.completedAt = new Date();
+        delivery.nextAttemptAt = null;
+        delivery.error = `Dropped from the delivery log after ${delivery.attempts.length} attempts, more than ${this.maxDeliveriesPerInstance} deliveries were pending`;
+
+        console.log(`❌ Webhook teslimi kuyruktan düşürüldü: ${delivery.url} (${delivery.event})`);
+        logger.error(`Webhook delivery ${delivery.id} for instance ${delivery.instanceId} dropped: ${delivery.error}`);
+    }
+
+    /**
+     * Schedule the next attempt of a delivery
+     * @param {Object} delivery - Delivery record
+     * @param {number} delay - Delay in milliseconds
+     */
+    scheduleAttempt(delivery, delay) {
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(delivery.id);
+            this.attemptDelivery(delivery).catch(error => {
+                logger.error(`Unexpected webhook delivery error ${delivery.id}:`, error);
+            });
+        }, delay);
+
+        this.retryTimers.set(delivery.id, timer);
+    }
+
+    /**
+     * Compute the retry delay for the given attempt number (1-based)
+     * @param {number} attempt - Attempt that just failed
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt) {
+        const delay = this.baseDelay * Math.pow(2, attempt - 1);
+        return Math.min(delay, this.maxDelay);
+    }
+
+    /**
+     * Sign a request body
+     * @param {string} secret - Subscription secret
+     * @param {string} timestamp - Unix timestamp in seconds
+     * @param {string} body - Raw JSON body
+     * @returns {string} Signature header value
+     */
+    sign(secret, timestamp, body) {
+        const digest = crypto.createHmac('sha256', secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+        return `sha256=${digest}`;
+    }
+
+    /**
+     * POST a delivery to its endpoint once and record the attempt
+     * @param {Object} delivery - Delivery record
+     */
+    async attemptDelivery(delivery) {
+        const subscription = this.subscriptions.get(delivery.subscriptionId);
+        if (!subscription || delivery.status !== 'pending') {
+            return;
+        }
+
+        const attemptNumber = delivery.attempts.length + 1;
+        const body = JSON.stringify(delivery.body);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const startedAt = Date.now();
+
+        const attempt = {
+            attempt: attemptNumber,
+            timestamp: new Date(),
+            statusCode: null,
+            durationMs: null,
+            error: null
+        };
+
+        let retryable = true;
+
+        try {
+            await assertPublicUrl(subscription.url);
+
+            const response = await fetch(subscription.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'whatsapp-multi-api-webhook',
+                    'X-Webhook-Id': subscription.id,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': this.sign(subscription.secret, timestamp, body)
+                },
+                body,
+                timeout: this.timeout,
+                agent: publicAgent,
+                // A redirect could point anywhere, endpoints must answer themselves
+                redirect: 'manual'
+            });
+
+            attempt.statusCode = response.status;
+
+            if (response.ok) {
+                attempt.durationMs = Date.now() - startedAt;
+                delivery.attempts.push(attempt);
+                delivery.status = 'success';
+                delivery.completedAt = new Date();
+                delivery.nextAttemptAt = null;
+                this.saveDeliveries();
+
+                logger.info(`Webhook delivery ${delivery.id} (${delivery.event}) succeeded on attempt ${attemptNumber}`);
+                return;
+            }
+
+            attempt.error = `HTTP ${response.status}`;
+            // Client errors won't fix themselves, except timeouts and rate limits
+            retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        } catch (error) {
+            attempt.error = error.message;
+            retryable = !isDestinationError(error);
+        }
+
+        attempt.durationMs = Date.now() - startedAt;
+        delivery.attempts.push(attempt);
+
+        if (retryable && attemptNumber < this.maxAttempts) {
+            const delay = this.getRetryDelay(attemptNumber);
+            delivery.nextAttemptAt = new Date(Date.now() + delay);
+            this.saveDeliveries();
+
+            logger.warn(`Webhook delivery ${delivery.id} attempt ${attemptNumber}/${this.maxAttempts} failed (${attempt.error}), retrying in ${delay}ms`);
+            this.scheduleAttempt(delivery, delay);
+            return;
+        }
+
+        delivery.status = 'failed';
+        delivery.completedAt = new Date();
+        delivery.nextAttemptAt = null;
+        this.saveDeliveries();
+
+        console.log(`❌ Webhook teslim edilemedi: ${subscription.url} (${delivery.event}) - ${attempt.error}`);
+        logger.error(`Webhook delivery ${delivery.id} to ${subscription.url} failed after ${attemptNumber} attempts: ${attempt.error}`);
+    }
+
+    /**
+     * List deliveries of an instance (newest first)
+     * @param {string} instanceId - Instance identifier
+     * @param {Object} filters - { subscriptionId, status, event, limit }
+     * @returns {Array} Deliveries
+     */
+    listDeliveries(instanceId, filters = {}) {
+        const list = this.deliveries.get(instanceId) || [];
+        const limit = filters.limit || 50;
+
+        return list
+            .filter(delivery => !filters.subscriptionId || delivery.subscriptionId === filters.subscriptionId)
+            .filter(delivery => !filters.status || delivery.status === filters.status)
+            .filter(delivery => !filters.event || delivery.event === filters.event)
+            .reverse()
+            .slice(0, limit);
+    }
+
+    /**
+     * Get a delivery of an instance
+     * @param {string} instanceId - Instance identifier
+     * @param {string} deliveryId - Delivery identifier
+     * @returns {Object|null} Delivery or null if not found
+     */
+    getDelivery(instanceId, deliveryId) {
+        const list = this.deliveries.get(instanceId) || [];
+        return list.find(delivery => delivery.id === deliveryId) || null;
+    }
+
+    /**
+     * Stop pending retries and flush the delivery log
+     */
+    stop() {
+        for (const timer of this.retryTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.retryTimers.clear();
+
+        const deliveries = [];
+        for (const list of this.deliveries.values()) {
+            deliveries.push(...list);
+        }
+        this.deliveryStore.write({ deliveries });
+    }
+}
+
+WebhookService.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookService;
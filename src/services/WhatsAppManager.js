@@ -1,21 +1,158 @@
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const { Client, RemoteAuth, MessageMedia, Location, Poll } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const WebhookService = require('./WebhookService');
+const MessageQueueService = require('./MessageQueueService');
+const BroadcastService = require('./BroadcastService');
+const MessageStore = require('./MessageStore');
+const MediaService = require('./MediaService');
+const AutoResponderService = require('./AutoResponderService');
+const ScheduledMessageService = require('./ScheduledMessageService');
+const MetricsService = require('./MetricsService');
+const HealthService = require('./HealthService');
+const ResourceGovernor = require('./ResourceGovernor');
+const InstanceStateMachine = require('./InstanceStateMachine');
+const { createSessionStore, SessionStore } = require('./sessionStores');
+const { getProcessTreeRss } = require('../utils/processMemory');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { config, validateInstanceOverrides } = require('../config');
+const InstanceRegistry = require('./InstanceRegistry');
+const { normalizeProxy, maskProxy, checkProxy } = require('../utils/proxy');
+
+// Room that receives events of every instance (admin dashboards)
+const MONITOR_ROOM = 'instances-monitor';
+
+// A new pairing code is requested after this long
+const PAIRING_CODE_TTL = 3 * 60 * 1000;
+
+// How often the health monitor checks that instance proxies accept connections
+const PROXY_CHECK_INTERVAL = 60000;
+
+// A hibernated instance that is not ready this long after waking up counts as failed
+const WAKE_TIMEOUT = 120000;
+
+// Contact lookups that run in parallel for one request, WhatsApp Web slows down beyond this
+const CONTACT_LOOKUP_CONCURRENCY = 5;
+
+// Browser profiles, sessions/<instanceId>
+const SESSIONS_PATH = path.join(__dirname, '../../sessions');
+
+/**
+ * Instances that can be recovered: a local browser profile or a session in the session store
+ * @param {SessionStore} sessionStore - Session store
+ * @returns {Promise<string[]>} Instance identifiers
+ */
+const listStoredSessions = async (sessionStore) => {
+    const localDirs = fs.existsSync(SESSIONS_PATH)
+        ? fs.readdirSync(SESSIONS_PATH, { withFileTypes: true })
+            .filter(dirent => dirent.isDirectory())
+            .map(dirent => dirent.name)
+        : [];
+
+    // Sessions backed up by another host are recovered too
+    const storedIds = await sessionStore.listInstances();
+    return Array.from(new Set([...localDirs, ...storedIds]));
+};
+
+// sendContent operation name -> "type" label of the send metrics
+const SEND_METRIC_TYPES = {
+    sendMessage: 'text',
+    sendLocation: 'location',
+    sendContact: 'contact',
+    sendPoll: 'poll'
+};
 
 class WhatsAppManager {
-    constructor(io) {
+    /**
+     * @param {Object} io - Socket.io server, or the IPC emitter of a worker process
+     * @param {Object} options - { instanceIds } stored sessions to recover, all of them when not set
+     */
+    constructor(io, options = {}) {
         this.io = io;
         this.instances = new Map();
-        this.sessionsPath = path.join(__dirname, '../../sessions');
+        this.sessionsPath = SESSIONS_PATH;
+        this.ownedInstanceIds = options.instanceIds || null;
+        this.sessionStore = createSessionStore();
+        this.instanceRegistry = new InstanceRegistry();
+        this.states = new InstanceStateMachine({ historyLimit: config.instances.stateHistoryLimit });
+        this.sessionBackupInterval = config.instances.sessionBackupIntervalMs;
         this.healthCheckInterval = null;
         this.reconnectionInterval = null;
         this.profilePicCache = new Map(); // Cache for profile pictures
-        this.cacheExpiry = 30 * 60 * 1000; // 30 minutes cache
-        this.maxReconnectAttempts = 8; // Daha fazla deneme
-        this.reconnectDelay = 5000; // 5 saniye (çok daha hızlı)
+        this.sessionRecoveries = new Map(); // instanceId -> running attemptSessionRecovery
+        this.cacheExpiry = config.instances.profilePicCacheTtlMs;
+        this.maxReconnectAttempts = config.instances.maxReconnectAttempts;
+        this.reconnectDelay = config.instances.reconnectDelayMs;
+        this.webhookService = new WebhookService({
+            maxAttempts: config.webhooks.maxAttempts,
+            baseDelay: config.webhooks.retryBaseDelayMs,
+            maxDelay: config.webhooks.retryMaxDelayMs,
+            timeout: config.webhooks.timeoutMs
+        });
+        this.messageStore = new MessageStore(config.messageHistory);
+        this.mediaService = new MediaService({
+            autoSave: config.media.autoSave,
+            maxSizeMb: config.media.autoSaveMaxSizeMb,
+            allowedTypes: config.media.autoSaveTypes,
+            retentionDays: config.media.retentionDays,
+            sendMaxSizeMb: config.limits.maxFileSizeMb,
+            sendAllowedTypes: config.media.sendAllowedTypes,
+            downloadTimeout: config.media.downloadTimeoutMs
+        });
+        this.messageQueue = new MessageQueueService({
+            send: (job) => this.sendQueuedJob(job),
+            getStatus: (instanceId) => this.getJobStatus(instanceId)
+        }, {
+            ratePerMinute: config.queue.ratePerMinute,
+            jitter: config.queue.jitterMs,
+            maxAttempts: config.queue.maxAttempts,
+            retryDelay: config.queue.retryDelayMs
+        });
+        this.broadcastService = new BroadcastService({
+            checkNumber: (instanceId, number) => this.checkNumber(instanceId, number),
+            sendMessage: (instanceId, to, text) => this.sendMessage(instanceId, to, text),
+            getStatus: (instanceId) => this.getJobStatus(instanceId),
+            emit: (instanceId, event, payload) => this.emitInstanceEvent(instanceId, event, payload)
+        }, {
+            delay: config.broadcast.delayMs,
+            jitter: config.broadcast.jitterMs
+        });
+        this.scheduler = new ScheduledMessageService({
+            // Scheduled items have the same shape as queued jobs
+            send: (item) => this.sendQueuedJob(item),
+            getStatus: (instanceId) => this.getJobStatus(instanceId),
+            emit: (instanceId, event, payload) => this.emitInstanceEvent(instanceId, event, payload)
+        }, config.schedule);
+        this.autoResponder = new AutoResponderService({
+            sendMessage: (instanceId, to, text, options) => this.sendMessage(instanceId, to, text, options),
+            sendMedia: (instanceId, to, source, caption) => this.sendMediaFromSource(instanceId, to, source, caption),
+            forwardMessage: (instanceId, messageId, to) => this.forwardMessage(instanceId, messageId, to),
+            emit: (instanceId, event, payload) => this.emitInstanceEvent(instanceId, event, payload)
+        }, {
+            timezone: config.autoResponder.timezone,
+            webhookTimeout: config.autoResponder.webhookTimeoutMs
+        });
+        this.metrics = new MetricsService({
+            getInstances: () => this.instances,
+            getProfilePicCacheSize: () => this.profilePicCache.size,
+            getBrowserMemory: (instanceId) => this.getBrowserMemory(instanceId)
+        });
+        this.health = new HealthService({
+            getInstances: () => this.instances
+        }, config.health);
+        this.governor = new ResourceGovernor({
+            getInstances: () => this.instances,
+            getLimits: (instanceId) => this.getInstanceSettings(instanceId),
+            getBrowserPid: (instanceId) => this.getBrowserPid(instanceId),
+            restart: (instanceId, reason) => this.restartInstance(instanceId, reason, 'governor'),
+            hibernate: (instanceId, reason) => this.hibernateInstance(instanceId, reason),
+            record: (instanceId, action) => this.metrics.recordGovernorAction(instanceId, action)
+        }, {
+            intervalMs: config.instances.resourceCheckIntervalMs
+        });
 
         // Create sessions directory if it doesn't exist
         if (!fs.existsSync(this.sessionsPath)) {
@@ -23,13 +160,16 @@ class WhatsAppManager {
         }
 
         // Auto-recover existing sessions on startup
-        this.recoverExistingSessions();
+        this.recovery = this.recoverExistingSessions();
 
         // Start health monitoring
         this.startHealthMonitoring();
 
         // Start auto-reconnection monitoring
         this.startAutoReconnection();
+
+        // Memory/CPU limits and idle hibernation
+        this.governor.start();
     }
 
     /**
@@ -39,15 +179,12 @@ class WhatsAppManager {
         try {
             console.log('\n🔄 Mevcut session\'lar kontrol ediliyor...');
 
-            if (!fs.existsSync(this.sessionsPath)) {
-                console.log('📁 Session klasörü bulunamadı, yeni başlangıç yapılıyor.\n');
-                return;
+            let sessionDirs = await listStoredSessions(this.sessionStore);
+            if (this.ownedInstanceIds) {
+                // The other sessions belong to other worker processes
+                sessionDirs = sessionDirs.filter(instanceId => this.ownedInstanceIds.includes(instanceId));
             }
 
-            const sessionDirs = fs.readdirSync(this.sessionsPath, { withFileTypes: true })
-                .filter(dirent => dirent.isDirectory())
-                .map(dirent => dirent.name);
-
             if (sessionDirs.length === 0) {
                 console.log('📂 Mevcut session bulunamadı.\n');
                 return;
@@ -73,82 +210,467 @@ class WhatsAppManager {
     }
 
     /**
-     * Check if session has valid authentication data
-     * @param {string} sessionPath - Path to session directory
-     * @returns {boolean} True if session has auth data
+     * Build the auth strategy of an instance.
+     * The browser profile lives under sessions/<instanceId>, RemoteAuth zips it
+     * into the session store after login and then every SESSION_BACKUP_INTERVAL_MS.
+     * @param {string} instanceId - Instance identifier
+     * @returns {RemoteAuth} Auth strategy
+     */
+    createAuthStrategy(instanceId) {
+        return new RemoteAuth({
+            clientId: instanceId,
+            dataPath: path.join(this.sessionsPath, instanceId),
+            store: this.sessionStore,
+            backupSyncIntervalMs: this.sessionBackupInterval
+        });
+    }
+
+    /**
+     * Browser settings of an instance: the global puppeteer config with the
+     * overrides given at createInstance time on top
+     * @param {string} instanceId - Instance identifier
+     * @returns {Object} { executablePath, headless, proxy, userAgent, webVersion, maxMemoryMb, maxCpuPercent, hibernateAfterMinutes }
+     */
+    getInstanceSettings(instanceId) {
+        const record = this.instanceRegistry.get(instanceId);
+        const overrides = (record && record.config) || {};
+        const settings = {};
+
+        for (const key of ['executablePath', 'headless', 'proxy', 'userAgent', 'webVersion',
+            'maxMemoryMb', 'maxCpuPercent', 'hibernateAfterMinutes']) {
+            settings[key] = overrides[key] !== undefined ? overrides[key] : config.puppeteer[key];
+        }
+        // The global proxy may still carry credentials in its URL
+        settings.proxy = normalizeProxy(settings.proxy);
+        return settings;
+    }
+
+    /**
+     * Name, tenant, tags and custom metadata of an instance, kept in the instance registry
+     * @param {string} instanceId - Instance identifier
+     * @returns {Object} { name, tenantId, tags, metadata }
+     */
+    getInstanceLabels(instanceId) {
+        const record = this.instanceRegistry.get(instanceId) || {};
+        return {
+            name: record.name || null,
+            tenantId: record.tenantId || null,
+            tags: record.tags || [],
+            metadata: record.metadata || {}
+        };
+    }
+
+    /**
+     * Change the labels of an instance, fields that are not given stay as they are
+     * @param {string} instanceId - Instance identifier
+     * @param {Object} labels - { name, tenantId, tags, metadata }, null clears a field
+     * @returns {Object} Updated labels
+     */
+    updateInstanceLabels(instanceId, labels) {
+        if (!this.instances.has(instanceId)) {
+            throw new Error(`Instance ${instanceId} not found`);
+        }
+
+        this.instanceRegistry.update(instanceId, labels);
+        const updated = this.getInstanceLabels(instanceId);
+
+        logger.info(`Labels of instance ${instanceId} updated: ${Object.keys(labels).join(', ')}`);
+        this.io.to(MONITOR_ROOM).emit('instance_labels_updated', {
+            instanceId,
+            ...updated,
+            timestamp: new Date()
+        });
+        return updated;
+    }
+
+    /**
+     * Browser settings for API responses, the proxy password is left out
+     * @param {string} instanceId - Instance identifier
+     * @returns {Object} Settings
+     */
+    getPublicInstanceSettings(instanceId) {
+        const settings = this.getInstanceSettings(instanceId);
+        return { ...settings, proxy: maskProxy(settings.proxy) };
+    }
+
+    /**
+     * Proxy of an instance with the result of its last reachability check
+     * @param {string} instanceId - Instance identifier
+     * @returns {Object|null} { url, username, hasPassword, health }, null without proxy
+     */
+    getProxyStatus(instanceId) {
+        const { proxy } = this.getInstanceSettings(instanceId);
+        if (!proxy) {
+            return null;
+        }
+
+        const instance = this.instances.get(instanceId);
+        return {
+            ...maskProxy(proxy),
+            health: (instance && instance.proxyHealth) || null
+        };
+    }
+
+    /**
+     * Check that the proxy of an instance accepts connections, the result shows up in the instance status
+     * @param {string} instanceId - Instance identifier
+     * @returns {Promise<Object|null>} Health, null without proxy
+     */
+    async refreshProxyHealth(instanceId) {
+        const instance = this.instances.get(instanceId);
+        const { proxy } = this.getInstanceSettings(instanceId);
+        if (!instance || !proxy) {
+            return null;
+        }
+
+        const health = await checkProxy(proxy);
+        const wasReachable = instance.proxyHealth ? instance.proxyHealth.reachable : true;
+        instance.proxyHealth = health;
+
+        if (wasReachable && !health.reachable) {
+            console.log(`🌐 Instance ${instanceId} proxy'sine ulaşılamıyor: ${health.error}`);
+            logger.warn(`Proxy ${proxy.url} of instance ${instanceId} is unreachable: ${health.error}`);
+        }
+        return health;
+    }
+
+    /**
+     * Change the proxy of an instance and restart its browser with it
+     * @param {string} instanceId - Instance identifier
+     * @param {string|Object|null} proxy - New proxy, null for a direct connection, undefined to use the global proxy again
+     * @returns {Promise<Object>} { proxy, restarted }
+     */
+    async setInstanceProxy(instanceId, proxy) {
+        const instance = this.instances.get(instanceId);
+        if (!instance) {
+            throw new Error(`Instance ${instanceId} not found`);
+        }
+        if (instance.reconnecting) {
+            throw new Error(`Instance ${instanceId} is already restarting`);
+        }
+
+        const record = this.instanceRegistry.get(instanceId);
+        const instanceConfig = { ...(record && record.config) };
+        if (proxy === undefined) {
+            delete instanceConfig.proxy;
+        } else {
+            instanceConfig.proxy = normalizeProxy(proxy);
+        }
+        this.instanceRegistry.update(instanceId, { config: instanceConfig });
+        instance.proxyHealth = null;
+
+        console.log(`🌐 Instance ${instanceId} proxy değiştirildi`);
+        logger.info(`Proxy of instance ${instanceId} changed`);
+
+        const restarted = await this.restartInstance(instanceId);
+        this.refreshProxyHealth(instanceId).catch(error => {
+            logger.warn(`Proxy check of instance ${instanceId} failed:`, error.message);
+        });
+
+        return {
+            proxy: this.getProxyStatus(instanceId),
+            restarted
+        };
+    }
+
+    /**
+     * Apply changed browser settings. A running browser is restarted in the background,
+     * the login is kept in the session store. A client that was never started is just replaced.
+     * @param {string} instanceId - Instance identifier
+     * @param {string} reason - Why the browser is restarted, shown in the status event
+     * @param {string} source - Who restarts it, recorded in the status history
+     * @returns {Promise<boolean>} True if a running browser is being restarted
+     */
+    async restartInstance(instanceId, reason = 'Browser settings changed', source = 'api') {
+        const instance = this.instances.get(instanceId);
+        if (!instance) {
+            throw new Error(`Instance ${instanceId} not found`);
+        }
+
+        if (!instance.client || !instance.client.pupBrowser) {
+            instance.client = this.buildClient(instanceId);
+            this.setupClientEvents(instanceId, instance.client);
+            return false;
+        }
+
+        console.log(`🔄 Instance ${instanceId} tarayıcısı yeniden başlatılıyor: ${reason}`);
+        logger.info(`Restarting browser of instance ${instanceId}: ${reason}`);
+
+        if (!this.setStatus(instance, 'restarting', reason, source)) {
+            throw new Error(`Instance ${instanceId} cannot be restarted while ${instance.status}`);
+        }
+
+        // Keeps auto-reconnection away while the browser is replaced
+        instance.reconnecting = true;
+        this.stopKeepAlive(instanceId);
+        this.emitStatusChanged(instanceId, {
+            instanceId,
+            status: 'restarting',
+            message: `${reason}, restarting`,
+            timestamp: new Date()
+        });
+
+        this.reinitializeInstance(instanceId, reason, source)
+            .then(() => {
+                instance.reconnecting = false;
+            })
+            .catch(error => {
+                logger.error(`Restart of instance ${instanceId} failed:`, error);
+                this.setStatus(instance, 'disconnected', `Restart failed: ${error.message}`, source);
+                this.emitStatusChanged(instanceId, {
+                    instanceId,
+                    status: 'disconnected',
+                    message: `Restart failed: ${error.message}`,
+                    timestamp: new Date()
+                });
+            });
+
+        return true;
+    }
+
+    /**
+     * Close the browser of an idle instance. The session is stored first, so
+     * wakeInstance logs in again without a QR code.
+     * @param {string} instanceId - Instance identifier
+     * @param {string} reason - Why the instance hibernates, shown in the status event
+     * @returns {Promise<boolean>} True if the instance hibernated
      */
-    hasValidSession(sessionPath) {
+    async hibernateInstance(instanceId, reason = 'Hibernated') {
+        const instance = this.instances.get(instanceId);
+        if (!instance) {
+            throw new Error(`Instance ${instanceId} not found`);
+        }
+        if (instance.status !== 'ready' || instance.reconnecting) {
+            return false;
+        }
+
+        // Keeps auto-reconnection and the health monitor away while the browser closes
+        instance.reconnecting = true;
+        this.stopKeepAlive(instanceId);
+
         try {
-            if (!fs.existsSync(sessionPath)) {
-                return false;
-            }
+            await instance.client.destroy();
+            // Store the latest profile so waking up doesn't fall back to an older backup
+            await instance.client.authStrategy.storeRemoteSession();
+        } catch (error) {
+            logger.warn(`Error closing browser of hibernating instance ${instanceId}:`, error.message);
+        }
 
-            // WhatsApp Web session structure: sessionPath/session-{instanceId}/Default/
-            const sessionDirs = fs.readdirSync(sessionPath, { withFileTypes: true })
-                .filter(dirent => dirent.isDirectory() && dirent.name.startsWith('session-'))
-                .map(dirent => dirent.name);
+        instance.client = this.buildClient(instanceId);
+        this.setupClientEvents(instanceId, instance.client);
+        this.setStatus(instance, 'hibernated', reason, 'governor');
+        instance.hibernatedAt = new Date();
+        instance.reconnecting = false;
 
-            if (sessionDirs.length === 0) {
-                return false;
-            }
+        console.log(`😴 Instance ${instanceId} uyku moduna alındı: ${reason}`);
+        logger.info(`Instance ${instanceId} hibernated: ${reason}`);
 
-            const actualSessionPath = path.join(sessionPath, sessionDirs[0], 'Default');
+        this.emitStatusChanged(instanceId, {
+            instanceId,
+            status: 'hibernated',
+            message: reason,
+            timestamp: new Date()
+        });
+        return true;
+    }
 
-            if (!fs.existsSync(actualSessionPath)) {
-                return false;
-            }
+    /**
+     * Start the browser of a hibernated instance again and wait until it is ready.
+     * Concurrent callers share the same wake-up.
+     * @param {string} instanceId - Instance identifier
+     * @returns {Promise<boolean>} True when the instance is ready, false if it was not hibernated
+     */
+    async wakeInstance(instanceId) {
+        const instance = this.instances.get(instanceId);
+        if (!instance) {
+            throw new Error(`Instance ${instanceId} not found`);
+        }
+        if (instance.waking) {
+            return instance.waking;
+        }
+        if (instance.status !== 'hibernated') {
+            return false;
+        }
+
+        instance.waking = (async () => {
+            console.log(`☀️ Instance ${instanceId} uyku modundan çıkarılıyor...`);
+            logger.info(`Waking up instance ${instanceId}`);
+
+            this.setStatus(instance, 'waking', 'Needed by an API call or a queued message', 'api');
+            instance.reconnecting = true;
+            instance.hibernatedAt = null;
+            // Counts as activity, otherwise the governor would send it back to sleep right away
+            instance.lastActivity = new Date();
+            this.emitStatusChanged(instanceId, {
+                instanceId,
+                status: 'waking',
+                timestamp: new Date()
+            });
+
+            try {
+                await this.reinitializeInstance(instanceId, 'Waking up', 'api');
+                await this.waitForReady(instanceId, WAKE_TIMEOUT);
 
-            // Check for WhatsApp Web specific authentication indicators
-            const checks = [
-                // IndexedDB contains WhatsApp authentication data
-                path.join(actualSessionPath, 'IndexedDB', 'https_web.whatsapp.com_0.indexeddb.leveldb'),
-                // Local Storage contains session data
-                path.join(actualSessionPath, 'Local Storage', 'leveldb'),
-                // Session Storage for temporary session data
-                path.join(actualSessionPath, 'Session Storage'),
-                // Cookies for authentication
-                path.join(actualSessionPath, 'Cookies')
-            ];
-
-            // Check if IndexedDB has substantial data (indicates authentication)
-            const indexedDBPath = checks[0];
-            if (fs.existsSync(indexedDBPath)) {
-                const indexedDBFiles = fs.readdirSync(indexedDBPath);
-                // Look for .ldb files which contain actual data
-                const hasDataFiles = indexedDBFiles.some(file => file.endsWith('.ldb'));
-                if (hasDataFiles) {
-                    console.log(`✅ Instance ${path.basename(sessionPath)} has valid IndexedDB authentication data`);
-                    return true;
+                console.log(`☀️ Instance ${instanceId} uyandı`);
+                logger.info(`Instance ${instanceId} is awake`);
+                return true;
+            } catch (error) {
+                logger.error(`Waking up instance ${instanceId} failed:`, error);
+                // A login screen keeps its own status, the instance waits for a scan
+                if (['waking', 'initializing', 'authenticated', 'disconnected'].includes(instance.status)) {
+                    this.setStatus(instance, 'disconnected', `Wake-up failed: ${error.message}`, 'api');
+                    this.emitStatusChanged(instanceId, {
+                        instanceId,
+                        status: 'disconnected',
+                        message: `Wake-up failed: ${error.message}`,
+                        timestamp: new Date()
+                    });
                 }
+                throw error;
+            } finally {
+                instance.reconnecting = false;
+                instance.waking = null;
             }
+        })();
 
-            // Check Local Storage for authentication data
-            const localStoragePath = checks[1];
-            if (fs.existsSync(localStoragePath)) {
-                const localStorageFiles = fs.readdirSync(localStoragePath);
-                const hasLogFiles = localStorageFiles.some(file => file.endsWith('.log') && fs.statSync(path.join(localStoragePath, file)).size > 0);
-                if (hasLogFiles) {
-                    console.log(`✅ Instance ${path.basename(sessionPath)} has valid Local Storage authentication data`);
-                    return true;
-                }
+        return instance.waking;
+    }
+
+    /**
+     * Wait for the ready event of an instance
+     * @param {string} instanceId - Instance identifier
+     * @param {number} timeoutMs - Give up after this long
+     * @returns {Promise<void>} Rejects when a login is needed or the client failed
+     */
+    async waitForReady(instanceId, timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        while (Date.now() < deadline) {
+            const instance = this.instances.get(instanceId);
+            if (!instance) {
+                throw new Error(`Instance ${instanceId} not found`);
+            }
+            if (instance.status === 'ready') {
+                return;
+            }
+            if (['qr_ready', 'qr_required', 'pairing_code_ready', 'auth_failure', 'failed'].includes(instance.status)) {
+                throw new Error(`Instance ${instanceId} needs a new login (status ${instance.status})`);
             }
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+        throw new Error(`Instance ${instanceId} not ready after ${timeoutMs / 1000} seconds`);
+    }
 
-            // Check if Cookies file exists and has content
-            const cookiesPath = checks[3];
-            if (fs.existsSync(cookiesPath)) {
-                const cookiesStats = fs.statSync(cookiesPath);
-                if (cookiesStats.size > 100) { // Cookies file should have substantial content
-                    console.log(`✅ Instance ${path.basename(sessionPath)} has valid Cookies authentication data`);
-                    return true;
-                }
+    /**
+     * Status of an instance for the message queue, broadcasts and scheduled messages.
+     * A hibernated instance is woken up and reported as not ready until it is.
+     * @param {string} instanceId - Instance identifier
+     * @returns {string|null} Status, null when the instance does not exist
+     */
+    getJobStatus(instanceId) {
+        const instance = this.instances.get(instanceId);
+        if (!instance) {
+            return null;
+        }
+
+        if (instance.status === 'hibernated') {
+            this.wakeInstance(instanceId).catch(error => {
+                logger.warn(`Could not wake up instance ${instanceId} for a queued message:`, error.message);
+            });
+        }
+        return instance.status;
+    }
+
+    /**
+     * Create the whatsapp-web.js client of an instance
+     * @param {string} instanceId - Instance identifier
+     * @returns {Client} Client, not initialized yet
+     */
+    buildClient(instanceId) {
+        const settings = this.getInstanceSettings(instanceId);
+
+        const puppeteer = {
+            headless: settings.headless,
+            args: [...config.puppeteer.args]
+        };
+        if (settings.executablePath) {
+            puppeteer.executablePath = settings.executablePath;
+        }
+        if (settings.proxy) {
+            puppeteer.args.push(`--proxy-server=${settings.proxy.url}`);
+        }
+
+        const options = {
+            authStrategy: this.createAuthStrategy(instanceId),
+            puppeteer
+        };
+        if (settings.proxy && settings.proxy.username) {
+            options.proxyAuthentication = {
+                username: settings.proxy.username,
+                password: settings.proxy.password
+            };
+        }
+        if (settings.userAgent) {
+            options.userAgent = settings.userAgent;
+        }
+        if (settings.webVersion) {
+            // The local cache only knows versions this host has loaded before
+            options.webVersion = settings.webVersion;
+            options.webVersionCache = {
+                type: 'remote',
+                remotePath: config.puppeteer.webVersionCacheUrl,
+                strict: true
+            };
+        }
+
+        return new Client(options);
+    }
+
+    /**
+     * Move a profile created by the former LocalAuth strategy
+     * (sessions/<instanceId>/session-<instanceId>) into the session store
+     * @param {string} instanceId - Instance identifier
+     */
+    async migrateLegacySession(instanceId) {
+        const legacyPath = path.join(this.sessionsPath, instanceId, `session-${instanceId}`);
+        if (!fs.existsSync(path.join(legacyPath, 'Default'))) {
+            return;
+        }
+
+        try {
+            if (!await this.sessionStore.sessionExists({ session: SessionStore.sessionName(instanceId) })) {
+                const auth = this.createAuthStrategy(instanceId);
+                auth.userDataDir = legacyPath;
+                auth.sessionName = SessionStore.sessionName(instanceId);
+                await auth.storeRemoteSession();
             }
 
-            console.log(`❌ Instance ${path.basename(sessionPath)} does not have valid authentication data`);
-            return false;
+            fs.rmSync(legacyPath, { recursive: true, force: true });
+            console.log(`📦 Instance ${instanceId} eski LocalAuth session'ı session store'a taşındı`);
+            logger.info(`Legacy LocalAuth session of instance ${instanceId} migrated to the ${this.sessionStore.type} session store`);
+        } catch (error) {
+            logger.error(`Error migrating legacy session of instance ${instanceId}:`, error);
+        }
+    }
+
+    /**
+     * Check if the session store holds an authenticated session for an instance
+     * @param {string} instanceId - Instance identifier
+     * @returns {Promise<boolean>} True if session has auth data
+     */
+    async hasValidSession(instanceId) {
+        try {
+            await this.migrateLegacySession(instanceId);
 
+            const exists = await this.sessionStore.sessionExists({ session: SessionStore.sessionName(instanceId) });
+            if (exists) {
+                console.log(`✅ Instance ${instanceId} has a stored session (${this.sessionStore.type})`);
+            } else {
+                console.log(`❌ Instance ${instanceId} does not have a stored session`);
+            }
+            return exists;
         } catch (error) {
-            logger.error(`Error checking session validity for ${sessionPath}:`, error);
-            console.log(`❌ Error checking session validity for ${path.basename(sessionPath)}: ${error.message}`);
+            logger.error(`Error checking stored session of instance ${instanceId}:`, error);
+            console.log(`❌ Error checking session validity for ${instanceId}: ${error.message}`);
             return false;
         }
     }
@@ -160,15 +682,14 @@ class WhatsAppManager {
     async recoverInstance(instanceId) {
         try {
             const sessionPath = path.join(this.sessionsPath, instanceId);
+            const hasValidAuth = await this.hasValidSession(instanceId);
 
-            // Check if session directory exists and has content
-            if (!fs.existsSync(sessionPath)) {
-                console.log(`⚠️ Instance ${instanceId} session klasörü bulunamadı`);
+            // Nothing to recover without a stored session or a local profile
+            if (!hasValidAuth && !fs.existsSync(sessionPath)) {
+                console.log(`⚠️ Instance ${instanceId} session bulunamadı`);
                 return;
             }
 
-            const hasValidAuth = this.hasValidSession(sessionPath);
-
             if (hasValidAuth) {
                 console.log(`🔄 Instance ${instanceId} yükleniyor... (Authenticated session bulundu)`);
                 console.log(`🎉 QR kod atlanıyor, direkt bağlantı kuruluyor...`);
@@ -176,39 +697,14 @@ class WhatsAppManager {
                 console.log(`🔄 Instance ${instanceId} yükleniyor... (Yeni authentication gerekli)`);
             }
 
-            const client = new Client({
-                authStrategy: new LocalAuth({
-                    clientId: instanceId,
-                    dataPath: sessionPath
-                }),
-                puppeteer: {
-                    headless: true,
-                    args: [
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage',
-                        '--disable-accelerated-2d-canvas',
-                        '--no-first-run',
-                        '--no-zygote',
-                        '--single-process',
-                        '--disable-gpu',
-                        '--disable-web-security',
-                        '--disable-background-networking',
-                        '--disable-background-timer-throttling',
-                        '--disable-renderer-backgrounding',
-                        '--disable-backgrounding-occluded-windows',
-                        '--disable-ipc-flooding-protection',
-                        '--run-all-compositor-stages-before-draw',
-                        '--disable-extensions',
-                        '--aggressive-cache-discard'
-                    ]
-                }
-            });
+            const client = this.buildClient(instanceId);
 
+            const previous = this.instances.get(instanceId);
             const instanceData = {
                 id: instanceId,
                 client,
-                status: hasValidAuth ? 'authenticating' : 'recovering',
+                // A session recovery replaces the instance data, the history goes on from its status
+                status: previous ? previous.status : null,
                 qr: null,
                 info: null,
                 createdAt: new Date(),
@@ -219,6 +715,8 @@ class WhatsAppManager {
                 authenticationAttempted: false // Authentication denenip denenmediğini takip et
             };
 
+            this.setStatus(instanceData, hasValidAuth ? 'authenticating' : 'recovering',
+                hasValidAuth ? 'Stored session found' : 'Local profile found, login needed', 'recovery');
             this.instances.set(instanceId, instanceData);
             this.setupClientEvents(instanceId, client);
 
@@ -240,17 +738,47 @@ class WhatsAppManager {
             // Clean up failed recovery
             if (this.instances.has(instanceId)) {
                 this.instances.delete(instanceId);
+                this.states.removeInstance(instanceId);
             }
             throw error;
         }
     }
 
+    /**
+     * Take over an instance from a worker process that was given up
+     * @param {string} instanceId - Instance identifier
+     * @param {Object|null} record - Its instance registry record (config overrides) on the old worker
+     * @returns {Promise<boolean>} True if the instance runs here now, false without a session to recover
+     */
+    async adoptInstance(instanceId, record = null) {
+        if (this.instances.has(instanceId)) {
+            return true;
+        }
+
+        if (record) {
+            this.instanceRegistry.update(instanceId, record);
+        }
+
+        console.log(`📦 Instance ${instanceId} başka bir worker'dan devralınıyor...`);
+        await this.recoverInstance(instanceId);
+
+        if (!this.instances.has(instanceId)) {
+            this.instanceRegistry.remove(instanceId);
+            return false;
+        }
+
+        logger.info(`Instance ${instanceId} adopted from another worker`);
+        return true;
+    }
+
     /**
      * Create a new WhatsApp instance
      * @param {string} instanceId - Unique identifier for the instance
+     * @param {Object} overrides - Browser settings of this instance { executablePath, headless, proxy, userAgent, webVersion }
+     * @param {Object} labels - { name, tenantId, tags, metadata } to tell instances apart
      * @returns {Promise<Object>} Instance information
      */
-    async createInstance(instanceId = null) {
+    async createInstance(instanceId = null, overrides = {}, labels = {}) {
         try {
             const id = instanceId || uuidv4();
             
@@ -258,41 +786,19 @@ class WhatsAppManager {
                 throw new Error(`Instance ${id} already exists`);
             }
 
-            const sessionPath = path.join(this.sessionsPath, id);
-            
-            const client = new Client({
-                authStrategy: new LocalAuth({
-                    clientId: id,
-                    dataPath: sessionPath
-                }),
-                puppeteer: {
-                    headless: true,
-                    args: [
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage',
-                        '--disable-accelerated-2d-canvas',
-                        '--no-first-run',
-                        '--no-zygote',
-                        '--single-process',
-                        '--disable-gpu',
-                        '--disable-web-security',
-                        '--disable-background-networking',
-                        '--disable-background-timer-throttling',
-                        '--disable-renderer-backgrounding',
-                        '--disable-backgrounding-occluded-windows',
-                        '--disable-ipc-flooding-protection',
-                        '--run-all-compositor-stages-before-draw',
-                        '--disable-extensions',
-                        '--aggressive-cache-discard'
-                    ]
-                }
-            });
+            // Kept for recovery and reinitialization
+            const instanceConfig = validateInstanceOverrides(overrides);
+            if (instanceConfig.proxy) {
+                instanceConfig.proxy = normalizeProxy(instanceConfig.proxy);
+            }
+            this.instanceRegistry.update(id, { config: instanceConfig, ...labels });
+
+            const client = this.buildClient(id);
 
             const instanceData = {
                 id,
                 client,
-                status: 'initializing',
+                status: null,
                 qr: null,
                 info: null,
                 createdAt: new Date(),
@@ -302,6 +808,7 @@ class WhatsAppManager {
                 skipQR: false
             };
 
+            this.setStatus(instanceData, 'initializing', 'Instance created', 'api');
             this.instances.set(id, instanceData);
             this.setupClientEvents(id, client);
 
@@ -315,6 +822,8 @@ class WhatsAppManager {
             return {
                 instanceId: id,
                 status: 'initializing',
+                ...this.getInstanceLabels(id),
+                config: this.getPublicInstanceSettings(id),
                 message: 'Instance created successfully'
             };
         } catch (error) {
@@ -324,17 +833,65 @@ class WhatsAppManager {
     }
 
     /**
-     * Setup event listeners for WhatsApp client
+     * Emit an event to the instance room and its webhook subscribers
      * @param {string} instanceId - Instance identifier
-     * @param {Client} client - WhatsApp client
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload
      */
-    setupClientEvents(instanceId, client) {
-        const instance = this.instances.get(instanceId);
+    emitInstanceEvent(instanceId, event, payload) {
+        this.io.to(`instance-${instanceId}`).emit(event, payload);
 
-        client.on('qr', async (qr) => {
-            try {
-                // QR event tetiklenmişse client authenticated değil demektir
-                // Hızlı kontrol: sadece skipQR flag'i varsa ve bu ilk QR değilse kontrol et
+        try {
+            this.webhookService.dispatch(instanceId, event, payload);
+        } catch (error) {
+            logger.error(`Error dispatching webhook ${event} for instance ${instanceId}:`, error);
+        }
+    }
+
+    /**
+     * Emit a global status change and forward it to the instance webhooks
+     * @param {string} instanceId - Instance identifier
+     * @param {Object} payload - Status payload
+     */
+    emitStatusChanged(instanceId, payload) {
+        this.io.to(MONITOR_ROOM).emit('instance_status_changed', payload);
+        this.webhookService.dispatch(instanceId, 'instance_status_changed', payload);
+    }
+
+    /**
+     * Change the status of an instance through the state machine, illegal transitions are rejected
+     * @param {Object} instance - Instance data
+     * @param {string} status - New status
+     * @param {string} cause - What happened
+     * @param {string} source - client, api, health_monitor, keep_alive, reconnection, recovery, qr_timeout or governor
+     * @returns {boolean} True if the status was changed
+     */
+    setStatus(instance, status, cause, source) {
+        return this.states.transition(instance, status, { cause, source });
+    }
+
+    /**
+     * Status transitions of an instance, newest first
+     * @param {string} instanceId - Instance identifier
+     * @param {number} limit - Maximum number of entries
+     * @returns {Array} { timestamp, from, to, cause, source, accepted }
+     */
+    getStatusHistory(instanceId, limit) {
+        return this.states.getHistory(instanceId, limit);
+    }
+
+    /**
+     * Setup event listeners for WhatsApp client
+     * @param {string} instanceId - Instance identifier
+     * @param {Client} client - WhatsApp client
+     */
+    setupClientEvents(instanceId, client) {
+        const instance = this.instances.get(instanceId);
+
+        client.on('qr', async (qr) => {
+            try {
+                // QR event tetiklenmişse client authenticated değil demektir
+                // Hızlı kontrol: sadece skipQR flag'i varsa ve bu ilk QR değilse kontrol et
                 if (instance.skipQR && instance.hasValidAuth) {
                     console.log(`\n⚠️ Instance ${instanceId} için beklenmeyen QR kod eventi!`);
                     console.log('📂 Session dosyaları mevcut ama client bağlı değil');
@@ -343,11 +900,19 @@ class WhatsAppManager {
                     // skipQR flag'ini iptal et çünkü gerçekte authentication gerekli
                     instance.skipQR = false;
                     instance.hasValidAuth = false;
-                    instance.status = 'qr_required';
+                    this.setStatus(instance, 'qr_required', 'QR code requested although a session was stored', 'client');
                     
                     logger.warn(`QR event triggered for supposedly authenticated instance ${instanceId} - session invalid`);
                 }
 
+                // Telefon numarasıyla eşleştirmede QR yerine pairing code gösterilir
+                if (instance.pairing) {
+                    if (!instance.pairingCode) {
+                        await this.requestPairingCode(instanceId);
+                    }
+                    return;
+                }
+
                 // QR kod işlemlerini paralel başlat - optimize edilmiş ayarlarla
                 const qrDataURLPromise = qrcode.toDataURL(qr, {
                     width: 256,  // Küçük boyut = hızlı oluşturma
@@ -365,7 +930,10 @@ class WhatsAppManager {
                 });
                 
                 // Instance durumunu hemen güncelle
-                instance.status = 'qr_ready';
+                if (!this.setStatus(instance, 'qr_ready', 'QR code received', 'client')) {
+                    return;
+                }
+                this.startQrTimeout(instanceId);
                 
                 // Terminal mesajını hemen göster
                 if (instance.isRecovered && !instance.hasValidAuth) {
@@ -392,7 +960,7 @@ class WhatsAppManager {
                 // Socket emit'leri paralel yap
                 const emitPromises = [
                     // Emit QR code to specific instance room
-                    this.io.to(`instance-${instanceId}`).emit('qr', {
+                    this.emitInstanceEvent(instanceId, 'qr', {
                         instanceId,
                         qr: qrDataURL,
                         timestamp: new Date(),
@@ -400,7 +968,7 @@ class WhatsAppManager {
                     }),
                     
                     // Also emit to general room for monitoring
-                    this.io.emit('instance_qr', {
+                    this.io.to(MONITOR_ROOM).emit('instance_qr', {
                         instanceId,
                         qr: qrDataURL,
                         timestamp: new Date(),
@@ -419,50 +987,52 @@ class WhatsAppManager {
 
         // Authentication başarılı olduğunda
         client.on('authenticated', () => {
-            console.log(`\n🔐 Instance ${instanceId} authentication başarılı!`);
+            if (!this.setStatus(instance, 'authenticated', 'WhatsApp Web accepted the session', 'client')) {
+                return;
+            }
+            this.clearQrTimeout(instance);
+            this.clearPairing(instance);
             instance.hasValidAuth = true;
             instance.skipQR = true;
-            instance.status = 'authenticated';
-            logger.info(`Instance ${instanceId} authenticated successfully`);
-        });
 
-        // Authentication başarısız olduğunda
-        client.on('auth_failure', (msg) => {
-            console.log(`\n❌ Instance ${instanceId} authentication başarısız: ${msg}`);
-            instance.hasValidAuth = false;
-            instance.skipQR = false;
-            instance.status = 'auth_failed';
-            logger.warn(`Instance ${instanceId} authentication failed: ${msg}`);
-            
-            // Emit authentication failure
-            this.io.to(`instance-${instanceId}`).emit('auth_failure', {
+            // Terminal'de kimlik doğrulama mesajı
+            console.log(`\n🔐 Instance ${instanceId} kimlik doğrulaması başarılı!`);
+            console.log(`⏳ WhatsApp bağlantısı kuruluyor...\n`);
+
+            logger.info(`WhatsApp instance ${instanceId} authenticated`);
+
+            this.emitInstanceEvent(instanceId, 'authenticated', {
                 instanceId,
-                message: msg,
                 timestamp: new Date()
             });
         });
 
-        // Session kaybolduğunda
-        client.on('disconnected', (reason) => {
-            console.log(`\n🔌 Instance ${instanceId} bağlantısı kesildi: ${reason}`);
+        // Authentication başarısız olduğunda
+        client.on('auth_failure', (msg) => {
+            if (!this.setStatus(instance, 'auth_failure', `Authentication failed: ${msg}`, 'client')) {
+                return;
+            }
             instance.hasValidAuth = false;
             instance.skipQR = false;
-            instance.status = 'disconnected';
-            logger.warn(`Instance ${instanceId} disconnected: ${reason}`);
-            
-            // Keep-alive'ı durdur
-            this.stopKeepAlive(instanceId);
-            
-            // Emit disconnection
-            this.io.to(`instance-${instanceId}`).emit('disconnected', {
+
+            // Terminal'de kimlik doğrulama hatası
+            console.log(`\n❌ Instance ${instanceId} kimlik doğrulama hatası!`);
+            console.log(`🔴 Hata: ${msg}`);
+            console.log(`🔄 Lütfen yeni bir QR kod oluşturun\n`);
+
+            logger.error(`Authentication failed for instance ${instanceId}: ${msg}`);
+
+            this.emitInstanceEvent(instanceId, 'auth_failure', {
                 instanceId,
-                reason,
+                message: msg,
                 timestamp: new Date()
             });
         });
 
         client.on('ready', () => {
-            instance.status = 'ready';
+            if (!this.setStatus(instance, 'ready', 'WhatsApp Web is ready', 'client')) {
+                return;
+            }
             instance.qr = null;
             instance.info = client.info;
             instance.lastActivity = new Date();
@@ -491,7 +1061,7 @@ class WhatsAppManager {
 
             logger.info(`WhatsApp instance ${instanceId} is ready`);
 
-            this.io.to(`instance-${instanceId}`).emit('ready', {
+            this.emitInstanceEvent(instanceId, 'ready', {
                 instanceId,
                 info: client.info,
                 timestamp: new Date(),
@@ -499,7 +1069,7 @@ class WhatsAppManager {
                 hasValidAuth: instance.hasValidAuth || false
             });
 
-            this.io.emit('instance_ready', {
+            this.io.to(MONITOR_ROOM).emit('instance_ready', {
                 instanceId,
                 info: client.info,
                 timestamp: new Date(),
@@ -511,68 +1081,36 @@ class WhatsAppManager {
             this.startKeepAlive(instanceId);
         });
 
-        client.on('authenticated', () => {
-            instance.status = 'authenticated';
-
-            // Terminal'de kimlik doğrulama mesajı
-            console.log(`\n🔐 Instance ${instanceId} kimlik doğrulaması başarılı!`);
-            console.log(`⏳ WhatsApp bağlantısı kuruluyor...\n`);
-
-            logger.info(`WhatsApp instance ${instanceId} authenticated`);
-
-            this.io.to(`instance-${instanceId}`).emit('authenticated', {
-                instanceId,
-                timestamp: new Date()
-            });
-        });
-
-        client.on('auth_failure', (msg) => {
-            instance.status = 'auth_failure';
-
-            // Terminal'de kimlik doğrulama hatası
-            console.log(`\n❌ Instance ${instanceId} kimlik doğrulama hatası!`);
-            console.log(`🔴 Hata: ${msg}`);
-            console.log(`🔄 Lütfen yeni bir QR kod oluşturun\n`);
-
-            logger.error(`Authentication failed for instance ${instanceId}: ${msg}`);
-
-            this.io.to(`instance-${instanceId}`).emit('auth_failure', {
-                instanceId,
-                message: msg,
-                timestamp: new Date()
-            });
-        });
-
+        // Session kaybolduğunda
         client.on('disconnected', (reason) => {
-            instance.status = 'disconnected';
+            if (!this.setStatus(instance, 'disconnected', `Client disconnected: ${reason}`, 'client')) {
+                return;
+            }
+            // The session is not trusted anymore, auto-reconnection waits for a new login
+            instance.hasValidAuth = false;
+            instance.skipQR = false;
             instance.reconnectAttempts = 0; // Reset reconnect attempts
+            this.stopKeepAlive(instanceId);
 
             // Terminal'de bağlantı kesilme mesajı
             console.log(`\n⚠️ Instance ${instanceId} bağlantısı kesildi!`);
             console.log(`📱 Sebep: ${reason}`);
-
-            // Check if we have valid auth for auto-reconnection
-            if (instance.hasValidAuth) {
-                console.log(`🔄 Otomatik yeniden bağlanma 60 saniye içinde başlayacak...`);
-                console.log(`💡 Manuel yeniden bağlanma için initialize endpoint'ini kullanabilirsiniz\n`);
-            } else {
-                console.log(`🔄 Yeniden bağlanmak için instance'ı yeniden başlatın\n`);
-            }
+            console.log(`🔄 Yeniden bağlanmak için instance'ı yeniden başlatın\n`);
 
             logger.warn(`WhatsApp instance ${instanceId} disconnected: ${reason}`);
 
-            this.io.to(`instance-${instanceId}`).emit('disconnected', {
+            this.emitInstanceEvent(instanceId, 'disconnected', {
                 instanceId,
                 reason,
                 timestamp: new Date(),
-                autoReconnectEnabled: instance.hasValidAuth
+                autoReconnectEnabled: false
             });
 
-            this.io.emit('instance_status_changed', {
+            this.emitStatusChanged(instanceId, {
                 instanceId,
                 status: 'disconnected',
                 reason,
-                autoReconnectEnabled: instance.hasValidAuth,
+                autoReconnectEnabled: false,
                 timestamp: new Date()
             });
         });
@@ -581,8 +1119,17 @@ class WhatsAppManager {
         client.on('message', (message) => {
             // Son aktivite zamanını güncelle (bağlantının aktif olduğunu gösterir)
             instance.lastActivity = new Date();
+            this.metrics.recordReceived(instanceId);
+
+            this.mediaService.saveIncoming(instanceId, message).catch(error => {
+                logger.error(`Error saving incoming media for instance ${instanceId}:`, error);
+            });
+
+            this.autoResponder.handleMessage(instanceId, message).catch(error => {
+                logger.error(`Auto-responder error for instance ${instanceId}:`, error);
+            });
             
-            this.io.to(`instance-${instanceId}`).emit('message', {
+            this.emitInstanceEvent(instanceId, 'message', {
                 instanceId,
                 message: {
                     id: message.id._serialized,
@@ -600,8 +1147,15 @@ class WhatsAppManager {
         client.on('message_create', (message) => {
             // Giden mesajlarda da activity güncelle
             instance.lastActivity = new Date();
+
+            // message_create fires for incoming and outgoing messages, so history is written here
+            try {
+                this.messageStore.saveMessage(instanceId, MessageStore.fromWhatsAppMessage(message));
+            } catch (error) {
+                logger.error(`Error storing message for instance ${instanceId}:`, error);
+            }
             
-            this.io.to(`instance-${instanceId}`).emit('message_create', {
+            this.emitInstanceEvent(instanceId, 'message_create', {
                 instanceId,
                 message: {
                     id: message.id._serialized,
@@ -615,14 +1169,96 @@ class WhatsAppManager {
                 timestamp: new Date()
             });
         });
+
+        client.on('message_ack', (message, ack) => {
+            try {
+                const messageId = message.id._serialized;
+
+                if (this.messageStore.enabled) {
+                    if (!this.messageStore.getMessage(instanceId, messageId)) {
+                        // The receipt can beat message_create, the message is stored with this ack
+                        this.messageStore.saveMessage(instanceId, MessageStore.fromWhatsAppMessage(message));
+                    } else if (!this.messageStore.recordAck(instanceId, messageId, ack)) {
+                        // Late receipt for an ack we already have
+                        return;
+                    }
+                }
+
+                this.emitInstanceEvent(instanceId, 'message_ack', {
+                    instanceId,
+                    messageId,
+                    chatId: message.fromMe ? message.to : message.from,
+                    ack,
+                    status: MessageStore.ACK_STATUSES[ack] || null,
+                    timestamp: new Date()
+                });
+            } catch (error) {
+                logger.error(`Error tracking ack for instance ${instanceId}:`, error);
+            }
+        });
+
+        client.on('message_edit', (message, newBody, prevBody) => {
+            this.messageStore.updateMessage(instanceId, message.id._serialized, {
+                body: newBody,
+                edited: true,
+                editedAt: new Date()
+            });
+
+            this.emitInstanceEvent(instanceId, 'message_edit', {
+                instanceId,
+                messageId: message.id._serialized,
+                chatId: message.fromMe ? message.to : message.from,
+                body: newBody,
+                previousBody: prevBody,
+                timestamp: new Date()
+            });
+        });
+
+        client.on('message_reaction', (reaction) => {
+            this.emitInstanceEvent(instanceId, 'message_reaction', {
+                instanceId,
+                messageId: reaction.msgId._serialized,
+                reactionId: reaction.id._serialized,
+                senderId: reaction.senderId,
+                reaction: reaction.reaction,
+                // An empty reaction means the sender removed it
+                removed: !reaction.reaction,
+                timestamp: new Date()
+            });
+        });
+
+        client.on('message_revoke_everyone', (message, revokedMessage) => {
+            const messageId = message.id._serialized;
+
+            this.messageStore.updateMessage(instanceId, messageId, {
+                revoked: true,
+                revokedAt: new Date()
+            });
+
+            this.emitInstanceEvent(instanceId, 'message_revoke_everyone', {
+                instanceId,
+                messageId,
+                chatId: message.fromMe ? message.to : message.from,
+                // The original content is not always available
+                body: revokedMessage ? revokedMessage.body : null,
+                timestamp: new Date()
+            });
+        });
+
+        // First backup after login, from now on the instance survives a move to another host
+        client.on('remote_session_saved', () => {
+            console.log(`💾 Instance ${instanceId} session'ı yedeklendi (${this.sessionStore.type})`);
+            logger.info(`Session of instance ${instanceId} saved to the ${this.sessionStore.type} session store`);
+        });
     }
 
     /**
      * Initialize WhatsApp client
      * @param {string} instanceId - Instance identifier
-     * @returns {Promise<Object>} Initialization result
+     * @param {Object} options - { phoneNumber } to log in with a pairing code instead of a QR code
+     * @returns {Promise<Object>} Initialization result, with pairingCode when a phone number was given
      */
-    async initializeInstance(instanceId) {
+    async initializeInstance(instanceId, options = {}) {
         try {
             const instance = this.instances.get(instanceId);
             if (!instance) {
@@ -637,6 +1273,10 @@ class WhatsAppManager {
                 };
             }
 
+            if (options.phoneNumber) {
+                return await this.initializeWithPairingCode(instanceId, options.phoneNumber);
+            }
+
             // Terminal'de başlatma mesajı
             console.log(`\n⚡ Instance ${instanceId} başlatılıyor...`);
             console.log(`🔄 WhatsApp Web bağlantısı kuruluyor...`);
@@ -655,14 +1295,231 @@ class WhatsAppManager {
         }
     }
 
+    /**
+     * Log in by entering a code on the phone (Linked devices > Link with phone number)
+     * instead of scanning a QR code. Resolves once the first code is there.
+     * @param {string} instanceId - Instance identifier
+     * @param {string} phoneNumber - Number of the WhatsApp account in international format
+     * @returns {Promise<Object>} Initialization result with pairingCode { code, phoneNumber, expiresAt }
+     */
+    async initializeWithPairingCode(instanceId, phoneNumber) {
+        const instance = this.instances.get(instanceId);
+
+        this.clearPairing(instance);
+        instance.pairing = {
+            phoneNumber: phoneNumber.replace(/\D/g, ''),
+            waiters: [],
+            pending: null,
+            refreshTimer: null
+        };
+
+        let pairingCode;
+        if (instance.client.pupPage && ['qr_ready', 'qr_required', 'pairing_code_ready'].includes(instance.status)) {
+            // The login screen is already open, no need to start the browser
+            pairingCode = await this.requestPairingCode(instanceId);
+        } else {
+            console.log(`\n⚡ Instance ${instanceId} başlatılıyor...`);
+            console.log(`🔢 ${instance.pairing.phoneNumber} numarası için eşleştirme kodu bekleniyor...\n`);
+
+            // The code is requested from the qr handler once WhatsApp Web shows its login screen
+            const codePromise = new Promise((resolve, reject) => {
+                instance.pairing.waiters.push({ resolve, reject });
+            });
+            codePromise.catch(() => {});
+
+            let timeout;
+            try {
+                await instance.client.initialize();
+                pairingCode = await Promise.race([
+                    codePromise,
+                    new Promise((_, reject) => {
+                        timeout = setTimeout(() => reject(new Error('Pairing code was not received within 60 seconds')), 60000);
+                    })
+                ]);
+            } catch (error) {
+                this.clearPairing(instance);
+                throw error;
+            } finally {
+                clearTimeout(timeout);
+            }
+        }
+
+        return {
+            success: true,
+            message: 'Pairing code generated, enter it on the phone under Linked devices > Link with phone number',
+            status: instance.status,
+            pairingCode
+        };
+    }
+
+    /**
+     * Ask WhatsApp Web for a pairing code and publish it like a QR code.
+     * Codes are short-lived, a new one is requested when the current one expires.
+     * @param {string} instanceId - Instance identifier
+     * @returns {Promise<Object>} { code, phoneNumber, expiresAt }
+     */
+    requestPairingCode(instanceId) {
+        const instance = this.instances.get(instanceId);
+        if (!instance || !instance.pairing) {
+            return Promise.reject(new Error(`Instance ${instanceId} is not pairing with a phone number`));
+        }
+
+        const { pairing } = instance;
+        if (pairing.pending) {
+            return pairing.pending;
+        }
+
+        pairing.pending = (async () => {
+            try {
+                const code = await instance.client.requestPairingCode(pairing.phoneNumber, true);
+                const expiresAt = new Date(Date.now() + PAIRING_CODE_TTL);
+
+                instance.pairingCode = { code, phoneNumber: pairing.phoneNumber, expiresAt };
+                this.setStatus(instance, 'pairing_code_ready', 'Pairing code received', 'client');
+                instance.qr = null;
+                this.startQrTimeout(instanceId);
+
+                console.log(`\n🔢 Instance ${instanceId} eşleştirme kodu: ${code.slice(0, 4)}-${code.slice(4)}`);
+                console.log(`📱 Telefonda: Bağlı cihazlar > Telefon numarasıyla bağla (${pairing.phoneNumber})\n`);
+                logger.info(`Pairing code generated for instance ${instanceId}`);
+
+                const payload = {
+                    instanceId,
+                    code,
+                    phoneNumber: pairing.phoneNumber,
+                    expiresAt,
+                    timestamp: new Date()
+                };
+                this.emitInstanceEvent(instanceId, 'pairing_code', payload);
+                this.io.to(MONITOR_ROOM).emit('instance_pairing_code', payload);
+
+                clearTimeout(pairing.refreshTimer);
+                pairing.refreshTimer = setTimeout(() => {
+                    if (instance.pairing === pairing && instance.status === 'pairing_code_ready') {
+                        this.requestPairingCode(instanceId).catch(error => {
+                            logger.error(`Error refreshing pairing code of instance ${instanceId}:`, error);
+                        });
+                    }
+                }, PAIRING_CODE_TTL);
+
+                pairing.waiters.splice(0).forEach(waiter => waiter.resolve(instance.pairingCode));
+                return instance.pairingCode;
+            } catch (error) {
+                logger.error(`Error requesting pairing code for instance ${instanceId}:`, error);
+                pairing.waiters.splice(0).forEach(waiter => waiter.reject(error));
+                throw error;
+            } finally {
+                pairing.pending = null;
+            }
+        })();
+
+        return pairing.pending;
+    }
+
+    /**
+     * Stop pairing-code login (authenticated, timed out or restarted with another number)
+     * @param {Object} instance - Instance data
+     */
+    clearPairing(instance) {
+        if (!instance || !instance.pairing) {
+            return;
+        }
+
+        clearTimeout(instance.pairing.refreshTimer);
+        instance.pairing.waiters.splice(0).forEach(waiter => waiter.reject(new Error('Pairing was cancelled')));
+        instance.pairing = null;
+        instance.pairingCode = null;
+    }
+
     /**
      * Send text message
      * @param {string} instanceId - Instance identifier
      * @param {string} to - Recipient number
      * @param {string} message - Message text
+     * @param {Object} options - { quotedMessageId, mentions }
+     * @returns {Promise<Object>} Send result
+     */
+    async sendMessage(instanceId, to, message, options = {}) {
+        const preview = message.length > 50 ? message.substring(0, 50) + '...' : message;
+        return this.sendContent(instanceId, to, message, options, preview, 'sendMessage');
+    }
+
+    /**
+     * Send a message of any supported type
+     * @param {string} instanceId - Instance identifier
+     * @param {string} to - Recipient number
+     * @param {Object} payload - { type, message | location | contact | poll, quotedMessageId, mentions }
+     * @returns {Promise<Object>} Send result (same shape as sendMessage)
+     */
+    async sendRichMessage(instanceId, to, payload) {
+        const { type = 'text', quotedMessageId, mentions } = payload;
+
+        if (type === 'text') {
+            return this.sendMessage(instanceId, to, payload.message, { quotedMessageId, mentions });
+        }
+
+        if (type === 'location') {
+            const { latitude, longitude, name, address, url } = payload.location;
+            const location = new Location(latitude, longitude, { name, address, url });
+            return this.sendContent(instanceId, to, location, { quotedMessageId },
+                `📍 ${name || `${latitude}, ${longitude}`}`, 'sendLocation');
+        }
+
+        if (type === 'contact') {
+            const vcard = payload.contact.vcard || this.buildVCard(payload.contact);
+            return this.sendContent(instanceId, to, vcard, { quotedMessageId, parseVCards: true },
+                `👤 ${payload.contact.name || 'vCard'}`, 'sendContact');
+        }
+
+        if (type === 'poll') {
+            const { name, options, allowMultipleAnswers } = payload.poll;
+            const poll = new Poll(name, options, { allowMultipleAnswers: !!allowMultipleAnswers });
+            return this.sendContent(instanceId, to, poll, { quotedMessageId },
+                `📊 ${name} (${options.length} seçenek)`, 'sendPoll');
+        }
+
+        throw new Error(`Unsupported message type: ${type}`);
+    }
+
+    /**
+     * Build a vCard 3.0 contact card
+     * @param {Object} contact - { name, phone, organization, email }
+     * @returns {string} vCard
+     */
+    buildVCard(contact) {
+        // Commas, semicolons and backslashes are separators in vCard values
+        const escape = (value) => String(value).replace(/[\\,;]/g, char => `\\${char}`).replace(/[\r\n]+/g, ' ');
+        const digits = contact.phone.replace(/\D/g, '');
+
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `FN:${escape(contact.name)}`
+        ];
+        if (contact.organization) {
+            lines.push(`ORG:${escape(contact.organization)};`);
+        }
+        // waid links the card to the WhatsApp account of the number
+        lines.push(`TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`);
+        if (contact.email) {
+            lines.push(`EMAIL:${escape(contact.email)}`);
+        }
+        lines.push('END:VCARD');
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Send prepared content through the instance client
+     * @param {string} instanceId - Instance identifier
+     * @param {string} to - Recipient number or chat id
+     * @param {*} content - Text, Location, Poll or vCard
+     * @param {Object} options - { quotedMessageId, mentions, parseVCards }
+     * @param {string} summary - Short description for the terminal log
+     * @param {string} operationName - Operation name for recovery logs
      * @returns {Promise<Object>} Send result
      */
-    async sendMessage(instanceId, to, message) {
+    async sendContent(instanceId, to, content, options, summary, operationName) {
         const operation = async () => {
             const instance = this.instances.get(instanceId);
             if (!instance) {
@@ -674,7 +1531,18 @@ class WhatsAppManager {
             }
 
             const chatId = to.includes('@') ? to : `${to}@c.us`;
-            const result = await instance.client.sendMessage(chatId, message);
+            const sendOptions = {};
+            if (options.quotedMessageId) {
+                sendOptions.quotedMessageId = options.quotedMessageId;
+            }
+            if (options.mentions && options.mentions.length > 0) {
+                sendOptions.mentions = options.mentions.map(id => id.includes('@') ? id : `${id.replace(/\D/g, '')}@c.us`);
+            }
+            if (options.parseVCards !== undefined) {
+                sendOptions.parseVCards = options.parseVCards;
+            }
+
+            const result = await instance.client.sendMessage(chatId, content, sendOptions);
 
             instance.lastActivity = new Date();
 
@@ -682,7 +1550,8 @@ class WhatsAppManager {
             console.log(`\n📤 Mesaj gönderildi!`);
             console.log(`📱 Instance: ${instanceId}`);
             console.log(`👤 Alıcı: ${to}`);
-            console.log(`💬 Mesaj: ${message.length > 50 ? message.substring(0, 50) + '...' : message}`);
+            console.log(`💬 Mesaj: ${summary}`);
+            if (options.quotedMessageId) console.log(`↩️ Yanıtlanan: ${options.quotedMessageId}`);
             console.log(`🆔 Mesaj ID: ${result.id._serialized}\n`);
 
             logger.info(`Message sent from instance ${instanceId} to ${to}`);
@@ -694,9 +1563,14 @@ class WhatsAppManager {
             };
         };
 
+        const endSend = this.metrics.startSend(instanceId, SEND_METRIC_TYPES[operationName] || operationName);
+
         try {
-            return await this.executeWithRecovery(instanceId, operation, 'sendMessage');
+            const result = await this.executeWithRecovery(instanceId, operation, operationName);
+            endSend(true);
+            return result;
         } catch (error) {
+            endSend(false);
             logger.error(`Error sending message from instance ${instanceId}:`, error);
             throw error;
         }
@@ -708,9 +1582,12 @@ class WhatsAppManager {
      * @param {string} to - Recipient number
      * @param {string} mediaPath - Path to media file
      * @param {string} caption - Optional caption
+     * @param {Object} options - { fileName, mimetype, sendAsDocument, sendAsVoice, sendAsSticker }
      * @returns {Promise<Object>} Send result
      */
-    async sendMedia(instanceId, to, mediaPath, caption = '') {
+    async sendMedia(instanceId, to, mediaPath, caption = '', options = {}) {
+        const endSend = this.metrics.startSend(instanceId, 'media');
+
         try {
             const instance = this.instances.get(instanceId);
             if (!instance) {
@@ -722,9 +1599,21 @@ class WhatsAppManager {
             }
 
             const media = MessageMedia.fromFilePath(mediaPath);
+            if (options.fileName) {
+                // Show the original name instead of the temporary upload name
+                media.filename = options.fileName;
+            }
+            if (options.mimetype) {
+                media.mimetype = options.mimetype;
+            }
             const chatId = to.includes('@') ? to : `${to}@c.us`;
 
-            const result = await instance.client.sendMessage(chatId, media, { caption });
+            const result = await instance.client.sendMessage(chatId, media, {
+                caption,
+                sendMediaAsDocument: !!options.sendAsDocument,
+                sendAudioAsVoice: !!options.sendAsVoice,
+                sendMediaAsSticker: !!options.sendAsSticker
+            });
 
             instance.lastActivity = new Date();
 
@@ -732,11 +1621,12 @@ class WhatsAppManager {
             console.log(`\n📎 Medya gönderildi!`);
             console.log(`📱 Instance: ${instanceId}`);
             console.log(`👤 Alıcı: ${to}`);
-            console.log(`📁 Dosya: ${mediaPath.split('/').pop()}`);
+            console.log(`📁 Dosya: ${options.fileName || mediaPath.split('/').pop()}`);
             if (caption) console.log(`💬 Açıklama: ${caption}`);
             console.log(`🆔 Mesaj ID: ${result.id._serialized}\n`);
 
             logger.info(`Media sent from instance ${instanceId} to ${to}`);
+            endSend(true);
 
             return {
                 success: true,
@@ -744,31 +1634,70 @@ class WhatsAppManager {
                 timestamp: result.timestamp
             };
         } catch (error) {
+            endSend(false);
             logger.error(`Error sending media from instance ${instanceId}:`, error);
             throw error;
         }
     }
 
     /**
-     * Get instance status
+     * Send media given as a URL or base64 (see MediaService.loadOutgoing)
      * @param {string} instanceId - Instance identifier
-     * @returns {Object} Instance status
+     * @param {string} to - Recipient number
+     * @param {Object} source - { url | base64, mimetype, filename }
+     * @param {string} caption - Optional caption
+     * @returns {Promise<Object>} Send result
      */
-    getInstanceStatus(instanceId) {
-        const instance = this.instances.get(instanceId);
-        if (!instance) {
-            return { error: 'Instance not found' };
+    async sendMediaFromSource(instanceId, to, source, caption = '') {
+        const media = await this.mediaService.loadOutgoing(source);
+        const mediaPath = await this.mediaService.writeOutgoing(media);
+
+        try {
+            return await this.sendMedia(instanceId, to, mediaPath, caption, {
+                fileName: media.filename,
+                mimetype: media.mimetype
+            });
+        } finally {
+            fs.promises.unlink(mediaPath).catch(() => {});
+        }
+    }
+
+    /**
+     * Deliver a job taken from the outbound message queue, or a due scheduled message
+     * @param {Object} job - Queued job or scheduled item
+     * @returns {Promise<Object>} Send result
+     */
+    async sendQueuedJob(job) {
+        if (job.type === 'media') {
+            const { mediaPath, caption, ...options } = job.payload;
+            return await this.sendMedia(job.instanceId, job.to, mediaPath, caption, options);
+        }
+        return await this.sendRichMessage(job.instanceId, job.to, { type: job.type, ...job.payload });
+    }
+
+    /**
+     * Get instance status
+     * @param {string} instanceId - Instance identifier
+     * @returns {Object} Instance status
+     */
+    getInstanceStatus(instanceId) {
+        const instance = this.instances.get(instanceId);
+        if (!instance) {
+            return { error: 'Instance not found' };
         }
 
         return {
             instanceId,
+            ...this.getInstanceLabels(instanceId),
             status: instance.status,
             qr: instance.qr,
+            pairingCode: instance.pairingCode || null,
             info: instance.info,
             createdAt: instance.createdAt,
             lastActivity: instance.lastActivity,
             isRecovered: instance.isRecovered || false,
-            hasValidAuth: instance.hasValidAuth || false
+            hasValidAuth: instance.hasValidAuth || false,
+            proxy: this.getProxyStatus(instanceId)
         };
     }
 
@@ -781,17 +1710,87 @@ class WhatsAppManager {
         for (const [id, instance] of this.instances) {
             statuses.push({
                 instanceId: id,
+                ...this.getInstanceLabels(id),
                 status: instance.status,
                 info: instance.info,
                 createdAt: instance.createdAt,
                 lastActivity: instance.lastActivity,
                 isRecovered: instance.isRecovered || false,
-                hasValidAuth: instance.hasValidAuth || false
+                hasValidAuth: instance.hasValidAuth || false,
+                proxy: this.getProxyStatus(id)
             });
         }
         return statuses;
     }
 
+    /**
+     * Detailed health data of an instance, for troubleshooting and orchestration
+     * @param {string} instanceId - Instance identifier
+     * @returns {Promise<Object|null>} Diagnostics, null when the instance does not exist
+     */
+    async getInstanceDiagnostics(instanceId) {
+        const instance = this.instances.get(instanceId);
+        if (!instance) {
+            return null;
+        }
+
+        const keepAlive = instance.keepAlive || {};
+        const settings = this.getInstanceSettings(instanceId);
+        const browser = {
+            pid: null,
+            connected: false,
+            memory: null,
+            error: null
+        };
+
+        const pupBrowser = instance.client && instance.client.pupBrowser;
+        if (pupBrowser) {
+            const browserProcess = pupBrowser.process();
+            browser.pid = browserProcess ? browserProcess.pid : null;
+            browser.connected = pupBrowser.isConnected();
+
+            try {
+                browser.memory = await this.getBrowserMemory(instanceId);
+            } catch (error) {
+                browser.error = error.message;
+            }
+        }
+
+        return {
+            instanceId,
+            status: instance.status,
+            ready: instance.status === 'ready',
+            lastStateCheck: instance.lastStateCheck || null,
+            reconnect: {
+                attempts: instance.reconnectAttempts || 0,
+                maxAttempts: this.maxReconnectAttempts,
+                inProgress: !!instance.reconnecting
+            },
+            proxy: this.getProxyStatus(instanceId),
+            keepAlive: {
+                active: !!instance.keepAliveInterval,
+                intervalMs: keepAlive.intervalMs || null,
+                lastRunAt: keepAlive.lastRunAt || null,
+                lastSuccessAt: keepAlive.lastSuccessAt || null,
+                lastError: keepAlive.lastError || null
+            },
+            lastActivity: instance.lastActivity || null,
+            secondsSinceLastActivity: instance.lastActivity
+                ? Math.round((Date.now() - new Date(instance.lastActivity).getTime()) / 1000)
+                : null,
+            browser,
+            resources: {
+                usage: this.governor.getUsage(instanceId),
+                limits: {
+                    maxMemoryMb: settings.maxMemoryMb,
+                    maxCpuPercent: settings.maxCpuPercent,
+                    hibernateAfterMinutes: settings.hibernateAfterMinutes
+                },
+                hibernatedAt: instance.hibernatedAt || null
+            }
+        };
+    }
+
     /**
      * Destroy instance
      * @param {string} instanceId - Instance identifier
@@ -804,14 +1803,19 @@ class WhatsAppManager {
                 throw new Error(`Instance ${instanceId} not found`);
             }
 
-            await instance.client.destroy();
+            // A hibernated or never initialized client has no browser to close
+            if (instance.client.pupBrowser) {
+                await instance.client.destroy();
+            }
+            this.clearQrTimeout(instance);
             this.instances.delete(instanceId);
 
-            // Clean up session files
+            // Clean up session files and the stored backup
             const sessionPath = path.join(this.sessionsPath, instanceId);
             if (fs.existsSync(sessionPath)) {
                 fs.rmSync(sessionPath, { recursive: true, force: true });
             }
+            await this.sessionStore.delete({ session: SessionStore.sessionName(instanceId) });
 
             // Terminal'de silme mesajı
             console.log(`\n🗑️ Instance silindi: ${instanceId}`);
@@ -820,11 +1824,26 @@ class WhatsAppManager {
 
             logger.info(`Instance ${instanceId} destroyed`);
 
-            this.io.emit('instance_destroyed', {
+            this.io.to(MONITOR_ROOM).emit('instance_destroyed', {
                 instanceId,
                 timestamp: new Date()
             });
 
+            // Webhooks, queued messages, broadcasts and history belong to the session, drop them together
+            this.webhookService.removeInstance(instanceId);
+            this.messageStore.removeInstance(instanceId);
+            this.mediaService.removeInstance(instanceId);
+            this.messageQueue.removeInstance(instanceId);
+            this.broadcastService.removeInstance(instanceId);
+            this.autoResponder.removeInstance(instanceId);
+            this.scheduler.removeInstance(instanceId);
+            this.instanceRegistry.remove(instanceId);
+            this.governor.removeInstance(instanceId);
+            this.states.removeInstance(instanceId);
+            this.metrics.removeInstance(instanceId).catch(error => {
+                logger.warn(`Could not remove metrics of instance ${instanceId}:`, error.message);
+            });
+
             return {
                 success: true,
                 message: 'Instance destroyed successfully'
@@ -848,6 +1867,60 @@ class WhatsAppManager {
         logger.info('All instances destroyed');
     }
 
+    /**
+     * Get the stored session archive of an instance
+     * @param {string} instanceId - Instance identifier
+     * @param {boolean} refresh - Take a fresh snapshot first if the instance is ready
+     * @returns {Promise<Buffer|null>} Zip archive or null if nothing is stored
+     */
+    async backupSession(instanceId, refresh = false) {
+        const instance = this.instances.get(instanceId);
+
+        if (refresh && instance && instance.status === 'ready') {
+            await instance.client.authStrategy.storeRemoteSession();
+            logger.info(`Session snapshot of instance ${instanceId} stored before backup`);
+        }
+
+        return this.sessionStore.get(SessionStore.sessionName(instanceId));
+    }
+
+    /**
+     * Restore a session archive and (re)start the instance with it, so a
+     * session moved from another host logs in without scanning the QR code
+     * @param {string} instanceId - Instance identifier
+     * @param {Buffer} data - Zip archive produced by backupSession
+     * @returns {Promise<Object>} Instance status
+     */
+    async restoreSession(instanceId, data) {
+        // Zip local file header signature
+        if (!Buffer.isBuffer(data) || data.length < 4 || data.readUInt32LE(0) !== 0x04034b50) {
+            throw new Error('Session backup must be a zip archive');
+        }
+
+        const instance = this.instances.get(instanceId);
+        if (instance && instance.client) {
+            // Stop the running client first so its periodic backup doesn't overwrite the restored one
+            try {
+                await instance.client.destroy();
+            } catch (error) {
+                logger.warn(`Error destroying client of instance ${instanceId} before restore:`, error.message);
+            }
+        }
+
+        await this.sessionStore.put(SessionStore.sessionName(instanceId), data);
+
+        console.log(`📦 Instance ${instanceId} session yedeği geri yüklendi, yeniden başlatılıyor...`);
+        logger.info(`Session of instance ${instanceId} restored (${data.length} bytes)`);
+
+        if (instance) {
+            await this.reinitializeInstance(instanceId, 'Session backup restored', 'api');
+        } else {
+            await this.recoverInstance(instanceId);
+        }
+
+        return this.getInstanceStatus(instanceId);
+    }
+
     /**
      * Check if number is registered on WhatsApp
      * @param {string} instanceId - Instance identifier
@@ -1002,24 +2075,70 @@ class WhatsAppManager {
     }
 
     /**
-     * Get contacts only with profile pictures
+     * Get contacts with profile pictures. These come from the contact list of
+     * WhatsApp Web, so saved contacts we never chatted with are included.
      * @param {string} instanceId - Instance identifier
      * @param {boolean} includeProfilePics - Whether to include profile pictures (default: true)
      * @param {number} limit - Maximum number of contacts to return (default: 50)
      * @param {number} offset - Number of contacts to skip (default: 0)
+     * @param {Object} options - { savedOnly } only contacts in the address book
      * @returns {Promise<Object>} Contacts result
      */
-    async getContacts(instanceId, includeProfilePics = true, limit = 50, offset = 0) {
-        try {
-            const chatsResult = await this.getChats(instanceId, includeProfilePics, limit, offset);
+    async getContacts(instanceId, includeProfilePics = true, limit = 50, offset = 0, options = {}) {
+        const operation = async () => {
+            const instance = this.getReadyInstance(instanceId);
+
+            const allContacts = (await instance.client.getContacts())
+                .filter(contact => contact.isUser && !contact.isMe && (!options.savedOnly || contact.isMyContact))
+                .map(contact => this.formatContact(contact));
+
+            // Named contacts first, alphabetically
+            allContacts.sort((a, b) => {
+                const left = a.name || a.pushname;
+                const right = b.name || b.pushname;
+                if (!left || !right) {
+                    return left ? -1 : right ? 1 : 0;
+                }
+                return left.localeCompare(right);
+            });
+
+            const totalContacts = allContacts.length;
+            const contacts = allContacts.slice(offset, offset + limit);
+
+            if (includeProfilePics && contacts.length > 0) {
+                const profilePicMap = await this.getMultipleProfilePics(instanceId, contacts.map(contact => contact.id));
+                contacts.forEach(contact => {
+                    contact.profilePicUrl = profilePicMap.get(contact.id) || null;
+                });
+            }
+
+            instance.lastActivity = new Date();
+
+            const hasMore = (offset + limit) < totalContacts;
+
+            console.log(`📇 Instance ${instanceId} - ${contacts.length} kişi bulundu (${offset + 1}-${offset + contacts.length}/${totalContacts})`);
+            logger.info(`Contacts retrieved for instance ${instanceId}: ${contacts.length} of ${totalContacts}`);
 
             return {
                 success: true,
-                contacts: chatsResult.contacts,
-                count: chatsResult.contactsCount,
+                contacts,
+                count: contacts.length,
+                totalContacts,
                 profilePicsIncluded: includeProfilePics,
-                pagination: chatsResult.pagination
+                pagination: {
+                    limit,
+                    offset,
+                    hasMore,
+                    nextOffset: hasMore ? offset + limit : null,
+                    currentPage: Math.floor(offset / limit) + 1,
+                    totalPages: Math.ceil(totalContacts / limit),
+                    returnedCount: contacts.length
+                }
             };
+        };
+
+        try {
+            return await this.executeWithRecovery(instanceId, operation, 'getContacts');
         } catch (error) {
             logger.error(`Error getting contacts from instance ${instanceId}:`, error);
             throw error;
@@ -1064,8 +2183,10 @@ class WhatsAppManager {
 
         // Check if cache is valid
         if (cached && (Date.now() - cached.timestamp) < this.cacheExpiry) {
+            this.metrics.recordProfilePicCache(true);
             return cached.url;
         }
+        this.metrics.recordProfilePicCache(false);
 
         try {
             const instance = this.instances.get(instanceId);
@@ -1204,6 +2325,50 @@ class WhatsAppManager {
         }
     }
 
+    /**
+     * Process id of the browser of an instance
+     * @param {string} instanceId - Instance identifier
+     * @returns {number|null} Pid, null without a browser or when it was connected to instead of launched
+     */
+    getBrowserPid(instanceId) {
+        const instance = this.instances.get(instanceId);
+        const browserProcess = instance && instance.client && instance.client.pupBrowser && instance.client.pupBrowser.process();
+        return browserProcess ? browserProcess.pid : null;
+    }
+
+    /**
+     * Memory used by the Puppeteer browser of an instance
+     * @param {string} instanceId - Instance identifier
+     * @returns {Promise<Object|null>} { rss, js_heap_used, js_heap_total } in bytes, null without a browser
+     */
+    async getBrowserMemory(instanceId) {
+        const instance = this.instances.get(instanceId);
+        if (!instance || !instance.client || !instance.client.pupBrowser) {
+            return null;
+        }
+
+        const { pupBrowser, pupPage } = instance.client;
+        const browserProcess = pupBrowser.process();
+        const memory = {
+            // No process when the browser was connected to instead of launched
+            rss: browserProcess ? getProcessTreeRss(browserProcess.pid) : null,
+            js_heap_used: null,
+            js_heap_total: null
+        };
+
+        if (pupPage && !pupPage.isClosed()) {
+            // A busy page can take a while to answer, don't hold the scrape up
+            const timeoutPromise = new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('Page metrics timeout')), 2000)
+            );
+            const pageMetrics = await Promise.race([pupPage.metrics(), timeoutPromise]);
+            memory.js_heap_used = pageMetrics.JSHeapUsedSize;
+            memory.js_heap_total = pageMetrics.JSHeapTotalSize;
+        }
+
+        return memory;
+    }
+
     /**
      * Check if instance session is still valid
      * @param {string} instanceId - Instance identifier
@@ -1217,19 +2382,114 @@ class WhatsAppManager {
             }
 
             // Try to get client state with timeout
+            const startedAt = Date.now();
             const statePromise = instance.client.getState();
             const timeoutPromise = new Promise((_, reject) => 
                 setTimeout(() => reject(new Error('Health check timeout')), 3000)
             );
             
-            const state = await Promise.race([statePromise, timeoutPromise]);
-            return state === 'CONNECTED';
+            let state;
+            try {
+                state = await Promise.race([statePromise, timeoutPromise]);
+            } catch (error) {
+                this.recordStateCheck(instance, startedAt, null, error);
+                throw error;
+            }
+            this.recordStateCheck(instance, startedAt, state);
+
+            const healthy = state === 'CONNECTED';
+            this.metrics.recordHealthCheck(instanceId, healthy);
+            return healthy;
         } catch (error) {
             logger.warn(`Session health check failed for instance ${instanceId}:`, error.message);
+            if (this.instances.has(instanceId)) {
+                this.metrics.recordHealthCheck(instanceId, false);
+            }
             return false;
         }
     }
 
+    /**
+     * Remember the outcome of a getState() call for the diagnostics endpoint
+     * @param {Object} instance - Instance data
+     * @param {number} startedAt - Call start (ms)
+     * @param {string|null} state - WAState, null when the call failed
+     * @param {Error} error - Failure, if any
+     */
+    recordStateCheck(instance, startedAt, state, error = null) {
+        instance.lastStateCheck = {
+            state,
+            latencyMs: Date.now() - startedAt,
+            error: error ? error.message : null,
+            checkedAt: new Date()
+        };
+    }
+
+    /**
+     * Close the browser of an instance whose QR code is not scanned within SESSION_TIMEOUT minutes,
+     * instead of refreshing QR codes forever. Started by the first QR code, no-op when disabled.
+     * @param {string} instanceId - Instance identifier
+     */
+    startQrTimeout(instanceId) {
+        const instance = this.instances.get(instanceId);
+        const minutes = config.instances.sessionTimeoutMinutes;
+        if (!instance || !minutes || instance.qrTimeout) {
+            return;
+        }
+
+        instance.qrTimeout = setTimeout(() => {
+            instance.qrTimeout = null;
+            this.expireQrSession(instanceId).catch(error => {
+                logger.error(`Error closing unscanned instance ${instanceId}:`, error);
+            });
+        }, minutes * 60 * 1000);
+    }
+
+    /**
+     * @param {Object} instance - Instance data
+     */
+    clearQrTimeout(instance) {
+        if (instance && instance.qrTimeout) {
+            clearTimeout(instance.qrTimeout);
+            instance.qrTimeout = null;
+        }
+    }
+
+    /**
+     * SESSION_TIMEOUT expired: close the browser and leave the instance disconnected
+     * with a fresh client, initialize starts a new login
+     * @param {string} instanceId - Instance identifier
+     */
+    async expireQrSession(instanceId) {
+        const instance = this.instances.get(instanceId);
+        if (!instance || !['qr_ready', 'qr_required', 'pairing_code_ready'].includes(instance.status)) {
+            return;
+        }
+
+        const minutes = config.instances.sessionTimeoutMinutes;
+        console.log(`⌛ Instance ${instanceId} QR kodu ${minutes} dakika içinde taranmadı, tarayıcı kapatılıyor`);
+        logger.warn(`QR code of instance ${instanceId} not scanned within ${minutes} minutes, closing its browser`);
+
+        try {
+            await instance.client.destroy();
+        } catch (error) {
+            logger.warn(`Error destroying client of instance ${instanceId}:`, error.message);
+        }
+
+        instance.client = this.buildClient(instanceId);
+        this.setupClientEvents(instanceId, instance.client);
+        this.clearPairing(instance);
+        this.setStatus(instance, 'disconnected', `QR code not scanned within ${minutes} minutes`, 'qr_timeout');
+        instance.qr = null;
+
+        this.emitStatusChanged(instanceId, {
+            instanceId,
+            status: 'disconnected',
+            message: `QR code was not scanned within ${minutes} minutes, initialize the instance again`,
+            timestamp: new Date()
+        });
+    }
+
     /**
      * Start keep-alive mechanism for an instance
      * @param {string} instanceId - Instance identifier
@@ -1243,19 +2503,34 @@ class WhatsAppManager {
             clearInterval(instance.keepAliveInterval);
         }
 
-        // Her 30 saniyede bir ping-pong yaparak bağlantıyı canlı tut
+        instance.keepAlive = {
+            intervalMs: config.instances.keepAliveIntervalMs,
+            startedAt: new Date(),
+            lastRunAt: null,
+            lastSuccessAt: null,
+            lastError: null
+        };
+
+        // Düzenli aralıklarla ping-pong yaparak bağlantıyı canlı tut (KEEP_ALIVE_INTERVAL_MS)
         instance.keepAliveInterval = setInterval(async () => {
+            const startedAt = Date.now();
             try {
                 if (instance.status === 'ready' && instance.client) {
+                    instance.keepAlive.lastRunAt = new Date();
+
                     // Basit bir state kontrolü yaparak bağlantıyı test et
-                    await instance.client.getState();
+                    const state = await instance.client.getState();
+                    this.recordStateCheck(instance, startedAt, state);
                     
-                    // Son aktivite zamanını güncelle
-                    instance.lastActivity = new Date();
+                    // lastActivity is left alone, pings are not activity and would keep idle instances from hibernating
+                    instance.keepAlive.lastSuccessAt = new Date();
+                    instance.keepAlive.lastError = null;
                     
                     console.log(`💓 Instance ${instanceId} keep-alive - bağlantı aktif`);
                 }
             } catch (error) {
+                this.recordStateCheck(instance, startedAt, null, error);
+                instance.keepAlive.lastError = error.message;
                 console.log(`⚠️ Instance ${instanceId} keep-alive başarısız - bağlantı problemi olabilir`);
                 logger.warn(`Keep-alive failed for instance ${instanceId}:`, error.message);
                 
@@ -1264,7 +2539,7 @@ class WhatsAppManager {
                     const isHealthy = await this.checkSessionHealth(instanceId);
                     if (!isHealthy && instance.status === 'ready') {
                         console.log(`🔄 Instance ${instanceId} keep-alive sonrası health check başarısız - reconnection başlatılıyor`);
-                        instance.status = 'disconnected';
+                        this.setStatus(instance, 'disconnected', `Keep-alive failed: ${error.message}`, 'keep_alive');
                         
                         // Hemen reconnection başlat
                         setTimeout(async () => {
@@ -1277,9 +2552,9 @@ class WhatsAppManager {
                     }
                 }, 500);
             }
-        }, 30000); // 30 saniye aralıklarla
+        }, config.instances.keepAliveIntervalMs);
 
-        console.log(`💓 Keep-alive başlatıldı: Instance ${instanceId} (30s interval)`);
+        console.log(`💓 Keep-alive başlatıldı: Instance ${instanceId} (${config.instances.keepAliveIntervalMs / 1000}s interval)`);
         logger.info(`Keep-alive started for instance ${instanceId}`);
     }
 
@@ -1298,42 +2573,56 @@ class WhatsAppManager {
     }
 
     /**
-     * Attempt to recover a disconnected instance
+     * Attempt to recover a disconnected instance.
+     * Concurrent callers share the same recovery, e.g. the parallel lookups of getMultipleContactProfiles.
      * @param {string} instanceId - Instance identifier
      * @returns {Promise<boolean>} Recovery success
      */
-    async attemptSessionRecovery(instanceId) {
-        try {
-            console.log(`🔄 Instance ${instanceId} session recovery başlatılıyor...`);
+    attemptSessionRecovery(instanceId) {
+        if (this.sessionRecoveries.has(instanceId)) {
+            return this.sessionRecoveries.get(instanceId);
+        }
 
-            const instance = this.instances.get(instanceId);
-            if (!instance) {
-                return false;
-            }
+        const recovery = (async () => {
+            try {
+                console.log(`🔄 Instance ${instanceId} session recovery başlatılıyor...`);
+
+                const instance = this.instances.get(instanceId);
+                if (!instance) {
+                    return false;
+                }
 
-            // Mark as recovering
-            instance.status = 'recovering';
+                // Mark as recovering
+                if (!this.setStatus(instance, 'recovering', 'Session error during an operation', 'recovery')) {
+                    return false;
+                }
 
-            // Try to restart the client
-            try {
-                await instance.client.destroy();
-            } catch (error) {
-                // Ignore destroy errors
-            }
+                // Try to restart the client
+                try {
+                    await instance.client.destroy();
+                } catch (error) {
+                    // Ignore destroy errors
+                }
 
-            // Wait a bit before recreating
-            await new Promise(resolve => setTimeout(resolve, 2000));
+                // Wait a bit before recreating
+                await new Promise(resolve => setTimeout(resolve, 2000));
 
-            // Recreate the instance
-            await this.recoverInstance(instanceId);
+                // Recreate the instance
+                await this.recoverInstance(instanceId);
 
-            console.log(`✅ Instance ${instanceId} session recovery tamamlandı`);
-            return true;
-        } catch (error) {
-            console.log(`❌ Instance ${instanceId} session recovery başarısız: ${error.message}`);
-            logger.error(`Session recovery failed for instance ${instanceId}:`, error);
-            return false;
-        }
+                console.log(`✅ Instance ${instanceId} session recovery tamamlandı`);
+                return true;
+            } catch (error) {
+                console.log(`❌ Instance ${instanceId} session recovery başarısız: ${error.message}`);
+                logger.error(`Session recovery failed for instance ${instanceId}:`, error);
+                return false;
+            }
+        })();
+
+        // Never rejects, failures resolve to false
+        this.sessionRecoveries.set(instanceId, recovery);
+        recovery.then(() => this.sessionRecoveries.delete(instanceId));
+        return recovery;
     }
 
     /**
@@ -1421,41 +2710,951 @@ class WhatsAppManager {
                 deviceType: message.deviceType
             }));
 
-            instance.lastActivity = new Date();
+            instance.lastActivity = new Date();
+
+            console.log(`💬 Instance ${instanceId} - ${formattedMessages.length} mesaj alındı (Chat: ${chatId})`);
+            logger.info(`Messages retrieved for instance ${instanceId}, chat ${chatId}: ${formattedMessages.length} messages`);
+
+            return {
+                success: true,
+                chatId,
+                messages: formattedMessages,
+                count: formattedMessages.length,
+                chatInfo: {
+                    id: chat.id._serialized,
+                    name: chat.name,
+                    isGroup: chat.isGroup,
+                    participants: chat.participants ? chat.participants.length : 0
+                }
+            };
+        };
+
+        try {
+            return await this.executeWithRecovery(instanceId, operation, 'getChatMessages');
+        } catch (error) {
+            logger.error(`Error getting messages from instance ${instanceId}, chat ${chatId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the media of a message, from the saved copy if there is one
+     * @param {string} instanceId - Instance identifier
+     * @param {string} messageId - Serialized message id
+     * @returns {Promise<Object>} { mimetype, filename, data (Buffer) }
+     */
+    async downloadMessageMedia(instanceId, messageId) {
+        const saved = this.mediaService.getSavedMedia(instanceId, messageId);
+        if (saved) {
+            return {
+                mimetype: saved.mimetype,
+                filename: saved.filename,
+                data: await fs.promises.readFile(saved.path)
+            };
+        }
+
+        const operation = async () => {
+            const instance = this.instances.get(instanceId);
+            if (!instance) {
+                throw new Error(`Instance ${instanceId} not found`);
+            }
+
+            if (instance.status !== 'ready') {
+                throw new Error(`Instance ${instanceId} is not ready. Current status: ${instance.status}`);
+            }
+
+            const message = await instance.client.getMessageById(messageId);
+            if (!message) {
+                throw new Error(`Message ${messageId} not found`);
+            }
+            if (!message.hasMedia) {
+                throw new Error(`Message ${messageId} has no media`);
+            }
+
+            const media = await this.mediaService.download(message);
+            instance.lastActivity = new Date();
+
+            console.log(`📥 Instance ${instanceId} - medya indirildi: ${media.filename}`);
+            logger.info(`Media of message ${messageId} downloaded for instance ${instanceId} (${media.data.length} bytes)`);
+
+            return media;
+        };
+
+        try {
+            return await this.executeWithRecovery(instanceId, operation, 'downloadMessageMedia');
+        } catch (error) {
+            logger.error(`Error downloading media of message ${messageId} for instance ${instanceId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get contact profile information
+     * @param {string} instanceId - Instance identifier
+     * @param {string} contactId - Contact ID (phone number with @c.us)
+     * @returns {Promise<Object>} Contact profile result
+     */
+    async getContactProfile(instanceId, contactId) {
+        const operation = async () => {
+            const instance = this.instances.get(instanceId);
+            if (!instance) {
+                throw new Error(`Instance ${instanceId} not found`);
+            }
+
+            if (instance.status !== 'ready') {
+                throw new Error(`Instance ${instanceId} is not ready. Current status: ${instance.status}`);
+            }
+
+            // Ensure contactId has proper format
+            const formattedContactId = contactId.includes('@') ? contactId : `${contactId}@c.us`;
+
+            const contact = await instance.client.getContactById(formattedContactId);
+
+            let profilePicUrl = null;
+            try {
+                profilePicUrl = await contact.getProfilePicUrl();
+            } catch (error) {
+                // Profile picture might not be available
+                logger.warn(`Could not get profile picture for ${formattedContactId}: ${error.message}`);
+            }
+
+            const contactInfo = {
+                id: contact.id._serialized,
+                name: contact.name,
+                pushname: contact.pushname,
+                shortName: contact.shortName,
+                number: contact.number,
+                isMe: contact.isMe,
+                isUser: contact.isUser,
+                isGroup: contact.isGroup,
+                isWAContact: contact.isWAContact,
+                isMyContact: contact.isMyContact,
+                isBlocked: contact.isBlocked,
+                profilePicUrl: profilePicUrl,
+                statusMute: contact.statusMute,
+                isBusiness: contact.isBusiness,
+                labels: contact.labels || []
+            };
+
+            instance.lastActivity = new Date();
+
+            console.log(`👤 Instance ${instanceId} - ${contact.name || contact.pushname || 'İsimsiz'} profil bilgisi alındı`);
+            logger.info(`Contact profile retrieved for instance ${instanceId}, contact ${formattedContactId}`);
+
+            return {
+                success: true,
+                contactId: formattedContactId,
+                profile: contactInfo
+            };
+        };
+
+        try {
+            return await this.executeWithRecovery(instanceId, operation, 'getContactProfile');
+        } catch (error) {
+            logger.error(`Error getting contact profile from instance ${instanceId}, contact ${contactId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get multiple contacts profile information
+     * @param {string} instanceId - Instance identifier
+     * @param {Array} contactIds - Array of contact IDs
+     * @returns {Promise<Object>} Multiple contacts profile result
+     */
+    async getMultipleContactProfiles(instanceId, contactIds) {
+        try {
+            const instance = this.instances.get(instanceId);
+            if (!instance) {
+                throw new Error(`Instance ${instanceId} not found`);
+            }
+
+            if (instance.status !== 'ready') {
+                throw new Error(`Instance ${instanceId} is not ready. Current status: ${instance.status}`);
+            }
+
+            const profiles = [];
+            const errors = [];
+
+            const results = await mapWithConcurrency(contactIds, CONTACT_LOOKUP_CONCURRENCY, async (contactId) => {
+                try {
+                    return { profile: (await this.getContactProfile(instanceId, contactId)).profile };
+                } catch (error) {
+                    return { error: { contactId, error: error.message } };
+                }
+            });
+
+            for (const result of results) {
+                if (result.profile) {
+                    profiles.push(result.profile);
+                } else {
+                    errors.push(result.error);
+                }
+            }
+
+            console.log(`👥 Instance ${instanceId} - ${profiles.length} profil başarıyla alındı, ${errors.length} hata`);
+            logger.info(`Multiple contact profiles retrieved for instance ${instanceId}: ${profiles.length} success, ${errors.length} errors`);
+
+            return {
+                success: true,
+                profiles,
+                errors,
+                totalRequested: contactIds.length,
+                successCount: profiles.length,
+                errorCount: errors.length
+            };
+        } catch (error) {
+            logger.error(`Error getting multiple contact profiles from instance ${instanceId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get group information and participants
+     * @param {string} instanceId - Instance identifier
+     * @param {string} groupId - Group ID
+     * @returns {Promise<Object>} Group information result
+     */
+    async getGroupInfo(instanceId, groupId) {
+        try {
+            const instance = this.instances.get(instanceId);
+            if (!instance) {
+                throw new Error(`Instance ${instanceId} not found`);
+            }
+
+            if (instance.status !== 'ready') {
+                throw new Error(`Instance ${instanceId} is not ready. Current status: ${instance.status}`);
+            }
+
+            const chat = await instance.client.getChatById(groupId);
+
+            if (!chat.isGroup) {
+                throw new Error('Provided ID is not a group');
+            }
+
+            let groupPicUrl = null;
+            try {
+                groupPicUrl = await chat.getProfilePicUrl();
+            } catch (error) {
+                logger.warn(`Could not get group picture for ${groupId}: ${error.message}`);
+            }
+
+            const participants = [];
+            for (const participant of chat.participants) {
+                try {
+                    const contact = await instance.client.getContactById(participant.id._serialized);
+                    participants.push({
+                        id: participant.id._serialized,
+                        name: contact.name || contact.pushname,
+                        isAdmin: participant.isAdmin,
+                        isSuperAdmin: participant.isSuperAdmin
+                    });
+                } catch (error) {
+                    participants.push({
+                        id: participant.id._serialized,
+                        name: 'Unknown',
+                        isAdmin: participant.isAdmin,
+                        isSuperAdmin: participant.isSuperAdmin
+                    });
+                }
+            }
+
+            const groupInfo = {
+                id: chat.id._serialized,
+                name: chat.name,
+                description: chat.description,
+                participantCount: chat.participants.length,
+                participants: participants,
+                owner: chat.owner ? chat.owner._serialized : null,
+                createdAt: chat.createdAt,
+                groupPicUrl: groupPicUrl,
+                isReadOnly: chat.isReadOnly,
+                isMuted: chat.isMuted,
+                muteExpiration: chat.muteExpiration
+            };
+
+            instance.lastActivity = new Date();
+
+            console.log(`🏢 Instance ${instanceId} - ${chat.name} grup bilgisi alındı (${participants.length} üye)`);
+            logger.info(`Group info retrieved for instance ${instanceId}, group ${groupId}`);
+
+            return {
+                success: true,
+                groupId,
+                groupInfo
+            };
+        } catch (error) {
+            logger.error(`Error getting group info from instance ${instanceId}, group ${groupId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get an instance that can talk to WhatsApp
+     * @param {string} instanceId - Instance identifier
+     * @returns {Object} Instance
+     * @throws {Error} If the instance doesn't exist or is not ready
+     */
+    getReadyInstance(instanceId) {
+        const instance = this.instances.get(instanceId);
+        if (!instance) {
+            throw new Error(`Instance ${instanceId} not found`);
+        }
+
+        if (instance.status !== 'ready') {
+            throw new Error(`Instance ${instanceId} is not ready. Current status: ${instance.status}`);
+        }
+
+        return instance;
+    }
+
+    /**
+     * Run a chat operation with readiness checks and session recovery
+     * @param {string} instanceId - Instance identifier
+     * @param {string} chatId - Chat ID (a plain number is treated as a contact)
+     * @param {string} operationName - Operation name for logs
+     * @param {Function} fn - async (chat, instance) => result
+     * @returns {Promise<*>} Operation result
+     */
+    async withChat(instanceId, chatId, operationName, fn) {
+        const id = chatId.includes('@') ? chatId : `${chatId}@c.us`;
+
+        const operation = async () => {
+            const instance = this.getReadyInstance(instanceId);
+            const chat = await instance.client.getChatById(id);
+
+            if (!chat) {
+                throw new Error(`Chat ${id} not found`);
+            }
+
+            const result = await fn(chat, instance);
+            instance.lastActivity = new Date();
+            return result;
+        };
+
+        try {
+            return await this.executeWithRecovery(instanceId, operation, operationName);
+        } catch (error) {
+            logger.error(`Error during ${operationName} for instance ${instanceId}, chat ${id}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Run a group operation, see withChat
+     * @param {string} instanceId - Instance identifier
+     * @param {string} groupId - Group ID (with or without @g.us)
+     * @param {string} operationName - Operation name for logs
+     * @param {Function} fn - async (chat, instance) => result
+     * @returns {Promise<*>} Operation result
+     */
+    async withGroup(instanceId, groupId, operationName, fn) {
+        const chatId = groupId.includes('@') ? groupId : `${groupId}@g.us`;
+
+        return this.withChat(instanceId, chatId, operationName, async (chat, instance) => {
+            if (!chat.isGroup) {
+                throw new Error('Provided ID is not a group');
+            }
+            return fn(chat, instance);
+        });
+    }
+
+    /**
+     * Normalize participant numbers to WhatsApp ids
+     * @param {Array} participants - Phone numbers or contact ids
+     * @returns {Array} Contact ids
+     */
+    toParticipantIds(participants) {
+        return participants.map(id => id.includes('@') ? id : `${id.replace(/\D/g, '')}@c.us`);
+    }
+
+    /**
+     * Create a group
+     * @param {string} instanceId - Instance identifier
+     * @param {string} title - Group subject
+     * @param {Array} participants - Phone numbers or contact ids
+     * @param {Object} options - { messageTimer, comment }
+     * @returns {Promise<Object>} Group id and per-participant results
+     */
+    async createGroup(instanceId, title, participants, options = {}) {
+        const operation = async () => {
+            const instance = this.getReadyInstance(instanceId);
+            const participantIds = this.toParticipantIds(participants);
+
+            const result = await instance.client.createGroup(title, participantIds, {
+                messageTimer: options.messageTimer || 0,
+                comment: options.comment || ''
+            });
+
+            // The library reports failures as a plain string
+            if (typeof result === 'string') {
+                throw new Error(result);
+            }
+
+            const results = participantIds.map(id => {
+                const entry = (result.participants || {})[id];
+                if (!entry) {
+                    return { id, success: false, code: null, message: 'No result returned for participant', inviteSent: false };
+                }
+                return {
+                    id,
+                    success: entry.statusCode === 200,
+                    code: entry.statusCode,
+                    message: entry.message,
+                    inviteSent: !!entry.isInviteV4Sent
+                };
+            });
+
+            instance.lastActivity = new Date();
+
+            console.log(`👥 Instance ${instanceId} - grup oluşturuldu: ${title} (${results.filter(r => r.success).length}/${results.length} üye eklendi)`);
+            logger.info(`Group ${result.gid._serialized} created by instance ${instanceId}`);
+
+            return {
+                success: true,
+                groupId: result.gid._serialized,
+                title: result.title,
+                participants: results
+            };
+        };
+
+        try {
+            return await this.executeWithRecovery(instanceId, operation, 'createGroup');
+        } catch (error) {
+            logger.error(`Error creating group for instance ${instanceId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add, remove, promote or demote group participants
+     * @param {string} instanceId - Instance identifier
+     * @param {string} groupId - Group ID
+     * @param {string} action - 'add', 'remove', 'promote' or 'demote'
+     * @param {Array} participants - Phone numbers or contact ids
+     * @param {Object} options - { comment } for invitations sent instead of adding
+     * @returns {Promise<Object>} Per-participant results
+     */
+    async updateGroupParticipants(instanceId, groupId, action, participants, options = {}) {
+        return this.withGroup(instanceId, groupId, `${action}GroupParticipants`, async (chat) => {
+            const participantIds = this.toParticipantIds(participants);
+            let results;
+
+            if (action === 'add') {
+                const response = await chat.addParticipants(participantIds, { comment: options.comment || '' });
+
+                // A string means the whole call failed (e.g. we are not an admin)
+                if (typeof response === 'string') {
+                    throw new Error(response);
+                }
+
+                results = participantIds.map(id => {
+                    const entry = response[id];
+                    if (!entry) {
+                        return { id, success: false, code: null, message: 'No result returned for participant', inviteSent: false };
+                    }
+                    return {
+                        id,
+                        success: entry.code === 200,
+                        code: entry.code,
+                        message: entry.message,
+                        inviteSent: !!entry.isInviteV4Sent
+                    };
+                });
+            } else {
+                // The library silently skips ids that aren't members, so check them here
+                const members = new Map(chat.participants.map(p => [p.id._serialized, p]));
+                results = participantIds.map(id => {
+                    const member = members.get(id);
+                    if (!member) {
+                        return { id, success: false, message: 'Not a participant of this group' };
+                    }
+                    if (action === 'promote' && member.isAdmin) {
+                        return { id, success: true, message: 'Already an admin' };
+                    }
+                    if (action === 'demote' && !member.isAdmin) {
+                        return { id, success: true, message: 'Not an admin' };
+                    }
+                    return { id, success: null };
+                });
+
+                const pending = results.filter(r => r.success === null).map(r => r.id);
+                if (pending.length > 0) {
+                    const methods = {
+                        remove: 'removeParticipants',
+                        promote: 'promoteParticipants',
+                        demote: 'demoteParticipants'
+                    };
+                    const response = await chat[methods[action]](pending);
+                    const ok = response && response.status === 200;
+
+                    for (const result of results) {
+                        if (result.success === null) {
+                            result.success = ok;
+                            result.message = ok ? 'OK' : `Operation failed with status ${response && response.status}`;
+                        }
+                    }
+                }
+            }
+
+            const succeeded = results.filter(r => r.success).length;
+            console.log(`👥 Instance ${instanceId} - ${chat.name}: ${action} ${succeeded}/${results.length} başarılı`);
+            logger.info(`Group ${chat.id._serialized} ${action} participants for instance ${instanceId}: ${succeeded}/${results.length} succeeded`);
+
+            return {
+                success: true,
+                groupId: chat.id._serialized,
+                action,
+                participants: results
+            };
+        });
+    }
+
+    /**
+     * Change group subject and/or description
+     * @param {string} instanceId - Instance identifier
+     * @param {string} groupId - Group ID
+     * @param {Object} changes - { subject, description }
+     * @returns {Promise<Object>} Result per changed field
+     */
+    async updateGroupInfo(instanceId, groupId, changes) {
+        return this.withGroup(instanceId, groupId, 'updateGroupInfo', async (chat) => {
+            const results = {};
+
+            // false means we don't have the permission to change it
+            if (changes.subject !== undefined) {
+                results.subject = await chat.setSubject(changes.subject);
+            }
+            if (changes.description !== undefined) {
+                results.description = await chat.setDescription(changes.description);
+            }
+
+            logger.info(`Group ${chat.id._serialized} info updated by instance ${instanceId}: ${JSON.stringify(results)}`);
+
+            return {
+                success: Object.values(results).every(Boolean),
+                groupId: chat.id._serialized,
+                results
+            };
+        });
+    }
+
+    /**
+     * Change "only admins can send" and/or "only admins edit info"
+     * @param {string} instanceId - Instance identifier
+     * @param {string} groupId - Group ID
+     * @param {Object} settings - { messagesAdminsOnly, infoAdminsOnly }
+     * @returns {Promise<Object>} Result per changed setting
+     */
+    async updateGroupSettings(instanceId, groupId, settings) {
+        return this.withGroup(instanceId, groupId, 'updateGroupSettings', async (chat) => {
+            const results = {};
+
+            if (settings.messagesAdminsOnly !== undefined) {
+                results.messagesAdminsOnly = await chat.setMessagesAdminsOnly(settings.messagesAdminsOnly);
+            }
+            if (settings.infoAdminsOnly !== undefined) {
+                results.infoAdminsOnly = await chat.setInfoAdminsOnly(settings.infoAdminsOnly);
+            }
+
+            logger.info(`Group ${chat.id._serialized} settings updated by instance ${instanceId}: ${JSON.stringify(results)}`);
+
+            return {
+                success: Object.values(results).every(Boolean),
+                groupId: chat.id._serialized,
+                results
+            };
+        });
+    }
+
+    /**
+     * Set or remove the group picture
+     * @param {string} instanceId - Instance identifier
+     * @param {string} groupId - Group ID
+     * @param {Object|null} media - { mimetype, data (Buffer), filename }, null removes the picture
+     * @returns {Promise<Object>} Result
+     */
+    async setGroupPicture(instanceId, groupId, media) {
+        return this.withGroup(instanceId, groupId, 'setGroupPicture', async (chat) => {
+            const updated = media
+                ? await chat.setPicture(new MessageMedia(media.mimetype, media.data.toString('base64'), media.filename))
+                : await chat.deletePicture();
+
+            logger.info(`Group ${chat.id._serialized} picture ${media ? 'updated' : 'removed'} by instance ${instanceId}: ${updated}`);
+
+            return {
+                success: updated,
+                groupId: chat.id._serialized
+            };
+        });
+    }
+
+    /**
+     * Get the invite link of a group
+     * @param {string} instanceId - Instance identifier
+     * @param {string} groupId - Group ID
+     * @param {boolean} revoke - Revoke the current link and return the new one
+     * @returns {Promise<Object>} { inviteCode, inviteLink }
+     */
+    async getGroupInvite(instanceId, groupId, revoke = false) {
+        return this.withGroup(instanceId, groupId, revoke ? 'revokeGroupInvite' : 'getGroupInvite', async (chat) => {
+            const inviteCode = revoke ? await chat.revokeInvite() : await chat.getInviteCode();
+
+            if (revoke) {
+                console.log(`🔗 Instance ${instanceId} - ${chat.name} davet linki yenilendi`);
+                logger.info(`Group ${chat.id._serialized} invite revoked by instance ${instanceId}`);
+            }
+
+            return {
+                success: true,
+                groupId: chat.id._serialized,
+                inviteCode,
+                inviteLink: `https://chat.whatsapp.com/${inviteCode}`
+            };
+        });
+    }
+
+    /**
+     * Join a group with an invite code or link
+     * @param {string} instanceId - Instance identifier
+     * @param {string} invite - Invite code or https://chat.whatsapp.com/<code> link
+     * @returns {Promise<Object>} Joined group id
+     */
+    async joinGroupByInvite(instanceId, invite) {
+        const inviteCode = invite.trim().replace(/^(https?:\/\/)?chat\.whatsapp\.com\//i, '');
+
+        const operation = async () => {
+            const instance = this.getReadyInstance(instanceId);
+            const groupId = await instance.client.acceptInvite(inviteCode);
+
+            instance.lastActivity = new Date();
+
+            console.log(`👥 Instance ${instanceId} - davet ile gruba katıldı: ${groupId}`);
+            logger.info(`Instance ${instanceId} joined group ${groupId} by invite`);
+
+            return {
+                success: true,
+                groupId
+            };
+        };
+
+        try {
+            return await this.executeWithRecovery(instanceId, operation, 'joinGroupByInvite');
+        } catch (error) {
+            logger.error(`Error joining group by invite for instance ${instanceId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Leave a group
+     * @param {string} instanceId - Instance identifier
+     * @param {string} groupId - Group ID
+     * @returns {Promise<Object>} Result
+     */
+    async leaveGroup(instanceId, groupId) {
+        return this.withGroup(instanceId, groupId, 'leaveGroup', async (chat) => {
+            await chat.leave();
+
+            console.log(`👋 Instance ${instanceId} - gruptan çıkıldı: ${chat.name}`);
+            logger.info(`Instance ${instanceId} left group ${chat.id._serialized}`);
+
+            return {
+                success: true,
+                groupId: chat.id._serialized
+            };
+        });
+    }
+
+    /**
+     * Change the state of a chat the way a user would on the phone
+     * @param {string} instanceId - Instance identifier
+     * @param {string} chatId - Chat ID
+     * @param {string} action - seen, unread, archive, unarchive, pin, unpin, mute, unmute, clear or delete
+     * @param {Object} options - { muteUntil (Date) } for mute
+     * @returns {Promise<Object>} Action result with the new state where available
+     */
+    async updateChatState(instanceId, chatId, action, options = {}) {
+        return this.withChat(instanceId, chatId, `${action}Chat`, async (chat) => {
+            const result = {
+                success: true,
+                chatId: chat.id._serialized,
+                action
+            };
+
+            if (action === 'seen') {
+                result.success = await chat.sendSeen();
+            } else if (action === 'unread') {
+                await chat.markUnread();
+            } else if (action === 'archive') {
+                await chat.archive();
+                result.archived = true;
+            } else if (action === 'unarchive') {
+                await chat.unarchive();
+                result.archived = false;
+            } else if (action === 'pin') {
+                // Pinning fails when the maximum number of pinned chats is reached
+                result.pinned = await chat.pin();
+                result.success = result.pinned;
+                if (!result.pinned) {
+                    result.error = 'Chat could not be pinned, the maximum number of pinned chats may be reached';
+                }
+            } else if (action === 'unpin') {
+                result.pinned = await chat.unpin();
+                result.success = !result.pinned;
+            } else if (action === 'mute' || action === 'unmute') {
+                const state = action === 'mute' ? await chat.mute(options.muteUntil || undefined) : await chat.unmute();
+                result.isMuted = state ? state.isMuted : action === 'mute';
+                // -1 means muted forever
+                result.muteExpiration = state && state.muteExpiration > 0 ? new Date(state.muteExpiration * 1000) : null;
+            } else if (action === 'clear') {
+                result.success = await chat.clearMessages();
+            } else if (action === 'delete') {
+                result.success = await chat.delete();
+            } else {
+                throw new Error(`Unsupported chat action: ${action}`);
+            }
+
+            console.log(`💬 Instance ${instanceId} - sohbet ${action}: ${chat.name || chat.id._serialized}`);
+            logger.info(`Chat ${chat.id._serialized} ${action} by instance ${instanceId}: ${result.success}`);
+
+            return result;
+        });
+    }
+
+    /**
+     * Show typing or recording in a chat
+     * @param {string} instanceId - Instance identifier
+     * @param {string} chatId - Chat ID
+     * @param {string} state - 'typing', 'recording' or 'paused' (clears the indicator)
+     * @param {number} duration - Seconds after which the indicator is cleared (0 leaves it to WhatsApp)
+     * @returns {Promise<Object>} Result
+     */
+    async sendChatPresence(instanceId, chatId, state, duration = 0) {
+        return this.withChat(instanceId, chatId, 'sendChatPresence', async (chat) => {
+            if (state === 'typing') {
+                await chat.sendStateTyping();
+            } else if (state === 'recording') {
+                await chat.sendStateRecording();
+            } else {
+                await chat.clearState();
+            }
+
+            if (state !== 'paused' && duration > 0) {
+                setTimeout(() => {
+                    chat.clearState().catch(error => {
+                        logger.warn(`Could not clear presence in chat ${chat.id._serialized}:`, error.message);
+                    });
+                }, duration * 1000).unref();
+            }
+
+            return {
+                success: true,
+                chatId: chat.id._serialized,
+                state,
+                clearsAt: state !== 'paused' && duration > 0 ? new Date(Date.now() + duration * 1000) : null
+            };
+        });
+    }
+
+    /**
+     * Run an operation on a message with readiness checks and session recovery
+     * @param {string} instanceId - Instance identifier
+     * @param {string} messageId - Serialized message id
+     * @param {string} operationName - Operation name for logs
+     * @param {Function} fn - async (message, instance) => result
+     * @returns {Promise<*>} Operation result
+     */
+    async withMessage(instanceId, messageId, operationName, fn) {
+        const operation = async () => {
+            const instance = this.getReadyInstance(instanceId);
+            const message = await instance.client.getMessageById(messageId);
+
+            if (!message) {
+                throw new Error(`Message ${messageId} not found`);
+            }
+
+            const result = await fn(message, instance);
+            instance.lastActivity = new Date();
+            return result;
+        };
+
+        try {
+            return await this.executeWithRecovery(instanceId, operation, operationName);
+        } catch (error) {
+            logger.error(`Error during ${operationName} for instance ${instanceId}, message ${messageId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * React to a message
+     * @param {string} instanceId - Instance identifier
+     * @param {string} messageId - Serialized message id
+     * @param {string} reaction - Emoji, an empty string removes the reaction
+     * @returns {Promise<Object>} Result
+     */
+    async reactToMessage(instanceId, messageId, reaction) {
+        return this.withMessage(instanceId, messageId, 'reactToMessage', async (message) => {
+            await message.react(reaction);
+
+            logger.info(`Instance ${instanceId} ${reaction ? 'reacted to' : 'removed reaction from'} message ${messageId}`);
+
+            return {
+                success: true,
+                messageId,
+                reaction,
+                removed: reaction === ''
+            };
+        });
+    }
+
+    /**
+     * Edit the text of a sent message
+     * @param {string} instanceId - Instance identifier
+     * @param {string} messageId - Serialized message id
+     * @param {string} body - New text
+     * @returns {Promise<Object>} Result
+     */
+    async editMessage(instanceId, messageId, body) {
+        return this.withMessage(instanceId, messageId, 'editMessage', async (message) => {
+            if (!message.fromMe) {
+                throw new Error('Only messages sent by this instance can be edited');
+            }
+
+            // WhatsApp only allows editing text and captions for a limited time
+            const edited = await message.edit(body);
+            if (!edited) {
+                throw new Error('Message can not be edited anymore');
+            }
+
+            console.log(`✏️ Instance ${instanceId} - mesaj düzenlendi: ${messageId}`);
+            logger.info(`Message ${messageId} edited by instance ${instanceId}`);
+
+            return {
+                success: true,
+                messageId,
+                body: edited.body
+            };
+        });
+    }
+
+    /**
+     * Delete a message for this instance or for everyone in the chat
+     * @param {string} instanceId - Instance identifier
+     * @param {string} messageId - Serialized message id
+     * @param {boolean} everyone - Delete for everyone (own messages, or any message as group admin)
+     * @returns {Promise<Object>} Result
+     */
+    async deleteMessage(instanceId, messageId, everyone = false) {
+        return this.withMessage(instanceId, messageId, 'deleteMessage', async (message) => {
+            // Outside groups WhatsApp silently falls back to "delete for me" for other people's messages
+            if (everyone && !message.fromMe && !message.id.remote.endsWith('@g.us')) {
+                throw new Error('Only messages sent by this instance can be deleted for everyone');
+            }
+
+            await message.delete(everyone);
+
+            console.log(`🗑️ Instance ${instanceId} - mesaj silindi${everyone ? ' (herkesten)' : ''}: ${messageId}`);
+            logger.info(`Message ${messageId} deleted ${everyone ? 'for everyone' : 'for me'} by instance ${instanceId}`);
+
+            return {
+                success: true,
+                messageId,
+                everyone
+            };
+        });
+    }
+
+    /**
+     * Forward a message to another chat
+     * @param {string} instanceId - Instance identifier
+     * @param {string} messageId - Serialized message id
+     * @param {string} to - Target chat ID or phone number
+     * @returns {Promise<Object>} Result
+     */
+    async forwardMessage(instanceId, messageId, to) {
+        const chatId = to.includes('@') ? to : `${to}@c.us`;
+
+        return this.withMessage(instanceId, messageId, 'forwardMessage', async (message) => {
+            await message.forward(chatId);
+
+            console.log(`↪️ Instance ${instanceId} - mesaj iletildi: ${messageId} -> ${chatId}`);
+            logger.info(`Message ${messageId} forwarded to ${chatId} by instance ${instanceId}`);
+
+            return {
+                success: true,
+                messageId,
+                to: chatId
+            };
+        });
+    }
+
+    /**
+     * Star or unstar a message
+     * @param {string} instanceId - Instance identifier
+     * @param {string} messageId - Serialized message id
+     * @param {boolean} star - true to star, false to unstar
+     * @returns {Promise<Object>} Result
+     */
+    async starMessage(instanceId, messageId, star = true) {
+        return this.withMessage(instanceId, messageId, star ? 'starMessage' : 'unstarMessage', async (message) => {
+            if (star) {
+                await message.star();
+            } else {
+                await message.unstar();
+            }
+
+            logger.info(`Message ${messageId} ${star ? 'starred' : 'unstarred'} by instance ${instanceId}`);
+
+            return {
+                success: true,
+                messageId,
+                starred: star
+            };
+        });
+    }
+
+    /**
+     * Get the message a reply quotes, with the reply and its chat
+     * @param {string} instanceId - Instance identifier
+     * @param {string} messageId - Serialized id of the reply
+     * @returns {Promise<Object>} { message, quotedMessage, chat }
+     */
+    async getQuotedMessage(instanceId, messageId) {
+        return this.withMessage(instanceId, messageId, 'getQuotedMessage', async (message) => {
+            if (!message.hasQuotedMsg) {
+                throw new Error(`Message ${messageId} does not quote another message`);
+            }
+
+            const quoted = await message.getQuotedMessage();
+            if (!quoted) {
+                throw new Error(`Quoted message of ${messageId} not found`);
+            }
 
-            console.log(`💬 Instance ${instanceId} - ${formattedMessages.length} mesaj alındı (Chat: ${chatId})`);
-            logger.info(`Messages retrieved for instance ${instanceId}, chat ${chatId}: ${formattedMessages.length} messages`);
+            const chat = await message.getChat();
 
             return {
                 success: true,
-                chatId,
-                messages: formattedMessages,
-                count: formattedMessages.length,
-                chatInfo: {
+                message: MessageStore.fromWhatsAppMessage(message),
+                quotedMessage: MessageStore.fromWhatsAppMessage(quoted),
+                chat: {
                     id: chat.id._serialized,
                     name: chat.name,
-                    isGroup: chat.isGroup,
-                    participants: chat.participants ? chat.participants.length : 0
+                    isGroup: chat.isGroup
                 }
             };
-        };
-
-        try {
-            return await this.executeWithRecovery(instanceId, operation, 'getChatMessages');
-        } catch (error) {
-            logger.error(`Error getting messages from instance ${instanceId}, chat ${chatId}:`, error);
-            throw error;
-        }
+        });
     }
 
     /**
-     * Get contact profile information
+     * Get contact's about/status message
      * @param {string} instanceId - Instance identifier
-     * @param {string} contactId - Contact ID (phone number with @c.us)
-     * @returns {Promise<Object>} Contact profile result
+     * @param {string} contactId - Contact ID
+     * @returns {Promise<Object>} Contact about result
      */
-    async getContactProfile(instanceId, contactId) {
-        const operation = async () => {
+    async getContactAbout(instanceId, contactId) {
+        try {
             const instance = this.instances.get(instanceId);
             if (!instance) {
                 throw new Error(`Instance ${instanceId} not found`);
@@ -1465,226 +3664,245 @@ class WhatsAppManager {
                 throw new Error(`Instance ${instanceId} is not ready. Current status: ${instance.status}`);
             }
 
-            // Ensure contactId has proper format
             const formattedContactId = contactId.includes('@') ? contactId : `${contactId}@c.us`;
-
             const contact = await instance.client.getContactById(formattedContactId);
 
-            let profilePicUrl = null;
+            let about = null;
             try {
-                profilePicUrl = await contact.getProfilePicUrl();
+                about = await contact.getAbout();
             } catch (error) {
-                // Profile picture might not be available
-                logger.warn(`Could not get profile picture for ${formattedContactId}: ${error.message}`);
+                logger.warn(`Could not get about for ${formattedContactId}: ${error.message}`);
             }
 
-            const contactInfo = {
-                id: contact.id._serialized,
-                name: contact.name,
-                pushname: contact.pushname,
-                shortName: contact.shortName,
-                number: contact.number,
-                isMe: contact.isMe,
-                isUser: contact.isUser,
-                isGroup: contact.isGroup,
-                isWAContact: contact.isWAContact,
-                isMyContact: contact.isMyContact,
-                isBlocked: contact.isBlocked,
-                profilePicUrl: profilePicUrl,
-                statusMute: contact.statusMute,
-                isBusiness: contact.isBusiness,
-                labels: contact.labels || []
-            };
-
             instance.lastActivity = new Date();
 
-            console.log(`👤 Instance ${instanceId} - ${contact.name || contact.pushname || 'İsimsiz'} profil bilgisi alındı`);
-            logger.info(`Contact profile retrieved for instance ${instanceId}, contact ${formattedContactId}`);
+            console.log(`📝 Instance ${instanceId} - ${contact.name || 'İsimsiz'} durum mesajı alındı`);
+            logger.info(`Contact about retrieved for instance ${instanceId}, contact ${formattedContactId}`);
 
             return {
                 success: true,
                 contactId: formattedContactId,
-                profile: contactInfo
+                name: contact.name || contact.pushname,
+                about: about
             };
+        } catch (error) {
+            logger.error(`Error getting contact about from instance ${instanceId}, contact ${contactId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Contact fields for lists, without the lookups of getContactProfile
+     * @param {Contact} contact - whatsapp-web.js contact
+     * @returns {Object} Contact summary
+     */
+    formatContact(contact) {
+        return {
+            id: contact.id._serialized,
+            name: contact.name || null,
+            pushname: contact.pushname || null,
+            number: contact.number,
+            isMyContact: contact.isMyContact,
+            isWAContact: contact.isWAContact,
+            isBlocked: contact.isBlocked,
+            isBusiness: contact.isBusiness,
+            profilePicUrl: null
+        };
+    }
+
+    /**
+     * Run a contact operation with readiness checks and session recovery, see withChat
+     * @param {string} instanceId - Instance identifier
+     * @param {string} contactId - Contact ID (a plain number gets @c.us)
+     * @param {string} operationName - Operation name for logs
+     * @param {Function} fn - async (contact, instance) => result
+     * @returns {Promise<*>} Operation result
+     */
+    async withContact(instanceId, contactId, operationName, fn) {
+        const id = contactId.includes('@') ? contactId : `${contactId.replace(/\D/g, '')}@c.us`;
+
+        const operation = async () => {
+            const instance = this.getReadyInstance(instanceId);
+            const contact = await instance.client.getContactById(id);
+
+            if (contact.isGroup) {
+                throw new Error('Provided ID is not a contact');
+            }
+
+            const result = await fn(contact, instance);
+            instance.lastActivity = new Date();
+            return result;
         };
 
         try {
-            return await this.executeWithRecovery(instanceId, operation, 'getContactProfile');
+            return await this.executeWithRecovery(instanceId, operation, operationName);
         } catch (error) {
-            logger.error(`Error getting contact profile from instance ${instanceId}, contact ${contactId}:`, error);
+            logger.error(`Error during ${operationName} for instance ${instanceId}, contact ${id}:`, error);
             throw error;
         }
     }
 
     /**
-     * Get multiple contacts profile information
+     * Block or unblock a contact
      * @param {string} instanceId - Instance identifier
-     * @param {Array} contactIds - Array of contact IDs
-     * @returns {Promise<Object>} Multiple contacts profile result
+     * @param {string} contactId - Contact ID or phone number
+     * @param {boolean} blocked - True to block, false to unblock
+     * @returns {Promise<Object>} { contactId, isBlocked }
      */
-    async getMultipleContactProfiles(instanceId, contactIds) {
-        try {
-            const instance = this.instances.get(instanceId);
-            if (!instance) {
-                throw new Error(`Instance ${instanceId} not found`);
+    async setContactBlocked(instanceId, contactId, blocked) {
+        return this.withContact(instanceId, contactId, blocked ? 'blockContact' : 'unblockContact', async (contact) => {
+            if (blocked) {
+                await contact.block();
+            } else {
+                await contact.unblock();
             }
 
-            if (instance.status !== 'ready') {
-                throw new Error(`Instance ${instanceId} is not ready. Current status: ${instance.status}`);
-            }
+            console.log(`${blocked ? '🚫' : '✅'} Instance ${instanceId} - ${contact.name || contact.pushname || contact.number} ${blocked ? 'engellendi' : 'engeli kaldırıldı'}`);
+            logger.info(`Instance ${instanceId} ${blocked ? 'blocked' : 'unblocked'} contact ${contact.id._serialized}`);
 
-            const profiles = [];
-            const errors = [];
+            return {
+                success: true,
+                contactId: contact.id._serialized,
+                isBlocked: blocked
+            };
+        });
+    }
 
-            for (const contactId of contactIds) {
-                try {
-                    const profileResult = await this.getContactProfile(instanceId, contactId);
-                    profiles.push(profileResult.profile);
-                } catch (error) {
-                    errors.push({
-                        contactId,
-                        error: error.message
-                    });
-                }
-            }
+    /**
+     * Contacts blocked by the account of an instance
+     * @param {string} instanceId - Instance identifier
+     * @returns {Promise<Object>} { contacts, count }
+     */
+    async getBlockedContacts(instanceId) {
+        const operation = async () => {
+            const instance = this.getReadyInstance(instanceId);
+            const contacts = (await instance.client.getBlockedContacts()).map(contact => this.formatContact(contact));
 
-            console.log(`👥 Instance ${instanceId} - ${profiles.length} profil başarıyla alındı, ${errors.length} hata`);
-            logger.info(`Multiple contact profiles retrieved for instance ${instanceId}: ${profiles.length} success, ${errors.length} errors`);
+            instance.lastActivity = new Date();
+            logger.info(`Blocked contacts retrieved for instance ${instanceId}: ${contacts.length}`);
 
             return {
                 success: true,
-                profiles,
-                errors,
-                totalRequested: contactIds.length,
-                successCount: profiles.length,
-                errorCount: errors.length
+                contacts,
+                count: contacts.length
             };
+        };
+
+        try {
+            return await this.executeWithRecovery(instanceId, operation, 'getBlockedContacts');
         } catch (error) {
-            logger.error(`Error getting multiple contact profiles from instance ${instanceId}:`, error);
+            logger.error(`Error getting blocked contacts from instance ${instanceId}:`, error);
             throw error;
         }
     }
 
     /**
-     * Get group information and participants
+     * Groups the account of an instance shares with a contact
      * @param {string} instanceId - Instance identifier
-     * @param {string} groupId - Group ID
-     * @returns {Promise<Object>} Group information result
+     * @param {string} contactId - Contact ID or phone number
+     * @returns {Promise<Object>} { contactId, groups: [{ id, name }], count }
      */
-    async getGroupInfo(instanceId, groupId) {
-        try {
-            const instance = this.instances.get(instanceId);
-            if (!instance) {
-                throw new Error(`Instance ${instanceId} not found`);
-            }
-
-            if (instance.status !== 'ready') {
-                throw new Error(`Instance ${instanceId} is not ready. Current status: ${instance.status}`);
-            }
-
-            const chat = await instance.client.getChatById(groupId);
+    async getCommonGroups(instanceId, contactId) {
+        return this.withContact(instanceId, contactId, 'getCommonGroups', async (contact, instance) => {
+            const groupIds = (await contact.getCommonGroups()).map(groupId => groupId._serialized);
 
-            if (!chat.isGroup) {
-                throw new Error('Provided ID is not a group');
-            }
-
-            let groupPicUrl = null;
-            try {
-                groupPicUrl = await chat.getProfilePicUrl();
-            } catch (error) {
-                logger.warn(`Could not get group picture for ${groupId}: ${error.message}`);
-            }
-
-            const participants = [];
-            for (const participant of chat.participants) {
+            const groups = await mapWithConcurrency(groupIds, CONTACT_LOOKUP_CONCURRENCY, async (groupId) => {
                 try {
-                    const contact = await instance.client.getContactById(participant.id._serialized);
-                    participants.push({
-                        id: participant.id._serialized,
-                        name: contact.name || contact.pushname,
-                        isAdmin: participant.isAdmin,
-                        isSuperAdmin: participant.isSuperAdmin
-                    });
+                    const chat = await instance.client.getChatById(groupId);
+                    return { id: groupId, name: chat.name };
                 } catch (error) {
-                    participants.push({
-                        id: participant.id._serialized,
-                        name: 'Unknown',
-                        isAdmin: participant.isAdmin,
-                        isSuperAdmin: participant.isSuperAdmin
-                    });
+                    logger.warn(`Could not get name of group ${groupId}: ${error.message}`);
+                    return { id: groupId, name: null };
                 }
-            }
+            });
 
-            const groupInfo = {
-                id: chat.id._serialized,
-                name: chat.name,
-                description: chat.description,
-                participantCount: chat.participants.length,
-                participants: participants,
-                owner: chat.owner ? chat.owner._serialized : null,
-                createdAt: chat.createdAt,
-                groupPicUrl: groupPicUrl,
-                isReadOnly: chat.isReadOnly,
-                isMuted: chat.isMuted,
-                muteExpiration: chat.muteExpiration
+            return {
+                success: true,
+                contactId: contact.id._serialized,
+                groups,
+                count: groups.length
             };
+        });
+    }
 
-            instance.lastActivity = new Date();
+    /**
+     * Number of devices (phone and linked devices) of a WhatsApp user
+     * @param {string} instanceId - Instance identifier
+     * @param {string} contactId - Contact ID or phone number
+     * @returns {Promise<Object>} { contactId, deviceCount }, 0 when the number is not on WhatsApp
+     */
+    async getContactDeviceCount(instanceId, contactId) {
+        return this.withContact(instanceId, contactId, 'getContactDeviceCount', async (contact, instance) => {
+            const deviceCount = await instance.client.getContactDeviceCount(contact.id._serialized);
 
-            console.log(`🏢 Instance ${instanceId} - ${chat.name} grup bilgisi alındı (${participants.length} üye)`);
-            logger.info(`Group info retrieved for instance ${instanceId}, group ${groupId}`);
+            return {
+                success: true,
+                contactId: contact.id._serialized,
+                deviceCount
+            };
+        });
+    }
+
+    /**
+     * Save a contact in the address book of the account, or rename an existing one
+     * @param {string} instanceId - Instance identifier
+     * @param {string} phoneNumber - Number in international format
+     * @param {Object} fields - { firstName, lastName, syncToAddressbook } syncToAddressbook also saves it on the phone
+     * @returns {Promise<Object>} { contactId }
+     */
+    async saveContact(instanceId, phoneNumber, fields) {
+        const number = phoneNumber.replace(/\D/g, '');
+
+        const operation = async () => {
+            const instance = this.getReadyInstance(instanceId);
+            const wid = await instance.client.saveOrEditAddressbookContact(
+                number, fields.firstName, fields.lastName || '', fields.syncToAddressbook || false
+            );
+
+            instance.lastActivity = new Date();
+            console.log(`📇 Instance ${instanceId} - kişi kaydedildi: ${fields.firstName} (${number})`);
+            logger.info(`Instance ${instanceId} saved contact ${number}`);
 
             return {
                 success: true,
-                groupId,
-                groupInfo
+                contactId: (wid && wid._serialized) || `${number}@c.us`
             };
+        };
+
+        try {
+            return await this.executeWithRecovery(instanceId, operation, 'saveContact');
         } catch (error) {
-            logger.error(`Error getting group info from instance ${instanceId}, group ${groupId}:`, error);
+            logger.error(`Error saving contact ${number} for instance ${instanceId}:`, error);
             throw error;
         }
     }
 
     /**
-     * Get contact's about/status message
+     * Remove a contact from the address book of the account, chats with it stay
      * @param {string} instanceId - Instance identifier
-     * @param {string} contactId - Contact ID
-     * @returns {Promise<Object>} Contact about result
+     * @param {string} phoneNumber - Number in international format
+     * @returns {Promise<Object>} { contactId }
      */
-    async getContactAbout(instanceId, contactId) {
-        try {
-            const instance = this.instances.get(instanceId);
-            if (!instance) {
-                throw new Error(`Instance ${instanceId} not found`);
-            }
+    async deleteContact(instanceId, phoneNumber) {
+        const number = phoneNumber.replace(/\D/g, '');
 
-            if (instance.status !== 'ready') {
-                throw new Error(`Instance ${instanceId} is not ready. Current status: ${instance.status}`);
-            }
-
-            const formattedContactId = contactId.includes('@') ? contactId : `${contactId}@c.us`;
-            const contact = await instance.client.getContactById(formattedContactId);
-
-            let about = null;
-            try {
-                about = await contact.getAbout();
-            } catch (error) {
-                logger.warn(`Could not get about for ${formattedContactId}: ${error.message}`);
-            }
+        const operation = async () => {
+            const instance = this.getReadyInstance(instanceId);
+            await instance.client.deleteAddressbookContact(number);
 
             instance.lastActivity = new Date();
-
-            console.log(`📝 Instance ${instanceId} - ${contact.name || 'İsimsiz'} durum mesajı alındı`);
-            logger.info(`Contact about retrieved for instance ${instanceId}, contact ${formattedContactId}`);
+            logger.info(`Instance ${instanceId} deleted contact ${number}`);
 
             return {
                 success: true,
-                contactId: formattedContactId,
-                name: contact.name || contact.pushname,
-                about: about
+                contactId: `${number}@c.us`
             };
+        };
+
+        try {
+            return await this.executeWithRecovery(instanceId, operation, 'deleteContact');
         } catch (error) {
-            logger.error(`Error getting contact about from instance ${instanceId}, contact ${contactId}:`, error);
+            logger.error(`Error deleting contact ${number} for instance ${instanceId}:`, error);
             throw error;
         }
     }
@@ -1693,18 +3911,27 @@ class WhatsAppManager {
      * Start health monitoring for all instances
      */
     startHealthMonitoring() {
-        // Check every 10 seconds - çok daha hızlı tespit
+        // Check ready instances every HEALTH_CHECK_INTERVAL_MS (10 seconds by default)
+        const interval = config.instances.healthCheckIntervalMs;
         this.healthCheckInterval = setInterval(async () => {
             for (const [instanceId, instance] of this.instances) {
+                const proxyHealth = instance.proxyHealth;
+                if (!proxyHealth || Date.now() - proxyHealth.checkedAt.getTime() >= PROXY_CHECK_INTERVAL) {
+                    this.refreshProxyHealth(instanceId).catch(error => {
+                        logger.warn(`Proxy check of instance ${instanceId} failed:`, error.message);
+                    });
+                }
+
                 if (instance.status === 'ready') {
                     try {
                         const isHealthy = await this.checkSessionHealth(instanceId);
-                        if (!isHealthy) {
+                        // The status may have changed while the check was running
+                        if (!isHealthy && instance.status === 'ready') {
                             console.log(`⚠️ Instance ${instanceId} session sağlık kontrolü başarısız - hemen yeniden bağlanıyor`);
                             logger.warn(`Health check failed for instance ${instanceId} - attempting immediate reconnection`);
 
                             // Mark as disconnected
-                            instance.status = 'disconnected';
+                            this.setStatus(instance, 'disconnected', 'Health check failed', 'health_monitor');
 
                             // Hemen reconnection başlat (60 saniye bekleme)
                             setTimeout(async () => {
@@ -1716,24 +3943,21 @@ class WhatsAppManager {
                             }, 1000); // 1 saniye sonra başlat
 
                             // Emit status change
-                            this.io.emit('instance_status_changed', {
+                            this.emitStatusChanged(instanceId, {
                                 instanceId,
                                 status: 'disconnected',
                                 timestamp: new Date()
                             });
-                        } else {
-                            // Healthy ise lastActivity güncelle
-                            instance.lastActivity = new Date();
                         }
                     } catch (error) {
                         logger.error(`Health monitoring error for instance ${instanceId}:`, error);
                     }
                 }
             }
-        }, 10000); // 10 saniye - 3x daha hızlı
+        }, interval);
 
-        console.log('🔍 Session health monitoring başlatıldı (10 saniye aralıklarla - hızlandırıldı)');
-        logger.info('Session health monitoring started with 10s interval');
+        console.log(`🔍 Session health monitoring başlatıldı (${interval / 1000} saniye aralıklarla)`);
+        logger.info(`Session health monitoring started with ${interval / 1000}s interval`);
     }
 
     /**
@@ -1752,7 +3976,8 @@ class WhatsAppManager {
      * Start auto-reconnection monitoring
      */
     startAutoReconnection() {
-        // Check every 15 seconds for disconnected instances - 4x daha hızlı
+        // Check disconnected instances every RECONNECT_INTERVAL_MS (15 seconds by default)
+        const interval = config.instances.reconnectionIntervalMs;
         this.reconnectionInterval = setInterval(async () => {
             for (const [instanceId, instance] of this.instances) {
                 if (instance.status === 'disconnected' && instance.hasValidAuth && !instance.reconnecting) {
@@ -1766,10 +3991,10 @@ class WhatsAppManager {
                     }
                 }
             }
-        }, 15000); // 15 saniye - 4x daha hızlı
+        }, interval);
 
-        console.log('🔄 Otomatik yeniden bağlanma sistemi başlatıldı (15 saniye aralıklarla - hızlandırıldı)');
-        logger.info('Auto-reconnection monitoring started with 15s interval');
+        console.log(`🔄 Otomatik yeniden bağlanma sistemi başlatıldı (${interval / 1000} saniye aralıklarla)`);
+        logger.info(`Auto-reconnection monitoring started with ${interval / 1000}s interval`);
     }
 
     /**
@@ -1808,10 +4033,11 @@ class WhatsAppManager {
             // If too many attempts, stop trying
             if (instance.reconnectAttempts > this.maxReconnectAttempts) {
                 console.log(`❌ Instance ${instanceId} maksimum yeniden bağlanma denemesi aşıldı`);
-                instance.status = 'failed';
+                this.setStatus(instance, 'failed', 'Maximum reconnection attempts exceeded', 'reconnection');
                 instance.reconnecting = false;
+                this.metrics.recordReconnectFailure(instanceId);
 
-                this.io.emit('instance_status_changed', {
+                this.emitStatusChanged(instanceId, {
                     instanceId,
                     status: 'failed',
                     message: 'Maximum reconnection attempts exceeded',
@@ -1822,7 +4048,8 @@ class WhatsAppManager {
 
             // Try to reinitialize the instance
             console.log(`🔧 Instance ${instanceId} reinitialize çağrılıyor...`);
-            await this.reinitializeInstance(instanceId);
+            this.metrics.recordReconnectAttempt(instanceId);
+            await this.reinitializeInstance(instanceId, `Reconnection attempt ${instance.reconnectAttempts}`);
 
             // Reset reconnect attempts on success
             instance.reconnectAttempts = 0;
@@ -1833,6 +4060,7 @@ class WhatsAppManager {
 
         } catch (error) {
             instance.reconnecting = false;
+            this.metrics.recordReconnectFailure(instanceId);
             console.log(`❌ Instance ${instanceId} yeniden bağlanma başarısız: ${error.message}`);
             logger.error(`Auto-reconnection failed for instance ${instanceId}:`, error);
 
@@ -1853,8 +4081,10 @@ class WhatsAppManager {
     /**
      * Reinitialize an existing instance
      * @param {string} instanceId - Instance identifier
+     * @param {string} cause - Why, recorded in the status history
+     * @param {string} source - Who reinitializes it, recorded in the status history
      */
-    async reinitializeInstance(instanceId) {
+    async reinitializeInstance(instanceId, cause = 'Reinitialized', source = 'reconnection') {
         const instance = this.instances.get(instanceId);
         if (!instance) {
             throw new Error(`Instance ${instanceId} not found`);
@@ -1880,39 +4110,14 @@ class WhatsAppManager {
             console.log(`🚀 Instance ${instanceId} yeni client oluşturuluyor...`);
             
             // Create new client
-            const client = new Client({
-                authStrategy: new LocalAuth({
-                    clientId: instanceId,
-                    dataPath: path.join(this.sessionsPath, instanceId)
-                }),
-                puppeteer: {
-                    headless: true,
-                    args: [
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage',
-                        '--disable-accelerated-2d-canvas',
-                        '--no-first-run',
-                        '--no-zygote',
-                        '--single-process',
-                        '--disable-gpu',
-                        '--disable-web-security',
-                        '--disable-background-networking',
-                        '--disable-background-timer-throttling',
-                        '--disable-renderer-backgrounding',
-                        '--disable-backgrounding-occluded-windows',
-                        '--disable-ipc-flooding-protection',
-                        '--run-all-compositor-stages-before-draw',
-                        '--disable-extensions',
-                        '--aggressive-cache-discard'
-                    ]
-                }
-            });
+            const client = this.buildClient(instanceId);
 
             // Update instance
             instance.client = client;
-            instance.status = 'initializing';
+            this.setStatus(instance, 'initializing', cause, source);
             instance.qr = null;
+            // Pairing-code logins get a fresh code from the new browser
+            instance.pairingCode = null;
 
             console.log(`🎧 Instance ${instanceId} event listener'ları kuruluyor...`);
             // Setup event listeners
@@ -1933,7 +4138,7 @@ class WhatsAppManager {
             
         } catch (error) {
             console.log(`❌ Instance ${instanceId} reinitialize hatası: ${error.message}`);
-            instance.status = 'disconnected';
+            this.setStatus(instance, 'disconnected', `Reinitialize failed: ${error.message}`, source);
             instance.reconnecting = false; // Hata durumunda flag'i temizle
             logger.error(`Reinitialize failed for instance ${instanceId}:`, error);
             throw error;
@@ -1946,6 +4151,7 @@ class WhatsAppManager {
     async cleanup() {
         this.stopHealthMonitoring();
         this.stopAutoReconnection();
+        this.governor.stop();
 
         // Destroy all instances
         for (const [instanceId, instance] of this.instances) {
@@ -1953,8 +4159,13 @@ class WhatsAppManager {
                 // Keep-alive'ı durdur
                 this.stopKeepAlive(instanceId);
                 
-                if (instance.client) {
+                if (instance.client && instance.client.pupBrowser) {
                     await instance.client.destroy();
+
+                    // Store the latest profile so the next start doesn't fall back to an older backup
+                    if (instance.status === 'ready') {
+                        await instance.client.authStrategy.storeRemoteSession();
+                    }
                 }
                 console.log(`🧹 Instance ${instanceId} temizlendi`);
             } catch (error) {
@@ -1964,9 +4175,18 @@ class WhatsAppManager {
 
         this.instances.clear();
         this.profilePicCache.clear();
+        this.webhookService.stop();
+        this.mediaService.stop();
+        this.messageQueue.stop();
+        this.broadcastService.stop();
+        this.scheduler.stop();
+        this.messageStore.close();
         console.log('🧹 WhatsAppManager cleanup tamamlandı');
         logger.info('WhatsAppManager cleanup completed');
     }
 }
 
+WhatsAppManager.MONITOR_ROOM = MONITOR_ROOM;
+WhatsAppManager.listStoredSessions = listStoredSessions;
+
 module.exports = WhatsAppManager;
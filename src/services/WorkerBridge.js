@@ -0,0 +1,135 @@
+const logger = require('../utils/logger');
+
+// How often the coordinator hears from a worker, it restarts workers that go quiet
+const HEARTBEAT_INTERVAL = 5000;
+
+// Requests the coordinator may send, each maps to a handler of the same name
+const REQUEST_METHODS = ['adopt', 'metrics'];
+
+/**
+ * Worker end of the IPC channel to the WorkerPool of the coordinator.
+ * Socket.io runs in the coordinator, events emitted through `io` are sent
+ * over and emitted there to the same room.
+ */
+class WorkerBridge {
+    /**
+     * @param {Object} handlers - { getInstances(), adopt({ instanceId, record }), metrics(), shutdown() }
+     * @param {Object} options - { slot, token, instanceIds }, taken from the environment set by WorkerPool otherwise
+     */
+    constructor(handlers, options = {}) {
+        this.handlers = handlers;
+        this.slot = options.slot !== undefined ? options.slot : parseInt(process.env.WORKER_SLOT);
+        this.token = options.token || process.env.WORKER_TOKEN;
+        this.instanceIds = options.instanceIds || JSON.parse(process.env.WORKER_INSTANCE_IDS || '[]');
+        this.heartbeatInterval = null;
+
+        // Stands in for the socket.io server of WhatsAppManager
+        this.io = {
+            to: (room) => ({
+                emit: (event, payload) => this.send({ type: 'emit', room, event, payload })
+            })
+        };
+
+        process.on('message', (message) => this.handleMessage(message));
+    }
+
+    /**
+     * Send a message to the coordinator, dropped when it is gone
+     * @param {Object} message - IPC message with a type
+     */
+    send(message) {
+        if (!process.connected) {
+            return;
+        }
+
+        try {
+            process.send(message, (error) => {
+                if (error) {
+                    logger.warn(`Worker ${this.slot} could not send ${message.type} to the coordinator: ${error.message}`);
+                }
+            });
+        } catch (error) {
+            logger.error(`Worker ${this.slot} could not serialize ${message.type}:`, error);
+        }
+    }
+
+    /**
+     * Tell the coordinator where requests go and start the heartbeat
+     * @param {number} port - Port of the HTTP server on 127.0.0.1
+     */
+    start(port) {
+        this.send({ type: 'ready', port });
+        this.heartbeat();
+        this.heartbeatInterval = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL);
+
+        console.log(`👷 Worker ${this.slot} hazır (port ${port}, ${this.instanceIds.length} instance)`);
+        logger.info(`Worker ${this.slot} listening on 127.0.0.1:${port}`);
+    }
+
+    stop() {
+        clearInterval(this.heartbeatInterval);
+        this.heartbeatInterval = null;
+    }
+
+    /**
+     * Instance statuses and browser processes, the coordinator kills
+     * the browsers itself if this process dies without closing them
+     */
+    heartbeat() {
+        const instances = [];
+        for (const [instanceId, instance] of this.handlers.getInstances()) {
+            const browserProcess = instance.client && instance.client.pupBrowser && instance.client.pupBrowser.process();
+            instances.push({
+                instanceId,
+                status: instance.status,
+                browserPid: browserProcess ? browserProcess.pid : null
+            });
+        }
+
+        this.send({
+            type: 'heartbeat',
+            instances,
+            rss: process.memoryUsage().rss
+        });
+    }
+
+    /**
+     * Startup recovery is done, instances missing now were not recovered
+     */
+    recovered() {
+        this.send({
+            type: 'recovered',
+            instanceIds: Array.from(this.handlers.getInstances().keys())
+        });
+    }
+
+    async handleMessage(message) {
+        if (!message) {
+            return;
+        }
+
+        if (message.type === 'shutdown') {
+            await this.handlers.shutdown();
+            return;
+        }
+
+        if (message.type !== 'request') {
+            return;
+        }
+
+        const { requestId, method, params } = message;
+        try {
+            if (!REQUEST_METHODS.includes(method)) {
+                throw new Error(`Unknown worker request ${method}`);
+            }
+
+            const result = await this.handlers[method](params || {});
+            this.send({ type: 'reply', requestId, result });
+        } catch (error) {
+            logger.error(`Worker ${this.slot} request ${method} failed:`, error);
+            this.send({ type: 'reply', requestId, error: error.message });
+        }
+    }
+}
+
+module.exports = WorkerBridge;
@@ -0,0 +1,688 @@
+const { fork } = require('child_process');
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const client = require('prom-client');
+const logger = require('../utils/logger');
+const JsonStore = require('../utils/jsonStore');
+const HealthService = require('./HealthService');
+const WhatsAppManager = require('./WhatsAppManager');
+const { createSessionStore } = require('./sessionStores');
+const { WORKER_HEADERS } = require('../middleware/auth');
+
+// Workers run the same application, WORKER_SLOT makes it start as a worker
+const WORKER_SCRIPT = path.join(__dirname, '../app.js');
+
+const WATCHDOG_INTERVAL = 5000;
+const RESTART_BASE_DELAY = 1000;
+const RESTART_MAX_DELAY = 30000;
+// Workers close their browsers on shutdown, which takes a while with many instances
+const STOP_TIMEOUT = 30000;
+const REQUEST_TIMEOUT = 60000;
+// Adopting recovers the session, including the browser start and WhatsApp Web login
+const ADOPT_TIMEOUT = 3 * 60 * 1000;
+
+// Status of instances whose worker is down, counted as not ready
+const UNAVAILABLE_STATUS = 'worker_unavailable';
+
+// Not passed on between the client, the coordinator and a worker
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade', 'te', 'trailer'];
+
+/**
+ * Coordinator side of worker mode (WORKERS > 0). Every instance is assigned
+ * to one worker process; REST calls for it are forwarded to that worker
+ * and the socket events of the worker are emitted from here. Crashed or
+ * unresponsive workers are restarted with their instances. A worker that
+ * keeps crashing hands its instances over to the other workers.
+ *
+ * Assignments are kept in data/workers.json. Each worker stores its own
+ * data (webhooks, queues, history, ...) in data/workers/<n>, sessions are
+ * shared so a moved instance keeps its login.
+ */
+class WorkerPool {
+    /**
+     * @param {Object} handlers - { emit(room, event, payload) } emits on the socket.io server
+     * @param {Object} options - { workers, heartbeatTimeoutMs, maxRestarts, restartWindowMs, health }
+     */
+    constructor(handlers, options = {}) {
+        this.handlers = handlers;
+        this.size = options.workers;
+        this.heartbeatTimeoutMs = options.heartbeatTimeoutMs;
+        this.maxRestarts = options.maxRestarts;
+        this.restartWindowMs = options.restartWindowMs;
+        // Proves to workers that a request comes from us, new on every start
+        this.token = crypto.randomBytes(24).toString('hex');
+
+        this.store = new JsonStore('workers.json', { assignments: {} });
+        this.assignments = new Map(Object.entries(this.store.read().assignments || {})); // instanceId -> { worker, assignedAt }
+        this.workers = new Map(); // slot -> worker state
+        this.pending = new Map(); // requestId -> { slot, resolve, reject, timer }
+        this.requestSeq = 0;
+        this.watchdog = null;
+        this.stopping = false;
+
+        for (let slot = 0; slot < this.size; slot++) {
+            this.workers.set(slot, {
+                slot,
+                process: null,
+                port: null,
+                state: 'stopped',
+                startedAt: null,
+                lastHeartbeat: null,
+                rss: null,
+                instances: new Map(), // instanceId -> { status, browserPid } from the last heartbeat
+                restarts: [],
+                restartTimer: null,
+                lastExit: null
+            });
+        }
+
+        this.health = new HealthService({
+            getInstances: () => this.getInstances()
+        }, options.health);
+
+        // Same interface as MetricsService, summed over the workers
+        this.metrics = {
+            contentType: client.Registry.PROMETHEUS_CONTENT_TYPE,
+            render: () => this.renderMetrics()
+        };
+    }
+
+    save() {
+        this.store.write({ assignments: Object.fromEntries(this.assignments) });
+    }
+
+    /**
+     * Assign stored sessions nobody owns yet and start the workers
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const sessionIds = await WhatsAppManager.listStoredSessions(createSessionStore());
+        const counts = this.countAssignments();
+
+        // Also reassigns instances of workers that no longer exist after WORKERS was lowered
+        for (const instanceId of new Set([...sessionIds, ...this.assignments.keys()])) {
+            const current = this.assignments.get(instanceId);
+            if (current && this.workers.has(current.worker)) {
+                continue;
+            }
+
+            const slot = Array.from(counts.keys()).reduce((best, candidate) => counts.get(candidate) < counts.get(best) ? candidate : best);
+            counts.set(slot, counts.get(slot) + 1);
+            this.assignments.set(instanceId, { worker: slot, assignedAt: new Date().toISOString() });
+        }
+        this.save();
+
+        console.log(`\n👷 ${this.size} worker başlatılıyor (${this.assignments.size} instance)...`);
+        logger.info(`Starting ${this.size} workers for ${this.assignments.size} instances`);
+
+        for (const worker of this.workers.values()) {
+            this.spawn(worker);
+        }
+
+        this.watchdog = setInterval(() => this.checkHeartbeats(), WATCHDOG_INTERVAL);
+    }
+
+    /**
+     * Stop every worker, they close their instances first
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.stopping = true;
+        clearInterval(this.watchdog);
+
+        await Promise.all(Array.from(this.workers.values()).map(worker => this.stopWorker(worker)));
+        logger.info('All workers stopped');
+    }
+
+    stopWorker(worker) {
+        clearTimeout(worker.restartTimer);
+
+        const child = worker.process;
+        if (!child || child.exitCode !== null) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                logger.warn(`Worker ${worker.slot} did not stop within ${STOP_TIMEOUT}ms, killing it`);
+                child.kill('SIGKILL');
+            }, STOP_TIMEOUT);
+
+            child.once('exit', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+
+            if (child.connected) {
+                child.send({ type: 'shutdown' });
+            } else {
+                child.kill('SIGTERM');
+            }
+        });
+    }
+
+    /**
+     * Data directory of a worker, relative to the data directory of the coordinator
+     * @param {number} slot - Worker number
+     * @returns {string} Relative path
+     */
+    getDataPath(slot) {
+        return path.join('workers', String(slot));
+    }
+
+    spawn(worker) {
+        const instanceIds = this.getAssignedIds(worker.slot);
+
+        const child = fork(WORKER_SCRIPT, [], {
+            env: {
+                ...process.env,
+                WORKER_SLOT: String(worker.slot),
+                WORKER_TOKEN: this.token,
+                WORKER_INSTANCE_IDS: JSON.stringify(instanceIds),
+                DATA_DIR: path.join(JsonStore.dataDir, this.getDataPath(worker.slot)),
+                // One session store for all workers, instances keep their login when they move
+                SESSION_STORE_PATH: process.env.SESSION_STORE_PATH || path.join(JsonStore.dataDir, 'sessions')
+            }
+        });
+
+        worker.process = child;
+        worker.port = null;
+        worker.state = 'starting';
+        worker.startedAt = new Date();
+        // The first heartbeat comes once the application is loaded
+        worker.lastHeartbeat = Date.now();
+        worker.instances.clear();
+
+        child.on('message', (message) => this.handleMessage(worker, message));
+        child.on('exit', (code, signal) => this.handleExit(worker, child, code, signal));
+        child.on('error', (error) => {
+            logger.error(`Worker ${worker.slot} process error:`, error);
+        });
+
+        logger.info(`Worker ${worker.slot} started with pid ${child.pid} and ${instanceIds.length} instances`);
+    }
+
+    handleMessage(worker, message) {
+        if (!message || !message.type) {
+            return;
+        }
+
+        if (message.type === 'ready') {
+            worker.port = message.port;
+            worker.state = 'ready';
+            worker.lastHeartbeat = Date.now();
+
+            console.log(`✅ Worker ${worker.slot} hazır (pid ${worker.process.pid})`);
+            this.handlers.emit(WhatsAppManager.MONITOR_ROOM, 'worker_ready', {
+                worker: worker.slot,
+                pid: worker.process.pid,
+                timestamp: new Date()
+            });
+            return;
+        }
+
+        if (message.type === 'heartbeat') {
+            worker.lastHeartbeat = Date.now();
+            worker.rss = message.rss;
+            worker.instances = new Map(message.instances.map(({ instanceId, ...data }) => [instanceId, data]));
+            return;
+        }
+
+        if (message.type === 'emit') {
+            if (message.event === 'instance_destroyed' && message.payload) {
+                this.release(message.payload.instanceId);
+            }
+            this.handlers.emit(message.room, message.event, message.payload);
+            return;
+        }
+
+        if (message.type === 'recovered') {
+            // Assignments without a session are not coming back, instances created since stay
+            let pruned = 0;
+            for (const [instanceId, assignment] of this.assignments) {
+                if (assignment.worker === worker.slot &&
+                    new Date(assignment.assignedAt) < worker.startedAt &&
+                    !message.instanceIds.includes(instanceId)) {
+                    this.assignments.delete(instanceId);
+                    pruned++;
+                }
+            }
+            if (pruned > 0) {
+                this.save();
+                logger.info(`Dropped ${pruned} assignments of worker ${worker.slot} without a session`);
+            }
+            return;
+        }
+
+        if (message.type === 'reply') {
+            const request = this.pending.get(message.requestId);
+            if (request) {
+                this.pending.delete(message.requestId);
+                clearTimeout(request.timer);
+                if (message.error) {
+                    request.reject(new Error(message.error));
+                } else {
+                    request.resolve(message.result);
+                }
+            }
+        }
+    }
+
+    handleExit(worker, child, code, signal) {
+        // Exit of a process that was already replaced
+        if (worker.process !== child) {
+            return;
+        }
+
+        // Browsers run in their own process group and outlive a crashed worker,
+        // they would keep the profiles locked for the next one
+        if (code !== 0) {
+            this.killBrowsers(worker);
+        }
+
+        worker.process = null;
+        worker.port = null;
+        worker.instances.clear();
+
+        for (const [requestId, request] of this.pending) {
+            if (request.slot === worker.slot) {
+                this.pending.delete(requestId);
+                clearTimeout(request.timer);
+                request.reject(new Error(`Worker ${worker.slot} exited`));
+            }
+        }
+
+        if (this.stopping) {
+            worker.state = 'stopped';
+            return;
+        }
+
+        const instanceIds = this.getAssignedIds(worker.slot);
+        worker.lastExit = { code, signal, at: new Date() };
+
+        console.log(`\n💥 Worker ${worker.slot} kapandı (code: ${code}, signal: ${signal}), ${instanceIds.length} instance etkilendi`);
+        logger.error(`Worker ${worker.slot} exited with code ${code} and signal ${signal}`);
+
+        this.handlers.emit(WhatsAppManager.MONITOR_ROOM, 'worker_exited', {
+            worker: worker.slot,
+            code,
+            signal,
+            instanceIds,
+            timestamp: new Date()
+        });
+
+        const now = Date.now();
+        worker.restarts = worker.restarts.filter(at => now - at < this.restartWindowMs);
+
+        if (worker.restarts.length >= this.maxRestarts) {
+            // Crash loop: the instances move to the other workers, this one pauses for a window
+            worker.state = 'disabled';
+            console.log(`🚫 Worker ${worker.slot} çok sık çöktü, instance'ları diğer worker'lara taşınıyor`);
+            logger.warn(`Worker ${worker.slot} reached its restart limit (${this.maxRestarts} within ${this.restartWindowMs}ms), moving its instances`);
+
+            this.rebalance(worker.slot).catch(error => {
+                logger.error(`Error moving instances of worker ${worker.slot}:`, error);
+            });
+
+            worker.restartTimer = setTimeout(() => {
+                worker.restarts = [];
+                this.spawn(worker);
+            }, this.restartWindowMs);
+            return;
+        }
+
+        const delay = Math.min(RESTART_BASE_DELAY * Math.pow(2, worker.restarts.length), RESTART_MAX_DELAY);
+        worker.restarts.push(now);
+        worker.state = 'restarting';
+        console.log(`🔄 Worker ${worker.slot} ${delay / 1000} saniye sonra yeniden başlatılacak`);
+
+        worker.restartTimer = setTimeout(() => this.spawn(worker), delay);
+    }
+
+    killBrowsers(worker) {
+        for (const { browserPid } of worker.instances.values()) {
+            if (!browserPid) {
+                continue;
+            }
+            try {
+                process.kill(-browserPid, 'SIGKILL');
+                logger.warn(`Killed browser ${browserPid} left behind by worker ${worker.slot}`);
+            } catch (error) {
+                // Already gone
+            }
+        }
+    }
+
+    checkHeartbeats() {
+        const now = Date.now();
+        for (const worker of this.workers.values()) {
+            if (!worker.process || now - worker.lastHeartbeat <= this.heartbeatTimeoutMs) {
+                continue;
+            }
+
+            console.log(`⏱️ Worker ${worker.slot} yanıt vermiyor, yeniden başlatılıyor`);
+            logger.error(`Worker ${worker.slot} sent no heartbeat for ${now - worker.lastHeartbeat}ms, killing it`);
+
+            // The exit handler restarts it
+            worker.lastHeartbeat = now;
+            worker.process.kill('SIGKILL');
+        }
+    }
+
+    /**
+     * Move the instances of a worker to the least loaded running workers.
+     * They stay assigned when no worker can take them and come back with their worker.
+     * @param {number} slot - Worker number
+     * @returns {Promise<void>}
+     */
+    async rebalance(slot) {
+        const registryFile = path.join(this.getDataPath(slot), 'instances.json');
+        const records = new JsonStore(registryFile, { instances: {} }).read().instances || {};
+
+        for (const instanceId of this.getAssignedIds(slot)) {
+            const target = this.pickWorker();
+            if (!target) {
+                logger.warn(`No running worker can take the instances of worker ${slot}`);
+                return;
+            }
+
+            this.assignments.set(instanceId, { worker: target.slot, assignedAt: new Date().toISOString() });
+            this.save();
+
+            try {
+                const adopted = await this.call(target, 'adopt', { instanceId, record: records[instanceId] || null }, ADOPT_TIMEOUT);
+                if (!adopted) {
+                    this.release(instanceId);
+                    continue;
+                }
+
+                console.log(`📦 Instance ${instanceId}: worker ${slot} -> worker ${target.slot}`);
+                this.handlers.emit(WhatsAppManager.MONITOR_ROOM, 'instance_moved', {
+                    instanceId,
+                    from: slot,
+                    to: target.slot,
+                    timestamp: new Date()
+                });
+            } catch (error) {
+                // Stays with the new worker, which recovers it when it restarts
+                logger.error(`Worker ${target.slot} could not adopt instance ${instanceId}:`, error);
+            }
+        }
+    }
+
+    countAssignments() {
+        const counts = new Map(Array.from(this.workers.keys()).map(slot => [slot, 0]));
+        for (const { worker } of this.assignments.values()) {
+            if (counts.has(worker)) {
+                counts.set(worker, counts.get(worker) + 1);
+            }
+        }
+        return counts;
+    }
+
+    getAssignedIds(slot) {
+        return Array.from(this.assignments.entries())
+            .filter(([, assignment]) => assignment.worker === slot)
+            .map(([instanceId]) => instanceId);
+    }
+
+    /**
+     * @returns {Array} Workers that accept requests
+     */
+    getReadyWorkers() {
+        return Array.from(this.workers.values()).filter(worker => worker.state === 'ready');
+    }
+
+    /**
+     * Running worker with the fewest instances
+     * @returns {Object|null} Worker state
+     */
+    pickWorker() {
+        const counts = this.countAssignments();
+        return this.getReadyWorkers().reduce((best, worker) =>
+            !best || counts.get(worker.slot) < counts.get(best.slot) ? worker : best, null);
+    }
+
+    /**
+     * @param {string} instanceId - Instance identifier
+     * @returns {Object|null} Worker the instance is assigned to
+     */
+    getWorkerOf(instanceId) {
+        const assignment = this.assignments.get(instanceId);
+        return assignment ? this.workers.get(assignment.worker) || null : null;
+    }
+
+    /**
+     * Assign a new instance to the least loaded worker
+     * @param {string} instanceId - Instance identifier
+     * @returns {Object} Worker state
+     * @throws {Error} When no worker is running
+     */
+    assign(instanceId) {
+        const current = this.getWorkerOf(instanceId);
+        if (current) {
+            return current;
+        }
+
+        const worker = this.pickWorker();
+        if (!worker) {
+            throw new Error('No worker is available, try again shortly');
+        }
+
+        this.assignments.set(instanceId, { worker: worker.slot, assignedAt: new Date().toISOString() });
+        this.save();
+        return worker;
+    }
+
+    /**
+     * @param {string} instanceId - Instance identifier
+     */
+    release(instanceId) {
+        if (this.assignments.delete(instanceId)) {
+            this.save();
+        }
+    }
+
+    /**
+     * Statuses of all instances, for the readiness rules
+     * @returns {Map} instanceId -> { status }
+     */
+    getInstances() {
+        const instances = new Map();
+        for (const [instanceId, assignment] of this.assignments) {
+            const worker = this.workers.get(assignment.worker);
+            if (!worker || worker.state !== 'ready') {
+                instances.set(instanceId, { status: UNAVAILABLE_STATUS });
+            } else if (worker.instances.has(instanceId)) {
+                instances.set(instanceId, { status: worker.instances.get(instanceId).status });
+            }
+        }
+        return instances;
+    }
+
+    /**
+     * Instances assigned to workers that are not running
+     * @returns {Array} { instanceId, worker, status }
+     */
+    getUnavailableInstances() {
+        return Array.from(this.assignments.entries())
+            .filter(([, assignment]) => {
+                const worker = this.workers.get(assignment.worker);
+                return !worker || worker.state !== 'ready';
+            })
+            .map(([instanceId, assignment]) => ({ instanceId, worker: assignment.worker, status: UNAVAILABLE_STATUS }));
+    }
+
+    /**
+     * @returns {Array} State of every worker
+     */
+    getStatus() {
+        const counts = this.countAssignments();
+        return Array.from(this.workers.values()).map(worker => ({
+            worker: worker.slot,
+            state: worker.state,
+            pid: worker.process ? worker.process.pid : null,
+            startedAt: worker.startedAt,
+            lastHeartbeat: worker.lastHeartbeat ? new Date(worker.lastHeartbeat) : null,
+            rss: worker.rss,
+            instances: counts.get(worker.slot),
+            recentRestarts: worker.restarts.length,
+            lastExit: worker.lastExit
+        }));
+    }
+
+    /**
+     * Call a request handler of a worker over IPC
+     * @param {Object} worker - Worker state
+     * @param {string} method - 'adopt' or 'metrics'
+     * @param {Object} params - Handler parameters
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise<*>} Handler result
+     */
+    call(worker, method, params = {}, timeout = REQUEST_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            if (!worker.process || !worker.process.connected) {
+                return reject(new Error(`Worker ${worker.slot} is not running`));
+            }
+
+            const requestId = ++this.requestSeq;
+            const timer = setTimeout(() => {
+                this.pending.delete(requestId);
+                reject(new Error(`Worker ${worker.slot} did not answer ${method} within ${timeout}ms`));
+            }, timeout);
+
+            this.pending.set(requestId, { slot: worker.slot, resolve, reject, timer });
+            worker.process.send({ type: 'request', requestId, method, params });
+        });
+    }
+
+    /**
+     * Headers that let a worker trust a forwarded request
+     * @param {Object|null} principal - API key principal of the request
+     * @returns {Object} Headers
+     */
+    getForwardHeaders(principal) {
+        const headers = { [WORKER_HEADERS.token]: this.token };
+        if (principal) {
+            headers[WORKER_HEADERS.principal] = Buffer.from(JSON.stringify(principal)).toString('base64');
+        }
+        return headers;
+    }
+
+    /**
+     * Send a JSON request to a worker and read its JSON answer
+     * @param {Object} worker - Worker state
+     * @param {Object} options - { method, path, principal, body }
+     * @returns {Promise<Object>} { status, body }
+     */
+    request(worker, options) {
+        return new Promise((resolve, reject) => {
+            const payload = options.body !== undefined ? JSON.stringify(options.body) : null;
+            const headers = this.getForwardHeaders(options.principal);
+            if (payload) {
+                headers['content-type'] = 'application/json';
+                headers['content-length'] = Buffer.byteLength(payload);
+            }
+
+            const req = http.request({
+                host: '127.0.0.1',
+                port: worker.port,
+                method: options.method,
+                path: options.path,
+                headers,
+                timeout: REQUEST_TIMEOUT
+            }, (res) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    try {
+                        resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+                    } catch (error) {
+                        reject(new Error(`Worker ${worker.slot} answered ${options.path} with invalid JSON`));
+                    }
+                });
+                res.on('error', reject);
+            });
+
+            req.on('timeout', () => req.destroy(new Error(`Worker ${worker.slot} did not answer ${options.path} in time`)));
+            req.on('error', reject);
+            req.end(payload || undefined);
+        });
+    }
+
+    /**
+     * Forward a request to a worker and stream its answer back
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Object} worker - Worker state
+     */
+    proxy(req, res, worker) {
+        const headers = { ...req.headers, ...this.getForwardHeaders(req.apiKey) };
+        HOP_BY_HOP_HEADERS.forEach(name => delete headers[name]);
+
+        // express.json and express.urlencoded have consumed JSON and form bodies, send them on as JSON.
+        // Other bodies (multipart uploads) are still unread and streamed through.
+        let body = null;
+        if (req._body) {
+            body = Buffer.from(JSON.stringify(req.body));
+            headers['content-type'] = 'application/json';
+            headers['content-length'] = body.length;
+        }
+
+        const upstream = http.request({
+            host: '127.0.0.1',
+            port: worker.port,
+            method: req.method,
+            path: req.originalUrl,
+            headers
+        }, (workerRes) => {
+            const responseHeaders = { ...workerRes.headers };
+            HOP_BY_HOP_HEADERS.forEach(name => delete responseHeaders[name]);
+            res.writeHead(workerRes.statusCode, responseHeaders);
+            workerRes.pipe(res);
+        });
+
+        upstream.on('error', (error) => {
+            logger.error(`Error forwarding ${req.method} ${req.originalUrl} to worker ${worker.slot}:`, error);
+            if (!res.headersSent) {
+                res.status(502).json({
+                    success: false,
+                    error: `Worker ${worker.slot} did not answer: ${error.message}`
+                });
+            } else {
+                res.destroy();
+            }
+        });
+
+        // Client went away before the worker answered
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                upstream.destroy();
+            }
+        });
+
+        if (body) {
+            upstream.end(body);
+        } else {
+            req.pipe(upstream);
+        }
+    }
+
+    /**
+     * Metrics of all workers, counters and gauges summed per label set
+     * @returns {Promise<string>} Exposition text
+     */
+    async renderMetrics() {
+        const results = await Promise.allSettled(this.getReadyWorkers().map(worker => this.call(worker, 'metrics')));
+        const metrics = results
+            .filter(result => result.status === 'fulfilled')
+            .map(result => result.value);
+
+        return client.AggregatorRegistry.aggregate(metrics).metrics();
+    }
+}
+
+WorkerPool.UNAVAILABLE_STATUS = UNAVAILABLE_STATUS;
+
+module.exports = WorkerPool;
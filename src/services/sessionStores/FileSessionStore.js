@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const SessionStore = require('./SessionStore');
+const JsonStore = require('../../utils/jsonStore');
+
+/**
+ * Session store that keeps zip archives in a local directory.
+ * Point SESSION_STORE_PATH at a shared volume to move instances between hosts.
+ */
+class FileSessionStore extends SessionStore {
+    constructor(options = {}) {
+        super('filesystem');
+        this.dir = options.dir || process.env.SESSION_STORE_PATH || path.join(JsonStore.dataDir, 'sessions');
+
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    getFilePath(session) {
+        return path.join(this.dir, `${session}.zip`);
+    }
+
+    async has(session) {
+        return fs.existsSync(this.getFilePath(session));
+    }
+
+    async get(session) {
+        try {
+            return await fs.promises.readFile(this.getFilePath(session));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async put(session, data) {
+        // Write then rename so that a crash never leaves a truncated archive behind
+        const filePath = this.getFilePath(session);
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, data);
+        await fs.promises.rename(tmpPath, filePath);
+    }
+
+    async remove(session) {
+        await fs.promises.rm(this.getFilePath(session), { force: true });
+    }
+
+    async keys() {
+        const files = await fs.promises.readdir(this.dir);
+        return files
+            .filter(file => file.endsWith('.zip'))
+            .map(file => file.slice(0, -'.zip'.length));
+    }
+}
+
+module.exports = FileSessionStore;
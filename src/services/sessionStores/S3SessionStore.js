@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const SessionStore = require('./SessionStore');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding required by AWS Signature Version 4
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+    .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Session store backed by an S3 compatible object store
+ * (AWS S3, MinIO, Cloudflare R2, ...). Requests use path-style URLs and
+ * Signature Version 4, so a local MinIO container works as a stand-in.
+ */
+class S3SessionStore extends SessionStore {
+    constructor(options = {}) {
+        super('s3');
+        this.endpoint = (options.endpoint || process.env.SESSION_STORE_S3_ENDPOINT || '').replace(/\/+$/, '');
+        this.bucket = options.bucket || process.env.SESSION_STORE_S3_BUCKET;
+        this.region = options.region || process.env.SESSION_STORE_S3_REGION || 'us-east-1';
+        this.accessKey = options.accessKey || process.env.SESSION_STORE_S3_ACCESS_KEY;
+        this.secretKey = options.secretKey || process.env.SESSION_STORE_S3_SECRET_KEY;
+        this.prefix = options.prefix !== undefined ? options.prefix : (process.env.SESSION_STORE_S3_PREFIX || 'sessions/');
+        this.timeout = options.timeout || 60000;
+
+        if (!this.endpoint || !this.bucket || !this.accessKey || !this.secretKey) {
+            throw new Error('S3 session store requires SESSION_STORE_S3_ENDPOINT, SESSION_STORE_S3_BUCKET, SESSION_STORE_S3_ACCESS_KEY and SESSION_STORE_S3_SECRET_KEY');
+        }
+    }
+
+    getObjectKey(session) {
+        return `${this.prefix}${session}.zip`;
+    }
+
+    /**
+     * Send a signed request to the object store
+     * @param {string} method - HTTP method
+     * @param {string} key - Object key ('' for bucket level requests)
+     * @param {Object} options - { query, body }
+     * @returns {Promise<Response>} Fetch response
+     */
+    async request(method, key, { query = {}, body } = {}) {
+        const url = new URL(this.endpoint);
+        const canonicalUri = `${url.pathname.replace(/\/+$/, '')}/${encodeRfc3986(this.bucket)}` +
+            (key ? `/${key.split('/').map(encodeRfc3986).join('/')}` : '');
+
+        const canonicalQuery = Object.keys(query).sort()
+            .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+            .join('&');
+
+        const now = new Date();
+        const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.substring(0, 8);
+        const payloadHash = sha256(body || '');
+
+        const headers = {
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+        const signedHeaders = Object.keys(headers).sort().join(';');
+        const canonicalHeaders = Object.keys(headers).sort()
+            .map(name => `${name}:${headers[name]}\n`)
+            .join('');
+
+        const canonicalRequest = [method, canonicalUri, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+        const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+        const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretKey}`, dateStamp), this.region), 's3'), 'aws4_request');
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        headers.authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKey}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+        if (body) {
+            headers['content-type'] = 'application/zip';
+        }
+
+        return fetch(`${url.origin}${canonicalUri}${canonicalQuery ? `?${canonicalQuery}` : ''}`, {
+            method,
+            headers,
+            body,
+            timeout: this.timeout
+        });
+    }
+
+    async ensureOk(response, action) {
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            throw new Error(`S3 session store ${action} failed with HTTP ${response.status}: ${text.substring(0, 200)}`);
+        }
+        return response;
+    }
+
+    async has(session) {
+        const response = await this.request('HEAD', this.getObjectKey(session));
+        if (response.status === 404) {
+            return false;
+        }
+        await this.ensureOk(response, 'HEAD');
+        return true;
+    }
+
+    async get(session) {
+        const response = await this.request('GET', this.getObjectKey(session));
+        if (response.status === 404) {
+            return null;
+        }
+        await this.ensureOk(response, 'GET');
+        return response.buffer();
+    }
+
+    async put(session, data) {
+        await this.ensureOk(await this.request('PUT', this.getObjectKey(session), { body: data }), 'PUT');
+    }
+
+    async remove(session) {
+        const response = await this.request('DELETE', this.getObjectKey(session));
+        if (response.status !== 404) {
+            await this.ensureOk(response, 'DELETE');
+        }
+    }
+
+    async keys() {
+        const sessions = [];
+        let continuationToken = null;
+
+        do {
+            const query = { 'list-type': '2', prefix: this.prefix };
+            if (continuationToken) {
+                query['continuation-token'] = continuationToken;
+            }
+
+            const response = await this.ensureOk(await this.request('GET', '', { query }), 'LIST');
+            const xml = await response.text();
+
+            for (const match of xml.matchAll(/<Key>([^<]+)<\/Key>/g)) {
+                const key = match[1];
+                if (key.endsWith('.zip')) {
+                    sessions.push(key.substring(this.prefix.length, key.length - '.zip'.length));
+                }
+            }
+
+            const token = xml.match(/<NextContinuationToken>([^<]+)<\/NextContinuationToken>/);
+            continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(xml) && token ? token[1] : null;
+        } while (continuationToken);
+
+        return sessions;
+    }
+}
+
+module.exports = S3SessionStore;
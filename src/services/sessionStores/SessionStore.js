@@ -0,0 +1,118 @@
+const fs = require('fs');
+
+/**
+ * Base class for session stores.
+ * Implements the store interface expected by whatsapp-web.js RemoteAuth
+ * (sessionExists, save, extract, delete) on top of a few primitives that
+ * each backend provides: has, get, put, remove and keys.
+ *
+ * Sessions are kept as zip archives, one per RemoteAuth session name
+ * (RemoteAuth-<instanceId>).
+ */
+class SessionStore {
+    /**
+     * @param {string} type - Backend name, reported by the API
+     */
+    constructor(type) {
+        this.type = type;
+    }
+
+    /**
+     * Session name RemoteAuth uses for an instance
+     * @param {string} instanceId - Instance identifier
+     * @returns {string} Session name
+     * @throws {Error} For ids that could point outside the store (see createInstanceSchema)
+     */
+    static sessionName(instanceId) {
+        if (!/^[-_\w]+$/.test(instanceId)) {
+            throw new Error(`Invalid instance id for a session: ${instanceId}`);
+        }
+        return `RemoteAuth-${instanceId}`;
+    }
+
+    /**
+     * Instance identifier of a session name
+     * @param {string} session - Session name
+     * @returns {string|null} Instance identifier or null for foreign entries
+     */
+    static instanceIdOf(session) {
+        return session.startsWith('RemoteAuth-') ? session.substring('RemoteAuth-'.length) : null;
+    }
+
+    // RemoteAuth store interface
+
+    async sessionExists({ session }) {
+        return this.has(session);
+    }
+
+    /**
+     * RemoteAuth writes the archive to `<session>.zip` in the working directory before calling save
+     */
+    async save({ session }) {
+        const data = await fs.promises.readFile(`${session}.zip`);
+        await this.put(session, data);
+    }
+
+    async extract({ session, path }) {
+        const data = await this.get(session);
+        if (!data) {
+            throw new Error(`Session ${session} not found in ${this.type} session store`);
+        }
+        await fs.promises.writeFile(path, data);
+    }
+
+    async delete({ session }) {
+        await this.remove(session);
+    }
+
+    /**
+     * Instance identifiers that have a stored session
+     * @returns {Promise<Array>} Instance identifiers
+     */
+    async listInstances() {
+        const sessions = await this.keys();
+        return sessions.map(session => SessionStore.instanceIdOf(session)).filter(Boolean);
+    }
+
+    // Backend primitives
+
+    /**
+     * @param {string} session - Session name
+     * @returns {Promise<boolean>} True if an archive is stored
+     */
+    async has(session) {
+        throw new Error('has() is not implemented');
+    }
+
+    /**
+     * @param {string} session - Session name
+     * @returns {Promise<Buffer|null>} Zip archive or null if not stored
+     */
+    async get(session) {
+        throw new Error('get() is not implemented');
+    }
+
+    /**
+     * @param {string} session - Session name
+     * @param {Buffer} data - Zip archive
+     */
+    async put(session, data) {
+        throw new Error('put() is not implemented');
+    }
+
+    /**
+     * @param {string} session - Session name
+     */
+    async remove(session) {
+        throw new Error('remove() is not implemented');
+    }
+
+    /**
+     * @returns {Promise<Array>} Stored session names
+     */
+    async keys() {
+        throw new Error('keys() is not implemented');
+    }
+}
+
+module.exports = SessionStore;
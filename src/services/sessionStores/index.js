@@ -0,0 +1,31 @@
+const SessionStore = require('./SessionStore');
+const FileSessionStore = require('./FileSessionStore');
+const S3SessionStore = require('./S3SessionStore');
+
+const SESSION_STORES = {
+    filesystem: FileSessionStore,
+    s3: S3SessionStore
+};
+
+/**
+ * Create the session store selected by SESSION_STORE (default: filesystem)
+ * @param {Object} options - Backend options, defaults come from the environment
+ * @returns {SessionStore} Session store
+ */
+const createSessionStore = (options = {}) => {
+    const type = options.type || process.env.SESSION_STORE || 'filesystem';
+    const Store = SESSION_STORES[type];
+
+    if (!Store) {
+        throw new Error(`Unknown SESSION_STORE "${type}". Supported: ${Object.keys(SESSION_STORES).join(', ')}`);
+    }
+
+    return new Store(options);
+};
+
+module.exports = {
+    SessionStore,
+    FileSessionStore,
+    S3SessionStore,
+    createSessionStore
+};
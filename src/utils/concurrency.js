@@ -0,0 +1,26 @@
+/**
+ * Map items with an async function, at most `limit` calls running at a time.
+ * Unlike fixed batches a slow item only holds up its own slot.
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result, should not reject
+ * @returns {Promise<Array>} Results in the order of items
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+module.exports = {
+    mapWithConcurrency
+};
@@ -0,0 +1,91 @@
+const Joi = require('joi');
+
+// Custom metadata is stored with every instance record, keep it small
+const MAX_METADATA_BYTES = 16 * 1024;
+
+const SORT_FIELDS = ['instanceId', 'name', 'tenantId', 'status', 'createdAt', 'lastActivity'];
+
+// Labels of an instance, given at creation and changed with PATCH /instances/:instanceId
+const metadataFields = {
+    // Display name, e.g. "Support line TR"
+    name: Joi.string().trim().max(128).allow(null),
+    // Owner of the number
+    tenantId: Joi.string().trim().max(128).allow(null),
+    tags: Joi.array().items(Joi.string().trim().min(1).max(64)).max(50).unique(),
+    // Free-form JSON, replaced as a whole on update
+    metadata: Joi.object().unknown(true).allow(null).custom((value, helpers) => {
+        if (value && Buffer.byteLength(JSON.stringify(value)) > MAX_METADATA_BYTES) {
+            return helpers.message(`"metadata" must be at most ${MAX_METADATA_BYTES / 1024} KB as JSON`);
+        }
+        return value;
+    })
+};
+
+const updateMetadataSchema = Joi.object(metadataFields).min(1)
+    .messages({ 'object.min': 'Give at least one of "name", "tenantId", "tags" or "metadata"' });
+
+// Query of GET /instances. Without limit every matching instance is returned
+const listInstancesSchema = Joi.object({
+    // Repeat to require several tags: ?tag=sales&tag=tr
+    tag: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())).optional(),
+    tenantId: Joi.string().optional(),
+    // Comma separated, e.g. status=disconnected,failed
+    status: Joi.string().optional(),
+    sort: Joi.string().valid(...SORT_FIELDS).optional(),
+    order: Joi.string().valid('asc', 'desc').optional().default('asc'),
+    limit: Joi.number().integer().min(1).max(500).optional(),
+    offset: Joi.number().integer().min(0).optional().default(0)
+});
+
+const compareValues = (a, b) => {
+    if (a instanceof Date || b instanceof Date || /^\d{4}-\d{2}-\d{2}T/.test(a)) {
+        return new Date(a).getTime() - new Date(b).getTime();
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+/**
+ * Filter, sort and page instance statuses
+ * @param {Array} instances - Statuses as returned by getInstancesStatus
+ * @param {Object} query - Validated listInstancesSchema value
+ * @returns {Object} { instances, total } where total counts all matches before paging
+ */
+const queryInstances = (instances, query) => {
+    const tags = query.tag === undefined ? [] : [].concat(query.tag);
+    const statuses = query.status ? query.status.split(',').map(status => status.trim()).filter(Boolean) : [];
+
+    let result = instances.filter(instance =>
+        tags.every(tag => (instance.tags || []).includes(tag)) &&
+        (query.tenantId === undefined || instance.tenantId === query.tenantId) &&
+        (statuses.length === 0 || statuses.includes(instance.status))
+    );
+
+    if (query.sort) {
+        const direction = query.order === 'desc' ? -1 : 1;
+        result = [...result].sort((a, b) => {
+            const left = a[query.sort];
+            const right = b[query.sort];
+            // Instances without a value go last in both directions
+            if (left === null || left === undefined) {
+                return right === null || right === undefined ? 0 : 1;
+            }
+            if (right === null || right === undefined) {
+                return -1;
+            }
+            return compareValues(left, right) * direction;
+        });
+    }
+
+    const total = result.length;
+    const offset = query.offset || 0;
+    result = result.slice(offset, query.limit ? offset + query.limit : undefined);
+
+    return { instances: result, total };
+};
+
+module.exports = {
+    metadataFields,
+    updateMetadataSchema,
+    listInstancesSchema,
+    queryInstances
+};
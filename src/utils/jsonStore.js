@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Create data directory if it doesn't exist, DATA_DIR gives every worker process its own
+const dataDir = process.env.DATA_DIR
+    ? path.resolve(process.env.DATA_DIR)
+    : path.join(__dirname, '../../data');
+if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+}
+
+/**
+ * Small JSON file store used by services that need to survive restarts.
+ * Writes go to a temp file first and are renamed into place so a crash
+ * mid-write never leaves a truncated file behind.
+ */
+class JsonStore {
+    /**
+     * @param {string} fileName - File name inside the data directory
+     * @param {*} defaults - Value returned when the file does not exist yet
+     */
+    constructor(fileName, defaults = {}) {
+        this.filePath = path.join(dataDir, fileName);
+        this.defaults = defaults;
+        this.saveTimer = null;
+    }
+
+    /**
+     * Read stored data
+     * @returns {*} Parsed file contents or a copy of the defaults
+     */
+    read() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return JSON.parse(JSON.stringify(this.defaults));
+            }
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            logger.error(`Error reading store ${this.filePath}:`, error);
+            return JSON.parse(JSON.stringify(this.defaults));
+        }
+    }
+
+    /**
+     * Write data immediately
+     * @param {*} data - Serializable data
+     */
+    write(data) {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        try {
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            logger.error(`Error writing store ${this.filePath}:`, error);
+        }
+    }
+
+    /**
+     * Write data after a short delay, coalescing bursts of changes
+     * @param {Function} getData - Returns the data to write
+     * @param {number} delay - Debounce delay in milliseconds (default: 1000)
+     */
+    scheduleWrite(getData, delay = 1000) {
+        if (this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.write(getData());
+        }, delay);
+
+        // Don't keep the process alive just for a pending write
+        if (this.saveTimer.unref) {
+            this.saveTimer.unref();
+        }
+    }
+}
+
+JsonStore.dataDir = dataDir;
+
+module.exports = JsonStore;
@@ -0,0 +1,132 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+/**
+ * Guards for URLs the server fetches or posts to on behalf of API callers
+ * (webhooks, media by URL). Loopback, private, link-local (cloud metadata
+ * included) and other non-public addresses are refused, so an API key can't
+ * reach the worker ports or the internal network through the server.
+ *
+ * OUTBOUND_URL_ALLOWLIST (comma separated host names or IPs) lets exact hosts
+ * through anyway, e.g. 127.0.0.1 for a local test endpoint.
+ */
+
+const blockList = new net.BlockList();
+[
+    ['0.0.0.0', 8], // "this" network
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10], // carrier-grade NAT
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16], // link-local, 169.254.169.254 metadata
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15], // benchmarking
+    ['224.0.0.0', 4], // multicast
+    ['240.0.0.0', 4] // reserved, broadcast
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128],
+    ['::1', 128],
+    ['::ffff:0:0', 96], // IPv4-mapped, would hide any of the above
+    ['64:ff9b::', 96], // NAT64
+    ['fc00::', 7], // unique local, fd00:ec2::254 metadata
+    ['fe80::', 10],
+    ['ff00::', 8]
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv6'));
+
+const getAllowlist = () => (process.env.OUTBOUND_URL_ALLOWLIST || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// URL host names keep the brackets of IPv6 addresses
+const normalizeHost = (hostname) => hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for addresses that are not publicly routable
+ */
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 0) {
+        return true;
+    }
+    return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const notAllowed = (host, address) => new Error(
+    `Destination not allowed: ${host}${address && address !== host ? ` resolves to ${address}, which` : ''} is a private or local address`
+);
+
+/**
+ * Check that a URL is http(s) and its host resolves to public addresses only
+ * @param {string} url - URL to check
+ * @throws {Error} "Destination not allowed: ..." for refused hosts, DNS errors as they are
+ */
+const assertPublicUrl = async (url) => {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error(`Destination not allowed: ${parsed.protocol} URLs are not supported`);
+    }
+
+    const host = normalizeHost(parsed.hostname);
+    if (getAllowlist().includes(host)) {
+        return;
+    }
+
+    const addresses = net.isIP(host)
+        ? [host]
+        : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) {
+        throw notAllowed(host, blocked);
+    }
+};
+
+// Checked again when connecting, so a host can't resolve to a public address for
+// assertPublicUrl and to a private one for the request itself
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+
+        const host = normalizeHost(hostname);
+        const entries = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = entries.find(entry => isPrivateAddress(entry.address));
+        if (blocked && !getAllowlist().includes(host)) {
+            return callback(notAllowed(host, blocked.address));
+        }
+
+        callback(null, address, family);
+    });
+};
+
+const agents = {
+    'http:': new http.Agent({ lookup: publicLookup }),
+    'https:': new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * node-fetch agent option that refuses to connect to private addresses
+ * @param {URL} parsedUrl - Request URL
+ * @returns {http.Agent} Agent for the protocol
+ */
+const publicAgent = (parsedUrl) => agents[parsedUrl.protocol];
+
+/**
+ * @param {Error} error - Error from assertPublicUrl or a request through publicAgent
+ * @returns {boolean} True if the destination itself was refused
+ */
+const isDestinationError = (error) => error.message.includes('Destination not allowed');
+
+module.exports = {
+    assertPublicUrl,
+    isPrivateAddress,
+    isDestinationError,
+    publicAgent
+};
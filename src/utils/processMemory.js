@@ -0,0 +1,84 @@
+const fs = require('fs');
+
+// USER_HZ, the unit of the CPU times in /proc/<pid>/stat. 100 on the platforms Chromium runs on
+const CLOCK_TICKS_PER_SECOND = 100;
+
+/**
+ * Resident memory and CPU time of a process and all of its children, read from /proc.
+ * Chromium keeps most of its memory in renderer and utility child processes,
+ * so the browser pid alone is far from the real footprint.
+ * @param {number} rootPid - Process id of the browser
+ * @returns {Object|null} { rss } in bytes and { cpuSeconds } used so far, null when /proc is not available (non-Linux)
+ */
+const getProcessTreeUsage = (rootPid) => {
+    if (!rootPid || !fs.existsSync('/proc')) {
+        return null;
+    }
+
+    const children = new Map(); // ppid -> [pid]
+    const stats = new Map(); // pid -> { rssPages, cpuTicks }
+
+    for (const entry of fs.readdirSync('/proc')) {
+        if (!/^\d+$/.test(entry)) {
+            continue;
+        }
+
+        try {
+            const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+            // The command name can contain spaces, fields are counted after its closing parenthesis
+            const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+            const pid = parseInt(entry);
+            const ppid = parseInt(fields[1]);
+
+            stats.set(pid, {
+                rssPages: parseInt(fields[21]),
+                // utime + stime
+                cpuTicks: parseInt(fields[11]) + parseInt(fields[12])
+            });
+            if (!children.has(ppid)) {
+                children.set(ppid, []);
+            }
+            children.get(ppid).push(pid);
+        } catch (error) {
+            // The process exited while we were reading
+        }
+    }
+
+    if (!stats.has(rootPid)) {
+        return null;
+    }
+
+    let pages = 0;
+    let ticks = 0;
+    const pending = [rootPid];
+    while (pending.length > 0) {
+        const pid = pending.pop();
+        const stat = stats.get(pid);
+        if (stat) {
+            pages += stat.rssPages;
+            ticks += stat.cpuTicks;
+        }
+        pending.push(...(children.get(pid) || []));
+    }
+
+    return {
+        // Linux pages are 4 KiB on the platforms Chromium runs on
+        rss: pages * 4096,
+        cpuSeconds: ticks / CLOCK_TICKS_PER_SECOND
+    };
+};
+
+/**
+ * Resident memory of a process and all of its children
+ * @param {number} rootPid - Process id of the browser
+ * @returns {number|null} Bytes, null when /proc is not available (non-Linux)
+ */
+const getProcessTreeRss = (rootPid) => {
+    const usage = getProcessTreeUsage(rootPid);
+    return usage ? usage.rss : null;
+};
+
+module.exports = {
+    getProcessTreeUsage,
+    getProcessTreeRss
+};
@@ -0,0 +1,98 @@
+const net = require('net');
+
+const PROXY_SCHEMES = ['http', 'https', 'socks4', 'socks5'];
+const DEFAULT_PORTS = { http: 80, https: 443, socks4: 1080, socks5: 1080 };
+
+/**
+ * Bring a proxy given as URL (credentials may be embedded) or as
+ * { url, username, password } into one shape. Chromium takes the server
+ * without credentials, they are answered through page.authenticate().
+ * @param {string|Object|null} value - Proxy
+ * @returns {Object|null} { url, username, password }, null for no proxy
+ * @throws {Error} "Invalid proxy: ..." when it can't be used
+ */
+const normalizeProxy = (value) => {
+    if (!value) {
+        return null;
+    }
+
+    const input = typeof value === 'string' ? { url: value } : value;
+    let parsed;
+    try {
+        parsed = new URL(input.url);
+    } catch (error) {
+        throw new Error(`Invalid proxy: ${input.url} is not a URL`);
+    }
+
+    const scheme = parsed.protocol.replace(/:$/, '');
+    if (!PROXY_SCHEMES.includes(scheme)) {
+        throw new Error(`Invalid proxy: scheme must be one of ${PROXY_SCHEMES.join(', ')}`);
+    }
+
+    const username = input.username || (parsed.username ? decodeURIComponent(parsed.username) : null);
+    const password = input.password || (parsed.password ? decodeURIComponent(parsed.password) : null);
+    if (username && scheme.startsWith('socks')) {
+        throw new Error('Invalid proxy: Chromium does not support SOCKS proxies with credentials, use an HTTP proxy or an IP allowlist');
+    }
+
+    return {
+        url: `${scheme}://${parsed.hostname}:${parsed.port || DEFAULT_PORTS[scheme]}`,
+        username: username || null,
+        password: password || null
+    };
+};
+
+/**
+ * Proxy as shown in API responses, without the password
+ * @param {Object|null} proxy - Normalized proxy
+ * @returns {Object|null} { url, username, hasPassword }
+ */
+const maskProxy = (proxy) => {
+    if (!proxy) {
+        return null;
+    }
+    return {
+        url: proxy.url,
+        username: proxy.username,
+        hasPassword: !!proxy.password
+    };
+};
+
+/**
+ * Check that the proxy accepts TCP connections
+ * @param {Object} proxy - Normalized proxy
+ * @param {number} timeout - Timeout in milliseconds (default: 5000)
+ * @returns {Promise<Object>} { reachable, latencyMs, error, checkedAt }
+ */
+const checkProxy = (proxy, timeout = 5000) => new Promise((resolve) => {
+    const { hostname, port } = new URL(proxy.url);
+    const startedAt = Date.now();
+    const socket = net.connect({ host: hostname, port: parseInt(port) });
+
+    let done = false;
+
+    const finish = (error) => {
+        if (done) {
+            return;
+        }
+        done = true;
+        socket.destroy();
+        resolve({
+            reachable: !error,
+            latencyMs: error ? null : Date.now() - startedAt,
+            error: error ? error.message : null,
+            checkedAt: new Date()
+        });
+    };
+
+    socket.setTimeout(timeout, () => finish(new Error(`No connection within ${timeout}ms`)));
+    socket.once('connect', () => finish(null));
+    socket.once('error', finish);
+});
+
+module.exports = {
+    PROXY_SCHEMES,
+    normalizeProxy,
+    maskProxy,
+    checkProxy
+};
@@ -0,0 +1,31 @@
+const Joi = require('joi');
+
+// sendAt needs an explicit offset, "09:00" alone would be read in the server timezone
+const sendAtSchema = Joi.string().custom((value, helpers) => {
+    if (!/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/i.test(value) || Number.isNaN(Date.parse(value))) {
+        return helpers.message('"sendAt" must be an ISO timestamp with a timezone, e.g. 2030-01-31T09:00:00+03:00');
+    }
+    return value;
+});
+
+const recurrenceSchema = Joi.object({
+    // Standard 5 field cron expression, an optional 6th leading field holds seconds
+    cron: Joi.string().max(100).required(),
+    timezone: Joi.string().max(64).optional(),
+    until: Joi.date().iso().greater('now').optional(),
+    count: Joi.number().integer().min(1).optional()
+});
+
+// Schedule fields of send-message, send-media and scheduled message updates
+const scheduleFields = {
+    sendAt: sendAtSchema.optional(),
+    recurrence: recurrenceSchema.optional(),
+    // How late a message may still go out when the instance was not ready, 0 waits forever
+    maxLatenessSeconds: Joi.number().integer().min(0).optional()
+};
+
+module.exports = {
+    sendAtSchema,
+    recurrenceSchema,
+    scheduleFields
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('../helpers');
+
+const dir = useTempDataDir('config-test-');
+
+const { loadConfig, validateInstanceOverrides } = require('../../src/config');
+
+describe('loadConfig', () => {
+    let fileCounter = 0;
+
+    const writeConfigFile = (content) => {
+        fileCounter++;
+        const file = path.join(dir, `config-${fileCounter}.json`);
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+        return file;
+    };
+
+    const errorOf = (env) => {
+        try {
+            loadConfig(env);
+        } catch (error) {
+            return error.message;
+        }
+        throw new Error('Expected loadConfig to throw');
+    };
+
+    test('uses the defaults without a file or environment', () => {
+        const config = loadConfig({});
+
+        expect(config.server.port).toBe(3001);
+        expect(config.queue.ratePerMinute).toBe(20);
+        expect(config.schedule.timezone).toBeNull();
+        expect(config.health.ignoredStatuses).toContain('hibernated');
+        expect(Object.isFrozen(config.queue)).toBe(true);
+    });
+
+    test('derives the body limit from the file size limit unless it is set', () => {
+        expect(loadConfig({ MAX_FILE_SIZE: '30' }).server.bodyLimitMb).toBe(41);
+        expect(loadConfig({ MAX_FILE_SIZE: '30', BODY_LIMIT_MB: '5' }).server.bodyLimitMb).toBe(5);
+    });
+
+    describe('sources', () => {
+        test('takes values from the config file over the defaults', () => {
+            const CONFIG_FILE = writeConfigFile({
+                queue: { ratePerMinute: 10 },
+                schedule: { timezone: 'Europe/Istanbul' },
+                media: { sendAllowedTypes: ['image/*'] }
+            });
+            const config = loadConfig({ CONFIG_FILE });
+
+            expect(config.queue.ratePerMinute).toBe(10);
+            // Other keys of the section keep their defaults
+            expect(config.queue.maxAttempts).toBe(3);
+            expect(config.schedule.timezone).toBe('Europe/Istanbul');
+            expect(config.media.sendAllowedTypes).toEqual(['image/*']);
+        });
+
+        test('lets environment variables override the file', () => {
+            const CONFIG_FILE = writeConfigFile({ queue: { ratePerMinute: 10, jitterMs: 500 } });
+            const config = loadConfig({
+                CONFIG_FILE,
+                QUEUE_RATE_PER_MINUTE: '40',
+                MEDIA_SEND_ALLOWED_TYPES: 'Image/*, application/pdf',
+                METRICS_TOKEN: 'secret'
+            });
+
+            expect(config.queue.ratePerMinute).toBe(40);
+            expect(config.queue.jitterMs).toBe(500);
+            expect(config.media.sendAllowedTypes).toEqual(['image/*', 'application/pdf']);
+            expect(config.metrics.token).toBe('secret');
+        });
+
+        test('keeps the file value for empty environment variables', () => {
+            const CONFIG_FILE = writeConfigFile({ schedule: { timezone: 'Europe/Berlin' } });
+            const config = loadConfig({ CONFIG_FILE, SCHEDULE_TIMEZONE: '', QUEUE_RATE_PER_MINUTE: '' });
+
+            expect(config.schedule.timezone).toBe('Europe/Berlin');
+            expect(config.queue.ratePerMinute).toBe(20);
+        });
+
+        test('fails when CONFIG_FILE is missing or not valid JSON', () => {
+            expect(() => loadConfig({ CONFIG_FILE: path.join(dir, 'missing.json') })).toThrow('does not exist');
+            expect(() => loadConfig({ CONFIG_FILE: writeConfigFile('{ "queue": ') })).toThrow('is not valid JSON');
+        });
+    });
+
+    describe('validation', () => {
+        test.each([
+            ['SCHEDULE_TIMEZONE', 'Mars/Base', 'schedule.timezone: "schedule.timezone" must be an IANA timezone'],
+            ['AUTO_RESPONDER_TIMEZONE', 'Europe/Istanbull', 'autoResponder.timezone: "autoResponder.timezone" must be an IANA timezone'],
+            ['QUEUE_RATE_PER_MINUTE', 'abc', 'queue.ratePerMinute: "queue.ratePerMinute" must be a number'],
+            ['QUEUE_RATE_PER_MINUTE', '0', 'queue.ratePerMinute: "queue.ratePerMinute" must be greater than or equal to 1'],
+            ['HEALTH_MAX_NOT_READY_PERCENT', '150', 'health.maxNotReadyPercent: "health.maxNotReadyPercent" must be less than or equal to 100'],
+            ['MEDIA_AUTO_SAVE_TYPES', 'images', 'media.autoSaveTypes.0'],
+            ['MESSAGE_HISTORY_ENABLED', 'maybe', 'messageHistory.enabled: "messageHistory.enabled" must be a boolean']
+        ])('rejects %s=%s', (name, value, message) => {
+            expect(errorOf({ [name]: value })).toContain(message);
+        });
+
+        test('rejects a retry delay cap below the base delay', () => {
+            expect(errorOf({ WEBHOOK_RETRY_BASE_DELAY_MS: '5000', WEBHOOK_RETRY_MAX_DELAY_MS: '1000' }))
+                .toContain('webhooks.retryMaxDelayMs');
+        });
+
+        test('validates the config file like the environment', () => {
+            const CONFIG_FILE = writeConfigFile({ broadcast: { delayMs: -1 } });
+            expect(errorOf({ CONFIG_FILE })).toContain('broadcast.delayMs');
+        });
+
+        test('lists every invalid setting at once', () => {
+            const message = errorOf({ SCHEDULE_TIMEZONE: 'Mars/Base', QUEUE_JITTER_MS: '-5', PORT: 'http' });
+
+            expect(message.split('\n')).toEqual([
+                'Invalid configuration:',
+                expect.stringContaining('server.port'),
+                expect.stringContaining('queue.jitterMs'),
+                expect.stringContaining('schedule.timezone')
+            ]);
+        });
+    });
+});
+
+describe('validateInstanceOverrides', () => {
+    test('accepts valid per-instance settings', () => {
+        expect(validateInstanceOverrides({
+            headless: false,
+            proxy: { url: 'http://proxy.example.com:8080', username: 'user', password: 'pass' },
+            webVersion: '2.3000.1017054665',
+            hibernateAfterMinutes: 10
+        })).toMatchObject({ headless: false, hibernateAfterMinutes: 10 });
+        expect(validateInstanceOverrides()).toEqual({});
+    });
+
+    test.each([
+        [{ webVersion: 'latest' }, '"webVersion" must look like 2.3000.1017054665'],
+        [{ proxy: 'ftp://proxy.example.com' }, 'proxy'],
+        [{ proxy: { url: 'http://proxy.example.com', username: 'user' } }, 'password'],
+        [{ maxMemoryMb: -1 }, '"maxMemoryMb" must be greater than or equal to 0'],
+        [{ unknown: true }, '"unknown" is not allowed']
+    ])('rejects %j', (overrides, message) => {
+        expect(() => validateInstanceOverrides(overrides)).toThrow('Invalid instance config');
+        expect(() => validateInstanceOverrides(overrides)).toThrow(message);
+    });
+});
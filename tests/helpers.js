@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point DATA_DIR at a new temporary directory that is removed after the test file.
+ * Call it before requiring src modules, JsonStore reads DATA_DIR when it is loaded.
+ * @param {string} prefix - Directory name prefix, e.g. 'queue-test-'
+ * @returns {string} Directory path
+ */
+const useTempDataDir = (prefix) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    process.env.DATA_DIR = dir;
+    afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+/**
+ * Poll until a condition holds
+ * @param {Function} predicate - Returns true once done
+ * @param {number} timeout - Milliseconds before giving up
+ * @returns {Promise<void>}
+ */
+const waitFor = async (predicate, timeout = 5000) => {
+    const startedAt = Date.now();
+    while (!predicate()) {
+        if (Date.now() - startedAt > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {http.Server} server - Server to start on a free local port
+ * @returns {Promise<number>} Port
+ */
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+module.exports = {
+    useTempDataDir,
+    waitFor,
+    sleep,
+    listen,
+    close
+};
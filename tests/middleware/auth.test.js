@@ -0,0 +1,199 @@
+const http = require('http');
+const express = require('express');
+const fetch = require('node-fetch');
+const { useTempDataDir, listen, close } = require('../helpers');
+
+useTempDataDir('auth-test-');
+
+const ApiKeyService = require('../../src/services/ApiKeyService');
+const { authenticate, authenticateSocket, canSocketAccess } = require('../../src/middleware/auth');
+const apiKeyRoutes = require('../../src/controllers/apiKeyController');
+const whatsappRoutes = require('../../src/controllers/whatsappController');
+
+const ROOT_KEY = 'root-key-for-tests';
+
+describe('API key authentication', () => {
+    let apiKeyService;
+    let manager;
+    let server;
+    let api;
+    let fileCounter = 0;
+
+    const request = async (method, path, key, body) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (key) {
+            headers['X-API-Key'] = key;
+        }
+        const response = await fetch(`${api}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const createKey = (scope, instanceIds) =>
+        apiKeyService.createKey({ name: `${scope} key`, scope, instanceIds }).key;
+
+    const start = async (adminKey) => {
+        fileCounter++;
+        apiKeyService = new ApiKeyService({ adminKey, file: `api-keys-${fileCounter}.json` });
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.whatsappManager = manager;
+            req.apiKeyService = apiKeyService;
+            next();
+        });
+        app.use('/api/whatsapp', authenticate);
+        app.use('/api/whatsapp', apiKeyRoutes);
+        app.use('/api/whatsapp', whatsappRoutes);
+
+        server = http.createServer(app);
+        api = `http://127.0.0.1:${await listen(server)}/api/whatsapp`;
+    };
+
+    beforeEach(() => {
+        const instances = ['a', 'b'].map(instanceId => ({ instanceId, status: 'ready' }));
+        manager = {
+            getInstancesStatus: () => instances,
+            getInstanceStatus: (instanceId) => instances.find(instance => instance.instanceId === instanceId) || { error: 'Instance not found' },
+            wakeInstance: async () => false,
+            sendRichMessage: jest.fn(async () => ({ messageId: 'm1' })),
+            destroyInstance: jest.fn(async () => ({ message: 'Instance destroyed' }))
+        };
+    });
+
+    afterEach(async () => {
+        await close(server);
+    });
+
+    describe('with ADMIN_API_KEY set', () => {
+        beforeEach(() => start(ROOT_KEY));
+
+        test.each([
+            ['no key', undefined],
+            ['an unknown key', 'wak_unknown']
+        ])('answers 401 for %s', async (name, key) => {
+            const { status, body } = await request('GET', '/instances/a', key);
+
+            expect(status).toBe(401);
+            expect(body).toEqual({ success: false, error: 'Invalid or missing API key' });
+        });
+
+        test('accepts a Bearer token', async () => {
+            const response = await fetch(`${api}/instances/a`, { headers: { Authorization: `Bearer ${ROOT_KEY}` } });
+            expect(response.status).toBe(200);
+        });
+
+        test('rejects keys of other instances as if the instance did not exist', async () => {
+            const key = createKey('send', ['a']);
+
+            expect((await request('GET', '/instances/a', key)).status).toBe(200);
+
+            const { status, body } = await request('GET', '/instances/b', key);
+            expect(status).toBe(403);
+            expect(body.error).toBe('API key is not allowed to read instance b');
+            expect((await request('GET', '/instances/unknown', key)).status).toBe(403);
+        });
+
+        test('lists only the instances a scoped key was granted', async () => {
+            const { body } = await request('GET', '/instances', createKey('read', ['b']));
+            expect(body.instances.map(instance => instance.instanceId)).toEqual(['b']);
+
+            const root = await request('GET', '/instances', ROOT_KEY);
+            expect(root.body.instances.map(instance => instance.instanceId)).toEqual(['a', 'b']);
+        });
+
+        test('requires the send scope to send', async () => {
+            const message = { to: '905551112233', message: 'merhaba' };
+
+            const read = await request('POST', '/instances/a/send-message', createKey('read', ['a']), message);
+            expect(read.status).toBe(403);
+            expect(read.body.error).toBe('API key is not allowed to send instance a');
+            expect(manager.sendRichMessage).not.toHaveBeenCalled();
+
+            const send = await request('POST', '/instances/a/send-message', createKey('send', ['a']), message);
+            expect(send.status).toBe(200);
+            expect(manager.sendRichMessage).toHaveBeenCalledTimes(1);
+        });
+
+        test('keeps admin routes to admin keys', async () => {
+            const key = createKey('send', ['a']);
+
+            const list = await request('GET', '/api-keys', key);
+            expect(list.status).toBe(403);
+            expect(list.body.error).toBe('API key requires admin scope');
+            expect((await request('POST', '/instances', key, {})).status).toBe(403);
+            expect((await request('DELETE', '/instances/a', key)).status).toBe(403);
+            expect(manager.destroyInstance).not.toHaveBeenCalled();
+
+            expect((await request('DELETE', '/instances/a', ROOT_KEY)).status).toBe(200);
+            expect((await request('DELETE', '/instances/a', createKey('admin'))).status).toBe(200);
+        });
+
+        test('creates keys that work right away and stop working when deleted', async () => {
+            const created = await request('POST', '/api-keys', ROOT_KEY, { name: 'reader', scope: 'read', instanceIds: ['a'] });
+            expect(created.status).toBe(201);
+
+            const me = await request('GET', '/api-keys/me', created.body.key.key);
+            expect(me.body.key).toMatchObject({ name: 'reader', scope: 'read', instanceIds: ['a'] });
+            expect(apiKeyService.listKeys()[0].hash).toBeUndefined();
+
+            expect((await request('DELETE', `/api-keys/${created.body.key.id}`, ROOT_KEY)).status).toBe(200);
+            expect((await request('GET', '/instances/a', created.body.key.key)).status).toBe(401);
+        });
+    });
+
+    test('lets every request through without ADMIN_API_KEY', async () => {
+        await start('');
+
+        expect((await request('GET', '/instances/a')).status).toBe(200);
+        expect((await request('DELETE', '/instances/a')).status).toBe(200);
+    });
+});
+
+describe('socket authentication', () => {
+    let apiKeyService;
+
+    const connect = (handshake) => {
+        const socket = { id: 'socket-1', data: {}, handshake: { auth: {}, headers: {}, ...handshake } };
+        const next = jest.fn();
+        authenticateSocket(apiKeyService)(socket, next);
+        return { socket, error: next.mock.calls[0][0] };
+    };
+
+    beforeEach(() => {
+        apiKeyService = new ApiKeyService({ adminKey: ROOT_KEY, file: 'socket-api-keys.json' });
+    });
+
+    test('rejects sockets without a valid key', () => {
+        expect(connect({}).error.message).toBe('Invalid or missing API key');
+        expect(connect({ auth: { apiKey: 'wak_unknown' } }).error.message).toBe('Invalid or missing API key');
+    });
+
+    test('takes the key from the auth payload or the headers', () => {
+        expect(connect({ auth: { apiKey: ROOT_KEY } }).socket.data.apiKey.scope).toBe('admin');
+        expect(connect({ headers: { authorization: `Bearer ${ROOT_KEY}` } }).error).toBeUndefined();
+    });
+
+    test('denies join-instance for instances the key was not granted', () => {
+        const key = apiKeyService.createKey({ name: 'reader', scope: 'read', instanceIds: ['a'] }).key;
+        const { socket } = connect({ auth: { apiKey: key } });
+
+        expect(canSocketAccess(apiKeyService, socket, 'a', 'read')).toBe(true);
+        expect(canSocketAccess(apiKeyService, socket, 'b', 'read')).toBe(false);
+        // Monitor room of all instances
+        expect(canSocketAccess(apiKeyService, socket, null, 'admin')).toBe(false);
+        expect(canSocketAccess(apiKeyService, connect({ auth: { apiKey: ROOT_KEY } }).socket, null, 'admin')).toBe(true);
+    });
+
+    test('lets every socket in without ADMIN_API_KEY', () => {
+        apiKeyService = new ApiKeyService({ adminKey: '', file: 'socket-api-keys-open.json' });
+        const { socket, error } = connect({});
+
+        expect(error).toBeUndefined();
+        expect(canSocketAccess(apiKeyService, socket, 'b', 'read')).toBe(true);
+    });
+});
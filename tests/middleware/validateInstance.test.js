@@ -0,0 +1,182 @@
+const fs = require('fs');
+const http = require('http');
+const express = require('express');
+const fetch = require('node-fetch');
+const { useTempDataDir, waitFor, listen, close } = require('../helpers');
+
+useTempDataDir('validate-instance-test-');
+
+const ApiKeyService = require('../../src/services/ApiKeyService');
+const MediaService = require('../../src/services/MediaService');
+const whatsappRoutes = require('../../src/controllers/whatsappController');
+const queueRoutes = require('../../src/controllers/queueController');
+const { requireReady } = require('../../src/middleware/validateInstance');
+
+describe('waking hibernated instances', () => {
+    let manager;
+    let mediaService;
+    let server;
+    let api;
+
+    const post = async (route, body) => {
+        const response = await fetch(`${api}${route}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    beforeAll(async () => {
+        mediaService = new MediaService({ file: 'media-index-wake.json' });
+        // Without an admin key every request is allowed
+        const apiKeyService = new ApiKeyService({ adminKey: '', file: 'api-keys-wake.json' });
+
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.whatsappManager = manager;
+            req.apiKeyService = apiKeyService;
+            next();
+        });
+        app.use('/api/whatsapp', whatsappRoutes);
+        app.use('/api/whatsapp', queueRoutes);
+
+        server = http.createServer(app);
+        api = `http://127.0.0.1:${await listen(server)}/api/whatsapp/instances/a`;
+    });
+
+    afterAll(async () => {
+        mediaService.stop();
+        await close(server);
+    });
+
+    beforeEach(() => {
+        let status = 'hibernated';
+        manager = {
+            mediaService,
+            getInstanceStatus: () => ({ instanceId: 'a', status }),
+            wakeInstance: jest.fn(async () => {
+                status = 'ready';
+                return true;
+            }),
+            sendRichMessage: jest.fn(async () => ({ messageId: 'm1' })),
+            messageQueue: {
+                enqueue: jest.fn(() => ({ id: 'job-1', status: 'pending' })),
+                listJobs: () => [],
+                toPublic: job => job
+            },
+            scheduler: {
+                schedule: jest.fn(() => ({ id: 'schedule-1', status: 'scheduled', nextRunAt: null }))
+            }
+        };
+    });
+
+    test('wakes the instance for a direct send', async () => {
+        const { status, body } = await post('/send-message', { to: '905551112233', message: 'merhaba' });
+
+        expect(status).toBe(200);
+        expect(body.messageId).toBe('m1');
+        expect(manager.wakeInstance).toHaveBeenCalledWith('a');
+    });
+
+    test.each([
+        ['queued', { queue: true }],
+        ['scheduled', { sendAt: '2026-12-01T09:00:00+03:00' }],
+        ['recurring', { recurrence: { cron: '0 9 * * *' } }]
+    ])('leaves the instance asleep for %s sends', async (name, options) => {
+        const { status } = await post('/send-message', { to: '905551112233', message: 'merhaba', ...options });
+
+        expect(status).toBe(202);
+        expect(manager.wakeInstance).not.toHaveBeenCalled();
+    });
+
+    test('leaves the instance asleep for a queued multipart upload', async () => {
+        const boundary = '----wake-test';
+        const body = [
+            `--${boundary}`,
+            'Content-Disposition: form-data; name="to"',
+            '',
+            '905551112233',
+            `--${boundary}`,
+            'Content-Disposition: form-data; name="queue"',
+            '',
+            'true',
+            `--${boundary}`,
+            'Content-Disposition: form-data; name="media"; filename="photo.png"',
+            'Content-Type: image/png',
+            '',
+            'not really a png',
+            `--${boundary}--`,
+            ''
+        ].join('\r\n');
+
+        const response = await fetch(`${api}/send-media`, {
+            method: 'POST',
+            headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` },
+            body
+        });
+
+        expect(response.status).toBe(202);
+        expect(manager.wakeInstance).not.toHaveBeenCalled();
+        expect(manager.messageQueue.enqueue).toHaveBeenCalledTimes(1);
+    });
+
+    test('answers 503 and removes the upload when the wake fails', async () => {
+        manager.wakeInstance.mockRejectedValueOnce(new Error('Browser did not start'));
+        const outgoingFiles = () => fs.readdirSync(mediaService.ensureOutgoingDir());
+        const before = outgoingFiles();
+        const boundary = '----wake-test';
+        const body = [
+            `--${boundary}`,
+            'Content-Disposition: form-data; name="to"',
+            '',
+            '905551112233',
+            `--${boundary}`,
+            'Content-Disposition: form-data; name="media"; filename="photo.png"',
+            'Content-Type: image/png',
+            '',
+            'not really a png',
+            `--${boundary}--`,
+            ''
+        ].join('\r\n');
+
+        const response = await fetch(`${api}/send-media`, {
+            method: 'POST',
+            headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` },
+            body
+        });
+
+        expect(response.status).toBe(503);
+        expect((await response.json()).error).toBe('Instance a is hibernated and could not be woken up: Browser did not start');
+        await waitFor(() => outgoingFiles().length === before.length);
+    });
+
+    test('leaves the instance asleep for routes on local state', async () => {
+        const response = await fetch(`${api}/queue`);
+
+        expect(response.status).toBe(200);
+        expect(manager.wakeInstance).not.toHaveBeenCalled();
+    });
+});
+
+describe('requireReady', () => {
+    const run = (status) => {
+        const res = { status: jest.fn(() => res), json: jest.fn() };
+        const next = jest.fn();
+        requireReady({ instanceStatus: { status } }, res, next);
+        return { res, next };
+    };
+
+    test('passes ready instances on', () => {
+        expect(run('ready').next).toHaveBeenCalled();
+    });
+
+    test('answers 400 for instances that are not connected', () => {
+        const { res, next } = run('disconnected');
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Instance is not ready. Current status: disconnected' });
+    });
+});
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const express = require('express');
+const fetch = require('node-fetch');
+const { useTempDataDir, listen, close } = require('../helpers');
+
+useTempDataDir('media-test-');
+
+const MediaService = require('../../src/services/MediaService');
+const whatsappRoutes = require('../../src/controllers/whatsappController');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const MB = 1024 * 1024;
+
+describe('MediaService outgoing media', () => {
+    let mediaServer;
+    let base;
+    let mediaService;
+
+    beforeAll(async () => {
+        mediaServer = http.createServer((req, res) => {
+            switch (req.url) {
+            case '/image.png':
+                res.setHeader('Content-Type', 'image/png');
+                return res.end(PNG);
+            case '/report':
+                res.setHeader('Content-Type', 'application/pdf');
+                res.setHeader('Content-Disposition', 'attachment; filename="report.pdf"');
+                return res.end('%PDF-1.4');
+            case '/big':
+                res.setHeader('Content-Type', 'image/png');
+                res.setHeader('Content-Length', 2 * MB);
+                return res.end(Buffer.alloc(2 * MB));
+            case '/big-chunked':
+                // No Content-Length, the limit must apply while reading
+                res.setHeader('Content-Type', 'image/png');
+                res.write(Buffer.alloc(MB));
+                return res.end(Buffer.alloc(MB));
+            case '/program.exe':
+                res.setHeader('Content-Type', 'application/x-msdownload');
+                return res.end('MZ');
+            case '/redirect':
+                res.writeHead(302, { Location: '/image.png' });
+                return res.end();
+            case '/redirect-metadata':
+                res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+                return res.end();
+            case '/loop':
+                res.writeHead(302, { Location: '/loop' });
+                return res.end();
+            default:
+                res.statusCode = 404;
+                return res.end();
+            }
+        });
+        base = `http://127.0.0.1:${await listen(mediaServer)}`;
+    });
+
+    afterAll(async () => {
+        await close(mediaServer);
+    });
+
+    beforeEach(() => {
+        process.env.OUTBOUND_URL_ALLOWLIST = '127.0.0.1';
+        mediaService = new MediaService({
+            sendMaxSizeMb: 1,
+            // node-fetch keeps its body timer running after a size error, keep it short
+            downloadTimeout: 500,
+            sendAllowedTypes: ['image/*', 'application/pdf'],
+            outgoingDir: path.join(process.env.DATA_DIR, 'outgoing-media'),
+            legacyDir: path.join(process.env.DATA_DIR, 'legacy-media')
+        });
+    });
+
+    afterEach(() => {
+        mediaService.stop();
+    });
+
+    describe('loadOutgoing', () => {
+        test('downloads a URL with its content type and file name', async () => {
+            const media = await mediaService.loadOutgoing({ url: `${base}/image.png` });
+            expect(media).toEqual({ mimetype: 'image/png', filename: 'image.png', data: PNG });
+        });
+
+        test('prefers the Content-Disposition file name, explicit values win', async () => {
+            expect((await mediaService.loadOutgoing({ url: `${base}/report` })).filename).toBe('report.pdf');
+            expect((await mediaService.loadOutgoing({ url: `${base}/report`, filename: 'q3.pdf' })).filename).toBe('q3.pdf');
+        });
+
+        test('decodes base64 and data URLs', async () => {
+            const plain = await mediaService.loadOutgoing({ base64: PNG.toString('base64'), mimetype: 'image/png' });
+            expect(plain.data).toEqual(PNG);
+            expect(plain.filename).toBe('media.png');
+
+            const dataUrl = await mediaService.loadOutgoing({ base64: `data:image/png;base64,${PNG.toString('base64')}` });
+            expect(dataUrl.mimetype).toBe('image/png');
+            expect(dataUrl.data).toEqual(PNG);
+        });
+
+        test.each(['/big', '/big-chunked'])('enforces the size limit for %s', async (route) => {
+            await expect(mediaService.loadOutgoing({ url: `${base}${route}` })).rejects.toThrow('exceeds the maximum size of 1 MB');
+        });
+
+        test('enforces the size limit for base64', async () => {
+            const base64 = Buffer.alloc(MB + 1).toString('base64');
+            await expect(mediaService.loadOutgoing({ base64, mimetype: 'image/png' })).rejects.toThrow('exceeds the maximum size');
+        });
+
+        test('enforces the type policy', async () => {
+            await expect(mediaService.loadOutgoing({ url: `${base}/program.exe` })).rejects.toThrow('application/x-msdownload is not allowed');
+            await expect(mediaService.loadOutgoing({ base64: 'TVo=', mimetype: 'text/html' })).rejects.toThrow('text/html is not allowed');
+        });
+
+        test('follows redirects to public hosts', async () => {
+            const media = await mediaService.loadOutgoing({ url: `${base}/redirect` });
+            expect(media.filename).toBe('image.png');
+        });
+
+        test('checks every redirect hop', async () => {
+            await expect(mediaService.loadOutgoing({ url: `${base}/redirect-metadata` }))
+                .rejects.toThrow('Destination not allowed: 169.254.169.254');
+        });
+
+        test('stops after too many redirects', async () => {
+            await expect(mediaService.loadOutgoing({ url: `${base}/loop` })).rejects.toThrow('More than 5 redirects');
+        });
+
+        test.each([
+            'http://127.0.0.1:9/',
+            'http://localhost:9/',
+            'http://10.1.2.3/',
+            'http://192.168.1.1/',
+            'http://172.20.0.1/',
+            'http://169.254.169.254/latest/meta-data/',
+            'http://[::1]/',
+            'http://[::ffff:127.0.0.1]/',
+            'http://0.0.0.0/'
+        ])('refuses %s without an allowlist entry', async (url) => {
+            process.env.OUTBOUND_URL_ALLOWLIST = '';
+            await expect(mediaService.loadOutgoing({ url })).rejects.toThrow('Destination not allowed');
+        });
+    });
+
+    describe('POST /instances/:instanceId/send-media', () => {
+        let app;
+        let apiServer;
+        let api;
+        let manager;
+
+        const post = async (body) => {
+            const response = await fetch(`${api}/api/whatsapp/instances/inst/send-media`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            return { status: response.status, body: await response.json() };
+        };
+
+        beforeEach(async () => {
+            manager = {
+                mediaService,
+                getInstanceStatus: () => ({ instanceId: 'inst', status: 'ready' }),
+                wakeInstance: async () => false,
+                messageQueue: {
+                    enqueue: jest.fn((instanceId, type, to, payload) => ({ id: 'job-1', status: 'queued', payload }))
+                }
+            };
+
+            app = express();
+            app.use(express.json({ limit: '5mb' }));
+            app.use((req, res, next) => {
+                req.whatsappManager = manager;
+                req.apiKeyService = { isEnabled: () => false };
+                next();
+            });
+            app.use('/api/whatsapp', whatsappRoutes);
+
+            apiServer = http.createServer(app);
+            api = `http://127.0.0.1:${await listen(apiServer)}`;
+        });
+
+        afterEach(async () => {
+            await close(apiServer);
+        });
+
+        test('queues media downloaded from a URL', async () => {
+            const { status, body } = await post({ to: '905551112233', url: `${base}/image.png`, queue: true });
+
+            expect(status).toBe(202);
+            expect(body).toMatchObject({ success: true, jobId: 'job-1', fileName: 'image.png' });
+            const payload = manager.messageQueue.enqueue.mock.calls[0][3];
+            // Not below the public /uploads route
+            expect(path.dirname(payload.mediaPath)).toBe(path.join(process.env.DATA_DIR, 'outgoing-media'));
+            expect(fs.readFileSync(payload.mediaPath)).toEqual(PNG);
+        });
+
+        test('queues uploaded files outside the public uploads route', async () => {
+            const boundary = 'media-test-boundary';
+            const field = (name, value) => `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`;
+            const body = Buffer.concat([
+                Buffer.from(field('to', '905551112233') + field('queue', 'true')),
+                Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="media"; filename="photo.png"\r\nContent-Type: image/png\r\n\r\n`),
+                PNG,
+                Buffer.from(`\r\n--${boundary}--\r\n`)
+            ]);
+
+            const response = await fetch(`${api}/api/whatsapp/instances/inst/send-media`, {
+                method: 'POST',
+                headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` },
+                body
+            });
+
+            expect(response.status).toBe(202);
+            const payload = manager.messageQueue.enqueue.mock.calls[0][3];
+            expect(path.dirname(payload.mediaPath)).toBe(path.join(process.env.DATA_DIR, 'outgoing-media'));
+            expect(fs.readFileSync(payload.mediaPath)).toEqual(PNG);
+        });
+
+        test('queues base64 media', async () => {
+            const { status, body } = await post({ to: '905551112233', base64: PNG.toString('base64'), mimetype: 'image/png', queue: true });
+
+            expect(status).toBe(202);
+            expect(body.fileName).toBe('media.png');
+        });
+
+        test('answers 413 above the size limit', async () => {
+            expect((await post({ to: '905551112233', url: `${base}/big` })).status).toBe(413);
+            expect((await post({ to: '905551112233', base64: Buffer.alloc(MB + 1).toString('base64'), mimetype: 'image/png' })).status).toBe(413);
+        });
+
+        test('answers 415 for types outside the policy', async () => {
+            expect((await post({ to: '905551112233', url: `${base}/program.exe` })).status).toBe(415);
+            expect((await post({ to: '905551112233', base64: 'TVo=', mimetype: 'application/x-msdownload' })).status).toBe(415);
+        });
+
+        test('answers 400 for private destinations', async () => {
+            process.env.OUTBOUND_URL_ALLOWLIST = '';
+            const { status, body } = await post({ to: '905551112233', url: `${base}/image.png` });
+
+            expect(status).toBe(400);
+            expect(body.error).toMatch(/Destination not allowed/);
+        });
+    });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, waitFor } = require('../helpers');
+
+useTempDataDir('queue-test-');
+
+const MessageQueueService = require('../../src/services/MessageQueueService');
+
+const readJobs = (dir, instanceId) =>
+    JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, dir, `${instanceId}.json`), 'utf8')).jobs;
+
+describe('MessageQueueService persistence', () => {
+    let queue;
+
+    afterEach(() => {
+        if (queue) {
+            queue.stop();
+            queue = null;
+        }
+    });
+
+    test('keeps one file per instance and writes new jobs right away', () => {
+        queue = new MessageQueueService({
+            send: async () => ({ messageId: 'm' }),
+            getStatus: () => 'disconnected'
+        }, { dir: 'queue-split', jitter: 0 });
+
+        const job = queue.enqueue('a', 'text', '905551112233', { message: 'hi' });
+        queue.enqueue('b', 'text', '905551112244', { message: 'hi' });
+
+        expect(readJobs('queue-split', 'a').map(stored => stored.id)).toEqual([job.id]);
+        expect(readJobs('queue-split', 'b')).toHaveLength(1);
+    });
+
+    test('coalesces status changes after a send', async () => {
+        let sends = 0;
+        queue = new MessageQueueService({
+            send: async () => {
+                sends++;
+                return { messageId: 'm' };
+            },
+            getStatus: () => 'ready'
+        }, { dir: 'queue-coalesce', jitter: 0 });
+
+        const job = queue.enqueue('a', 'text', '905551112233', { message: 'hi' });
+        await waitFor(() => job.status === 'sent');
+
+        expect(sends).toBe(1);
+        // Not on disk yet, stop() flushes it
+        expect(readJobs('queue-coalesce', 'a')[0].status).not.toBe('sent');
+        queue.stop();
+        queue = null;
+        expect(readJobs('queue-coalesce', 'a')[0].status).toBe('sent');
+    });
+
+    test('splits the old single message-queue.json into per-instance files', () => {
+        const legacyPath = path.join(process.env.DATA_DIR, 'message-queue.json');
+        const jobs = ['a', 'b'].map(instanceId => ({
+            id: `job-${instanceId}`,
+            instanceId,
+            type: 'text',
+            to: '905551112233',
+            payload: { message: 'hi' },
+            status: 'sent',
+            createdAt: new Date(),
+            updatedAt: new Date()
+        }));
+        fs.writeFileSync(legacyPath, JSON.stringify({ jobs }));
+
+        queue = new MessageQueueService({ send: async () => ({}), getStatus: () => 'ready' }, { dir: 'queue-migrate' });
+
+        expect(fs.existsSync(legacyPath)).toBe(false);
+        expect(queue.getJob('a', 'job-a')).not.toBeNull();
+        expect(readJobs('queue-migrate', 'b').map(job => job.id)).toEqual(['job-b']);
+    });
+
+    test('removes the file of a removed instance', () => {
+        queue = new MessageQueueService({ send: async () => ({}), getStatus: () => 'disconnected' }, { dir: 'queue-remove' });
+        queue.enqueue('a', 'text', '905551112233', { message: 'hi' });
+
+        queue.removeInstance('a');
+
+        expect(fs.existsSync(path.join(process.env.DATA_DIR, 'queue-remove', 'a.json'))).toBe(false);
+    });
+});
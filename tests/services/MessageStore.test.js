@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('../helpers');
+
+useTempDataDir('message-store-test-');
+
+const MessageStore = require('../../src/services/MessageStore');
+
+let counter = 0;
+const record = (fields = {}) => {
+    counter++;
+    return {
+        id: `false_905551112233@c.us_${String(counter).padStart(4, '0')}`,
+        chatId: '905551112233@c.us',
+        from: '905551112233@c.us',
+        to: '905559998877@c.us',
+        author: null,
+        sender: '905551112233@c.us',
+        fromMe: false,
+        body: `message ${counter}`,
+        type: 'chat',
+        timestamp: 1700000000 + counter,
+        ack: null,
+        ackStatus: null,
+        ackHistory: [],
+        ...fields
+    };
+};
+
+describe('MessageStore', () => {
+    let store;
+    let fileCounter = 0;
+
+    const createStore = (options = {}) => {
+        fileCounter++;
+        store = new MessageStore({
+            enabled: true,
+            file: path.join(process.env.DATA_DIR, `messages-${fileCounter}.db`),
+            legacyDir: path.join(process.env.DATA_DIR, `legacy-${fileCounter}`),
+            ...options
+        });
+        return store;
+    };
+
+    afterEach(() => {
+        store.close();
+    });
+
+    test('stores a message once, the first copy wins', () => {
+        createStore();
+        const message = record({ body: 'first' });
+
+        store.saveMessage('a', message);
+        store.saveMessage('a', { ...message, body: 'second' });
+
+        expect(store.getMessage('a', message.id)).toMatchObject({ body: 'first', instanceId: 'a' });
+        expect(store.getMessage('b', message.id)).toBeNull();
+        expect(store.search('a').messages).toHaveLength(1);
+    });
+
+    test('filters by chat, sender, direction and time, newest first', () => {
+        createStore();
+        const other = record({ chatId: 'group@g.us', sender: '905550000000@c.us' });
+        const mine = record({ fromMe: true, sender: '905559998877@c.us' });
+        const plain = record();
+        [other, mine, plain].forEach(message => store.saveMessage('a', message));
+
+        expect(store.search('a').messages.map(message => message.id)).toEqual([plain.id, mine.id, other.id]);
+        expect(store.search('a', { chatId: 'group@g.us' }).messages.map(message => message.id)).toEqual([other.id]);
+        expect(store.search('a', { sender: '905550000000@c.us' }).messages.map(message => message.id)).toEqual([other.id]);
+        expect(store.search('a', { fromMe: true }).messages.map(message => message.id)).toEqual([mine.id]);
+        expect(store.search('a', { from: mine.timestamp, to: mine.timestamp }).messages.map(message => message.id)).toEqual([mine.id]);
+    });
+
+    test('full-text search needs every word, matching word beginnings and ignoring case and accents', () => {
+        createStore();
+        const greeting = record({ body: 'Merhaba, siparişiniz yola çıktı' });
+        const other = record({ body: 'Siparis iptal edildi' });
+        store.saveMessage('a', greeting);
+        store.saveMessage('a', other);
+
+        expect(store.search('a', { q: 'merhaba' }).messages.map(message => message.id)).toEqual([greeting.id]);
+        expect(store.search('a', { q: 'sipar' }).messages).toHaveLength(2);
+        expect(store.search('a', { q: 'siparis yola' }).messages.map(message => message.id)).toEqual([greeting.id]);
+        expect(store.search('a', { q: '"iptal" OR merhaba' }).messages).toHaveLength(0);
+    });
+
+    test('search follows edits of the body', () => {
+        createStore();
+        const message = record({ body: 'old text' });
+        store.saveMessage('a', message);
+
+        store.updateMessage('a', message.id, { body: 'new text', edited: true });
+
+        expect(store.search('a', { q: 'old' }).messages).toHaveLength(0);
+        expect(store.search('a', { q: 'new' }).messages[0]).toMatchObject({ id: message.id, edited: true });
+    });
+
+    test('pages with a cursor without repeating messages', () => {
+        createStore();
+        const messages = Array.from({ length: 5 }, () => record({ timestamp: 1800000000 }));
+        messages.forEach(message => store.saveMessage('a', message));
+
+        const first = store.search('a', { limit: 2 });
+        const second = store.search('a', { limit: 2, cursor: first.nextCursor });
+        const third = store.search('a', { limit: 2, cursor: second.nextCursor });
+
+        const ids = [...first.messages, ...second.messages, ...third.messages].map(message => message.id);
+        expect(ids).toEqual(messages.map(message => message.id).reverse());
+        expect(third.nextCursor).toBeNull();
+    });
+
+    test('acks only move forward, errors are always recorded', () => {
+        createStore();
+        const message = record({ fromMe: true, ack: 1, ackStatus: 'server' });
+        store.saveMessage('a', message);
+
+        expect(store.recordAck('a', message.id, 3).ackStatus).toBe('read');
+        expect(store.recordAck('a', message.id, 2)).toBeNull();
+        expect(store.recordAck('a', message.id, -1).ackStatus).toBe('error');
+        expect(store.getMessage('a', message.id).ackHistory.map(entry => entry.status)).toEqual(['read', 'error']);
+    });
+
+    test('trims an instance to 90% of its limit, oldest first', () => {
+        createStore({ maxPerInstance: 10 });
+        const messages = Array.from({ length: 11 }, () => record());
+        messages.forEach(message => store.saveMessage('a', message));
+        store.saveMessage('b', record());
+
+        const stored = store.search('a', { limit: 100 }).messages.map(message => message.id);
+        expect(stored).toEqual(messages.slice(2).map(message => message.id).reverse());
+        expect(store.search('b').messages).toHaveLength(1);
+    });
+
+    test('imports and removes the NDJSON logs of earlier versions', () => {
+        fileCounter++;
+        const legacyDir = path.join(process.env.DATA_DIR, `legacy-${fileCounter}`);
+        fs.mkdirSync(legacyDir);
+        const message = record({ body: 'from the old log' });
+        fs.writeFileSync(path.join(legacyDir, 'a.ndjson'), [
+            JSON.stringify({ op: 'upsert', message }),
+            JSON.stringify({ op: 'update', id: message.id, changes: { ack: 3 } }),
+            '{"op":"ups'
+        ].join('\n'));
+
+        store = new MessageStore({ enabled: true, file: path.join(process.env.DATA_DIR, `messages-${fileCounter}.db`), legacyDir });
+
+        expect(store.getMessage('a', message.id)).toMatchObject({ body: 'from the old log', ack: 3 });
+        expect(store.search('a', { q: 'old log' }).messages).toHaveLength(1);
+        expect(fs.existsSync(path.join(legacyDir, 'a.ndjson'))).toBe(false);
+    });
+
+    test('removes the history of an instance', () => {
+        createStore();
+        store.saveMessage('a', record());
+        store.saveMessage('b', record());
+
+        store.removeInstance('a');
+
+        expect(store.search('a').messages).toHaveLength(0);
+        expect(store.search('b').messages).toHaveLength(1);
+    });
+});
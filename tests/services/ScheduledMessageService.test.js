@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('../helpers');
+
+useTempDataDir('schedule-test-');
+
+const ScheduledMessageService = require('../../src/services/ScheduledMessageService');
+
+const MINUTE = 60 * 1000;
+
+describe('ScheduledMessageService', () => {
+    let status; // what getStatus answers for every instance
+    let handlers;
+    let services;
+    let fileCounter = 0;
+
+    const createService = (options = {}) => {
+        fileCounter++;
+        const service = new ScheduledMessageService(handlers, {
+            file: `scheduled-${fileCounter}.json`,
+            holdPollInterval: 5000,
+            maxLatenessSeconds: 3600,
+            ...options
+        });
+        services.push(service);
+        return service;
+    };
+
+    const scheduleText = (service, schedule) =>
+        service.schedule('inst', 'text', '905551112233', { message: 'merhaba' }, schedule);
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-01-05T00:00:00Z'));
+        status = 'ready';
+        services = [];
+        handlers = {
+            send: jest.fn(async () => ({ messageId: 'm1' })),
+            getStatus: jest.fn(() => status),
+            emit: jest.fn()
+        };
+    });
+
+    afterEach(() => {
+        services.forEach(service => service.stop());
+        jest.useRealTimers();
+    });
+
+    describe('recurrence', () => {
+        test('runs cron expressions in the default timezone', () => {
+            const service = createService({ timezone: 'Europe/Istanbul' });
+            const item = scheduleText(service, { recurrence: { cron: '0 9 * * *' } });
+
+            // 09:00 in Istanbul is 06:00 UTC
+            expect(item.nextRunAt.toISOString()).toBe('2026-01-05T06:00:00.000Z');
+        });
+
+        test('prefers the timezone of the recurrence', () => {
+            const service = createService({ timezone: 'Europe/Istanbul' });
+            const item = scheduleText(service, { recurrence: { cron: '0 9 * * *', timezone: 'America/New_York' } });
+
+            expect(item.nextRunAt.toISOString()).toBe('2026-01-05T14:00:00.000Z');
+        });
+
+        test('follows daylight saving time changes', () => {
+            jest.setSystemTime(new Date('2026-03-27T12:00:00Z'));
+            const service = createService({ timezone: 'Europe/Berlin' });
+            const item = scheduleText(service, { recurrence: { cron: '0 9 * * *' } });
+
+            // 09:00 CET on Saturday, 09:00 CEST after the switch on Sunday
+            expect(service.nextOccurrence(item.recurrence, new Date('2026-03-27T12:00:00Z')).toISOString()).toBe('2026-03-28T08:00:00.000Z');
+            expect(service.nextOccurrence(item.recurrence, new Date('2026-03-28T12:00:00Z')).toISOString()).toBe('2026-03-29T07:00:00.000Z');
+        });
+
+        test('names the timezone that was actually used in errors', () => {
+            expect(() => scheduleText(createService(), { recurrence: { cron: '0 9 * * *', timezone: 'Mars/Base' } }))
+                .toThrow('Invalid recurrence: unknown timezone Mars/Base');
+            expect(() => scheduleText(createService({ timezone: 'Europe/Istanbull' }), { recurrence: { cron: '0 9 * * *' } }))
+                .toThrow('Invalid recurrence: unknown timezone Europe/Istanbull');
+        });
+
+        test('rejects invalid cron expressions and recurrences without a future run', () => {
+            const service = createService();
+
+            expect(() => scheduleText(service, { recurrence: { cron: 'every day' } })).toThrow('Invalid recurrence');
+            expect(() => scheduleText(service, { recurrence: { cron: '0 9 * * *', until: '2026-01-01T00:00:00Z' } }))
+                .toThrow('Invalid recurrence: it has no future run');
+        });
+
+        test('completes after "count" occurrences', async () => {
+            const service = createService();
+            const item = scheduleText(service, { recurrence: { cron: '* * * * *', count: 3 } });
+
+            await jest.advanceTimersByTimeAsync(5 * MINUTE);
+
+            expect(handlers.send).toHaveBeenCalledTimes(3);
+            expect(item.status).toBe('completed');
+            expect(item.runs).toBe(3);
+            expect(item.history.map(entry => entry.status)).toEqual(['sent', 'sent', 'sent']);
+        });
+
+        test('completes when "until" has passed', async () => {
+            const service = createService();
+            const item = scheduleText(service, { recurrence: { cron: '* * * * *', until: '2026-01-05T00:02:30Z' } });
+
+            await jest.advanceTimersByTimeAsync(5 * MINUTE);
+
+            expect(handlers.send).toHaveBeenCalledTimes(2);
+            expect(item.status).toBe('completed');
+            expect(item.nextRunAt).toBeNull();
+        });
+    });
+
+    describe('sending', () => {
+        test('sends a one-off message when it is due', async () => {
+            const service = createService();
+            const item = scheduleText(service, { sendAt: '2026-01-05T00:10:00Z' });
+
+            await jest.advanceTimersByTimeAsync(10 * MINUTE - 1);
+            expect(handlers.send).not.toHaveBeenCalled();
+
+            await jest.advanceTimersByTimeAsync(1);
+            expect(handlers.send).toHaveBeenCalledWith(item);
+            expect(item.status).toBe('sent');
+            expect(handlers.emit).toHaveBeenCalledWith('inst', 'scheduled_message_status', expect.objectContaining({ status: 'sent' }));
+        });
+
+        test('holds a due message until the instance is ready', async () => {
+            status = 'disconnected';
+            const service = createService();
+            const item = scheduleText(service, { sendAt: '2026-01-05T00:01:00Z' });
+
+            await jest.advanceTimersByTimeAsync(MINUTE + 12000);
+            expect(handlers.send).not.toHaveBeenCalled();
+            expect(item.status).toBe('scheduled');
+
+            status = 'ready';
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(handlers.send).toHaveBeenCalledTimes(1);
+            expect(item.status).toBe('sent');
+            expect(item.history[0].dueAt).toEqual(new Date('2026-01-05T00:01:00Z'));
+        });
+
+        test('misses the message after the lateness cutoff', async () => {
+            status = 'disconnected';
+            const service = createService();
+            const item = scheduleText(service, { sendAt: '2026-01-05T00:01:00Z', maxLatenessSeconds: 60 });
+
+            await jest.advanceTimersByTimeAsync(MINUTE + 55000);
+            expect(item.status).toBe('scheduled');
+
+            await jest.advanceTimersByTimeAsync(10000);
+
+            expect(item.status).toBe('missed');
+            expect(item.history[0].error).toBe('Instance was not ready before the lateness cutoff');
+            expect(handlers.send).not.toHaveBeenCalled();
+        });
+
+        test('counts missed occurrences of a recurrence and goes on with the next one', async () => {
+            status = 'disconnected';
+            const service = createService({ maxLatenessSeconds: 30 });
+            const item = scheduleText(service, { recurrence: { cron: '*/10 * * * *' } });
+
+            await jest.advanceTimersByTimeAsync(10 * MINUTE + 35000);
+
+            expect(item.status).toBe('scheduled');
+            expect(item.occurrences).toBe(1);
+            expect(item.history.map(entry => entry.status)).toEqual(['missed']);
+            expect(item.nextRunAt).toEqual(new Date('2026-01-05T00:20:00Z'));
+        });
+
+        test('waits again when the instance drops during the send', async () => {
+            const service = createService();
+            handlers.send.mockImplementationOnce(async () => {
+                status = 'disconnected';
+                throw new Error('Session closed');
+            });
+            const item = scheduleText(service, { sendAt: '2026-01-05T00:01:00Z' });
+
+            await jest.advanceTimersByTimeAsync(MINUTE);
+            expect(item.status).toBe('scheduled');
+            expect(item.lastError).toBe('Session closed');
+
+            status = 'ready';
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(handlers.send).toHaveBeenCalledTimes(2);
+            expect(item.status).toBe('sent');
+        });
+
+        test('fails when the send fails on a ready instance', async () => {
+            handlers.send.mockRejectedValueOnce(new Error('Invalid number'));
+            const service = createService();
+            const item = scheduleText(service, { sendAt: '2026-01-05T00:01:00Z' });
+
+            await jest.advanceTimersByTimeAsync(MINUTE);
+
+            expect(item.status).toBe('failed');
+            expect(item.history[0]).toMatchObject({ status: 'failed', error: 'Invalid number' });
+        });
+    });
+
+    test('sends an item again that was being sent when the process stopped', async () => {
+        const file = 'scheduled-restart.json';
+        // The send never finishes, as if the process died during it
+        handlers.send.mockImplementationOnce(() => new Promise(() => {}));
+        const first = createService({ file });
+        const item = scheduleText(first, { sendAt: '2026-01-05T00:01:00Z' });
+
+        await jest.advanceTimersByTimeAsync(MINUTE);
+        expect(item.status).toBe('sending');
+        first.stop();
+
+        const stored = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, file), 'utf8'));
+        expect(stored.items[0].status).toBe('sending');
+
+        const second = createService({ file });
+        const restored = second.getItem('inst', item.id);
+        expect(restored.status).toBe('scheduled');
+
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(handlers.send).toHaveBeenCalledTimes(2);
+        expect(restored.status).toBe('sent');
+    });
+
+    test('keeps cancelled items from sending', async () => {
+        const service = createService();
+        const item = scheduleText(service, { sendAt: '2026-01-05T00:01:00Z' });
+
+        service.cancelItem('inst', item.id);
+        await jest.advanceTimersByTimeAsync(2 * MINUTE);
+
+        expect(item.status).toBe('cancelled');
+        expect(handlers.send).not.toHaveBeenCalled();
+        expect(() => service.cancelItem('inst', item.id)).toThrow('cannot be cancelled');
+    });
+});
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { useTempDataDir, waitFor, sleep, listen, close } = require('../helpers');
+
+useTempDataDir('webhook-test-');
+process.env.OUTBOUND_URL_ALLOWLIST = '127.0.0.1';
+
+const WebhookService = require('../../src/services/WebhookService');
+
+describe('WebhookService', () => {
+    let server;
+    let url;
+    let requests;
+    let responses; // status codes answered in order, 200 once empty
+    let services;
+    let fileCounter = 0;
+
+    const createService = (options = {}, files = null) => {
+        fileCounter++;
+        const service = new WebhookService({
+            subscriptionsFile: files ? files.subscriptionsFile : `webhooks-${fileCounter}.json`,
+            deliveriesFile: files ? files.deliveriesFile : `webhook-deliveries-${fileCounter}.json`,
+            baseDelay: 50,
+            maxDelay: 1000,
+            maxAttempts: 4,
+            timeout: 2000,
+            ...options
+        });
+        services.push(service);
+        return service;
+    };
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ headers: req.headers, body, path: req.url, receivedAt: Date.now() });
+                const status = responses.length > 0 ? responses.shift() : 200;
+                if (status >= 300 && status < 400) {
+                    res.setHeader('Location', '/elsewhere');
+                }
+                res.statusCode = status;
+                res.end();
+            });
+        });
+        url = `http://127.0.0.1:${await listen(server)}/hook`;
+    });
+
+    afterAll(async () => {
+        await close(server);
+    });
+
+    beforeEach(() => {
+        requests = [];
+        responses = [];
+        services = [];
+    });
+
+    afterEach(() => {
+        services.forEach(service => service.stop());
+    });
+
+    test('signs the timestamp and raw body with the subscription secret', async () => {
+        const service = createService();
+        const secret = 'a'.repeat(32);
+        service.createSubscription('inst', { url, secret });
+
+        const [delivery] = service.dispatch('inst', 'message', { body: 'merhaba' });
+        await waitFor(() => delivery.status !== 'pending');
+
+        expect(delivery.status).toBe('success');
+        expect(requests).toHaveLength(1);
+
+        const { headers, body } = requests[0];
+        const expected = crypto.createHmac('sha256', secret)
+            .update(`${headers['x-webhook-timestamp']}.${body}`)
+            .digest('hex');
+
+        expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+        expect(headers['x-webhook-event']).toBe('message');
+        expect(headers['x-webhook-delivery']).toBe(delivery.id);
+        expect(JSON.parse(body)).toMatchObject({ id: delivery.id, event: 'message', instanceId: 'inst', data: { body: 'merhaba' } });
+    });
+
+    test('only dispatches events a subscription asked for', async () => {
+        const service = createService();
+        service.createSubscription('inst', { url, events: ['ready'] });
+
+        expect(service.dispatch('inst', 'message', {})).toHaveLength(0);
+        expect(service.dispatch('other', 'ready', {})).toHaveLength(0);
+        expect(service.dispatch('inst', 'ready', {})).toHaveLength(1);
+    });
+
+    test('retries 5xx with exponential backoff', async () => {
+        const service = createService();
+        service.createSubscription('inst', { url });
+        responses = [500, 503, 502];
+
+        const [delivery] = service.dispatch('inst', 'message', {});
+        await waitFor(() => delivery.status !== 'pending');
+
+        expect(delivery.status).toBe('success');
+        expect(delivery.attempts.map(attempt => attempt.statusCode)).toEqual([500, 503, 502, 200]);
+
+        // 50ms, 100ms and 200ms between the attempts
+        const gaps = requests.slice(1).map((request, index) => request.receivedAt - requests[index].receivedAt);
+        expect(gaps[0]).toBeGreaterThanOrEqual(45);
+        expect(gaps[1]).toBeGreaterThanOrEqual(95);
+        expect(gaps[2]).toBeGreaterThanOrEqual(195);
+        expect(gaps[2]).toBeGreaterThan(gaps[0]);
+    });
+
+    test('caps the retry delay at maxDelay', () => {
+        const service = createService({ baseDelay: 1000, maxDelay: 5000 });
+        expect([1, 2, 3, 4, 5].map(attempt => service.getRetryDelay(attempt))).toEqual([1000, 2000, 4000, 5000, 5000]);
+    });
+
+    test.each([408, 429])('retries HTTP %i', async (status) => {
+        const service = createService();
+        service.createSubscription('inst', { url });
+        responses = [status];
+
+        const [delivery] = service.dispatch('inst', 'message', {});
+        await waitFor(() => delivery.status !== 'pending');
+
+        expect(delivery.status).toBe('success');
+        expect(delivery.attempts).toHaveLength(2);
+    });
+
+    test('marks the delivery failed after maxAttempts', async () => {
+        const service = createService({ maxAttempts: 2 });
+        service.createSubscription('inst', { url });
+        responses = [500, 500, 500];
+
+        const [delivery] = service.dispatch('inst', 'message', {});
+        await waitFor(() => delivery.status !== 'pending');
+
+        expect(delivery.status).toBe('failed');
+        expect(delivery.attempts).toHaveLength(2);
+    });
+
+    test.each([400, 401, 404, 410])('does not retry HTTP %i', async (status) => {
+        const service = createService();
+        service.createSubscription('inst', { url });
+        responses = [status];
+
+        const [delivery] = service.dispatch('inst', 'message', {});
+        await waitFor(() => delivery.status !== 'pending');
+        await sleep(150);
+
+        expect(delivery.status).toBe('failed');
+        expect(delivery.attempts).toHaveLength(1);
+        expect(requests).toHaveLength(1);
+    });
+
+    test('does not follow redirects', async () => {
+        const service = createService();
+        service.createSubscription('inst', { url });
+        responses = [302];
+
+        const [delivery] = service.dispatch('inst', 'message', {});
+        await waitFor(() => delivery.status !== 'pending');
+
+        expect(delivery.status).toBe('failed');
+        expect(requests.map(request => request.path)).toEqual(['/hook']);
+    });
+
+    test('refuses private destinations without retrying', async () => {
+        const service = createService();
+        service.createSubscription('inst', { url: 'http://169.254.169.254/latest/meta-data' });
+
+        const [delivery] = service.dispatch('inst', 'message', {});
+        await waitFor(() => delivery.status !== 'pending');
+
+        expect(delivery.status).toBe('failed');
+        expect(delivery.attempts).toHaveLength(1);
+        expect(delivery.attempts[0].error).toMatch(/Destination not allowed/);
+    });
+
+    test('resumes pending deliveries after a restart', async () => {
+        const files = { subscriptionsFile: 'restart-webhooks.json', deliveriesFile: 'restart-deliveries.json' };
+        const first = createService({ baseDelay: 300 }, files);
+        first.createSubscription('inst', { url });
+        responses = [503];
+
+        const [delivery] = first.dispatch('inst', 'message', { n: 1 });
+        await waitFor(() => delivery.attempts.length === 1);
+        first.stop();
+
+        const stored = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, files.deliveriesFile), 'utf8'));
+        expect(stored.deliveries).toHaveLength(1);
+        expect(stored.deliveries[0].status).toBe('pending');
+
+        const second = createService({ baseDelay: 300 }, files);
+        const resumed = second.getDelivery('inst', delivery.id);
+        expect(resumed.attempts).toHaveLength(1);
+
+        await waitFor(() => resumed.status !== 'pending');
+
+        expect(resumed.status).toBe('success');
+        expect(resumed.attempts.map(attempt => attempt.statusCode)).toEqual([503, 200]);
+        expect(requests.map(request => request.headers['x-webhook-delivery'])).toEqual([delivery.id, delivery.id]);
+    });
+
+    test('fails pending deliveries pushed out of a full log instead of dropping them', async () => {
+        const service = createService({ baseDelay: 60000, maxDeliveriesPerInstance: 2 });
+        service.createSubscription('inst', { url });
+        responses = [503, 503, 503];
+
+        const first = service.dispatch('inst', 'message', { n: 1 })[0];
+        await waitFor(() => first.attempts.length === 1);
+        const second = service.dispatch('inst', 'message', { n: 2 })[0];
+        await waitFor(() => second.attempts.length === 1);
+
+        service.dispatch('inst', 'message', { n: 3 });
+
+        expect(first.status).toBe('failed');
+        expect(first.error).toMatch(/Dropped from the delivery log/);
+        expect(service.retryTimers.has(first.id)).toBe(false);
+        expect(service.getDelivery('inst', first.id)).toBeNull();
+        expect(service.listDeliveries('inst')).toHaveLength(2);
+    });
+});
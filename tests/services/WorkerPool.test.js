@@ -0,0 +1,385 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const express = require('express');
+const fetch = require('node-fetch');
+const { useTempDataDir, listen, close } = require('../helpers');
+
+useTempDataDir('worker-pool-test-');
+
+const WorkerPool = require('../../src/services/WorkerPool');
+const clusterRoutes = require('../../src/controllers/clusterController');
+const { WORKER_HEADERS, trustCoordinator } = require('../../src/middleware/auth');
+
+let pid = 1000;
+
+// Stands in for a forked worker, answers adopt requests like the WorkerBridge
+const createChild = (pool, worker, adopt = () => true) => {
+    const child = new EventEmitter();
+    child.pid = ++pid;
+    child.connected = true;
+    child.exitCode = null;
+    child.kill = jest.fn();
+    child.send = jest.fn((message) => {
+        if (message.type === 'request' && message.method === 'adopt') {
+            Promise.resolve().then(() => pool.handleMessage(worker, {
+                type: 'reply',
+                requestId: message.requestId,
+                result: adopt(message.params.instanceId)
+            }));
+        }
+        if (message.type === 'shutdown') {
+            child.exitCode = 0;
+            setImmediate(() => child.emit('exit', 0, null));
+        }
+    });
+    return child;
+};
+
+const createPool = (options = {}) => {
+    const emitted = [];
+    const pool = new WorkerPool({
+        emit: (room, event, payload) => emitted.push({ room, event, payload })
+    }, {
+        workers: 2,
+        heartbeatTimeoutMs: 30000,
+        maxRestarts: 3,
+        restartWindowMs: 60000,
+        ...options
+    });
+    pool.emitted = emitted;
+
+    // No real processes, a spawned worker is ready right away
+    jest.spyOn(pool, 'spawn').mockImplementation((worker) => {
+        worker.process = createChild(pool, worker);
+        worker.state = 'ready';
+        worker.startedAt = new Date();
+        worker.lastHeartbeat = Date.now();
+    });
+    for (const worker of pool.workers.values()) {
+        pool.spawn(worker);
+    }
+    return pool;
+};
+
+const crash = (pool, slot) => {
+    const worker = pool.workers.get(slot);
+    pool.handleExit(worker, worker.process, 1, null);
+    return worker;
+};
+
+describe('WorkerPool', () => {
+    let pool;
+
+    afterEach(async () => {
+        jest.useRealTimers();
+        if (pool) {
+            await pool.stop();
+            pool = null;
+        }
+        fs.rmSync(path.join(process.env.DATA_DIR, 'workers.json'), { force: true });
+    });
+
+    describe('routing', () => {
+        test('assigns new instances to the least loaded ready worker and keeps them there', () => {
+            pool = createPool();
+
+            expect(pool.assign('a').slot).toBe(0);
+            expect(pool.assign('b').slot).toBe(1);
+            expect(pool.assign('c').slot).toBe(0);
+            expect(pool.assign('a').slot).toBe(0);
+            expect(pool.getAssignedIds(0)).toEqual(['a', 'c']);
+
+            const stored = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'workers.json'), 'utf8'));
+            expect(Object.keys(stored.assignments)).toEqual(['a', 'b', 'c']);
+        });
+
+        test('skips workers that are not ready and fails without any', () => {
+            pool = createPool();
+            pool.workers.get(0).state = 'restarting';
+
+            expect(pool.assign('a').slot).toBe(1);
+            expect(pool.assign('b').slot).toBe(1);
+
+            pool.workers.get(1).state = 'disabled';
+            expect(() => pool.assign('c')).toThrow('No worker is available');
+        });
+
+        test('reports instances of a worker that is down as unavailable', () => {
+            pool = createPool();
+            pool.assign('a');
+            pool.assign('b');
+            pool.handleMessage(pool.workers.get(0), { type: 'heartbeat', rss: 1, instances: [{ instanceId: 'a', status: 'ready' }] });
+            pool.workers.get(1).state = 'restarting';
+
+            expect(Object.fromEntries(pool.getInstances())).toEqual({
+                a: { status: 'ready' },
+                b: { status: WorkerPool.UNAVAILABLE_STATUS }
+            });
+            expect(pool.getUnavailableInstances()).toEqual([{ instanceId: 'b', worker: 1, status: WorkerPool.UNAVAILABLE_STATUS }]);
+        });
+
+        test('releases destroyed instances and those a restarted worker did not recover', () => {
+            pool = createPool();
+            pool.assign('a');
+            pool.assign('b');
+            pool.assign('c');
+
+            pool.handleMessage(pool.workers.get(0), { type: 'emit', room: 'x', event: 'instance_destroyed', payload: { instanceId: 'a' } });
+            expect(pool.getWorkerOf('a')).toBeNull();
+            expect(pool.emitted.map(emit => emit.event)).toEqual(['instance_destroyed']);
+
+            // c was assigned before the worker started and has no session
+            pool.workers.get(0).startedAt = new Date(Date.now() + 1000);
+            pool.handleMessage(pool.workers.get(0), { type: 'recovered', instanceIds: [] });
+            expect(pool.getWorkerOf('c')).toBeNull();
+            expect(pool.getWorkerOf('b').slot).toBe(1);
+        });
+    });
+
+    describe('handleExit', () => {
+        test('restarts a crashed worker with exponential backoff', () => {
+            jest.useFakeTimers();
+            pool = createPool();
+            const worker = pool.workers.get(0);
+
+            for (const delay of [1000, 2000, 4000]) {
+                pool.spawn.mockClear();
+                crash(pool, 0);
+
+                expect(worker.state).toBe('restarting');
+                expect(worker.process).toBeNull();
+                jest.advanceTimersByTime(delay - 1);
+                expect(pool.spawn).not.toHaveBeenCalled();
+                jest.advanceTimersByTime(1);
+                expect(pool.spawn).toHaveBeenCalledWith(worker);
+            }
+
+            expect(pool.emitted.filter(emit => emit.event === 'worker_exited')).toHaveLength(3);
+        });
+
+        test('rejects pending requests and kills browsers left behind', async () => {
+            pool = createPool();
+            const worker = pool.workers.get(0);
+            pool.handleMessage(worker, { type: 'heartbeat', rss: 1, instances: [{ instanceId: 'a', status: 'ready', browserPid: 4242 }] });
+            const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+
+            const request = pool.call(worker, 'metrics');
+            crash(pool, 0);
+
+            await expect(request).rejects.toThrow('Worker 0 exited');
+            expect(kill).toHaveBeenCalledWith(-4242, 'SIGKILL');
+            kill.mockRestore();
+        });
+
+        test('ignores the exit of a process that was already replaced', () => {
+            pool = createPool();
+            const worker = pool.workers.get(0);
+            const old = worker.process;
+            pool.spawn(worker);
+
+            pool.handleExit(worker, old, 1, null);
+
+            expect(worker.state).toBe('ready');
+            expect(worker.restarts).toHaveLength(0);
+        });
+
+        test('hands the instances over after maxRestarts and brings the worker back after the window', async () => {
+            jest.useFakeTimers();
+            pool = createPool({ maxRestarts: 2 });
+            pool.assign('a');
+            pool.assign('b');
+            pool.assign('c');
+            const worker = pool.workers.get(0);
+
+            crash(pool, 0);
+            jest.advanceTimersByTime(1000);
+            crash(pool, 0);
+            jest.advanceTimersByTime(2000);
+            const target = pool.workers.get(1);
+            const adopted = jest.spyOn(pool, 'call');
+            crash(pool, 0);
+
+            expect(worker.state).toBe('disabled');
+            await jest.advanceTimersByTimeAsync(0);
+
+            expect(adopted.mock.calls.map(([to, method, params]) => [to.slot, method, params.instanceId])).toEqual([
+                [1, 'adopt', 'a'],
+                [1, 'adopt', 'c']
+            ]);
+            expect(pool.getAssignedIds(1)).toEqual(['a', 'b', 'c']);
+            expect(pool.emitted.filter(emit => emit.event === 'instance_moved').map(emit => emit.payload))
+                .toEqual([
+                    expect.objectContaining({ instanceId: 'a', from: 0, to: 1 }),
+                    expect.objectContaining({ instanceId: 'c', from: 0, to: 1 })
+                ]);
+            expect(target.process.send).toHaveBeenCalledTimes(2);
+
+            pool.spawn.mockClear();
+            jest.advanceTimersByTime(60000);
+            expect(pool.spawn).toHaveBeenCalledWith(worker);
+            expect(worker.restarts).toHaveLength(0);
+        });
+
+        test('releases instances the other worker has no session for', async () => {
+            pool = createPool({ maxRestarts: 0 });
+            pool.assign('a');
+            pool.workers.get(1).process = createChild(pool, pool.workers.get(1), () => false);
+
+            crash(pool, 0);
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(pool.getWorkerOf('a')).toBeNull();
+        });
+
+        test('keeps the instances when no worker can take them', async () => {
+            pool = createPool({ maxRestarts: 0 });
+            pool.assign('a');
+            pool.workers.get(1).state = 'restarting';
+
+            crash(pool, 0);
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(pool.getWorkerOf('a').slot).toBe(0);
+        });
+    });
+});
+
+describe('trustCoordinator', () => {
+    const run = (token, headers) => {
+        const req = { headers };
+        const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+        const next = jest.fn();
+        trustCoordinator(token)(req, res, next);
+        return { req, res, next };
+    };
+
+    test.each([
+        ['no token', {}],
+        ['a wrong token', { [WORKER_HEADERS.token]: 'b'.repeat(48) }],
+        ['a token of another length', { [WORKER_HEADERS.token]: 'a'.repeat(47) }]
+    ])('rejects requests with %s', (name, headers) => {
+        const { res, next } = run('a'.repeat(48), headers);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Workers only accept requests from the coordinator' });
+    });
+
+    test('rejects everything without a token of its own', () => {
+        const { res, next } = run('', { [WORKER_HEADERS.token]: '' });
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('takes the principal the coordinator sent along', () => {
+        const pool = new WorkerPool({ emit: () => {} }, { workers: 1 });
+        const principal = { id: 'key-1', scopes: ['read'] };
+        const { req, next } = run(pool.token, pool.getForwardHeaders(principal));
+
+        expect(next).toHaveBeenCalled();
+        expect(req.apiKey).toEqual(principal);
+        expect(run(pool.token, pool.getForwardHeaders(null)).req.apiKey).toBeNull();
+    });
+});
+
+describe('GET /api/whatsapp/instances on the coordinator', () => {
+    let pool;
+    let workerServers;
+    let apiServer;
+    let api;
+    let apiKeyService;
+
+    // Worker side: only answers requests forwarded by the coordinator
+    const startWorker = async (slot, instances) => {
+        const app = express();
+        app.use('/api/whatsapp', trustCoordinator(pool.token));
+        app.get('/api/whatsapp/instances', (req, res) => res.json({
+            success: true,
+            instances: instances.filter(instance => !req.apiKey || req.apiKey.instances.includes(instance.instanceId))
+        }));
+
+        const server = http.createServer(app);
+        workerServers.push(server);
+        const worker = pool.workers.get(slot);
+        worker.port = await listen(server);
+        worker.state = 'ready';
+    };
+
+    beforeEach(async () => {
+        workerServers = [];
+        apiKeyService = { isEnabled: () => false };
+        pool = new WorkerPool({ emit: () => {} }, { workers: 3 });
+        await startWorker(0, [{ instanceId: 'a', status: 'ready' }, { instanceId: 'c', status: 'disconnected' }]);
+        await startWorker(1, [{ instanceId: 'b', status: 'ready' }]);
+        // Worker 2 crashed with instance d
+        pool.assignments.set('d', { worker: 2, assignedAt: new Date().toISOString() });
+
+        const app = express();
+        app.use((req, res, next) => {
+            req.workerPool = pool;
+            req.apiKeyService = apiKeyService;
+            req.apiKey = apiKeyService.isEnabled() ? { id: 'key-1', instances: ['b', 'd'] } : null;
+            next();
+        });
+        app.use('/api/whatsapp', clusterRoutes);
+        apiServer = http.createServer(app);
+        api = `http://127.0.0.1:${await listen(apiServer)}/api/whatsapp`;
+    });
+
+    afterEach(async () => {
+        await Promise.all([apiServer, ...workerServers].map(close));
+        fs.rmSync(path.join(process.env.DATA_DIR, 'workers.json'), { force: true });
+    });
+
+    const get = async (query = '') => {
+        const response = await fetch(`${api}/instances${query}`);
+        return { status: response.status, body: await response.json() };
+    };
+
+    test('combines the instances of every worker with those of workers that are down', async () => {
+        const { status, body } = await get('?sort=instanceId');
+
+        expect(status).toBe(200);
+        expect(body.instances).toEqual([
+            { instanceId: 'a', status: 'ready', worker: 0 },
+            { instanceId: 'b', status: 'ready', worker: 1 },
+            { instanceId: 'c', status: 'disconnected', worker: 0 },
+            { instanceId: 'd', status: WorkerPool.UNAVAILABLE_STATUS, worker: 2 }
+        ]);
+        expect(body.total).toBe(4);
+    });
+
+    test('filters and pages the combined list', async () => {
+        const { body } = await get('?status=ready&sort=instanceId&order=desc&limit=1');
+
+        expect(body.instances.map(instance => instance.instanceId)).toEqual(['b']);
+        expect(body.total).toBe(2);
+    });
+
+    test('leaves out a worker that does not answer', async () => {
+        await close(workerServers.shift());
+
+        const { status, body } = await get('?sort=instanceId');
+
+        expect(status).toBe(200);
+        expect(body.instances.map(instance => instance.instanceId)).toEqual(['b', 'd']);
+    });
+
+    test('forwards the principal and only lists instances the API key can read', async () => {
+        apiKeyService = {
+            isEnabled: () => true,
+            hasAccess: (principal, instanceId) => principal.instances.includes(instanceId)
+        };
+
+        const { body } = await get('?sort=instanceId');
+
+        expect(body.instances.map(instance => instance.instanceId)).toEqual(['b', 'd']);
+    });
+
+    test('answers 400 for an invalid query', async () => {
+        expect((await get('?sort=secret')).status).toBe(400);
+    });
+});